@@ -0,0 +1,30 @@
+// backend/jobs/index.js
+// Background jobs that run periodically inside the API process.
+
+const { expireOverdueProposals } = require('../services/rescheduleProposals'); // Reschedule proposal expiry
+const { expireOverdueOffers } = require('../services/waitlist'); // Waitlist hold expiry
+const { retryFailedRefunds } = require('../services/payments'); // Refunds the provider rejected
+
+const PROPOSAL_EXPIRY_INTERVAL_MS = 60 * 1000; // Check for overdue proposals every minute
+const WAITLIST_EXPIRY_INTERVAL_MS = 60 * 1000; // Roll unconfirmed waitlist holds every minute
+const REFUND_RETRY_INTERVAL_MS = 15 * 60 * 1000; // Look for failed refunds due for a retry every 15 minutes
+
+// Run a job on a fixed interval, logging (but not throwing) any failure
+const every = (intervalMs, name, job) => {
+  setInterval(async () => {
+    try {
+      await job();
+    } catch (err) {
+      console.error(`Job "${name}" failed:`, err.message);
+    }
+  }, intervalMs);
+};
+
+// Start all background jobs
+const startJobs = () => {
+  every(PROPOSAL_EXPIRY_INTERVAL_MS, 'expire reschedule proposals', () => expireOverdueProposals());
+  every(WAITLIST_EXPIRY_INTERVAL_MS, 'roll over waitlist holds', () => expireOverdueOffers());
+  every(REFUND_RETRY_INTERVAL_MS, 'retry failed refunds', () => retryFailedRefunds());
+};
+
+module.exports = { startJobs };
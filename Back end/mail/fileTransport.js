@@ -0,0 +1,30 @@
+// backend/mail/fileTransport.js
+// Development transport: instead of sending mail, every message is written as a file under the
+// directory configured as `mail.outboxDir` (relative to the backend folder) and printed to the
+// console, so links in it (e.g., password resets) can be opened straight from the server log.
+
+const fs = require('fs');         // File system access
+const path = require('path');     // Path helpers
+const crypto = require('crypto'); // Node crypto for unique file names
+const config = require('config'); // Import config to get the outbox directory
+
+const ROOT = path.resolve(__dirname, '..', config.get('mail.outboxDir'));
+
+// "Deliver" one plain-text message by storing it in the outbox
+const send = async ({ from, to, subject, text }) => {
+  const message = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    '',
+    text,
+  ].join('\n');
+
+  await fs.promises.mkdir(ROOT, { recursive: true });
+  const filePath = path.join(ROOT, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+  await fs.promises.writeFile(filePath, message);
+  console.log(`Mail written to ${filePath}:\n${message}\n`);
+};
+
+module.exports = { name: 'file', send };
@@ -0,0 +1,29 @@
+// backend/mail/index.js
+// Registry of mail transports. Every transport implements the same interface:
+//   name                                -> transport name
+//   send({ from, to, subject, text })   -> delivers one plain-text message
+// `smtp` sends real mail through the server configured as `mail.smtp`; `file` writes every message
+// to `mail.outboxDir` and prints it to the console, for development and tests.
+// To send through an email API instead, implement this interface and register it below.
+
+const config = require('config'); // Import config to get the active transport and sender
+
+const TRANSPORTS = {
+  smtp: require('./smtpTransport'),
+  file: require('./fileTransport'),
+};
+
+// Look up a transport by name; without a name the configured one is returned.
+// Returns undefined for unknown names.
+const getTransport = (name = config.get('mail.transport')) => TRANSPORTS[name];
+
+// Send a message { to, subject, text } from the configured sender through the configured transport
+const sendMail = async (message) => {
+  const transport = getTransport();
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${config.get('mail.transport')}`);
+  }
+  await transport.send({ from: config.get('mail.from'), ...message });
+};
+
+module.exports = { getTransport, sendMail };
@@ -0,0 +1,27 @@
+// backend/mail/smtpTransport.js
+// Sends mail through an SMTP server configured as `mail.smtp` ({ host, port, secure, user, pass }).
+
+const nodemailer = require('nodemailer'); // SMTP client
+const config = require('config'); // Import config to get the SMTP server
+
+// The connection is set up on first use, so the file transport works without any SMTP settings
+let transporter = null;
+const getTransporter = () => {
+  if (!transporter) {
+    const { host, port, secure, user, pass } = config.get('mail.smtp');
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure, // true for implicit TLS (port 465); otherwise STARTTLS is used when the server offers it
+      ...(user && { auth: { user, pass } }),
+    });
+  }
+  return transporter;
+};
+
+// Deliver one plain-text message
+const send = async ({ from, to, subject, text }) => {
+  await getTransporter().sendMail({ from, to, subject, text });
+};
+
+module.exports = { name: 'smtp', send };
@@ -0,0 +1,30 @@
+// backend/middleware/audit.js
+// Audit trail middleware (see services/auditLog.js). Entries are written once the response is sent,
+// so they carry its status and any details the route added.
+//   app.use('/api/doctor', auditChanges, doctorRoutes)    -> every POST, PUT, PATCH and DELETE
+//   router.get('/health-profile', auth, auditRead, ...)    -> a read of patient data (successful ones)
+
+const { recordAudit } = require('../services/auditLog'); // Audit trail
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// The route that handled a request, e.g. "PUT /api/doctor/appointments/:id/status"
+// (the requested path when no route matched)
+const actionOf = (req) =>
+  `${req.method} ${req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0]}`;
+
+const auditChanges = (req, res, next) => {
+  if (MUTATING_METHODS.includes(req.method)) {
+    res.on('finish', () => recordAudit(req, res, actionOf(req)));
+  }
+  next();
+};
+
+const auditRead = (req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode < 400) recordAudit(req, res, actionOf(req));
+  });
+  next();
+};
+
+module.exports = { auditChanges, auditRead };
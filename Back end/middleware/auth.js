@@ -1,10 +1,13 @@
 // backend/middleware/auth.js
 // This middleware is used to protect routes, verify JWTs, and attach user data to the request.
+// Besides the signature and expiry, the token's login session must still be active, so logging out
+// (or "log out all devices") takes effect immediately instead of when the token expires.
 
 const jwt = require('jsonwebtoken'); // Import jsonwebtoken for JWT operations
 const config = require('config'); // Import config to get jwtSecret
+const { isSessionActive } = require('../services/sessions'); // Session revocation checks
 
-module.exports = function (req, res, next) {
+module.exports = async function (req, res, next) {
   // Get token from header
   const token = req.header('x-auth-token'); // Expect token in 'x-auth-token' header
 
@@ -14,14 +17,26 @@ module.exports = function (req, res, next) {
   }
 
   // Verify token
+  let decoded;
   try {
     // Verify the token using the JWT secret from config
-    const decoded = jwt.verify(token, config.get('jwtSecret'));
+    decoded = jwt.verify(token, config.get('jwtSecret'));
+  } catch (err) {
+    return res.status(401).json({ msg: 'Token is not valid' }); // Token is invalid (e.g., expired, malformed)
+  }
 
-    // Attach the decoded user object (which contains user ID and role) to the request
-    req.user = decoded.user;
-    next(); // Move to the next middleware/route handler
+  // Check the token's session has not been revoked (tokens without a session predate sessions)
+  try {
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ msg: 'Session has ended, please log in again' });
+    }
   } catch (err) {
-    res.status(401).json({ msg: 'Token is not valid' }); // Token is invalid (e.g., expired, malformed)
+    console.error(err.message);
+    return res.status(500).json({ msg: 'Server Error' });
   }
+
+  // Attach the decoded user object (which contains user ID and role) and the session ID to the request
+  req.user = decoded.user;
+  req.sessionId = decoded.sid;
+  next(); // Move to the next middleware/route handler
 };
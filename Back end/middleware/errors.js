@@ -0,0 +1,26 @@
+// backend/middleware/errors.js
+// Last handlers of the app, so that every failure reaches the client as JSON with a `msg`,
+// like the responses the routes send themselves.
+
+// Requests no route matched
+const notFound = (req, res) => {
+  res.status(404).json({ msg: `Cannot ${req.method} ${req.originalUrl.split('?')[0]}` });
+};
+
+// Errors passed on by middleware (e.g., a body that is not valid JSON) or thrown outside a route's try/catch.
+// Express recognizes error handlers by their four arguments, so `next` stays in the signature.
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err); // Too late for a JSON reply; Express closes the connection
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ msg: 'The request body is not valid JSON.', code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ msg: 'The request body is too large.' });
+  }
+  console.error(err.message);
+  res.status(500).json({ msg: 'Server Error' });
+};
+
+module.exports = { notFound, errorHandler };
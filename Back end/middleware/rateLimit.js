@@ -0,0 +1,32 @@
+// backend/middleware/rateLimit.js
+// Rate limits for endpoints open to guessing (login, registration, emails), using the configured
+// store (see rateLimit/). Limits are read from `rateLimits` in the config, e.g.
+//   rateLimit('loginPerIp')                                    -> per client IP
+//   rateLimit('loginPerAccount', (req) => req.body.email)      -> per account
+// Requests over the limit get 429 with a Retry-After header.
+
+const config = require('config'); // Import config to get the limits
+const { getRateLimitStore } = require('../rateLimit'); // Rate limit stores
+
+module.exports = (limitName, keyOf = (req) => req.ip) => async (req, res, next) => {
+  const key = keyOf(req);
+  if (!key) {
+    return next(); // Nothing to count (e.g., no email given); the route rejects the request itself
+  }
+
+  try {
+    const windowMs = config.get('rateLimits.windowMinutes') * 60000;
+    const { count, resetAt } = await getRateLimitStore().hit(`${limitName}:${String(key).trim().toLowerCase()}`, windowMs);
+    if (count > config.get(`rateLimits.${limitName}`)) {
+      const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        msg: `Too many attempts. Please try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`,
+      });
+    }
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ msg: 'Server Error' });
+  }
+  next(); // Under the limit, proceed
+};
@@ -0,0 +1,45 @@
+// backend/middleware/receiveFiles.js
+// Multipart upload middleware shared by the routes that accept files (multipart field "files").
+// Files are kept in memory until their contents are checked, then handed to the storage adapter.
+
+const multer = require('multer'); // Multipart form parsing for file uploads
+const config = require('config'); // Import config to get the upload limits
+const { ALLOWED_MIME_TYPES } = require('../utils/fileTypes'); // Accepted file types
+
+const UNSUPPORTED_FILE_TYPE = 'UNSUPPORTED_FILE_TYPE';
+
+// Middleware accepting up to `maxFiles` files, answering upload limit violations with a 400
+const receiveFiles = (maxFiles) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.get('uploads.maxFileSizeMB') * 1024 * 1024,
+      files: maxFiles,
+    },
+    // Quick rejection by declared type; the contents are checked again before storing.
+    // One unsupported file fails the whole upload, so no file is left out silently.
+    fileFilter: (req, file, cb) => {
+      if (ALLOWED_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+      const err = new Error(`${file.originalname} is not a PDF, JPEG, PNG or WebP file.`);
+      err.code = UNSUPPORTED_FILE_TYPE;
+      cb(err);
+    },
+  }).array('files');
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const msg = err.code === 'LIMIT_FILE_SIZE'
+          ? `Files can be at most ${config.get('uploads.maxFileSizeMB')} MB.`
+          : `Upload rejected: ${err.message}`;
+        return res.status(400).json({ msg });
+      }
+      if (err && err.code === UNSUPPORTED_FILE_TYPE) {
+        return res.status(400).json({ msg: err.message });
+      }
+      next(err);
+    });
+  };
+};
+
+module.exports = receiveFiles;
@@ -0,0 +1,14 @@
+// backend/middleware/requirePermission.js
+// Route guard built on the permission model (utils/permissions.js). Use after `auth`:
+//   router.get('/users', auth, requirePermission('user:read:any'), ...)
+// With several permissions, any one of them is enough (e.g., 'document:read:own', 'document:read:any').
+
+const { hasPermission } = require('../utils/permissions'); // Permission model
+
+module.exports = (...permissions) => (req, res, next) => {
+  if (permissions.some((permission) => hasPermission(req.user, permission))) {
+    next(); // User has a required permission, proceed
+  } else {
+    res.status(403).json({ msg: 'Access denied, you do not have permission to do this.' }); // Forbidden
+  }
+};
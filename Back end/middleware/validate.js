@@ -0,0 +1,75 @@
+// backend/middleware/validate.js
+// Checks a request against its declarative schemas (see schemas/) before the route runs:
+//   router.post('/register', validate(schemas.register), async (req, res) => { ... })
+// A schema set holds Joi schemas for any of `params`, `query` and `body`. Requests that fail get a
+// 400 listing every problem, in the same shape for all routes:
+//   { msg, code: 'VALIDATION_FAILED', errors: [{ location, field, message, code }] }
+// `msg` repeats the first message for clients that only show one; `field` is the dotted path
+// (e.g. "availability.weeklyHours.0.start") and `code` the Joi error type (e.g. "string.min").
+// Passing requests continue with the validated values, so schema conversions (trimmed strings,
+// numbers from query strings, ISO timestamps) are what the routes read.
+
+const VALIDATION_FAILED = 'VALIDATION_FAILED';
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Wording shared by all schemas; schemas override it where a rule needs a specific explanation
+const MESSAGES = {
+  'any.required': '{#label} is required.',
+  'any.only': '{#label} must be one of: {#valids}.',
+  'any.unknown': '{#label} is not allowed.',
+  'string.base': '{#label} must be text.',
+  'string.empty': '{#label} is required.',
+  'string.min': '{#label} must be at least {#limit} characters long.',
+  'string.max': '{#label} can be at most {#limit} characters long.',
+  'string.email': '{#label} must be a valid email address.',
+  'string.isoDate': '{#label} must be an ISO 8601 date and time.',
+  'number.base': '{#label} must be a number.',
+  'number.integer': '{#label} must be a whole number.',
+  'number.min': '{#label} must be at least {#limit}.',
+  'number.max': '{#label} can be at most {#limit}.',
+  'number.multiple': '{#label} must be a multiple of {#multiple}.',
+  'boolean.base': '{#label} must be true or false.',
+  'array.base': '{#label} must be a list.',
+  'array.min': '{#label} needs at least {#limit} entries.',
+  'array.max': '{#label} can have at most {#limit} entries.',
+  'object.base': '{#label} must be an object.',
+};
+
+const OPTIONS = {
+  abortEarly: false,  // Report every failing field, not just the first
+  allowUnknown: true, // Extra fields are ignored, as the routes only read the ones they know
+  messages: MESSAGES,
+  errors: { wrap: { label: false, array: false } },
+};
+
+// One entry per failing field of a request part
+const errorsOf = (location, error) =>
+  error.details.map((detail) => ({
+    location,
+    field: detail.path.join('.'),
+    message: detail.message,
+    code: detail.type,
+  }));
+
+const validate = (schemas) => (req, res, next) => {
+  const values = {};
+  const errors = LOCATIONS
+    .filter((location) => schemas[location])
+    .flatMap((location) => {
+      const { error, value } = schemas[location].validate(req[location] || {}, OPTIONS);
+      values[location] = value;
+      return error ? errorsOf(location, error) : [];
+    });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ msg: errors[0].message, code: VALIDATION_FAILED, errors });
+  }
+
+  // Express 5 exposes req.query through a getter, so it is replaced with a property of its own
+  Object.entries(values).forEach(([location, value]) => {
+    Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+  });
+  next();
+};
+
+module.exports = validate;
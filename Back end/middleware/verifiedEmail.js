@@ -0,0 +1,20 @@
+// backend/middleware/verifiedEmail.js
+// Guards actions that need a verified email address, such as booking appointments.
+// Use after `auth`. The flag is read from the database, so verifying takes effect immediately.
+
+const User = require('../models/User'); // Import the User model
+
+module.exports = async function (req, res, next) {
+  try {
+    const user = await User.findById(req.user.id).select('emailVerified');
+    if (!user || !user.emailVerified) {
+      return res.status(403).json({
+        msg: 'Please verify your email address first. Check your inbox or request a new verification email.',
+      });
+    }
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ msg: 'Server Error' });
+  }
+  next(); // Email address is verified, proceed
+};
@@ -0,0 +1,36 @@
+// backend/models/ActionToken.js
+// This file defines the Mongoose schema and model for ActionTokens: the server-side record of each
+// emailed link (email verification, password reset, account unlock, staff invitation). The link itself carries a signed token naming
+// this record; marking the record used makes every link work only once.
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+const ActionTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the User the link was sent to
+    ref: 'User',
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ['email-verification', 'password-reset', 'account-unlock', 'staff-invite'],
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date, // Same expiry as the signed token
+    required: true,
+  },
+  usedAt: {
+    type: Date, // Set when the link is used; used tokens are refused
+  },
+});
+
+ActionTokenSchema.index({ user: 1, purpose: 1 });
+// Expired tokens are removed by MongoDB a day after they stop working
+ActionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+module.exports = mongoose.model('ActionToken', ActionTokenSchema);
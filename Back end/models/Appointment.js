@@ -2,6 +2,106 @@
 // This file defines the Mongoose schema and model for Appointments.
 
 const mongoose = require('mongoose'); // Import Mongoose
+const { STATUSES, SLOT_RELEASING_STATUSES } = require('../utils/appointmentLifecycle'); // Lifecycle rules
+const { addMinutes, slotKeysFor } = require('../utils/slots'); // Slot helpers
+
+// One recorded status change: who moved the appointment, from where to where, and when
+const StatusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: STATUSES,
+  },
+  to: {
+    type: String,
+    enum: STATUSES,
+    required: true,
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId, // User who made the change (absent for system changes)
+    ref: 'User',
+  },
+  byRole: {
+    type: String, // Role the change was made in (customer, doctor, system, ...)
+    required: true,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  reason: {
+    type: String, // Optional context, e.g. 'Payment received'
+  },
+}, { _id: false });
+
+// A request to move the appointment, offering one or more alternative times to the other party
+const RescheduleProposalSchema = new mongoose.Schema({
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId, // User who made the proposal
+    ref: 'User',
+    required: true,
+  },
+  proposedByRole: {
+    type: String,
+    enum: ['doctor', 'customer'],
+    required: true,
+  },
+  slots: [{
+    startAt: { type: Date, required: true }, // Proposed start (UTC)
+    endAt: { type: Date, required: true },   // Proposed end (UTC)
+    _id: false,
+  }],
+  message: {
+    type: String, // Optional note to the other party
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  onExpiry: {
+    type: String,
+    enum: ['keep', 'cancel'], // keep = original slot stays booked, cancel = appointment is cancelled
+    default: 'keep',
+  },
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'declined', 'withdrawn', 'expired'],
+    default: 'open',
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId, // User who accepted, declined or withdrew it
+    ref: 'User',
+  },
+  respondedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// The visit type booked, copied from the doctor's catalog at booking time
+const BookedVisitTypeSchema = new mongoose.Schema({
+  visitTypeId: {
+    type: mongoose.Schema.Types.ObjectId, // Catalog entry it was copied from (absent for the default type)
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+  },
+  bufferMinutes: {
+    type: Number, // Time kept free after the visit
+    default: 0,
+  },
+  price: {
+    type: Number, // Amount the patient pays for this appointment
+    required: true,
+  },
+}, { _id: false });
 
 const AppointmentSchema = new mongoose.Schema({
   customer: {
@@ -14,16 +114,24 @@ const AppointmentSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
-  date: {
-    type: String, // Stored as YYYY-MM-DD string for simplicity with HTML date input
+  startAt: {
+    type: Date, // Start of the appointment as a UTC instant
+    required: true,
+  },
+  endAt: {
+    type: Date, // End of the appointment as a UTC instant
     required: true,
   },
-  time: {
-    type: String, // Stored as HH:mm string for simplicity with HTML time input
+  timezone: {
+    type: String, // Doctor's IANA timezone at booking time (e.g., 'Asia/Kolkata'), used for display
+    required: true,
+  },
+  visitType: {
+    type: BookedVisitTypeSchema, // Decides the length, buffer and price of the appointment
     required: true,
   },
   documents: {
-    type: [String], // Array of strings (e.g., URLs or descriptions of documents)
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Document' }], // Uploaded files (see routes/documents.js)
     default: [],
   },
   notes: {
@@ -35,18 +143,70 @@ const AppointmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'scheduled', 'completed', 'cancelled'], // Appointment lifecycle
+    enum: STATUSES, // Appointment lifecycle, see utils/appointmentLifecycle.js
     default: 'pending', // Initially pending until doctor approves or customer pays
   },
+  statusHistory: {
+    type: [StatusChangeSchema], // Every status change, oldest first
+    default: [],
+  },
+  rescheduleProposal: {
+    type: RescheduleProposalSchema, // Latest reschedule proposal, if any
+  },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'], // Payment lifecycle
+    enum: ['pending', 'processing', 'paid', 'failed', 'refunded', 'partially_refunded'], // Payment lifecycle (processing: awaiting the provider)
     default: 'pending', // Initially pending payment
   },
+  refundedAmount: {
+    type: Number, // Total refunded under the cancellation policy
+    default: 0,
+  },
+  // Derived from status: true while the appointment occupies its time in the doctor's calendar.
+  // Backs the unique index below, so two active appointments can never overlap.
+  holdsSlot: {
+    type: Boolean,
+    default: true,
+  },
+  // Derived: end of the visit plus its buffer; the doctor is busy from startAt until then
+  blockedUntil: {
+    type: Date,
+  },
+  // Derived: the 5-minute cells between startAt and blockedUntil (see utils/slots.js slotKeysFor)
+  slotKeys: {
+    type: [Date],
+    default: [],
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Keep holdsSlot and the occupied time in sync with the status and times before every save,
+// and close any open reschedule proposal once the appointment can no longer be moved
+AppointmentSchema.pre('validate', function (next) {
+  this.holdsSlot = !SLOT_RELEASING_STATUSES.includes(this.status);
+  if (this.endAt) {
+    this.blockedUntil = addMinutes(this.endAt, this.visitType ? this.visitType.bufferMinutes : 0);
+    this.slotKeys = slotKeysFor(this.startAt, this.blockedUntil);
+  }
+  const proposal = this.rescheduleProposal;
+  if (proposal && proposal.status === 'open' && !['pending', 'scheduled'].includes(this.status)) {
+    proposal.status = 'withdrawn';
+    proposal.respondedAt = new Date();
+  }
+  next();
+});
+
+// No two slot-holding appointments of a doctor may share a time cell, i.e. overlap
+// (including buffers). MongoDB enforces this atomically, even for concurrent bookings.
+AppointmentSchema.index(
+  { doctor: 1, slotKeys: 1 },
+  { unique: true, partialFilterExpression: { holdsSlot: true } }
+);
+
+// Calendar lookups: a doctor's appointments around a time range
+AppointmentSchema.index({ doctor: 1, startAt: 1 });
+
 module.exports = mongoose.model('Appointment', AppointmentSchema); // Export the Appointment model
@@ -0,0 +1,55 @@
+// backend/models/AuditLog.js
+// This file defines the Mongoose schema and model for AuditLog entries: the append-only trail of
+// sensitive actions (every change made through the API, and reads of patient data).
+// Entries can only be created. Updating or deleting them through the model throws, so the trail
+// cannot be altered by application code.
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+const AuditLogSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the User who acted (none for anonymous requests)
+    ref: 'User',
+  },
+  actorName: { type: String }, // Username at the time, kept after the user is deleted
+  actorRole: { type: String },
+  action: {
+    type: String, // The route, e.g. "PUT /api/doctor/appointments/:id/status"
+    required: true,
+  },
+  path: { type: String }, // The requested path with the actual IDs
+  target: {
+    type: { type: String }, // Kind of record acted on (appointment, user, ...)
+    id: { type: String },
+  },
+  // Changed fields as { field: { from, to } } (secrets are never stored)
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  status: { type: Number }, // HTTP status of the response, so refused attempts are recorded too
+  ip: { type: String },
+  userAgent: { type: String },
+});
+
+AuditLogSchema.index({ at: -1 });
+AuditLogSchema.index({ actor: 1, at: -1 });
+AuditLogSchema.index({ 'target.id': 1, at: -1 });
+
+// Entries are append-only
+const refuseChange = function () {
+  throw new Error('Audit log entries cannot be changed or deleted.');
+};
+AuditLogSchema.pre('save', function () {
+  if (!this.isNew) refuseChange();
+});
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  refuseChange
+);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
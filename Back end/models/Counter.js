@@ -0,0 +1,23 @@
+// backend/models/Counter.js
+// This file defines the Mongoose schema and model for named sequence Counters,
+// used to hand out strictly increasing numbers (e.g., invoice numbers).
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Name of the sequence (e.g., 'invoice')
+  },
+  seq: {
+    type: Number, // Last number handed out
+    default: 0,
+  },
+});
+
+// Atomically take the next number of a sequence, starting at 1
+CounterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true, upsert: true });
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
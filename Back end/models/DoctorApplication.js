@@ -0,0 +1,76 @@
+// backend/models/DoctorApplication.js
+// This file defines the Mongoose schema and model for Doctor Applications.
+// Someone who registers as a doctor submits their medical licence details and licence documents;
+// an admin reviews the application and approves it, rejects it with a reason, or asks for more
+// information. Only approved doctors are listed to patients.
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+const STATUSES = ['pending', 'info_requested', 'approved', 'rejected'];
+
+// An uploaded licence document. The file lives in the storage adapter (see storage/index.js).
+const LicenceDocumentSchema = new mongoose.Schema({
+  originalName: { type: String, required: true }, // File name on the applicant's device
+  mimeType: { type: String, required: true },     // Detected from the file's contents
+  size: { type: Number, required: true },         // In bytes
+  storage: { type: String, required: true },      // Name of the storage adapter holding the file
+  storageKey: { type: String, required: true },   // Location of the file within the storage adapter
+  uploadedAt: { type: Date, default: Date.now },
+});
+
+// A degree or diploma, e.g. { degree: 'MBBS', institution: 'AIIMS Delhi', year: 2015 }
+const QualificationSchema = new mongoose.Schema({
+  degree: { type: String, required: true },
+  institution: { type: String, required: true },
+  year: { type: Number, required: true },
+}, { _id: false });
+
+const DoctorApplicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the applicant (a User with the 'doctor' role)
+    ref: 'User',
+    required: true,
+    unique: true, // One application per doctor account
+  },
+  licenceNumber: {
+    type: String, // Medical registration / licence number
+    required: true,
+    trim: true,
+  },
+  registrationCouncil: {
+    type: String, // Council that issued the licence (e.g., "National Medical Commission")
+    required: true,
+    trim: true,
+  },
+  qualifications: {
+    type: [QualificationSchema],
+    required: true,
+  },
+  documents: [LicenceDocumentSchema],
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending',
+  },
+  reviewNote: {
+    type: String, // Rejection reason or the information the admin asked for
+  },
+  // Every submission and review decision, oldest first
+  history: [{
+    status: { type: String, enum: STATUSES, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    byRole: { type: String, enum: ['doctor', 'admin'] },
+    note: { type: String },
+    at: { type: Date, default: Date.now },
+  }],
+  submittedAt: {
+    type: Date, // Last time the applicant submitted (or resubmitted) the application
+  },
+  reviewedAt: {
+    type: Date,
+  },
+});
+
+DoctorApplicationSchema.index({ status: 1, submittedAt: 1 });
+
+module.exports = mongoose.model('DoctorApplication', DoctorApplicationSchema);
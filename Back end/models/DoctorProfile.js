@@ -3,6 +3,70 @@
 // It links to the User model and stores additional doctor-specific information.
 
 const mongoose = require('mongoose'); // Import Mongoose
+const { DEFAULT_AVAILABILITY } = require('../utils/slots'); // Default weekly schedule
+
+// A time range on a given day of the week (0 = Sunday ... 6 = Saturday)
+const WeeklyRangeSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    min: 0,
+    max: 6,
+    required: true,
+  },
+  start: {
+    type: String, // HH:mm
+    required: true,
+  },
+  end: {
+    type: String, // HH:mm
+    required: true,
+  },
+}, { _id: false });
+
+// A kind of visit the doctor offers, e.g. "Follow-up, 15 min, ₹200"
+const VisitTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  durationMinutes: {
+    type: Number, // Length of the visit
+    min: 5,
+    max: 240,
+    required: true,
+  },
+  bufferMinutes: {
+    type: Number, // Time kept free after the visit before the next one can start
+    min: 0,
+    max: 120,
+    default: 0,
+  },
+  price: {
+    type: Number, // Amount charged, in the configured currency
+    min: 0,
+    required: true,
+  },
+});
+
+// A period the doctor is unavailable (vacation, sick day, ...); no slots are generated inside it
+const TimeOffSchema = new mongoose.Schema({
+  startAt: {
+    type: Date, // Start of the time off (UTC)
+    required: true,
+  },
+  endAt: {
+    type: Date, // End of the time off (UTC), exclusive
+    required: true,
+  },
+  reason: {
+    type: String, // Optional note, e.g. 'Vacation'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 const DoctorProfileSchema = new mongoose.Schema({
   user: {
@@ -24,6 +88,35 @@ const DoctorProfileSchema = new mongoose.Schema({
   phone: {
     type: String,
   },
+  // Weekly schedule used to generate bookable appointment slots
+  availability: {
+    timezone: {
+      type: String, // IANA timezone the weekly hours are expressed in (e.g., 'Asia/Kolkata')
+      default: DEFAULT_AVAILABILITY.timezone,
+    },
+    slotDuration: {
+      type: Number, // Length of each slot in minutes
+      min: 5,
+      max: 240,
+      default: DEFAULT_AVAILABILITY.slotDuration,
+    },
+    weeklyHours: {
+      type: [WeeklyRangeSchema], // Working hours per weekday
+      default: () => DEFAULT_AVAILABILITY.weeklyHours,
+    },
+    breaks: {
+      type: [WeeklyRangeSchema], // Recurring breaks (e.g., lunch) per weekday
+      default: () => DEFAULT_AVAILABILITY.breaks,
+    },
+  },
+  visitTypes: {
+    type: [VisitTypeSchema], // Catalog offered when booking; empty means a single default consultation
+    default: [],
+  },
+  timeOff: {
+    type: [TimeOffSchema], // Vacations and other leave, blocking slot generation
+    default: [],
+  },
   // This flag will be managed by the admin to approve doctor profiles.
   // It's also duplicated in User model for quick check during user loading.
   isApproved: {
@@ -0,0 +1,47 @@
+// backend/models/Document.js
+// This file defines the Mongoose schema and model for uploaded Documents (e.g., prescriptions, reports).
+// The file itself lives in the configured storage adapter (see storage/index.js); this record holds
+// its metadata and who may access it through the appointment it belongs to.
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+const DocumentSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the Appointment the file belongs to
+    ref: 'Appointment',
+    required: true,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the User who uploaded the file
+    ref: 'User',
+    required: true,
+  },
+  originalName: {
+    type: String, // File name on the uploader's device
+    required: true,
+  },
+  mimeType: {
+    type: String, // Detected from the file's contents (see utils/fileTypes.js)
+    required: true,
+  },
+  size: {
+    type: Number, // In bytes
+    required: true,
+  },
+  storage: {
+    type: String, // Name of the storage adapter holding the file
+    required: true,
+  },
+  storageKey: {
+    type: String, // Location of the file within the storage adapter
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+DocumentSchema.index({ appointment: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Document', DocumentSchema);
@@ -0,0 +1,43 @@
+// backend/models/HealthProfile.js
+// This file defines the Mongoose schema and model for a customer's HealthProfile.
+// The profile holds the clinical background a doctor needs before a visit. Its owner edits it,
+// and doctors can read it only for patients they are treating or have treated (see services/healthProfiles.js).
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+const SEXES = ['female', 'male', 'intersex', 'undisclosed'];
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+const HealthProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the Customer User the profile belongs to
+    ref: 'User',
+    required: true,
+    unique: true, // One profile per customer
+  },
+  dateOfBirth: {
+    type: String, // Calendar day (YYYY-MM-DD), kept as text so it never shifts with timezones
+  },
+  sex: {
+    type: String,
+    enum: SEXES,
+  },
+  bloodGroup: {
+    type: String,
+    enum: BLOOD_GROUPS,
+  },
+  allergies: [String],          // e.g., "Penicillin (rash)"
+  chronicConditions: [String],  // e.g., "Type 2 diabetes"
+  currentMedications: [String], // e.g., "Metformin 500 mg twice a day"
+  emergencyContact: {
+    name: { type: String },
+    relationship: { type: String },
+    phone: { type: String },
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model('HealthProfile', HealthProfileSchema);
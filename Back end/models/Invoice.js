@@ -0,0 +1,89 @@
+// backend/models/Invoice.js
+// This file defines the Mongoose schema and model for Invoices.
+// An invoice (with its payment receipt) is issued once per successful payment. It stores a copy
+// of every detail it shows, so later changes to profiles or prices never alter an issued invoice,
+// and it cannot be modified after it is saved.
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+// Schema for one billed item
+const LineItemSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  quantity: { type: Number, required: true },
+  unitPrice: { type: Number, required: true }, // Before tax
+  amount: { type: Number, required: true },    // quantity x unitPrice
+}, { _id: false });
+
+const InvoiceSchema = new mongoose.Schema({
+  number: {
+    type: String, // Sequential invoice number (e.g., INV-000042)
+    required: true,
+    unique: true,
+  },
+  receiptNumber: {
+    type: String, // Sequential receipt number (e.g., RCT-000042)
+    required: true,
+    unique: true,
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the Appointment billed
+    ref: 'Appointment',
+    required: true,
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the payment Transaction
+    ref: 'Transaction',
+    required: true,
+    unique: true, // One invoice per payment
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the Customer User
+    ref: 'User',
+    required: true,
+  },
+  billedTo: {
+    name: { type: String, required: true },
+    email: { type: String },
+  },
+  issuer: {
+    doctorName: { type: String, required: true },
+    specialty: { type: String },
+    clinicName: { type: String },
+    address: { type: String },
+    phone: { type: String },
+  },
+  lineItems: {
+    type: [LineItemSchema],
+    required: true,
+  },
+  subtotal: { type: Number, required: true },      // Total before tax
+  taxLabel: { type: String, required: true },      // e.g., GST
+  taxRatePercent: { type: Number, required: true },
+  taxAmount: { type: Number, required: true },
+  total: { type: Number, required: true },         // Amount paid
+  currency: { type: String, required: true },
+  payment: {
+    method: { type: String },
+    provider: { type: String },
+    providerRef: { type: String },
+    paidAt: { type: Date },
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Issued invoices are immutable: refuse any change after the first save
+const refuseChange = function (next) {
+  next(new Error('Invoices cannot be changed once issued.'));
+};
+InvoiceSchema.pre('save', function (next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+InvoiceSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], refuseChange);
+
+InvoiceSchema.index({ appointment: 1 });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
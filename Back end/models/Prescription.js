@@ -0,0 +1,79 @@
+// backend/models/Prescription.js
+// This file defines the Mongoose schema and model for electronic Prescriptions.
+// A prescription is issued by the doctor from a completed appointment. It stores a copy of the
+// doctor's and patient's details, is signed with the server's key so tampering can be detected,
+// and carries a verification code pharmacies can check. It cannot be changed once issued.
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+// Schema for one prescribed medication
+const PrescriptionItemSchema = new mongoose.Schema({
+  medication: { type: String, required: true }, // Name and strength (e.g., "Amoxicillin 500 mg")
+  dose: { type: String, required: true },       // e.g., "1 capsule"
+  frequency: { type: String, required: true },  // e.g., "3 times a day"
+  duration: { type: String, required: true },   // e.g., "7 days"
+  instructions: { type: String, default: '' },  // e.g., "After meals"
+}, { _id: false });
+
+const PrescriptionSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the completed Appointment
+    ref: 'Appointment',
+    required: true,
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the prescribing Doctor User
+    ref: 'User',
+    required: true,
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the Customer User (the patient)
+    ref: 'User',
+    required: true,
+  },
+  prescriber: {
+    name: { type: String, required: true },
+    specialty: { type: String },
+    clinicName: { type: String },
+    address: { type: String },
+    phone: { type: String },
+  },
+  patient: {
+    name: { type: String, required: true },
+  },
+  items: {
+    type: [PrescriptionItemSchema],
+    required: true,
+  },
+  notes: {
+    type: String, // General advice for the patient or pharmacist
+    default: '',
+  },
+  verificationCode: {
+    type: String, // Random code printed on the PDF (e.g., 7KQ2-MX9D-P4TA), checked at api/prescriptions/verify
+    required: true,
+    unique: true,
+  },
+  signature: {
+    type: String, // HMAC of the prescription's contents, see services/prescriptions.js
+    required: true,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Issued prescriptions are immutable: refuse any change after the first save
+const refuseChange = function (next) {
+  next(new Error('Prescriptions cannot be changed once issued.'));
+};
+PrescriptionSchema.pre('save', function (next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+PrescriptionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], refuseChange);
+
+PrescriptionSchema.index({ appointment: 1, issuedAt: 1 });
+
+module.exports = mongoose.model('Prescription', PrescriptionSchema);
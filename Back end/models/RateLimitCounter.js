@@ -0,0 +1,26 @@
+// backend/models/RateLimitCounter.js
+// This file defines the Mongoose schema and model for RateLimitCounters, used by the mongo
+// rate limit store: the number of requests for a key (e.g., "login-ip:203.0.113.7") in its current window.
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+const RateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date, // End of the current window
+    required: true,
+  },
+});
+
+// Counters are removed by MongoDB once their window has ended
+RateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
@@ -0,0 +1,48 @@
+// backend/models/Session.js
+// This file defines the Mongoose schema and model for login Sessions.
+// Each login (one browser or device) gets a session holding a hash of its current refresh token.
+// Access tokens name their session, so revoking it (logout, "log out all devices", a reused
+// refresh token) locks out every token issued for it.
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the logged-in User
+    ref: 'User',
+    required: true,
+  },
+  tokenHash: {
+    type: String, // SHA-256 of the current refresh token (the token itself is never stored)
+    required: true,
+  },
+  previousTokenHash: {
+    type: String, // SHA-256 of the refresh token it replaced, to detect reuse of a stolen token
+  },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  rotatedAt: {
+    type: Date, // When the refresh token was last exchanged for a new one
+  },
+  expiresAt: {
+    type: Date, // The refresh token stops working after this; pushed back on every rotation
+    required: true,
+  },
+  revokedAt: {
+    type: Date, // Set on logout; revoked sessions cannot be refreshed and their access tokens are refused
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'token-reuse'],
+  },
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB a day after they stop working
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+module.exports = mongoose.model('Session', SessionSchema);
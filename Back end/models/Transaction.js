@@ -0,0 +1,107 @@
+// backend/models/Transaction.js
+// This file defines the Mongoose schema and model for payment Transactions.
+// Every attempt to pay for an appointment, and every refund, is stored as a transaction, whatever its outcome,
+// together with the idempotency key the client sent so retried requests are never charged twice.
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+// Schema for one change of a transaction's status (from the API call or a provider webhook)
+const TransactionEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: ['api', 'webhook'], // Where the status change came from
+    required: true,
+  },
+  reason: {
+    type: String, // Failure reason reported by the provider, if any
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const TransactionSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the Appointment paid for
+    ref: 'Appointment',
+    required: true,
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the paying Customer User
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['payment', 'refund'], // Kind of money movement
+    default: 'payment',
+  },
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId, // For refunds: the payment transaction being refunded
+    ref: 'Transaction',
+  },
+  refundPercent: {
+    type: Number, // For refunds: share of the payment refunded under the cancellation policy
+  },
+  idempotencyKey: {
+    type: String, // Client-generated key identifying one payment attempt (Idempotency-Key header); derived from the payment for refunds
+    required: true,
+  },
+  provider: {
+    type: String, // Name of the payment provider that handled the attempt (e.g., 'mock')
+    required: true,
+  },
+  providerRef: {
+    type: String, // The provider's ID of the payment intent
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    required: true,
+  },
+  method: {
+    type: String, // Payment method chosen by the customer (e.g., 'upi', 'card')
+  },
+  status: {
+    type: String,
+    // created: stored, provider not called yet; pending: waiting for the provider's webhook
+    enum: ['created', 'pending', 'succeeded', 'failed'],
+    default: 'created',
+  },
+  failureReason: {
+    type: String,
+  },
+  events: {
+    type: [TransactionEventSchema], // Status changes, oldest first
+    default: [],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+TransactionSchema.pre('save', function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// One transaction per payment attempt: a retried request with the same key finds the original
+TransactionSchema.index({ customer: 1, idempotencyKey: 1 }, { unique: true });
+// Webhooks look transactions up by the provider's reference
+TransactionSchema.index({ provider: 1, providerRef: 1 });
+TransactionSchema.index({ appointment: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Transaction', TransactionSchema);
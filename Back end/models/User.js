@@ -20,14 +20,41 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['customer', 'doctor', 'admin'], // Enforce specific roles
+    enum: ['customer', 'doctor', 'admin', 'staff'], // Enforce specific roles
     default: 'customer', // Default role for new users
   },
+  // For staff (receptionists), the doctor whose appointments they manage. Staff accounts are only
+  // created through a doctor's invitation.
+  practice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
   // For doctors, this flag indicates if their profile is approved by an admin
   isApproved: {
     type: Boolean,
     default: false, // Doctors are not approved by default
   },
+  // Set once the user opens the link emailed to them; unverified users cannot book appointments
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // TOTP two-factor authentication (optional for doctors, required for admins).
+  // The secrets are never selected unless asked for, so they don't leak into user listings.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },        // Base32 TOTP secret, once enrollment is confirmed
+    pendingSecret: { type: String, select: false }, // Secret shown during enrollment, until a code confirms it
+    backupCodeHashes: { type: [String], select: false }, // SHA-256 of the unused backup codes
+    lastTimeStep: { type: Number, select: false },  // Time step of the last accepted code, so codes can't be replayed
+    enabledAt: { type: Date },
+  },
+  // Failed login tracking: progressive delays between attempts, then a temporary lockout
+  loginSecurity: {
+    failedAttempts: { type: Number, default: 0 }, // Failed logins since the last successful one
+    lastFailedAt: { type: Date },
+    lockedUntil: { type: Date }, // Logins are refused until then (or until unlocked by email or an admin)
+  },
   date: {
     type: Date,
     default: Date.now, // Automatically set creation date
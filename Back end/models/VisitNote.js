@@ -0,0 +1,75 @@
+// backend/models/VisitNote.js
+// This file defines the Mongoose schema and model for clinical Visit Notes in SOAP format
+// (Subjective, Objective, Assessment, Plan), written by the doctor after a completed appointment.
+// Notes are never overwritten: every amendment is appended as a new version and earlier
+// versions cannot be changed.
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+// Schema for one version of a note. Fields are immutable once the version is saved.
+const NoteVersionSchema = new mongoose.Schema({
+  subjective: { type: String, default: '', immutable: true }, // Patient's account: symptoms, history
+  objective: { type: String, default: '', immutable: true },  // Findings: examination, vitals, results
+  assessment: { type: String, default: '', immutable: true }, // Diagnosis or differential
+  plan: { type: String, default: '', immutable: true },       // Treatment, prescriptions, follow-up
+  amendmentReason: { type: String, immutable: true },         // Why the note was amended (absent on the first version)
+  author: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the Doctor User who wrote this version
+    ref: 'User',
+    required: true,
+    immutable: true,
+  },
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+const VisitNoteSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the completed Appointment
+    ref: 'Appointment',
+    required: true,
+    unique: true, // One note per appointment
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the Doctor User
+    ref: 'User',
+    required: true,
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the Customer User (the patient)
+    ref: 'User',
+    required: true,
+  },
+  versions: {
+    type: [NoteVersionSchema], // Oldest first; the last one is the current note
+    default: [],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// The current (latest) version of the note
+VisitNoteSchema.virtual('current').get(function () {
+  return this.versions[this.versions.length - 1];
+});
+
+// Versions can only be appended (see services/visitNotes.js): a saved note is never saved again,
+// and the only update allowed is pushing a new version
+const APPEND_ONLY_ERROR = 'Visit notes can only be amended by adding a version.';
+VisitNoteSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error(APPEND_ONLY_ERROR));
+  next();
+});
+VisitNoteSchema.pre(['updateOne', 'findOneAndUpdate'], function (next) {
+  const update = this.getUpdate();
+  const isAppend = Object.keys(update).every((op) => op === '$push')
+    && Object.keys(update.$push || {}).every((field) => field === 'versions');
+  if (!isAppend) return next(new Error(APPEND_ONLY_ERROR));
+  next();
+});
+VisitNoteSchema.pre(['updateMany', 'replaceOne', 'findOneAndReplace'], function (next) {
+  next(new Error(APPEND_ONLY_ERROR));
+});
+
+module.exports = mongoose.model('VisitNote', VisitNoteSchema);
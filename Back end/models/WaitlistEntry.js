@@ -0,0 +1,58 @@
+// backend/models/WaitlistEntry.js
+// This file defines the Mongoose schema and model for Waitlist Entries.
+// A customer waits for any slot of a doctor within a date range; when one frees up,
+// the earliest waiting customer gets a time-limited hold on it (an offer) to confirm.
+
+const mongoose = require('mongoose'); // Import Mongoose
+
+const WaitlistEntrySchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the Customer User
+    ref: 'User',
+    required: true,
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to the Doctor User
+    ref: 'User',
+    required: true,
+  },
+  fromDate: {
+    type: String, // First acceptable day, YYYY-MM-DD in the doctor's timezone
+    required: true,
+  },
+  toDate: {
+    type: String, // Last acceptable day, YYYY-MM-DD in the doctor's timezone
+    required: true,
+  },
+  visitTypeId: {
+    type: String, // Visit type to book from the doctor's catalog (absent for the default type)
+  },
+  status: {
+    type: String,
+    // waiting = in the queue, offered = holding a freed slot, booked = offer confirmed,
+    // expired = offer not confirmed in time, left = customer left the waitlist
+    enum: ['waiting', 'offered', 'booked', 'expired', 'left'],
+    default: 'waiting',
+  },
+  offer: {
+    startAt: { type: Date },   // Held slot start (UTC)
+    until: { type: Date },     // End of the held time, including the visit's buffer
+    expiresAt: { type: Date }, // The hold rolls to the next customer after this
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId, // Appointment created when the offer was confirmed
+    ref: 'Appointment',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now, // Queue position: earlier entries are offered first
+  },
+});
+
+// At most one live hold per doctor and start time
+WaitlistEntrySchema.index(
+  { doctor: 1, 'offer.startAt': 1 },
+  { unique: true, partialFilterExpression: { status: 'offered' } }
+);
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema); // Export the WaitlistEntry model
@@ -0,0 +1,21 @@
+// backend/payments/index.js
+// Registry of payment providers. Every provider implements the same interface:
+//   name                                              -> provider name stored on transactions
+//   createIntent({ amount, currency, method, idempotencyKey, metadata }) -> { providerRef }
+//   confirmIntent(providerRef, details)               -> { status: 'succeeded' | 'failed' | 'pending', failureReason }
+//   refund(providerRef, { amount, currency, idempotencyKey }) -> { providerRef, status, failureReason } (providerRef of the refund)
+//   parseWebhook(rawBody, headers)                    -> { providerRef, status, failureReason } or null if unverified
+// Pending payments and refunds are settled later by the provider calling POST /api/payments/webhook/:provider.
+// To add a real gateway, implement this interface in a new module and register it below.
+
+const config = require('config'); // Import config to get the active provider
+
+const PROVIDERS = {
+  mock: require('./mockProvider'),
+};
+
+// Look up a provider by name; without a name the configured one is returned.
+// Returns undefined for unknown names.
+const getProvider = (name = config.get('paymentProvider')) => PROVIDERS[name];
+
+module.exports = { getProvider };
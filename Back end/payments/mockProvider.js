@@ -0,0 +1,53 @@
+// backend/payments/mockProvider.js
+// Deterministic local payment provider for development and demos. It never moves money.
+// The outcome of a payment is chosen by the caller through `mockOutcome`:
+//   'success' (default) -> succeeded, 'failure' -> failed,
+//   'pending' -> pending until a signed webhook settles it (see scripts/mock-payment-webhook.js).
+// Refunds always succeed.
+
+const crypto = require('crypto'); // Node crypto for IDs and webhook signatures
+const config = require('config'); // Import config to get the webhook secret
+
+const NAME = 'mock';
+const SIGNATURE_HEADER = 'x-mock-signature'; // Header carrying the webhook body's HMAC
+const OUTCOMES = {
+  success: { status: 'succeeded' },
+  failure: { status: 'failed', failureReason: 'Card declined (simulated).' },
+  pending: { status: 'pending' },
+};
+
+// HMAC-SHA256 of a raw webhook body with the shared secret
+const sign = (rawBody) =>
+  crypto.createHmac('sha256', config.get('mockPaymentWebhookSecret')).update(rawBody).digest('hex');
+
+// Start a payment for an amount. Returns the provider's reference for it.
+const createIntent = async ({ metadata }) => ({
+  // Derived from our transaction, so a retried call yields the same intent
+  providerRef: `mock_pi_${crypto.createHash('sha256').update(metadata.transactionId).digest('hex').slice(0, 24)}`,
+});
+
+// Confirm a payment intent. Returns { status, failureReason }.
+const confirmIntent = async (providerRef, { mockOutcome = 'success' } = {}) =>
+  OUTCOMES[mockOutcome] || OUTCOMES.success;
+
+// Refund part or all of a payment. Returns { providerRef, status, failureReason }.
+const refund = async (providerRef, { idempotencyKey }) => ({
+  providerRef: `mock_re_${crypto.createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 24)}`,
+  status: 'succeeded',
+});
+
+// Verify and read a webhook request. Returns { providerRef, status, failureReason },
+// or null when the signature is missing or wrong.
+const parseWebhook = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER];
+  const expected = sign(rawBody);
+  if (typeof signature !== 'string' || signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const { providerRef, status, failureReason } = JSON.parse(rawBody.toString('utf8'));
+  return { providerRef, status, failureReason };
+};
+
+module.exports = { name: NAME, SIGNATURE_HEADER, sign, createIntent, confirmIntent, refund, parseWebhook };
@@ -0,0 +1,22 @@
+// backend/rateLimit/index.js
+// Registry of rate limit stores. Every store implements the same interface:
+//   name                       -> store name
+//   hit(key, windowMs)         -> counts one request for a key; resolves with { count, resetAt },
+//                                 the requests in the current window and when that window ends
+//   reset(key)                 -> forgets a key's count
+// `memory` keeps counters in the server process (one server only); `mongo` keeps them in MongoDB,
+// so limits hold across several server instances and restarts.
+// To keep counters elsewhere (e.g., Redis), implement this interface and register it below.
+
+const config = require('config'); // Import config to get the active store
+
+const STORES = {
+  memory: require('./memoryStore'),
+  mongo: require('./mongoStore'),
+};
+
+// Look up a store by name; without a name the configured one is returned.
+// Returns undefined for unknown names.
+const getRateLimitStore = (name = config.get('rateLimits.store')) => STORES[name];
+
+module.exports = { getRateLimitStore };
@@ -0,0 +1,38 @@
+// backend/rateLimit/memoryStore.js
+// Keeps rate limit counters in memory. Counts are per server process and reset on restart;
+// use the mongo store when running more than one instance.
+
+const SWEEP_INTERVAL_MS = 60000; // How often ended windows are dropped
+
+const counters = new Map(); // key -> { count, resetAt (ms) }
+let lastSweep = Date.now();
+
+// Drop counters whose window has ended, so memory does not grow with every IP ever seen
+const sweep = (now) => {
+  if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+  lastSweep = now;
+  for (const [key, counter] of counters) {
+    if (counter.resetAt <= now) counters.delete(key);
+  }
+};
+
+// Count one request for a key in a fixed window starting at its first request
+const hit = async (key, windowMs) => {
+  const now = Date.now();
+  sweep(now);
+
+  let counter = counters.get(key);
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowMs };
+    counters.set(key, counter);
+  }
+  counter.count += 1;
+  return { count: counter.count, resetAt: new Date(counter.resetAt) };
+};
+
+// Forget a key's count
+const reset = async (key) => {
+  counters.delete(key);
+};
+
+module.exports = { name: 'memory', hit, reset };
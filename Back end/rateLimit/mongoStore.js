@@ -0,0 +1,37 @@
+// backend/rateLimit/mongoStore.js
+// Keeps rate limit counters in MongoDB, shared by every server instance.
+
+const RateLimitCounter = require('../models/RateLimitCounter'); // RateLimitCounter model
+
+// Count one request for a key in a fixed window starting at its first request.
+// A single pipeline update either counts in the current window or starts a new one, so
+// concurrent requests cannot lose counts.
+const hit = async (key, windowMs, retried = false) => {
+  const now = new Date();
+  const inWindow = { $gt: ['$resetAt', now] };
+
+  try {
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] },
+        },
+      }],
+      { upsert: true, new: true }
+    );
+    return { count: counter.count, resetAt: counter.resetAt };
+  } catch (err) {
+    // Two first requests for a key can race to insert it; the loser counts in the winner's window
+    if (err.code === 11000 && !retried) return hit(key, windowMs, true);
+    throw err;
+  }
+};
+
+// Forget a key's count
+const reset = async (key) => {
+  await RateLimitCounter.deleteOne({ key });
+};
+
+module.exports = { name: 'mongo', hit, reset };
@@ -1,72 +1,67 @@
 // backend/routes/admin.js
 // This file defines API routes specific to Admin users.
-// These routes are protected and require a user with the 'admin' role.
+// These routes are protected; each one declares the permissions it needs (see utils/permissions.js).
 
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth'); // Import auth middleware
+const requirePermission = require('../middleware/requirePermission'); // Permission checks
+const validate = require('../middleware/validate'); // Request validation
+const schemas = require('../schemas/admin'); // Request schemas
+const { auditRead } = require('../middleware/audit'); // Audit trail
 const User = require('../models/User'); // User model
 const DoctorProfile = require('../models/DoctorProfile'); // DoctorProfile model
 const Appointment = require('../models/Appointment'); // Appointment model
-
-// Middleware to ensure user is an admin
-const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next(); // User is an admin, proceed
-  } else {
-    res.status(403).json({ msg: 'Access denied, not an admin' }); // Forbidden
-  }
-};
+const HealthProfile = require('../models/HealthProfile'); // HealthProfile model
+const VisitNote = require('../models/VisitNote'); // VisitNote model
+const WaitlistEntry = require('../models/WaitlistEntry'); // WaitlistEntry model
+const { deleteApplicationOf } = require('../services/doctorApplications'); // Doctor onboarding
+const { deleteAppointmentDocuments } = require('../services/documents'); // Appointment documents
+const { disableTwoFactor } = require('../services/twoFactor'); // Two-factor authentication
+const { revokeAllSessions } = require('../services/sessions'); // Login sessions
+const { clearLoginFailures } = require('../services/loginProtection'); // Failed login tracking
+const { removeAllStaffOf } = require('../services/staff'); // Front-desk staff
+const {
+  MAX_EXPORT_ROWS, snapshotOf, auditChange, auditFilterFor, searchAuditLog, exportAuditLog,
+} = require('../services/auditLog'); // Audit trail
+const { toCsv } = require('../utils/csv'); // CSV exports
+
+// Columns of the audit log CSV export
+const AUDIT_CSV_COLUMNS = [
+  { header: 'Time', value: (entry) => entry.at },
+  { header: 'User', value: (entry) => entry.actorName },
+  { header: 'User ID', value: (entry) => entry.actor },
+  { header: 'Role', value: (entry) => entry.actorRole },
+  { header: 'Action', value: (entry) => entry.action },
+  { header: 'Path', value: (entry) => entry.path },
+  { header: 'Target type', value: (entry) => entry.target && entry.target.type },
+  { header: 'Target ID', value: (entry) => entry.target && entry.target.id },
+  { header: 'Changes', value: (entry) => (entry.changes ? JSON.stringify(entry.changes) : '') },
+  { header: 'Status', value: (entry) => entry.status },
+  { header: 'IP', value: (entry) => entry.ip },
+  { header: 'User agent', value: (entry) => entry.userAgent },
+];
 
 // @route   GET api/admin/users
 // @desc    Get all users (for admin dashboard)
-// @access  Private (Admin only)
-router.get('/users', auth, isAdmin, async (req, res) => {
+// @access  Private (user:read:any)
+router.get('/users', auth, requirePermission('user:read:any'), auditRead, async (req, res) => {
   try {
     // Find all users, exclude password for security
     const users = await User.find().select('-password');
     res.json(users);
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
-// @route   PUT api/admin/doctors/:user_id/approve
-// @desc    Approve a doctor's profile
-// @access  Private (Admin only)
-router.put('/doctors/:user_id/approve', auth, isAdmin, async (req, res) => {
-  try {
-    // Find the user by ID and ensure they are a doctor
-    let user = await User.findById(req.params.user_id);
-    if (!user || user.role !== 'doctor') {
-      return res.status(404).json({ msg: 'Doctor not found or not a doctor role' });
-    }
-
-    // Find the doctor's profile
-    let doctorProfile = await DoctorProfile.findOne({ user: req.params.user_id });
-    if (!doctorProfile) {
-      return res.status(404).json({ msg: 'Doctor profile not found' });
-    }
-
-    // Update isApproved status for both User and DoctorProfile
-    user.isApproved = true;
-    doctorProfile.isApproved = true;
-
-    await user.save();
-    await doctorProfile.save();
-
-    res.json({ msg: 'Doctor approved successfully', user, doctorProfile });
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
-  }
-});
+// Doctors are approved by reviewing their application, see routes/doctorApplications.js
 
 // @route   DELETE api/admin/users/:user_id
 // @desc    Delete a user by ID
-// @access  Private (Admin only)
-router.delete('/users/:user_id', auth, isAdmin, async (req, res) => {
+// @access  Private (user:delete:any)
+router.delete('/users/:user_id', auth, requirePermission('user:delete:any'), validate(schemas.deleteUser), async (req, res) => {
   try {
     // Find the user to be deleted
     const userToDelete = await User.findById(req.params.user_id);
@@ -83,23 +78,129 @@ router.delete('/users/:user_id', auth, isAdmin, async (req, res) => {
         return res.status(403).json({ msg: 'You cannot delete your own account.' });
     }
 
+    // Delete a doctor's or customer's appointments (Appointment and WaitlistEntry fields are named
+    // after the roles), with the documents uploaded to them, their visit notes and the waitlist entries.
+    // Issued prescriptions and invoices are kept: they hold their own copy of every detail and
+    // must stay verifiable (pharmacies) and on record (accounting).
+    if (['doctor', 'customer'].includes(userToDelete.role)) {
+      const appointmentIds = await Appointment.distinct('_id', { [userToDelete.role]: userToDelete._id });
+      await deleteAppointmentDocuments(appointmentIds); // Files go through the storage adapter
+      await VisitNote.deleteMany({ appointment: { $in: appointmentIds } });
+      await WaitlistEntry.deleteMany({ [userToDelete.role]: userToDelete._id });
+      await Appointment.deleteMany({ _id: { $in: appointmentIds } });
+    }
+
     // If deleting a doctor, also delete their profile
     if (userToDelete.role === 'doctor') {
       await DoctorProfile.deleteOne({ user: userToDelete._id });
-      await Appointment.deleteMany({ doctor: userToDelete._id }); // Delete doctor's appointments
+      await deleteApplicationOf(userToDelete._id); // Licence application and its documents
+      await removeAllStaffOf(userToDelete._id); // Their staff accounts only exist for their practice
     } else if (userToDelete.role === 'customer') {
-      await Appointment.deleteMany({ customer: userToDelete._id }); // Delete customer's appointments
+      await HealthProfile.deleteOne({ user: userToDelete._id }); // Medical details have no use without the patient
     }
 
-    // Delete the user
+    // End their sessions (access tokens are only checked against the session), then delete the user
+    await revokeAllSessions(userToDelete._id);
+    const before = snapshotOf(userToDelete);
     await userToDelete.deleteOne();
+    auditChange(res, 'user', { before });
 
     res.json({ msg: 'User and associated data removed' });
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
+// @route   PUT api/admin/users/:user_id/unlock
+// @desc    Unlock an account locked after too many failed logins (and clear its failed attempts)
+// @access  Private (user:unlock:any)
+router.put('/users/:user_id/unlock', auth, requirePermission('user:unlock:any'), validate(schemas.unlockUser), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.user_id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const before = snapshotOf(user);
+    await clearLoginFailures(user);
+    auditChange(res, 'user', { before, after: await User.findById(user._id) });
+    res.json({ msg: `${user.username} can log in again.` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   PUT api/admin/users/:user_id/reset-2fa
+// @desc    Turn off two-factor authentication for a user who lost their authenticator app and
+//          backup codes. Their sessions are ended; they log in with their password and can enroll again.
+//          Admin accounts are reset with the admin CLI (`npm run admin -- reset-2fa <email>`).
+// @access  Private (user:reset-2fa:any)
+router.put('/users/:user_id/reset-2fa', auth, requirePermission('user:reset-2fa:any'), validate(schemas.resetTwoFactor), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.user_id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    if (user.role === 'admin') {
+      return res.status(403).json({ msg: 'Two-factor authentication of admins can only be reset with the admin CLI.' });
+    }
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ msg: 'This user does not use two-factor authentication.' });
+    }
+
+    const before = snapshotOf(user);
+    await disableTwoFactor(user);
+    await revokeAllSessions(user._id);
+    auditChange(res, 'user', { before, after: user });
+    res.json({ msg: `Two-factor authentication of ${user.username} was reset. They can log in with their password.` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/admin/audit-logs?q=&actor=&action=&from=&to=&page=&limit=
+// @desc    Search the audit trail, newest first. `q` matches the user name, action, path, target ID or IP;
+//          from/to limit the time range. Responds with { entries, total, page, pages }.
+// @access  Private (audit-log:read:any)
+router.get('/audit-logs', auth, requirePermission('audit-log:read:any'), validate(schemas.auditLogs), async (req, res) => {
+  const { filter, error } = auditFilterFor(req.query);
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  try {
+    res.json(await searchAuditLog(filter, req.query));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/admin/audit-logs/export?q=&actor=&action=&from=&to=
+// @desc    Download the matching audit trail entries as CSV (newest first, at most MAX_EXPORT_ROWS)
+// @access  Private (audit-log:read:any)
+router.get('/audit-logs/export', auth, requirePermission('audit-log:read:any'), validate(schemas.exportAuditLogs), auditRead, async (req, res) => {
+  const { filter, error } = auditFilterFor(req.query);
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  try {
+    const entries = await exportAuditLog(filter);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.set('Access-Control-Expose-Headers', 'Content-Disposition, X-Export-Truncated'); // Readable by the dashboard
+    if (entries.length === MAX_EXPORT_ROWS) {
+      res.set('X-Export-Truncated', 'true'); // Narrow the filters to export older entries
+    }
+    res.send(toCsv(AUDIT_CSV_COLUMNS, entries));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
 
 module.exports = router;
@@ -1,20 +1,71 @@
 // backend/routes/auth.js
-// This file defines API routes for user authentication (register, login, get user).
+// This file defines API routes for user authentication (register, login, get user),
+// login sessions (refreshing access tokens, logging out one or all devices),
+// email verification, password resets, accepting staff invitations, two-factor authentication and
+// unlocking accounts locked after too many failed logins. Endpoints open to guessing are rate limited per IP (and per account).
 
 const express = require('express');        // Import Express.js
 const router = express.Router();           // Create an Express router
 const bcrypt = require('bcryptjs');        // Import bcryptjs for password hashing
-const jwt = require('jsonwebtoken');       // Import jsonwebtoken for JWT operations
-const config = require('config');          // Import config for accessing jwtSecret
 const User = require('../models/User');    // Import the User model
 const auth = require('../middleware/auth'); // Import the authentication middleware
 const DoctorProfile = require('../models/DoctorProfile'); // Import DoctorProfile for doctor registration logic
+const { tokenUser, createSession, rotateSession, revokeSession, revokeAllSessions } = require('../services/sessions'); // Login sessions
+const { consumeActionToken } = require('../services/actionTokens'); // Signed single-use tokens
+const { sendVerificationEmail, sendPasswordResetEmail, sendUnlockEmail } = require('../services/accountEmails'); // Account emails
+const { isLocked, checkLoginAllowed, recordLoginFailure, clearLoginFailures } = require('../services/loginProtection'); // Brute-force protection
+const rateLimit = require('../middleware/rateLimit'); // Request rate limits
+const validate = require('../middleware/validate'); // Request validation
+const schemas = require('../schemas/auth'); // Request schemas
+const { snapshotOf, auditActor, auditChange } = require('../services/auditLog'); // Audit trail details
+const {
+  canUseTwoFactor, isTwoFactorRequired, findUserWithTwoFactor, signChallenge, readChallenge,
+  startEnrollment, confirmEnrollment, verifySecondFactor, regenerateBackupCodes, disableTwoFactor,
+} = require('../services/twoFactor'); // TOTP two-factor authentication
+
+const LOGIN_EXPIRED = 'Your login has expired. Please log in again.';
+
+// Refuse an attempt on a locked account, or one made too soon after the last failure.
+// Returns true when a response was sent.
+const refuseIfThrottled = (user, res) => {
+  const refusal = checkLoginAllowed(user);
+  if (!refusal) return false;
+  res.set('Retry-After', String(refusal.retryAfterSeconds));
+  res.status(refusal.status).json({ msg: refusal.msg, locked: refusal.status === 423 });
+  return true;
+};
+
+// Start a session and build the response of a completed login
+const loginResponse = async (user, req, msg) => {
+  const { token, refreshToken } = await createSession(user, req); // Access token (JWT) and refresh token
+  return { token, refreshToken, msg, role: user.role, user: tokenUser(user) };
+};
+
+// Users setting up two-factor authentication: either logged in, or an admin holding the setup
+// challenge from POST /login (admins must enroll before their first session starts)
+const enrollingUser = (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return auth(req, res, () => {
+      req.enrollingUserId = req.user.id;
+      next();
+    });
+  }
+
+  const userId = readChallenge(req.body.challengeToken, 'setup');
+  if (!userId) {
+    return res.status(401).json({ msg: LOGIN_EXPIRED });
+  }
+  req.enrollingUserId = userId;
+  req.completesLogin = true; // Enabling two-factor authentication finishes this login
+  next();
+};
 
 // @route   POST api/auth/register
-// @desc    Register a new user
+// @desc    Register a new user { username, email, password, accountType: 'customer' | 'doctor' }.
+//          Doctors start unapproved and submit a licence application (api/doctor-applications/me).
 // @access  Public
-router.post('/register', async (req, res) => {
-  const { username, email, password } = req.body;
+router.post('/register', rateLimit('registerPerIp'), validate(schemas.register), async (req, res) => {
+  const { username, email, password, accountType = 'customer' } = req.body;
 
   try {
     // Check if user already exists by email or username
@@ -23,8 +74,7 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ msg: 'User already exists' });
     }
 
-    // Determine role: if email ends with '@chetan.doctor', set role to 'doctor', else 'customer'
-    const role = email.endsWith('@chetan.doctor') ? 'doctor' : 'customer';
+    const role = accountType; // 'customer' or 'doctor' (see schemas/auth.js)
 
     // Create a new user instance
     user = new User({
@@ -32,7 +82,7 @@ router.post('/register', async (req, res) => {
       email,
       password,
       role,
-      isApproved: role === 'customer' || role === 'admin' ? true : false, // Customers & Admins are approved by default
+      isApproved: role === 'customer', // Doctors are approved through their licence application
     });
 
     // Hash password
@@ -41,9 +91,11 @@ router.post('/register', async (req, res) => {
 
     // Save user to database
     await user.save();
+    auditActor(res, user);
+    auditChange(res, 'user', { after: user });
 
     // If the user registered as a doctor, create an empty doctor profile for them.
-    // This profile will be populated later and approved by an admin.
+    // This profile will be populated later and approved once an admin approves their licence application.
     if (role === 'doctor') {
       const doctorProfile = new DoctorProfile({
         user: user._id, // Link to the newly created user
@@ -53,36 +105,33 @@ router.post('/register', async (req, res) => {
       await doctorProfile.save();
     }
 
-    // Create JWT payload (contains user ID and role)
-    const payload = {
-      user: {
-        id: user.id,   // Mongoose uses 'id' instead of '_id' for the object ID string
-        role: user.role,
-        username: user.username,
-        isApproved: user.isApproved // Include isApproved status
-      },
-    };
+    // Ask the user to confirm their email address. A mail failure does not undo the registration;
+    // the user can request a new link after logging in.
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error(`Verification email to ${user.email} failed: ${err.message}`);
+    }
 
-    // Sign the token (create the JWT)
-    jwt.sign(
-      payload,
-      config.get('jwtSecret'), // Use secret from config
-      { expiresIn: '1h' },    // Token expires in 1 hour
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token, msg: 'Registration successful!', role: user.role }); // Send token and success message
-      }
-    );
+    // Start a session: a short-lived access token (JWT) and a refresh token
+    const { token, refreshToken } = await createSession(user, req);
+    const msg = role === 'doctor'
+      ? 'Registration successful! Check your email to verify your address, then log in to submit your medical licence for verification.'
+      : 'Registration successful! Check your email to verify your address.';
+    res.json({ token, refreshToken, msg, role: user.role }); // Send tokens and success message
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
 // @route   POST api/auth/login
-// @desc    Authenticate user & get token
+// @desc    Authenticate user & get token. With two-factor authentication on, the response is
+//          { twoFactorRequired, challengeToken } instead, for POST api/auth/2fa/login; admins without
+//          it get { twoFactorSetupRequired, challengeToken } for enrolling (api/auth/2fa/setup).
+//          Failed attempts slow down further attempts on the account and eventually lock it (423).
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('loginPerIp'), validate(schemas.login), rateLimit('loginPerAccount', (req) => req.body.email), async (req, res) => {
   const { email, password } = req.body;
 
   try {
@@ -91,36 +140,44 @@ router.post('/login', async (req, res) => {
     if (!user) {
       return res.status(400).json({ msg: 'Invalid Credentials' });
     }
+    auditActor(res, user); // Attempts are logged against the account, failed ones included
+
+    // Locked accounts and attempts made too soon are refused before the password is even checked
+    if (refuseIfThrottled(user, res)) {
+      return;
+    }
 
     // Compare provided password with hashed password in DB
-    const isMatch = await bcrypt.compare(password, user.password);
+    const isMatch = await bcrypt.compare(String(password || ''), user.password);
     if (!isMatch) {
+      await recordLoginFailure(user);
       return res.status(400).json({ msg: 'Invalid Credentials' });
     }
 
-    // Create JWT payload
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role,
-        username: user.username,
-        isApproved: user.isApproved
-      },
-    };
+    // Accounts with two-factor authentication need a code from the authenticator app first
+    if (user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user, 'login'),
+        msg: 'Enter the code from your authenticator app.',
+      });
+    }
+    // Failed attempts are cleared once the last factor is correct (for two-factor accounts, in api/auth/2fa/login)
+    await clearLoginFailures(user);
+
+    // Admins must set up two-factor authentication before they can log in
+    if (isTwoFactorRequired(user)) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        challengeToken: signChallenge(user, 'setup'),
+        msg: 'Admin accounts must set up two-factor authentication before logging in.',
+      });
+    }
 
-    // Sign the token
-    jwt.sign(
-      payload,
-      config.get('jwtSecret'),
-      { expiresIn: '1h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token, msg: 'Login successful!', role: user.role, user: payload.user }); // Send token and user info
-      }
-    );
+    res.json(await loginResponse(user, req, 'Login successful!')); // Send tokens and user info
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
@@ -134,7 +191,374 @@ router.get('/user', auth, async (req, res) => {
     res.json(user); // Send user data
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and a new refresh token { refreshToken }.
+//          Each refresh token works once; reusing an old one revokes the session.
+// @access  Public (the refresh token is the credential)
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+  try {
+    const { token, refreshToken, error } = await rotateSession(req.body.refreshToken);
+    if (error) {
+      return res.status(401).json({ msg: error });
+    }
+    res.json({ token, refreshToken });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/logout
+// @desc    End the session of this device { refreshToken }. Its access tokens stop working at once.
+// @access  Public (the refresh token is the credential, so logout works after the access token expired)
+router.post('/logout', validate(schemas.logout), async (req, res) => {
+  try {
+    await revokeSession(req.body.refreshToken);
+    res.json({ msg: 'Logged out.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/logout-all
+// @desc    End every session of the logged-in user, on all devices (including this one)
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id);
+    res.json({ msg: `Logged out of ${count} session(s) on all devices.` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/verify-email
+// @desc    Confirm the user's email address with the token from their verification link { token }
+// @access  Public (the token is the credential)
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+  try {
+    const { user, error } = await consumeActionToken(req.body.token, 'email-verification');
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const original = snapshotOf(user);
+    user.emailVerified = true;
+    await user.save();
+    auditActor(res, user);
+    auditChange(res, 'user', { before: original, after: user });
+    res.json({ msg: 'Your email address is verified. Thank you!' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/resend-verification
+// @desc    Email a new verification link to the logged-in user (earlier links stop working)
+// @access  Private
+router.post('/resend-verification', auth, rateLimit('emailPerIp'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.emailVerified) {
+      return res.status(400).json({ msg: 'Your email address is already verified.' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ msg: `A new verification link was sent to ${user.email}.` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/forgot-password
+// @desc    Email a password reset link { email }. The response is the same whether or not an
+//          account exists, so the form cannot be used to find out who is registered.
+// @access  Public
+router.post('/forgot-password', rateLimit('emailPerIp'), validate(schemas.forgotPassword), async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const user = await User.findOne({ email: email.trim() });
+    if (user) {
+      // A mail failure is only logged, as an error response would reveal that the account exists
+      await sendPasswordResetEmail(user).catch((err) => {
+        console.error(`Password reset email to ${user.email} failed: ${err.message}`);
+      });
+    }
+    res.json({ msg: 'If an account exists for this email, a password reset link is on its way.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/reset-password
+// @desc    Choose a new password with the token from a reset link { token, password }.
+//          Every session of the user is ended, so anyone using the old password is logged out.
+// @access  Public (the token is the credential)
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const { user, error } = await consumeActionToken(token, 'password-reset');
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    auditActor(res, user);
+    const original = snapshotOf(user);
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    user.emailVerified = true; // Opening the emailed link proves the address works
+    await user.save();
+    await revokeAllSessions(user._id);
+    await clearLoginFailures(user); // A locked account can be used again with the new password
+    auditChange(res, 'user', { before: original, after: await User.findById(user._id) });
+    res.json({ msg: 'Your password has been reset. Please log in with your new password.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/accept-invite
+// @desc    Accept a staff invitation from a doctor by choosing a password { token, password }
+// @access  Public (the token is the credential)
+router.post('/accept-invite', validate(schemas.acceptInvite), async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const { user, error } = await consumeActionToken(token, 'staff-invite');
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    auditActor(res, user);
+    const original = snapshotOf(user);
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    user.emailVerified = true; // The invitation was sent to this address
+    await user.save();
+    auditChange(res, 'user', { before: original, after: user });
+    res.json({ msg: 'Invitation accepted. Please log in with your email address and new password.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/unlock
+// @desc    Unlock an account locked after too many failed logins, with the token from the emailed link { token }
+// @access  Public (the token is the credential)
+router.post('/unlock', validate(schemas.unlock), async (req, res) => {
+  try {
+    const { user, error } = await consumeActionToken(req.body.token, 'account-unlock');
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    auditActor(res, user);
+    const original = snapshotOf(user);
+    await clearLoginFailures(user);
+    auditChange(res, 'user', { before: original, after: await User.findById(user._id) });
+    res.json({ msg: 'Your account is unlocked. You can log in again.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/unlock-request
+// @desc    Email a new unlock link for a locked account { email }. The response is the same whether
+//          or not the account exists or is locked.
+// @access  Public
+router.post('/unlock-request', rateLimit('emailPerIp'), validate(schemas.unlockRequest), async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const user = await User.findOne({ email: email.trim() });
+    if (user && isLocked(user)) {
+      await sendUnlockEmail(user).catch((err) => {
+        console.error(`Unlock email to ${user.email} failed: ${err.message}`);
+      });
+    }
+    res.json({ msg: 'If this account is locked, an unlock link is on its way.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/auth/2fa
+// @desc    Two-factor authentication status of the logged-in user
+// @access  Private
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user.id);
+    res.json({
+      available: canUseTwoFactor(user),
+      required: isTwoFactorRequired(user),
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      backupCodesLeft: user.twoFactor.enabled ? user.twoFactor.backupCodeHashes.length : 0,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/2fa/setup
+// @desc    Start enrolling an authenticator app: returns { secret, otpauthUrl, qrCode } to scan.
+//          Nothing changes until the first code is confirmed with api/auth/2fa/enable.
+// @access  Private (Doctor or Admin), or an admin's setup challenge { challengeToken }
+router.post('/2fa/setup', validate(schemas.twoFactorSetup), enrollingUser, async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.enrollingUserId);
+    if (!user || !canUseTwoFactor(user)) {
+      return res.status(403).json({ msg: 'Two-factor authentication is available for doctor and admin accounts.' });
+    }
+    auditActor(res, user); // Admins enrolling during their first login have no access token yet
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already on.' });
+    }
+
+    res.json(await startEnrollment(user));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the app { code }. Returns the backup codes, shown only
+//          this once; with a setup challenge the login is completed as well (tokens are included).
+// @access  Private (Doctor or Admin), or an admin's setup challenge { challengeToken }
+router.post('/2fa/enable', validate(schemas.twoFactorEnable), enrollingUser, async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.enrollingUserId);
+    if (!user || !canUseTwoFactor(user)) {
+      return res.status(403).json({ msg: 'Two-factor authentication is available for doctor and admin accounts.' });
+    }
+    auditActor(res, user);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already on.' });
+    }
+
+    const original = snapshotOf(user);
+    const { backupCodes, error } = await confirmEnrollment(user, req.body.code);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    auditChange(res, 'user', { before: original, after: user });
+
+    const msg = 'Two-factor authentication is on.';
+    res.json(req.completesLogin
+      ? { backupCodes, ...(await loginResponse(user, req, `${msg} You are logged in.`)) }
+      : { backupCodes, msg });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/2fa/login
+// @desc    Second login step { challengeToken, code } or { challengeToken, backupCode }; returns
+//          the same tokens as a login without two-factor authentication. Wrong codes count as failed
+//          logins, like wrong passwords.
+// @access  Public (the challenge token from api/auth/login is the credential)
+router.post('/2fa/login', rateLimit('loginPerIp'), validate(schemas.twoFactorLogin), async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  try {
+    const userId = readChallenge(challengeToken, 'login');
+    const user = userId && await findUserWithTwoFactor(userId);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ msg: LOGIN_EXPIRED });
+    }
+    auditActor(res, user);
+    if (refuseIfThrottled(user, res)) {
+      return;
+    }
+
+    const error = await verifySecondFactor(user, { code, backupCode });
+    if (error) {
+      await recordLoginFailure(user);
+      return res.status(400).json({ msg: error });
+    }
+    await clearLoginFailures(user);
+
+    const msg = backupCode
+      ? `Login successful! You have ${user.twoFactor.backupCodeHashes.length} backup code(s) left.`
+      : 'Login successful!';
+    res.json(await loginResponse(user, req, msg));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/2fa/backup-codes
+// @desc    Replace the backup codes { code } (a current code from the app); earlier codes stop working
+// @access  Private
+router.post('/2fa/backup-codes', auth, validate(schemas.twoFactorBackupCodes), async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user.id);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not on.' });
+    }
+
+    const error = await verifySecondFactor(user, { code: req.body.code });
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const backupCodes = await regenerateBackupCodes(user);
+    res.json({ backupCodes, msg: 'New backup codes created. Earlier codes no longer work.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn two-factor authentication off { password, code } (or { password, backupCode })
+// @access  Private (Doctor; admins must keep it on)
+router.post('/2fa/disable', auth, validate(schemas.twoFactorDisable), async (req, res) => {
+  const { password, code, backupCode } = req.body;
+
+  try {
+    const user = await findUserWithTwoFactor(req.user.id);
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ msg: 'Admin accounts must keep two-factor authentication on.' });
+    }
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not on.' });
+    }
+    if (!(await bcrypt.compare(String(password || ''), user.password))) {
+      return res.status(400).json({ msg: 'Your password is not correct.' });
+    }
+
+    const error = await verifySecondFactor(user, { code, backupCode });
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const original = snapshotOf(user);
+    await disableTwoFactor(user);
+    auditChange(res, 'user', { before: original, after: user });
+    res.json({ msg: 'Two-factor authentication is off.' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
@@ -1,45 +1,99 @@
 // backend/routes/customer.js
 // This file defines API routes specific to Customers.
-// These routes are protected and require a user with the 'customer' role.
+// These routes are protected; each one declares the permissions it needs (see utils/permissions.js).
 
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth'); // Import auth middleware
-const User = require('../models/User'); // User model for role checking
+const verifiedEmail = require('../middleware/verifiedEmail'); // Booking requires a verified email address
+const requirePermission = require('../middleware/requirePermission'); // Permission checks
+const { isOwner } = require('../utils/permissions'); // Ownership checks
+const validate = require('../middleware/validate'); // Request validation
+const schemas = require('../schemas/customer'); // Request schemas
+const { auditRead } = require('../middleware/audit'); // Audit trail of patient data reads
+const { snapshotOf, auditChange } = require('../services/auditLog'); // Audit trail details
 const DoctorProfile = require('../models/DoctorProfile'); // DoctorProfile model
 const Appointment = require('../models/Appointment'); // Appointment model
-
-// Middleware to ensure user is a customer
-const isCustomer = (req, res, next) => {
-  // Check if user is a customer OR an admin (admins can technically act as customers for testing)
-  if (req.user && (req.user.role === 'customer' || req.user.role === 'admin')) {
-    next(); // User is a customer or admin, proceed
-  } else {
-    res.status(403).json({ msg: 'Access denied, not a customer' }); // Forbidden
-  }
-};
+const { isBookableSlot, parseDateRange, addMinutes, timezoneOf } = require('../utils/slots'); // Slot helpers
+const { parseInstant } = require('../utils/time'); // Timestamp parsing
+const { applyTransition, withNextStatuses } = require('../utils/appointmentLifecycle'); // Status rules
+const { createProposal, respondToProposal } = require('../services/rescheduleProposals'); // Reschedule proposals
+const { getFreeSlots, slotOptionsFor, findAlternativeSlots, isSlotConflictError, isTimeTaken } = require('../services/availability'); // Free slot lookup
+const { visitTypesOf, findVisitType, snapshotVisitType } = require('../utils/visitTypes'); // Visit type catalog
+const WaitlistEntry = require('../models/WaitlistEntry'); // WaitlistEntry model
+const { offerVacatedSlot, releaseOffer, confirmOffer } = require('../services/waitlist'); // Waitlist offers
+const { payForAppointment, quoteCancellationRefund, refundPerPolicy } = require('../services/payments'); // Payments and refunds
+const { findInvoiceForAppointment } = require('../services/invoices'); // Invoices
+const { writeInvoicePdf } = require('../utils/invoicePdf'); // Invoice PDF rendering
+const { DOCUMENT_FIELDS } = require('../services/documents'); // Document metadata shown in lists
+const VisitNote = require('../models/VisitNote'); // VisitNote model
+const { toPatientView } = require('../services/visitNotes'); // Clinical visit notes
+const Prescription = require('../models/Prescription'); // Prescription model
+const { verificationUrl } = require('../services/prescriptions'); // Prescription verification links
+const { writePrescriptionPdf } = require('../utils/prescriptionPdf'); // Prescription PDF rendering
+const HealthProfile = require('../models/HealthProfile'); // HealthProfile model
+const { parseHealthProfile, saveHealthProfile } = require('../services/healthProfiles'); // Patient health profiles
 
 // @route   GET api/customer/doctors
-// @desc    Get a list of all approved doctors
-// @access  Private (Customer only)
-router.get('/doctors', auth, isCustomer, async (req, res) => {
+// @desc    Get a list of all approved doctors, with the visit types each one offers
+// @access  Private (doctor:read)
+router.get('/doctors', auth, requirePermission('doctor:read'), async (req, res) => {
   try {
     // Find all doctor profiles that are approved
     // Populate the 'user' field to get doctor's username and email
     const doctors = await DoctorProfile.find({ isApproved: true }).populate('user', ['username', 'email']);
 
-    res.json(doctors);
+    // Doctors without a catalog offer the default consultation
+    res.json(doctors.map((doctor) => ({ ...doctor.toObject(), visitTypes: visitTypesOf(doctor) })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/customer/doctors/:id/slots?from=YYYY-MM-DD&to=YYYY-MM-DD[&visitTypeId=|&appointmentId=]
+// @desc    Get the free bookable slots of an approved doctor within a date range.
+//          Dates are calendar days in the doctor's timezone; slots are UTC instants.
+//          Slots fit the given visit type, or the given appointment when looking for a new time for it.
+// @access  Private (doctor:read)
+router.get('/doctors/:id/slots', auth, requirePermission('doctor:read'), validate(schemas.doctorSlots), async (req, res) => {
+  const { from, to, error } = parseDateRange(req.query);
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  try {
+    const doctorProfile = await DoctorProfile.findOne({ user: req.params.id });
+    if (!doctorProfile || !doctorProfile.isApproved) {
+      return res.status(404).json({ msg: 'Doctor not found or not yet approved.' });
+    }
+
+    const options = await slotOptionsFor(doctorProfile, req.query);
+    if (!options) {
+      return res.status(400).json({ msg: 'Unknown visit type or appointment.' });
+    }
+
+    // Slots already taken by an active appointment are left out
+    const slots = await getFreeSlots(doctorProfile, from, to, options);
+
+    res.json({
+      timezone: timezoneOf(doctorProfile.availability),
+      slotDuration: doctorProfile.availability.slotDuration,
+      visitType: options.visitType,
+      slots,
+    });
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
 // @route   POST api/customer/appointments
-// @desc    Book a new appointment
-// @access  Private (Customer only)
-router.post('/appointments', auth, isCustomer, async (req, res) => {
-  const { doctorId, date, time, documents, notes, isEmergency } = req.body;
+// @desc    Book a new appointment of one of the doctor's visit types
+// @access  Private (appointment:create:own, verified email)
+router.post('/appointments', auth, requirePermission('appointment:create:own'), validate(schemas.bookAppointment), verifiedEmail, async (req, res) => {
+  const { doctorId, visitTypeId, notes, isEmergency } = req.body;
+  const startAt = parseInstant(req.body.startAt); // Requested slot start (ISO 8601 timestamp)
 
   try {
     // Check if the doctor exists and is approved
@@ -48,49 +102,103 @@ router.post('/appointments', auth, isCustomer, async (req, res) => {
       return res.status(400).json({ msg: 'Doctor not found or not yet approved.' });
     }
 
+    // The visit type decides the length, buffer and price of the appointment
+    const visitType = findVisitType(doctorProfile, visitTypeId);
+    if (!visitType) {
+      return res.status(400).json({ msg: 'Please choose one of the doctor\'s visit types.' });
+    }
+
+    // Only allow booking one of the slots generated from the doctor's availability
+    const slotOptions = { timeOff: doctorProfile.timeOff, duration: visitType.durationMinutes };
+    if (!startAt || !isBookableSlot(doctorProfile.availability, startAt, slotOptions)) {
+      return res.status(400).json({ msg: 'The requested time is not an available slot for this doctor.' });
+    }
+
+    // The visit and its buffer must not overlap other appointments or slots on hold for the waitlist
+    const endAt = addMinutes(startAt, visitType.durationMinutes);
+    if (await isTimeTaken(doctorId, startAt, addMinutes(endAt, visitType.bufferMinutes))) {
+      const alternatives = await findAlternativeSlots(doctorProfile, startAt, { visitType });
+      return res.status(409).json({ msg: 'This time is no longer available. Please pick another time.', alternatives });
+    }
+
     // Create a new appointment
     const newAppointment = new Appointment({
       customer: req.user.id, // Logged-in customer's ID
       doctor: doctorId,      // Doctor's user ID
-      date,
-      time,
-      documents,
+      startAt,
+      endAt,
+      timezone: timezoneOf(doctorProfile.availability),
+      visitType: snapshotVisitType(visitType),
       notes,
       isEmergency: isEmergency || false, // Default to false if not provided
       status: 'pending', // New appointments are pending until paid/scheduled by doctor
+      statusHistory: [{ to: 'pending', by: req.user.id, byRole: 'customer' }], // Record who created it
       paymentStatus: 'pending' // Payment is pending by default
     });
 
-    await newAppointment.save();
+    try {
+      // The unique slot index rejects this save if another booking got there first
+      await newAppointment.save();
+    } catch (err) {
+      if (!isSlotConflictError(err)) throw err;
+      const alternatives = await findAlternativeSlots(doctorProfile, startAt, { visitType });
+      return res.status(409).json({ msg: 'This slot has just been booked by someone else. Please pick another time.', alternatives });
+    }
+    auditChange(res, 'appointment', { after: newAppointment });
     res.status(201).json({ msg: 'Appointment requested successfully! Proceed to "My Appointments" to pay.', appointment: newAppointment });
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
 // @route   GET api/customer/appointments/me
 // @desc    Get all appointments for the logged-in customer
-// @access  Private (Customer only)
-router.get('/appointments/me', auth, isCustomer, async (req, res) => {
+// @access  Private (appointment:read:own)
+router.get('/appointments/me', auth, requirePermission('appointment:read:own'), async (req, res) => {
   try {
     // Find appointments where the customer ID matches the logged-in user's ID
     // Populate 'doctor' field to get doctor's username and email
     const appointments = await Appointment.find({ customer: req.user.id })
       .populate('doctor', ['username', 'email'])
+      .populate('documents', DOCUMENT_FIELDS) // Metadata of uploaded files; contents come from api/documents
       .sort({ createdAt: -1 }); // Sort by most recent first
 
-    res.json(appointments);
+    // Include the statuses the customer may move each appointment to (e.g., cancelled)
+    res.json(appointments.map((appointment) => withNextStatuses(appointment, 'customer')));
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/customer/appointments/:id/refund-quote
+// @desc    How much of the payment cancelling an appointment now would refund, under the cancellation policy
+// @access  Private (appointment:cancel:own)
+router.get('/appointments/:id/refund-quote', auth, requirePermission('appointment:cancel:own'), validate(schemas.refundQuote), async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+
+    // Ensure the appointment belongs to the logged-in customer
+    if (!isOwner(req.user, appointment.customer)) {
+      return res.status(401).json({ msg: 'Not authorized to view this appointment' });
+    }
+
+    res.json(await quoteCancellationRefund(appointment));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
 // @route   PUT api/customer/appointments/:id/cancel
-// @desc    Cancel an appointment
-// @access  Private (Customer only)
-router.put('/appointments/:id/cancel', auth, isCustomer, async (req, res) => {
+// @desc    Cancel an appointment. A paid appointment is refunded as the cancellation policy says.
+// @access  Private (appointment:cancel:own)
+router.put('/appointments/:id/cancel', auth, requirePermission('appointment:cancel:own'), validate(schemas.cancelAppointment), async (req, res) => {
   try {
     let appointment = await Appointment.findById(req.params.id);
 
@@ -99,76 +207,481 @@ router.put('/appointments/:id/cancel', auth, isCustomer, async (req, res) => {
     }
 
     // Ensure the appointment belongs to the logged-in customer
-    if (appointment.customer.toString() !== req.user.id) {
+    if (!isOwner(req.user, appointment.customer)) {
       return res.status(401).json({ msg: 'Not authorized to cancel this appointment' });
     }
 
-    // Only allow cancellation if payment is pending or if it hasn't been completed
-    if (appointment.status === 'completed') {
-      return res.status(400).json({ msg: 'Cannot cancel a completed appointment.' });
+    // The lifecycle decides whether the appointment can still be cancelled by the customer
+    const original = snapshotOf(appointment);
+    const before = { startAt: appointment.startAt, holdsSlot: appointment.holdsSlot };
+    const transitionError = applyTransition(appointment, 'cancelled', { id: req.user.id, role: 'customer' });
+    if (transitionError) {
+      return res.status(400).json({ msg: transitionError });
+    }
+    await appointment.save();
+    await offerVacatedSlot(appointment, before); // Give the freed slot to the next waitlisted customer
+    const wasPaid = appointment.paymentStatus === 'paid';
+    const refund = await refundPerPolicy(appointment);
+
+    let msg = 'Appointment cancelled successfully.';
+    if (refund && refund.status === 'succeeded') {
+      msg += ` ${refund.amount} ${refund.currency} (${refund.refundPercent}%) has been refunded.`;
+    } else if (refund && refund.status === 'pending') {
+      msg += ` A refund of ${refund.amount} ${refund.currency} is being processed.`;
+    } else if (refund) {
+      msg += ' The refund could not be processed; please contact support.';
+    } else if (wasPaid) {
+      msg += ' No refund is due under the cancellation policy.';
+    }
+
+    // Reload to include the refund in the payment status
+    const updated = await Appointment.findById(appointment._id);
+    auditChange(res, 'appointment', { before: original, after: updated });
+    res.json({ msg, refund, appointment: updated });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+
+// @route   POST api/customer/appointments/:id/proposals
+// @desc    Ask the doctor to move an appointment to one of the proposed times
+// @access  Private (appointment:reschedule:own)
+router.post('/appointments/:id/proposals', auth, requirePermission('appointment:reschedule:own'), validate(schemas.proposeTimes), async (req, res) => {
+  const { slots, message, expiresInHours, onExpiry } = req.body;
+
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+
+    // Ensure the appointment belongs to the logged-in customer
+    if (!isOwner(req.user, appointment.customer)) {
+      return res.status(401).json({ msg: 'Not authorized to reschedule this appointment' });
     }
-    if (appointment.status === 'cancelled') {
-        return res.status(400).json({ msg: 'Appointment is already cancelled.' });
+
+    const doctorProfile = await DoctorProfile.findOne({ user: appointment.doctor });
+    if (!doctorProfile) {
+      return res.status(404).json({ msg: 'Doctor profile not found' });
+    }
+
+    const original = snapshotOf(appointment);
+    const proposalError = await createProposal(
+      appointment, doctorProfile, { id: req.user.id, role: 'customer' }, { slots, message, expiresInHours, onExpiry }
+    );
+    if (proposalError) {
+      return res.status(400).json({ msg: proposalError });
     }
 
-    appointment.status = 'cancelled';
     await appointment.save();
+    auditChange(res, 'appointment', { before: original, after: appointment });
+    res.status(201).json({ msg: 'Reschedule request sent to the doctor.', appointment });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   PUT api/customer/appointments/:id/proposal
+// @desc    Respond to the open reschedule proposal: { action: 'accept', startAt } or { action: 'decline' }.
+//          Declining the customer's own proposal withdraws it.
+// @access  Private (appointment:reschedule:own)
+router.put('/appointments/:id/proposal', auth, requirePermission('appointment:reschedule:own'), validate(schemas.respondToProposal), async (req, res) => {
+  const { action, startAt } = req.body;
+
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+
+    // Ensure the appointment belongs to the logged-in customer
+    if (!isOwner(req.user, appointment.customer)) {
+      return res.status(401).json({ msg: 'Not authorized to update this appointment' });
+    }
+
+    const original = snapshotOf(appointment);
+    const before = { startAt: appointment.startAt, holdsSlot: appointment.holdsSlot };
+    const responseError = respondToProposal(
+      appointment, { id: req.user.id, role: 'customer' }, { accept: action === 'accept', startAt }
+    );
+    if (responseError) {
+      if (appointment.isModified()) {
+        // Persist an expiry noticed just now, which may have cancelled the appointment
+        await appointment.save();
+        await offerVacatedSlot(appointment, before);
+        await refundPerPolicy(appointment);
+      }
+      return res.status(400).json({ msg: responseError });
+    }
 
-    res.json({ msg: 'Appointment cancelled successfully', appointment });
+    try {
+      // The unique slot index guards the move to the accepted time
+      await appointment.save();
+    } catch (err) {
+      if (!isSlotConflictError(err)) throw err;
+      const doctorProfile = await DoctorProfile.findOne({ user: appointment.doctor });
+      const alternatives = await findAlternativeSlots(doctorProfile, new Date(startAt), {
+        visitType: appointment.visitType,
+        excludeAppointmentId: appointment._id,
+      });
+      return res.status(409).json({ msg: 'That time has been booked in the meantime.', alternatives });
+    }
+    await offerVacatedSlot(appointment, before); // Accepting a new time frees the old one
+    auditChange(res, 'appointment', { before: original, after: appointment });
+    res.json({ msg: `Reschedule proposal ${appointment.rescheduleProposal.status}.`, appointment });
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
 
 // @route   POST api/customer/appointments/:id/pay
-// @desc    Simulate payment for an appointment
-// @access  Private (Customer only)
-router.post('/appointments/:id/pay', auth, isCustomer, async (req, res) => {
-  const { paymentMethod } = req.body; // Mock payment method (e.g., 'upi', 'card')
+// @desc    Pay for an appointment through the payment provider. The amount is the price of its visit type.
+//          Requires an Idempotency-Key header; repeating a request with the same key returns the
+//          outcome of the original attempt instead of charging again.
+// @access  Private (payment:create:own)
+router.post('/appointments/:id/pay', auth, requirePermission('payment:create:own'), validate(schemas.payForAppointment), async (req, res) => {
+  const { paymentMethod, mockOutcome } = req.body; // Payment method (e.g., 'upi', 'card'); mockOutcome is only read by the mock provider
 
   try {
-    let appointment = await Appointment.findById(req.params.id);
+    const appointment = await Appointment.findById(req.params.id);
 
     if (!appointment) {
       return res.status(404).json({ msg: 'Appointment not found' });
     }
 
     // Ensure the appointment belongs to the logged-in customer
-    if (appointment.customer.toString() !== req.user.id) {
+    if (!isOwner(req.user, appointment.customer)) {
       return res.status(401).json({ msg: 'Not authorized to pay for this appointment' });
     }
 
-    // Only allow payment if status is pending and paymentStatus is pending
-    if (appointment.status !== 'pending' && appointment.status !== 'scheduled') {
-      return res.status(400).json({ msg: `Cannot pay for an appointment with status: ${appointment.status}` });
+    const original = snapshotOf(appointment);
+    const { transaction, error } = await payForAppointment(appointment, req.user.id, {
+      method: paymentMethod,
+      idempotencyKey: req.get('Idempotency-Key'),
+      mockOutcome,
+    });
+    if (error) {
+      return res.status(400).json({ msg: error });
     }
-    if (appointment.paymentStatus === 'paid') {
-      return res.status(400).json({ msg: 'Payment has already been made for this appointment.' });
+
+    const { amount, currency } = transaction;
+    const updated = await Appointment.findById(appointment._id); // Reflects the payment outcome
+    auditChange(res, 'appointment', { before: original, after: updated });
+    const body = { amount, currency, transaction, appointment: updated };
+
+    if (transaction.status === 'succeeded') {
+      return res.json({
+        ...body,
+        msg: `Payment of ${amount} ${currency} successful via ${transaction.method}! Appointment is now ${updated.status}.`,
+      });
+    }
+    if (transaction.status === 'failed') {
+      return res.status(400).json({ ...body, msg: `Payment failed: ${transaction.failureReason || 'please try again.'}` });
     }
+    // Still with the provider: the appointment is updated when its webhook arrives
+    res.status(202).json({ ...body, msg: 'Payment is being processed. Your appointment will update once it is confirmed.' });
 
-    // Simulate payment processing
-    // In a real application, this would involve a payment gateway API call
-    const paymentSuccessful = true; // For demonstration, assume payment always succeeds
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
 
-    if (paymentSuccessful) {
-      appointment.paymentStatus = 'paid';
-      // If payment is successful and appointment was pending, it can now be considered scheduled.
-      if (appointment.status === 'pending') {
-        appointment.status = 'scheduled';
-      }
-      await appointment.save();
-      res.json({ msg: `Payment successful via ${paymentMethod}! Appointment is now ${appointment.status}.`, appointment });
+
+// Send the invoice of one of the customer's appointments as a PDF, as the invoice itself or as its receipt
+const sendInvoicePdf = async (req, res, kind) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+
+    // Ensure the appointment belongs to the logged-in customer
+    if (!isOwner(req.user, appointment.customer)) {
+      return res.status(401).json({ msg: 'Not authorized to view this appointment' });
+    }
+
+    const invoice = await findInvoiceForAppointment(appointment);
+    if (!invoice) {
+      return res.status(404).json({ msg: 'No invoice yet: this appointment has not been paid.' });
+    }
+
+    const number = kind === 'receipt' ? invoice.receiptNumber : invoice.number;
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${number}.pdf"`,
+      'Access-Control-Expose-Headers': 'Content-Disposition', // Lets the frontend read the file name
+    });
+    writeInvoicePdf(invoice, kind, res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+};
+
+// @route   GET api/customer/appointments/:id/invoice
+// @desc    Download the numbered PDF invoice of a paid appointment
+// @access  Private (invoice:read:own)
+router.get('/appointments/:id/invoice', auth, requirePermission('invoice:read:own'), validate(schemas.invoice), (req, res) => sendInvoicePdf(req, res, 'invoice'));
+
+// @route   GET api/customer/appointments/:id/receipt
+// @desc    Download the numbered PDF payment receipt of a paid appointment
+// @access  Private (invoice:read:own)
+router.get('/appointments/:id/receipt', auth, requirePermission('invoice:read:own'), validate(schemas.invoice), (req, res) => sendInvoicePdf(req, res, 'receipt'));
+
+
+// @route   GET api/customer/appointments/:id/note
+// @desc    Read the doctor's visit note of an appointment (current version only, read-only)
+// @access  Private (visit-note:read:own)
+router.get('/appointments/:id/note', auth, requirePermission('visit-note:read:own'), validate(schemas.visitNote), auditRead, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+
+    // Ensure the appointment belongs to the logged-in customer
+    if (!isOwner(req.user, appointment.customer)) {
+      return res.status(401).json({ msg: 'Not authorized to view this appointment' });
+    }
+
+    const note = await VisitNote.findOne({ appointment: appointment._id });
+    if (!note) {
+      return res.status(404).json({ msg: 'Your doctor has not written a visit note yet.' });
+    }
+    res.json(toPatientView(note));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/customer/appointments/:id/prescriptions
+// @desc    List the prescriptions the doctor issued for an appointment, oldest first
+// @access  Private (prescription:read:own)
+router.get('/appointments/:id/prescriptions', auth, requirePermission('prescription:read:own'), validate(schemas.prescriptions), auditRead, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+
+    // Ensure the appointment belongs to the logged-in customer
+    if (!isOwner(req.user, appointment.customer)) {
+      return res.status(401).json({ msg: 'Not authorized to view this appointment' });
+    }
+
+    const prescriptions = await Prescription.find({ appointment: appointment._id }).select('-signature').sort({ issuedAt: 1 });
+    res.json(prescriptions);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/customer/prescriptions/:id/pdf
+// @desc    Download one of the customer's prescriptions as a signed PDF with its verification code
+// @access  Private (prescription:read:own)
+router.get('/prescriptions/:id/pdf', auth, requirePermission('prescription:read:own'), validate(schemas.prescriptionPdf), auditRead, async (req, res) => {
+  try {
+    const prescription = await Prescription.findById(req.params.id);
+
+    if (!prescription) {
+      return res.status(404).json({ msg: 'Prescription not found' });
+    }
+
+    // Ensure the prescription belongs to the logged-in customer
+    if (!isOwner(req.user, prescription.customer)) {
+      return res.status(401).json({ msg: 'Not authorized to view this prescription' });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="prescription-${prescription.verificationCode}.pdf"`,
+      'Access-Control-Expose-Headers': 'Content-Disposition', // Lets the frontend read the file name
+    });
+    writePrescriptionPdf(prescription, verificationUrl(prescription), res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+
+// @route   GET api/customer/health-profile
+// @desc    Get the logged-in customer's health profile (an empty object if none was saved yet)
+// @access  Private (health-profile:read:own)
+router.get('/health-profile', auth, requirePermission('health-profile:read:own'), auditRead, async (req, res) => {
+  try {
+    const profile = await HealthProfile.findOne({ user: req.user.id });
+    res.json(profile || {});
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   PUT api/customer/health-profile
+// @desc    Save the logged-in customer's health profile { dateOfBirth, sex, bloodGroup, allergies,
+//          chronicConditions, currentMedications, emergencyContact: { name, relationship, phone } }.
+//          Doctors see it for patients they are treating or have treated.
+// @access  Private (health-profile:update:own)
+router.put('/health-profile', auth, requirePermission('health-profile:update:own'), validate(schemas.updateHealthProfile), async (req, res) => {
+  const { profile, error } = parseHealthProfile(req.body);
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  try {
+    const original = snapshotOf(await HealthProfile.findOne({ user: req.user.id }));
+    const saved = await saveHealthProfile(req.user.id, profile);
+    auditChange(res, 'health-profile', { before: original, after: saved });
+    res.json({ msg: 'Health profile saved.', profile: saved });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+
+// @route   POST api/customer/waitlist
+// @desc    Join a doctor's waitlist for a range of days (YYYY-MM-DD in the doctor's timezone).
+//          When a matching slot frees up, it is held for the customer to confirm.
+// @access  Private (waitlist:manage:own, verified email)
+router.post('/waitlist', auth, requirePermission('waitlist:manage:own'), validate(schemas.joinWaitlist), verifiedEmail, async (req, res) => {
+  const { doctorId, visitTypeId } = req.body;
+  const { from, to, error } = parseDateRange(req.body);
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  try {
+    // Check if the doctor exists and is approved
+    const doctorProfile = await DoctorProfile.findOne({ user: doctorId });
+    if (!doctorProfile || !doctorProfile.isApproved) {
+      return res.status(400).json({ msg: 'Doctor not found or not yet approved.' });
+    }
+
+    const visitType = findVisitType(doctorProfile, visitTypeId);
+    if (!visitType) {
+      return res.status(400).json({ msg: 'Please choose one of the doctor\'s visit types.' });
+    }
+
+    // The waitlist is for fully booked ranges only
+    const freeSlots = await getFreeSlots(doctorProfile, from, to, { visitType });
+    if (freeSlots.length > 0) {
+      return res.status(400).json({ msg: 'This doctor still has free slots in that range. Please book one of them directly.' });
+    }
+
+    // One active entry per doctor keeps the queue fair
+    const existing = await WaitlistEntry.findOne({ customer: req.user.id, doctor: doctorId, status: { $in: ['waiting', 'offered'] } });
+    if (existing) {
+      return res.status(400).json({ msg: 'You are already on this doctor\'s waitlist.' });
+    }
+
+    const entry = new WaitlistEntry({
+      customer: req.user.id,
+      doctor: doctorId,
+      fromDate: from,
+      toDate: to,
+      visitTypeId: visitTypeId || undefined, // Empty means the doctor's first visit type
+    });
+    await entry.save();
+    auditChange(res, 'waitlist-entry', { after: entry });
+
+    res.status(201).json({ msg: 'You have joined the waitlist. We will hold the first matching slot that frees up for you.', entry });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/customer/waitlist/me
+// @desc    Get the logged-in customer's waitlist entries, including any slot on hold for them
+// @access  Private (waitlist:manage:own)
+router.get('/waitlist/me', auth, requirePermission('waitlist:manage:own'), async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ customer: req.user.id })
+      .populate('doctor', ['username', 'email'])
+      .sort({ createdAt: -1 }); // Sort by most recent first
+
+    res.json(entries);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/customer/waitlist/:id/confirm
+// @desc    Book the slot held for a waitlist entry
+// @access  Private (waitlist:manage:own, verified email)
+router.post('/waitlist/:id/confirm', auth, requirePermission('waitlist:manage:own'), validate(schemas.confirmWaitlistOffer), verifiedEmail, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ msg: 'Waitlist entry not found' });
+    }
+
+    // Ensure the entry belongs to the logged-in customer
+    if (!isOwner(req.user, entry.customer)) {
+      return res.status(401).json({ msg: 'Not authorized to confirm this waitlist entry' });
+    }
+
+    const { appointment, error } = await confirmOffer(entry);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    auditChange(res, 'appointment', { after: appointment });
+
+    res.status(201).json({ msg: 'Slot confirmed! Proceed to "My Appointments" to pay.', appointment });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/customer/waitlist/:id
+// @desc    Leave a waitlist. A slot on hold for the entry is passed to the next customer.
+// @access  Private (waitlist:manage:own)
+router.delete('/waitlist/:id', auth, requirePermission('waitlist:manage:own'), validate(schemas.leaveWaitlist), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ msg: 'Waitlist entry not found' });
+    }
+
+    // Ensure the entry belongs to the logged-in customer
+    if (!isOwner(req.user, entry.customer)) {
+      return res.status(401).json({ msg: 'Not authorized to update this waitlist entry' });
+    }
+
+    const original = snapshotOf(entry);
+    if (entry.status === 'offered') {
+      await releaseOffer(entry, 'left');
+    } else if (entry.status === 'waiting') {
+      entry.status = 'left';
+      await entry.save();
     } else {
-      appointment.paymentStatus = 'failed';
-      await appointment.save();
-      res.status(400).json({ msg: 'Payment failed. Please try again.' });
+      return res.status(400).json({ msg: `This waitlist entry is already ${entry.status}.` });
     }
 
+    auditChange(res, 'waitlist-entry', { before: original, after: entry });
+    res.json({ msg: 'You have left the waitlist.', entry });
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
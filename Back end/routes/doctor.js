@@ -1,40 +1,77 @@
 // backend/routes/doctor.js
 // This file defines API routes specific to Doctors.
-// These routes are protected and require a user with the 'doctor' role.
+// These routes are protected; each one declares the permissions it needs (see utils/permissions.js).
+// A doctor's staff use the appointment and calendar routes on the doctor's behalf.
 
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth'); // Import auth middleware
-const User = require('../models/User'); // User model for role checking
+const requirePermission = require('../middleware/requirePermission'); // Permission checks
+const { hasPermission, practiceOf, isOwner } = require('../utils/permissions'); // Permission and ownership checks
+const validate = require('../middleware/validate'); // Request validation
+const schemas = require('../schemas/doctor'); // Request schemas
+const { auditRead } = require('../middleware/audit'); // Audit trail of patient data reads
+const { snapshotOf, auditChange } = require('../services/auditLog'); // Audit trail details
+const User = require('../models/User'); // User model
 const DoctorProfile = require('../models/DoctorProfile'); // DoctorProfile model
 const Appointment = require('../models/Appointment'); // Appointment model
-
-// Middleware to ensure user is a doctor
-const isDoctor = (req, res, next) => {
-  if (req.user && req.user.role === 'doctor') {
-    next(); // User is a doctor, proceed
-  } else {
-    res.status(403).json({ msg: 'Access denied, not a doctor' }); // Forbidden
-  }
-};
+const { validateAvailability, parseDateRange, timezoneOf } = require('../utils/slots'); // Slot helpers
+const { getFreeSlots, slotOptionsFor, findAlternativeSlots, isSlotConflictError } = require('../services/availability'); // Free slot lookup
+const { validateVisitTypes } = require('../utils/visitTypes'); // Visit type catalog
+const { offerVacatedSlot } = require('../services/waitlist'); // Waitlist offers for freed slots
+const { refundPerPolicy } = require('../services/payments'); // Refunds under the cancellation policy
+const { DOCUMENT_FIELDS } = require('../services/documents'); // Document metadata shown in lists
+const VisitNote = require('../models/VisitNote'); // VisitNote model
+const { saveVisitNote, toDoctorView } = require('../services/visitNotes'); // Clinical visit notes
+const Prescription = require('../models/Prescription'); // Prescription model
+const { issuePrescription } = require('../services/prescriptions'); // Electronic prescriptions
+const { withHealthProfiles } = require('../services/healthProfiles'); // Patient health profiles
+const { createProposal, respondToProposal } = require('../services/rescheduleProposals'); // Reschedule proposals
+const { parseTimeOff, findConflictingAppointments, resolveConflicts } = require('../services/timeOff'); // Doctor time off
+const { applyTransition, withNextStatuses } = require('../utils/appointmentLifecycle'); // Status rules
+const { listStaff, findStaffOf, inviteStaff, resendInvite, removeStaff } = require('../services/staff'); // Front-desk staff
 
 // @route   POST api/doctor/profile
 // @desc    Create or update doctor profile
-// @access  Private (Doctor only)
-router.post('/profile', auth, isDoctor, async (req, res) => {
-  const { specialty, clinicName, address, phone } = req.body;
+// @access  Private (doctor-profile:update:own)
+router.post('/profile', auth, requirePermission('doctor-profile:update:own'), validate(schemas.updateProfile), async (req, res) => {
+  const { specialty, clinicName, address, phone, availability, visitTypes } = req.body;
+
+  // Validate the weekly schedule if the doctor sent one
+  if (availability) {
+    const availabilityError = validateAvailability(availability);
+    if (availabilityError) {
+      return res.status(400).json({ msg: availabilityError });
+    }
+  }
+
+  // Validate the visit type catalog if the doctor sent one
+  if (visitTypes) {
+    const visitTypesError = validateVisitTypes(visitTypes);
+    if (visitTypesError) {
+      return res.status(400).json({ msg: visitTypesError });
+    }
+  }
 
   try {
     let profile = await DoctorProfile.findOne({ user: req.user.id }); // Find profile by user ID
 
     if (profile) {
       // Update existing profile
+      const original = snapshotOf(profile);
       profile.specialty = specialty;
       profile.clinicName = clinicName;
       profile.address = address;
       profile.phone = phone;
+      if (availability) {
+        profile.availability = availability;
+      }
+      if (visitTypes) {
+        profile.visitTypes = visitTypes; // Existing appointments keep the visit type they were booked with
+      }
       // isApproved is only set by admin, so it's not updated here by doctor
       await profile.save();
+      auditChange(res, 'doctor-profile', { before: original, after: profile });
       return res.json({ msg: 'Doctor profile updated', profile });
     }
 
@@ -45,24 +82,27 @@ router.post('/profile', auth, isDoctor, async (req, res) => {
       clinicName,
       address,
       phone,
+      ...(availability && { availability }), // Falls back to the default schedule when omitted
+      ...(visitTypes && { visitTypes }),     // Falls back to a single default consultation when omitted
       isApproved: false // Newly created profiles still need admin approval
     });
 
     await profile.save();
+    auditChange(res, 'doctor-profile', { after: profile });
     res.status(201).json({ msg: 'Doctor profile created', profile });
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
 // @route   GET api/doctor/profile/me
-// @desc    Get current doctor's profile
-// @access  Private (Doctor only)
-router.get('/profile/me', auth, isDoctor, async (req, res) => {
+// @desc    Get current doctor's profile (for staff, the profile of the doctor they work for)
+// @access  Private (doctor-profile:read:own)
+router.get('/profile/me', auth, requirePermission('doctor-profile:read:own'), async (req, res) => {
   try {
     // Populate the 'user' field to get username and email
-    const profile = await DoctorProfile.findOne({ user: req.user.id }).populate('user', ['username', 'email', 'isApproved']);
+    const profile = await DoctorProfile.findOne({ user: practiceOf(req.user) }).populate('user', ['username', 'email', 'isApproved']);
 
     if (!profile) {
       return res.status(404).json({ msg: 'Doctor profile not found' });
@@ -70,33 +110,186 @@ router.get('/profile/me', auth, isDoctor, async (req, res) => {
     res.json(profile);
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/doctor/slots?from=YYYY-MM-DD&to=YYYY-MM-DD[&visitTypeId=|&appointmentId=]
+// @desc    Get the logged-in doctor's own free slots (e.g., to pick a reschedule time for an appointment)
+// @access  Private (doctor-profile:read:own)
+router.get('/slots', auth, requirePermission('doctor-profile:read:own'), validate(schemas.slots), async (req, res) => {
+  const { from, to, error } = parseDateRange(req.query);
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  try {
+    const doctorProfile = await DoctorProfile.findOne({ user: practiceOf(req.user) });
+    if (!doctorProfile) {
+      return res.status(404).json({ msg: 'Doctor profile not found' });
+    }
+
+    const options = await slotOptionsFor(doctorProfile, req.query);
+    if (!options) {
+      return res.status(400).json({ msg: 'Unknown visit type or appointment.' });
+    }
+
+    const slots = await getFreeSlots(doctorProfile, from, to, options);
+    res.json({
+      timezone: timezoneOf(doctorProfile.availability),
+      slotDuration: doctorProfile.availability.slotDuration,
+      visitType: options.visitType,
+      slots,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/doctor/time-off
+// @desc    Add a time-off period: { startDate, endDate, startTime?, endTime?, reason }. Dates are days in
+//          the doctor's timezone; times narrow the period to part of a day. No slots are offered inside it.
+//          Responds with the appointments that conflict with it, to be handled via /time-off/:id/resolve.
+// @access  Private (doctor-profile:update:own)
+router.post('/time-off', auth, requirePermission('doctor-profile:update:own'), validate(schemas.addTimeOff), async (req, res) => {
+  try {
+    const doctorProfile = await DoctorProfile.findOne({ user: req.user.id });
+    if (!doctorProfile) {
+      return res.status(404).json({ msg: 'Doctor profile not found' });
+    }
+
+    const { error, ...period } = parseTimeOff(req.body, doctorProfile.availability);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    const original = snapshotOf(doctorProfile);
+    doctorProfile.timeOff.push(period);
+    await doctorProfile.save();
+    auditChange(res, 'doctor-profile', { before: original, after: doctorProfile });
+    const timeOff = doctorProfile.timeOff[doctorProfile.timeOff.length - 1];
+
+    const conflicts = await findConflictingAppointments(req.user.id, timeOff);
+    res.status(201).json({
+      msg: conflicts.length > 0
+        ? `Time off added. ${conflicts.length} appointment(s) fall into it.`
+        : 'Time off added.',
+      timeOff,
+      conflicts,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/doctor/time-off/:timeOffId/conflicts
+// @desc    List the upcoming appointments that fall into a time-off period
+// @access  Private (doctor-profile:read:own)
+router.get('/time-off/:timeOffId/conflicts', auth, requirePermission('doctor-profile:read:own'), validate(schemas.timeOffConflicts), async (req, res) => {
+  try {
+    const doctorProfile = await DoctorProfile.findOne({ user: practiceOf(req.user) });
+    const timeOff = doctorProfile && doctorProfile.timeOff.id(req.params.timeOffId);
+    if (!timeOff) {
+      return res.status(404).json({ msg: 'Time off not found' });
+    }
+
+    res.json(await findConflictingAppointments(doctorProfile.user, timeOff));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/doctor/time-off/:timeOffId/resolve
+// @desc    Handle the appointments that fall into a time-off period in one action:
+//          { action: 'cancel' | 'propose', appointmentIds?, message?, expiresInHours?, onExpiry? }.
+//          'propose' sends each patient a reschedule proposal with free slots after the time off.
+//          Without appointmentIds every conflicting appointment is handled.
+// @access  Private (appointment:reschedule:own)
+router.post('/time-off/:timeOffId/resolve', auth, requirePermission('appointment:reschedule:own'), validate(schemas.resolveTimeOff), async (req, res) => {
+  const { action, appointmentIds, message, expiresInHours, onExpiry } = req.body;
+
+  try {
+    const doctorProfile = await DoctorProfile.findOne({ user: practiceOf(req.user) });
+    const timeOff = doctorProfile && doctorProfile.timeOff.id(req.params.timeOffId);
+    if (!timeOff) {
+      return res.status(404).json({ msg: 'Time off not found' });
+    }
+
+    const results = await resolveConflicts(
+      doctorProfile, timeOff, { action, appointmentIds, message, expiresInHours, onExpiry }, { id: req.user.id, role: req.user.role }
+    );
+    const failed = results.filter((result) => result.error).length;
+    const done = action === 'cancel' ? 'cancelled' : 'sent a reschedule proposal';
+
+    res.json({
+      msg: `${results.length - failed} appointment(s) ${done}${failed > 0 ? `, ${failed} could not be handled` : ''}.`,
+      results,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/doctor/time-off/:timeOffId
+// @desc    Remove a time-off period, making its slots bookable again
+// @access  Private (doctor-profile:update:own)
+router.delete('/time-off/:timeOffId', auth, requirePermission('doctor-profile:update:own'), validate(schemas.removeTimeOff), async (req, res) => {
+  try {
+    const doctorProfile = await DoctorProfile.findOne({ user: req.user.id });
+    const timeOff = doctorProfile && doctorProfile.timeOff.id(req.params.timeOffId);
+    if (!timeOff) {
+      return res.status(404).json({ msg: 'Time off not found' });
+    }
+
+    const original = snapshotOf(doctorProfile);
+    timeOff.deleteOne();
+    await doctorProfile.save();
+    auditChange(res, 'doctor-profile', { before: original, after: doctorProfile });
+    res.json({ msg: 'Time off removed.', timeOff: doctorProfile.timeOff });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
 // @route   GET api/doctor/appointments
-// @desc    Get all appointments for the logged-in doctor
-// @access  Private (Doctor only)
-router.get('/appointments', auth, isDoctor, async (req, res) => {
+// @desc    Get all appointments for the logged-in doctor (or the doctor a staff member works for).
+//          For doctors, each includes the patient's health profile (`healthProfile`) when the doctor
+//          has an active or past appointment with that patient. Staff get neither health profiles
+//          nor documents.
+// @access  Private (appointment:read:own)
+router.get('/appointments', auth, requirePermission('appointment:read:own'), auditRead, async (req, res) => {
   try {
-    // Find appointments where the doctor ID matches the logged-in user's ID
-    // Populate 'customer' field to get customer's username and email
-    const appointments = await Appointment.find({ doctor: req.user.id })
+    // Find appointments of the practice, populating 'customer' to get the customer's username and email
+    const query = Appointment.find({ doctor: practiceOf(req.user) })
       .populate('customer', ['username', 'email'])
-      .sort({ date: 1, time: 1 }); // Sort by date then time ascending
+      .sort({ startAt: 1 }); // Sort by start time ascending
+    if (hasPermission(req.user, 'document:read:own')) {
+      query.populate('documents', DOCUMENT_FIELDS); // Metadata of uploaded files, for previews
+    } else {
+      query.select('-documents');
+    }
+    const appointments = await query;
 
-    res.json(appointments);
+    // Include the statuses the user may move each appointment to
+    const withStatuses = appointments.map((appointment) => withNextStatuses(appointment, req.user.role));
+    // Doctors also see the health profile of each patient they are treating or have treated
+    res.json(hasPermission(req.user, 'health-profile:read:own') ? await withHealthProfiles(withStatuses) : withStatuses);
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
 // @route   PUT api/doctor/appointments/:id/status
-// @desc    Update an appointment's status (and optionally date/time for reschedule)
-// @access  Private (Doctor only)
-router.put('/appointments/:id/status', auth, isDoctor, async (req, res) => {
-  const { status, date, time } = req.body; // Allow date and time to be updated too
+// @desc    Update an appointment's status. Moving it to another time goes through a reschedule proposal.
+// @access  Private (appointment:update-status:own)
+router.put('/appointments/:id/status', auth, requirePermission('appointment:update-status:own'), validate(schemas.updateStatus), async (req, res) => {
+  const { status } = req.body;
   const appointmentId = req.params.id;
 
   try {
@@ -107,29 +300,317 @@ router.put('/appointments/:id/status', auth, isDoctor, async (req, res) => {
     }
 
     // Ensure the appointment belongs to the logged-in doctor
-    if (appointment.doctor.toString() !== req.user.id) {
+    if (!isOwner(req.user, appointment.doctor)) {
       return res.status(401).json({ msg: 'Not authorized to update this appointment' });
     }
 
-    // Update status
-    if (status) {
-      appointment.status = status;
+    // Update status through the lifecycle rules (same status means no change)
+    const original = snapshotOf(appointment);
+    const before = { startAt: appointment.startAt, holdsSlot: appointment.holdsSlot };
+    if (status && status !== appointment.status) {
+      const transitionError = applyTransition(appointment, status, { id: req.user.id, role: req.user.role });
+      if (transitionError) {
+        return res.status(400).json({ msg: transitionError });
+      }
+    }
+
+    await appointment.save();
+    await offerVacatedSlot(appointment, before); // Rejected or cancelled slots go to the waitlist
+    const refund = await refundPerPolicy(appointment); // Cancellations, rejections and no-shows follow the cancellation policy
+    const updated = refund ? await Appointment.findById(appointment._id) : appointment;
+    auditChange(res, 'appointment', { before: original, after: updated });
+    res.json({
+      msg: refund ? `Appointment updated successfully. ${refund.amount} ${refund.currency} refunded to the patient.` : 'Appointment updated successfully',
+      appointment: updated,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/doctor/appointments/:id/note
+// @desc    Get the visit note of an appointment, with every version
+// @access  Private (visit-note:read:own)
+router.get('/appointments/:id/note', auth, requirePermission('visit-note:read:own'), validate(schemas.visitNote), auditRead, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+
+    // Ensure the appointment belongs to the logged-in doctor
+    if (!isOwner(req.user, appointment.doctor)) {
+      return res.status(401).json({ msg: 'Not authorized to view this appointment' });
+    }
+
+    const note = await VisitNote.findOne({ appointment: appointment._id });
+    if (!note) {
+      return res.status(404).json({ msg: 'No visit note has been written yet.' });
+    }
+    res.json(toDoctorView(note));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   PUT api/doctor/appointments/:id/note
+// @desc    Write the SOAP visit note of a completed appointment { subjective, objective, assessment, plan },
+//          or amend it (requires amendmentReason). Amendments add a version; earlier ones are kept.
+// @access  Private (visit-note:write:own)
+router.put('/appointments/:id/note', auth, requirePermission('visit-note:write:own'), validate(schemas.saveVisitNote), async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
     }
-    // Update date and time if provided (for rescheduling)
-    if (date) {
-      appointment.date = date;
+
+    // Ensure the appointment belongs to the logged-in doctor
+    if (!isOwner(req.user, appointment.doctor)) {
+      return res.status(401).json({ msg: 'Not authorized to update this appointment' });
     }
-    if (time) {
-      appointment.time = time;
+
+    const original = snapshotOf(await VisitNote.findOne({ appointment: appointment._id }));
+    const { note, created, error } = await saveVisitNote(appointment, req.user.id, req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    auditChange(res, 'visit-note', { before: original, after: note });
+
+    res.status(created ? 201 : 200).json({
+      msg: created ? 'Visit note saved.' : `Visit note amended (version ${note.versions.length}).`,
+      note: toDoctorView(note),
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/doctor/appointments/:id/prescriptions
+// @desc    List the prescriptions issued for an appointment, oldest first
+// @access  Private (prescription:read:own)
+router.get('/appointments/:id/prescriptions', auth, requirePermission('prescription:read:own'), validate(schemas.prescriptions), auditRead, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+
+    // Ensure the appointment belongs to the logged-in doctor
+    if (!isOwner(req.user, appointment.doctor)) {
+      return res.status(401).json({ msg: 'Not authorized to view this appointment' });
+    }
+
+    const prescriptions = await Prescription.find({ appointment: appointment._id }).select('-signature').sort({ issuedAt: 1 });
+    res.json(prescriptions);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/doctor/appointments/:id/prescriptions
+// @desc    Issue a signed prescription for a completed appointment
+//          { items: [{ medication, dose, frequency, duration, instructions }], notes }
+// @access  Private (prescription:create:own)
+router.post('/appointments/:id/prescriptions', auth, requirePermission('prescription:create:own'), validate(schemas.issuePrescription), async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .populate('doctor', ['username'])
+      .populate('customer', ['username']);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+
+    // Ensure the appointment belongs to the logged-in doctor
+    if (!isOwner(req.user, appointment.doctor)) {
+      return res.status(401).json({ msg: 'Not authorized to update this appointment' });
+    }
+
+    const { prescription, error } = await issuePrescription(appointment, req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    auditChange(res, 'prescription', { after: prescription });
+
+    res.status(201).json({
+      msg: `Prescription issued. Verification code: ${prescription.verificationCode}`,
+      prescription,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/doctor/appointments/:id/proposals
+// @desc    Propose one or more alternative times for an appointment to the customer
+// @access  Private (appointment:reschedule:own)
+router.post('/appointments/:id/proposals', auth, requirePermission('appointment:reschedule:own'), validate(schemas.proposeTimes), async (req, res) => {
+  const { slots, message, expiresInHours, onExpiry } = req.body;
+
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+
+    // Ensure the appointment belongs to the logged-in doctor
+    if (!isOwner(req.user, appointment.doctor)) {
+      return res.status(401).json({ msg: 'Not authorized to reschedule this appointment' });
+    }
+
+    const doctorProfile = await DoctorProfile.findOne({ user: appointment.doctor });
+    const original = snapshotOf(appointment);
+    const proposalError = await createProposal(
+      appointment, doctorProfile, { id: req.user.id, role: req.user.role }, { slots, message, expiresInHours, onExpiry }
+    );
+    if (proposalError) {
+      return res.status(400).json({ msg: proposalError });
     }
 
     await appointment.save();
-    res.json({ msg: 'Appointment updated successfully', appointment });
+    auditChange(res, 'appointment', { before: original, after: appointment });
+    res.status(201).json({ msg: 'Reschedule proposal sent to the patient.', appointment });
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Server Error');
+    res.status(500).json({ msg: 'Server Error' });
   }
 });
 
+// @route   PUT api/doctor/appointments/:id/proposal
+// @desc    Respond to the open reschedule proposal: { action: 'accept', startAt } or { action: 'decline' }.
+//          Declining the doctor's own proposal withdraws it.
+// @access  Private (appointment:reschedule:own)
+router.put('/appointments/:id/proposal', auth, requirePermission('appointment:reschedule:own'), validate(schemas.respondToProposal), async (req, res) => {
+  const { action, startAt } = req.body;
+
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+
+    // Ensure the appointment belongs to the logged-in doctor
+    if (!isOwner(req.user, appointment.doctor)) {
+      return res.status(401).json({ msg: 'Not authorized to update this appointment' });
+    }
+
+    const original = snapshotOf(appointment);
+    const before = { startAt: appointment.startAt, holdsSlot: appointment.holdsSlot };
+    const responseError = respondToProposal(
+      appointment, { id: req.user.id, role: req.user.role }, { accept: action === 'accept', startAt }
+    );
+    if (responseError) {
+      if (appointment.isModified()) {
+        // Persist an expiry noticed just now, which may have cancelled the appointment
+        await appointment.save();
+        await offerVacatedSlot(appointment, before);
+        await refundPerPolicy(appointment);
+      }
+      return res.status(400).json({ msg: responseError });
+    }
+
+    try {
+      // The unique slot index guards the move to the accepted time
+      await appointment.save();
+    } catch (err) {
+      if (!isSlotConflictError(err)) throw err;
+      const doctorProfile = await DoctorProfile.findOne({ user: appointment.doctor });
+      const alternatives = await findAlternativeSlots(doctorProfile, new Date(startAt), {
+        visitType: appointment.visitType,
+        excludeAppointmentId: appointment._id,
+      });
+      return res.status(409).json({ msg: 'That time has been booked in the meantime.', alternatives });
+    }
+    await offerVacatedSlot(appointment, before); // Accepting a new time frees the old one
+    auditChange(res, 'appointment', { before: original, after: appointment });
+    res.json({ msg: `Reschedule proposal ${appointment.rescheduleProposal.status}.`, appointment });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/doctor/staff
+// @desc    List the doctor's front-desk staff (emailVerified is false until they accept the invitation)
+// @access  Private (staff:manage:own)
+router.get('/staff', auth, requirePermission('staff:manage:own'), async (req, res) => {
+  try {
+    res.json(await listStaff(req.user.id));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/doctor/staff
+// @desc    Invite a staff member { username, email }: creates their account, linked to the doctor,
+//          and emails them a link for choosing a password
+// @access  Private (staff:manage:own)
+router.post('/staff', auth, requirePermission('staff:manage:own'), validate(schemas.inviteStaff), async (req, res) => {
+  try {
+    const doctor = await User.findById(req.user.id);
+    const { staff, error } = await inviteStaff(doctor, req.body);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    auditChange(res, 'user', { after: staff });
+    res.status(201).json({ msg: `Invitation sent to ${req.body.email}.` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   POST api/doctor/staff/:staffId/invite
+// @desc    Send a staff member's invitation again (e.g., after the link expired)
+// @access  Private (staff:manage:own)
+router.post('/staff/:staffId/invite', auth, requirePermission('staff:manage:own'), validate(schemas.resendStaffInvite), async (req, res) => {
+  try {
+    const staff = await findStaffOf(req.user.id, req.params.staffId);
+    if (!staff) {
+      return res.status(404).json({ msg: 'Staff member not found' });
+    }
+
+    const doctor = await User.findById(req.user.id);
+    const error = await resendInvite(doctor, staff);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    res.json({ msg: `Invitation sent again to ${staff.email}.` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/doctor/staff/:staffId
+// @desc    Remove a staff member: their account is deleted and logged out everywhere
+// @access  Private (staff:manage:own)
+router.delete('/staff/:staffId', auth, requirePermission('staff:manage:own'), validate(schemas.removeStaff), async (req, res) => {
+  try {
+    const staff = await findStaffOf(req.user.id, req.params.staffId);
+    if (!staff) {
+      return res.status(404).json({ msg: 'Staff member not found' });
+    }
+
+    const original = snapshotOf(staff);
+    await removeStaff(staff);
+    auditChange(res, 'user', { before: original });
+    res.json({ msg: `${staff.username} no longer has access to your appointments.` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
 
 module.exports = router;
@@ -0,0 +1,150 @@
+// backend/routes/doctorApplications.js
+// This file defines API routes for doctor onboarding applications.
+// Doctors submit their licence details and documents; admins review the applications.
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth'); // Import auth middleware
+const requirePermission = require('../middleware/requirePermission'); // Permission checks
+const validate = require('../middleware/validate'); // Request validation
+const schemas = require('../schemas/doctorApplications'); // Request schemas
+const { canAccess } = require('../utils/permissions'); // Ownership checks
+const { fileHeaders } = require('../utils/fileResponses'); // File download headers
+const receiveFiles = require('../middleware/receiveFiles'); // Multipart file uploads
+const { auditRead } = require('../middleware/audit'); // Audit trail of document reads
+const { snapshotOf, auditChange } = require('../services/auditLog'); // Audit trail details
+const DoctorApplication = require('../models/DoctorApplication'); // DoctorApplication model
+const {
+  MAX_LICENCE_DOCUMENTS, submitApplication, removeLicenceDocument, readLicenceDocument, reviewApplication,
+} = require('../services/doctorApplications'); // Doctor onboarding
+
+// @route   GET api/doctor-applications/me
+// @desc    Get the logged-in doctor's application (404 if none was submitted yet)
+// @access  Private (doctor-application:read:own)
+router.get('/me', auth, requirePermission('doctor-application:read:own'), async (req, res) => {
+  try {
+    const application = await DoctorApplication.findOne({ user: req.user.id });
+    if (!application) {
+      return res.status(404).json({ msg: 'You have not submitted an application yet.' });
+    }
+    res.json(application);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   PUT api/doctor-applications/me
+// @desc    Submit or update the logged-in doctor's application (multipart form): licenceNumber,
+//          registrationCouncil, qualifications (JSON list of { degree, institution, year }) and
+//          licence documents as "files" (PDF or images), added to the ones already uploaded
+// @access  Private (doctor-application:submit:own)
+router.put('/me', auth, requirePermission('doctor-application:submit:own'), receiveFiles(MAX_LICENCE_DOCUMENTS), validate(schemas.submitApplication), async (req, res) => {
+  try {
+    const { application, error } = await submitApplication(req.user, req.body, req.files);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    res.json({ msg: 'Application submitted. An administrator will review it shortly.', application });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/doctor-applications/me/documents/:documentId
+// @desc    Remove a licence document from the logged-in doctor's application
+// @access  Private (doctor-application:submit:own)
+router.delete('/me/documents/:documentId', auth, requirePermission('doctor-application:submit:own'), validate(schemas.removeLicenceDocument), async (req, res) => {
+  try {
+    const application = await DoctorApplication.findOne({ user: req.user.id });
+    if (!application) {
+      return res.status(404).json({ msg: 'You have not submitted an application yet.' });
+    }
+
+    const error = await removeLicenceDocument(application, req.params.documentId);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    res.json({ msg: 'Document removed', application });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/doctor-applications?status=pending
+// @desc    List applications for review, oldest submission first (optionally filtered by status)
+// @access  Private (doctor-application:read:any)
+router.get('/', auth, requirePermission('doctor-application:read:any'), validate(schemas.listApplications), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const applications = await DoctorApplication.find(filter)
+      .populate('user', ['username', 'email'])
+      .sort({ submittedAt: 1 });
+    res.json(applications);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   PUT api/doctor-applications/:id/review
+// @desc    Review an application { decision: approve | reject | request_info, note }.
+//          Rejections and information requests need a note, which the applicant sees.
+// @access  Private (doctor:approve)
+router.put('/:id/review', auth, requirePermission('doctor:approve'), validate(schemas.reviewApplication), async (req, res) => {
+  try {
+    const application = await DoctorApplication.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({ msg: 'Application not found' });
+    }
+
+    const original = snapshotOf(application);
+    const error = await reviewApplication(application, req.body, req.user.id);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    auditChange(res, 'doctor-application', { before: original, after: application });
+
+    const messages = {
+      approved: 'Doctor approved successfully',
+      rejected: 'Application rejected',
+      info_requested: 'More information requested from the applicant',
+    };
+    res.json({ msg: messages[application.status], application });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/doctor-applications/:id/documents/:documentId
+// @desc    Fetch a licence document's file (shown inline)
+// @access  Private (doctor-application:read:own or doctor-application:read:any)
+router.get('/:id/documents/:documentId', auth, requirePermission('doctor-application:read:own', 'doctor-application:read:any'), validate(schemas.readLicenceDocument), auditRead, async (req, res) => {
+  try {
+    const application = await DoctorApplication.findById(req.params.id);
+    const document = application && application.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({ msg: 'Document not found' });
+    }
+    if (!canAccess(req.user, 'doctor-application:read', application.user)) {
+      return res.status(401).json({ msg: 'Not authorized to view this document' });
+    }
+
+    res.set(fileHeaders(document));
+    readLicenceDocument(document)
+      .on('error', (err) => {
+        console.error(err.message);
+        res.destroy(); // Abort the transfer; the client sees a failed download
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+// backend/routes/documents.js
+// This file defines API routes for documents attached to appointments (PDFs and images).
+// The appointment's customer and doctor can upload, list or download them, as can users with the
+// `:any` document permissions (admins).
+
+const express = require('express');
+const router = express.Router();
+const config = require('config'); // Import config to get the upload limits
+const auth = require('../middleware/auth'); // Import auth middleware
+const requirePermission = require('../middleware/requirePermission'); // Permission checks
+const validate = require('../middleware/validate'); // Request validation
+const schemas = require('../schemas/documents'); // Request schemas
+const { canAccess } = require('../utils/permissions'); // Ownership checks
+const { fileHeaders } = require('../utils/fileResponses'); // File download headers
+const receiveFiles = require('../middleware/receiveFiles'); // Multipart file uploads
+const { auditRead } = require('../middleware/audit'); // Audit trail of patient data reads
+const { auditChange } = require('../services/auditLog'); // Audit trail details
+const Appointment = require('../models/Appointment'); // Appointment model
+const Document = require('../models/Document'); // Document model
+const { canAccessAppointmentDocuments, storeDocuments, readDocument, deleteDocument } = require('../services/documents'); // Document storage
+
+const receiveAppointmentFiles = receiveFiles(config.get('uploads.maxFilesPerAppointment'));
+
+// @route   POST api/documents/appointments/:appointmentId
+// @desc    Upload PDFs or images (multipart field "files") to an appointment
+// @access  Private (document:upload:own or document:upload:any)
+router.post('/appointments/:appointmentId', auth, requirePermission('document:upload:own', 'document:upload:any'), validate(schemas.uploadDocuments), receiveAppointmentFiles, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.appointmentId);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+    if (!canAccessAppointmentDocuments(req.user, appointment, 'document:upload')) {
+      return res.status(401).json({ msg: 'Not authorized to add documents to this appointment' });
+    }
+
+    const { documents, error } = await storeDocuments(appointment, req.user, req.files);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    res.status(201).json({ msg: `${documents.length} document(s) uploaded.`, documents });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/documents/appointments/:appointmentId
+// @desc    List the documents of an appointment
+// @access  Private (document:read:own or document:read:any)
+router.get('/appointments/:appointmentId', auth, requirePermission('document:read:own', 'document:read:any'), validate(schemas.listDocuments), auditRead, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.appointmentId);
+
+    if (!appointment) {
+      return res.status(404).json({ msg: 'Appointment not found' });
+    }
+    if (!canAccessAppointmentDocuments(req.user, appointment)) {
+      return res.status(401).json({ msg: 'Not authorized to view documents of this appointment' });
+    }
+
+    res.json(await Document.find({ appointment: appointment._id }).sort({ createdAt: 1 }));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   GET api/documents/:id[?download=1]
+// @desc    Fetch a document's file, shown inline (for previews) or as a download
+// @access  Private (document:read:own or document:read:any)
+router.get('/:id', auth, requirePermission('document:read:own', 'document:read:any'), validate(schemas.readDocument), auditRead, async (req, res) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    const appointment = document && await Appointment.findById(document.appointment);
+
+    if (!document || !appointment) {
+      return res.status(404).json({ msg: 'Document not found' });
+    }
+    if (!canAccessAppointmentDocuments(req.user, appointment)) {
+      return res.status(401).json({ msg: 'Not authorized to view this document' });
+    }
+
+    const disposition = req.query.download ? 'attachment' : 'inline';
+    res.set(fileHeaders(document, disposition));
+    readDocument(document)
+      .on('error', (err) => {
+        console.error(err.message);
+        res.destroy(); // Abort the transfer; the client sees a failed download
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+// @route   DELETE api/documents/:id
+// @desc    Delete a document. Uploaders may delete their own documents; admins any.
+// @access  Private (document:delete:own or document:delete:any)
+router.delete('/:id', auth, requirePermission('document:delete:own', 'document:delete:any'), validate(schemas.deleteDocument), async (req, res) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    const appointment = document && await Appointment.findById(document.appointment);
+
+    if (!document || !appointment) {
+      return res.status(404).json({ msg: 'Document not found' });
+    }
+    if (!canAccess(req.user, 'document:delete', document.uploadedBy)) {
+      return res.status(401).json({ msg: 'Not authorized to delete this document' });
+    }
+
+    await deleteDocument(document, appointment);
+    auditChange(res, 'document', { before: document });
+    res.json({ msg: 'Document deleted' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// backend/routes/payments.js
+// This file defines API routes called by payment providers.
+// Webhooks are not authenticated with a user token; each provider verifies its own signature.
+
+const express = require('express');
+const router = express.Router();
+const validate = require('../middleware/validate'); // Request validation
+const schemas = require('../schemas/payments'); // Request schemas
+const { getProvider } = require('../payments'); // Payment provider registry
+const { handleWebhookEvent } = require('../services/payments'); // Payment processing
+
+// @route   POST api/payments/webhook/:provider
+// @desc    Receive an asynchronous payment status update (e.g., a pending payment settling)
+// @access  Public (verified by the provider's signature)
+router.post('/webhook/:provider', validate(schemas.webhook), async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ msg: 'Unknown payment provider' });
+  }
+
+  // The signature covers the exact bytes sent, kept by the JSON parser in server.js
+  const event = req.rawBody && provider.parseWebhook(req.rawBody, req.headers);
+  if (!event) {
+    return res.status(400).json({ msg: 'Invalid webhook signature' });
+  }
+
+  try {
+    const error = await handleWebhookEvent(provider, event);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    res.json({ received: true });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+module.exports = router;
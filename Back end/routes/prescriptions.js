@@ -0,0 +1,47 @@
+// backend/routes/prescriptions.js
+// This file defines the public prescription verification route used by pharmacies.
+// It needs no login; the verification code printed on the PDF is the only key.
+
+const express = require('express');
+const router = express.Router();
+const validate = require('../middleware/validate'); // Request validation
+const schemas = require('../schemas/prescriptions'); // Request schemas
+const { verifyPrescription } = require('../services/prescriptions'); // Prescription signing and lookup
+const { auditRead } = require('../middleware/audit'); // Audit trail of patient data reads
+
+// @route   GET api/prescriptions/verify/:code
+// @desc    Check a prescription's verification code and return what it prescribes, so a pharmacy
+//          can compare it with the document presented
+// @access  Public
+router.get('/verify/:code', validate(schemas.verify), auditRead, async (req, res) => {
+  try {
+    const result = await verifyPrescription(req.params.code);
+    if (!result) {
+      return res.status(404).json({ valid: false, msg: 'No prescription matches this verification code.' });
+    }
+
+    const { valid, prescription } = result;
+    if (!valid) {
+      return res.status(409).json({ valid: false, msg: 'This prescription record failed its signature check. Do not dispense.' });
+    }
+
+    res.json({
+      valid: true,
+      verificationCode: prescription.verificationCode,
+      issuedAt: prescription.issuedAt,
+      prescriber: {
+        name: prescription.prescriber.name,
+        specialty: prescription.prescriber.specialty,
+        clinicName: prescription.prescriber.clinicName,
+      },
+      patient: prescription.patient.name,
+      items: prescription.items,
+      notes: prescription.notes,
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ msg: 'Server Error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// backend/schemas/admin.js
+// Request schemas for routes/admin.js (see middleware/validate.js)
+
+const Joi = require('joi'); // Declarative validation
+const { objectId, idParams } = require('./common'); // Shared building blocks
+
+const userId = { params: idParams('user_id') };
+
+// Audit log search: ?q=&actor=&action=&from=&to= (from/to as ISO dates or timestamps)
+const auditSearch = {
+  q: Joi.string().max(200).allow('').label('Search'),
+  actor: objectId().label('User'),
+  action: Joi.string().max(200).allow('').label('Action'),
+  from: Joi.date().label('From'),
+  to: Joi.date().min(Joi.ref('from')).label('To').messages({ 'date.min': 'To must not be before From.' }),
+};
+
+module.exports = {
+  deleteUser: userId,
+  unlockUser: userId,
+  resetTwoFactor: userId,
+  auditLogs: {
+    query: Joi.object({
+      ...auditSearch,
+      page: Joi.number().integer().min(1).label('Page'),
+      limit: Joi.number().integer().min(1).max(100).label('Page size'),
+    }),
+  },
+  exportAuditLogs: {
+    query: Joi.object(auditSearch),
+  },
+};
@@ -0,0 +1,76 @@
+// backend/schemas/auth.js
+// Request schemas for routes/auth.js (see middleware/validate.js)
+
+const Joi = require('joi'); // Declarative validation
+const { email, newPassword, actionToken, totpCode, backupCode } = require('./common'); // Shared building blocks
+
+const password = () => Joi.string().max(1000).required().label('Password');
+const refreshToken = () => Joi.string().max(1000).label('Refresh token');
+const challengeToken = () => Joi.string().max(2000).label('Login challenge');
+
+// Either a code from the authenticator app or a backup code
+const secondFactor = {
+  code: totpCode(),
+  backupCode: backupCode(),
+};
+const SECOND_FACTOR_MISSING = { 'object.missing': 'Please enter a code from your authenticator app or a backup code.' };
+
+module.exports = {
+  register: {
+    body: Joi.object({
+      username: Joi.string().trim().min(3).max(50).required().label('Username'),
+      email: email().required(),
+      password: newPassword().required(),
+      accountType: Joi.string().valid('customer', 'doctor').label('Account type'),
+    }),
+  },
+  login: {
+    body: Joi.object({
+      email: email().required(),
+      password: password(),
+    }),
+  },
+  refresh: {
+    body: Joi.object({ refreshToken: refreshToken().required() }),
+  },
+  logout: {
+    body: Joi.object({ refreshToken: refreshToken().allow(null) }), // Nothing to end when the device has no session
+  },
+  verifyEmail: {
+    body: Joi.object({ token: actionToken() }),
+  },
+  forgotPassword: {
+    body: Joi.object({ email: email().required() }),
+  },
+  resetPassword: {
+    body: Joi.object({ token: actionToken(), password: newPassword().required() }),
+  },
+  acceptInvite: {
+    body: Joi.object({ token: actionToken(), password: newPassword().required() }),
+  },
+  unlock: {
+    body: Joi.object({ token: actionToken() }),
+  },
+  unlockRequest: {
+    body: Joi.object({ email: email().required() }),
+  },
+  twoFactorSetup: {
+    body: Joi.object({ challengeToken: challengeToken() }),
+  },
+  twoFactorEnable: {
+    body: Joi.object({ challengeToken: challengeToken(), code: totpCode().required() }),
+  },
+  twoFactorLogin: {
+    body: Joi.object({ challengeToken: challengeToken().required(), ...secondFactor })
+      .or('code', 'backupCode')
+      .messages(SECOND_FACTOR_MISSING),
+  },
+  twoFactorBackupCodes: {
+    body: Joi.object({ code: totpCode().required() }),
+  },
+  twoFactorDisable: {
+    body: Joi.object({ password: password(), ...secondFactor })
+      .or('code', 'backupCode')
+      .messages(SECOND_FACTOR_MISSING),
+  },
+};
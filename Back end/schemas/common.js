@@ -0,0 +1,120 @@
+// backend/schemas/common.js
+// Building blocks shared by the request schemas (one file per route file, used with
+// middleware/validate.js). Each helper returns a fresh Joi schema, so callers can add
+// .required(), .label() or their own messages.
+
+const Joi = require('joi'); // Declarative validation
+const { isValidDate } = require('../utils/slots'); // Date validation
+const { isValidTimeZone } = require('../utils/time'); // Timezone validation
+const { MAX_PROPOSED_SLOTS, MAX_EXPIRY_HOURS, EXPIRY_ACTIONS } = require('../services/rescheduleProposals'); // Proposal limits
+
+const MIN_PASSWORD_LENGTH = 8;   // For passwords chosen at registration, through a reset or an invitation
+const MAX_PASSWORD_LENGTH = 128;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/; // HH:mm, 24-hour clock
+
+// MongoDB document ID
+const objectId = () =>
+  Joi.string().pattern(OBJECT_ID_PATTERN).messages({ 'string.pattern.base': '{#label} must be a valid ID.' });
+
+// Calendar day as YYYY-MM-DD
+const date = () =>
+  Joi.string()
+    .custom((value, helpers) => (isValidDate(value) ? value : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': '{#label} must be a valid date (YYYY-MM-DD).' });
+
+// Time of day as HH:mm
+const time = () =>
+  Joi.string().pattern(TIME_PATTERN).messages({ 'string.pattern.base': '{#label} must be a time as HH:mm.' });
+
+// Point in time as an ISO 8601 timestamp (e.g., 2025-07-01T09:30:00.000Z)
+const instant = () => Joi.string().isoDate();
+
+// IANA timezone name (e.g., Asia/Kolkata)
+const timezone = () =>
+  Joi.string()
+    .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': '{#label} must be a valid IANA timezone (e.g., Asia/Kolkata).' });
+
+const email = () => Joi.string().trim().email({ tlds: false }).max(254).label('Email');
+
+// A newly chosen password
+const newPassword = () => Joi.string().min(MIN_PASSWORD_LENGTH).max(MAX_PASSWORD_LENGTH).label('Password');
+
+// Optional free text of limited length; empty strings are allowed and clear the value
+const optionalText = (max) => Joi.string().allow('').max(max);
+
+// Emailed single-use token (verification, password reset, invitation, unlock)
+const actionToken = () =>
+  Joi.string().max(1000).required().label('Link').messages({
+    'any.required': 'This link is incomplete. Please open the link from the email again.',
+    'string.empty': 'This link is incomplete. Please open the link from the email again.',
+  });
+
+// Six-digit authenticator code (spaces, as some apps show "123 456", are ignored)
+const totpCode = () =>
+  Joi.string().pattern(/^\s*\d{3}\s*\d{3}\s*$/).label('Code')
+    .messages({ 'string.pattern.base': 'Please enter the 6-digit code from your authenticator app.' });
+
+// One of the single-use backup codes, e.g. "k7tq2-m9xpa"
+const backupCode = () => Joi.string().max(40).label('Backup code');
+
+// Visit type of a doctor: a catalog entry ID, or "default" for doctors without a catalog
+const visitTypeId = () => Joi.string().max(50).allow('', null).label('Visit type');
+
+// Slot lookup query: ?from=YYYY-MM-DD&to=YYYY-MM-DD[&visitTypeId=|&appointmentId=]
+const slotQuery = () =>
+  Joi.object({
+    from: date().required().label('From date'),
+    to: date().label('To date'),
+    visitTypeId: visitTypeId(),
+    appointmentId: objectId().label('Appointment'),
+  });
+
+// A reschedule proposal: { slots: [ISO start times], message?, expiresInHours?, onExpiry? }
+const proposal = () =>
+  Joi.object({
+    slots: Joi.array().items(instant().label('Proposed time')).min(1).max(MAX_PROPOSED_SLOTS).required().label('Proposed times')
+      .messages({
+        'array.min': `Please propose between 1 and ${MAX_PROPOSED_SLOTS} alternative times.`,
+        'array.max': `Please propose between 1 and ${MAX_PROPOSED_SLOTS} alternative times.`,
+      }),
+    message: optionalText(500).label('Message'),
+    expiresInHours: Joi.number().integer().min(1).max(MAX_EXPIRY_HOURS).label('Expiry'),
+    onExpiry: Joi.string().valid(...EXPIRY_ACTIONS).label('Expiry action'),
+  });
+
+// A response to a reschedule proposal: { action: 'accept', startAt } or { action: 'decline' }
+const proposalResponse = () =>
+  Joi.object({
+    action: Joi.string().valid('accept', 'decline').required().label('Action'),
+    startAt: instant().label('Chosen time').when('action', { is: 'accept', then: Joi.required() }),
+  });
+
+// Route parameters that are all document IDs, e.g. idParams('id') for /appointments/:id.
+// Labels follow the parameter name: appointmentId -> "Appointment", id -> "Record".
+const idLabel = (name) => {
+  const words = name.replace(/_?id$/i, '').replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words ? `${words.charAt(0).toUpperCase()}${words.slice(1)}` : 'Record';
+};
+const idParams = (...names) =>
+  Joi.object(Object.fromEntries(names.map((name) => [name, objectId().required().label(idLabel(name))])));
+
+module.exports = {
+  objectId,
+  date,
+  time,
+  instant,
+  timezone,
+  email,
+  newPassword,
+  optionalText,
+  actionToken,
+  totpCode,
+  backupCode,
+  visitTypeId,
+  slotQuery,
+  proposal,
+  proposalResponse,
+  idParams,
+};
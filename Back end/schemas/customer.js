@@ -0,0 +1,83 @@
+// backend/schemas/customer.js
+// Request schemas for routes/customer.js (see middleware/validate.js)
+
+const Joi = require('joi'); // Declarative validation
+const {
+  objectId, date, instant, optionalText, visitTypeId, slotQuery, proposal, proposalResponse, idParams,
+} = require('./common'); // Shared building blocks
+const {
+  SEXES, BLOOD_GROUPS, LIST_FIELDS, CONTACT_FIELDS, MAX_LIST_ENTRIES, MAX_TEXT_LENGTH,
+} = require('../services/healthProfiles'); // Health profile fields and limits
+
+const appointmentId = { params: idParams('id') };
+
+// Health profile lists and emergency contact fields, labelled as on the form
+const LABELS = {
+  allergies: 'Allergies',
+  chronicConditions: 'Chronic conditions',
+  currentMedications: 'Current medications',
+  name: 'Contact name',
+  relationship: 'Relationship',
+  phone: 'Contact phone',
+};
+
+module.exports = {
+  doctorSlots: {
+    params: idParams('id'),
+    query: slotQuery(),
+  },
+  bookAppointment: {
+    body: Joi.object({
+      doctorId: objectId().required().label('Doctor'),
+      visitTypeId: visitTypeId(),
+      startAt: instant().required().label('Time'),
+      notes: optionalText(2000).label('Notes'),
+      isEmergency: Joi.boolean().label('Emergency'),
+    }),
+  },
+  refundQuote: appointmentId,
+  cancelAppointment: appointmentId,
+  proposeTimes: {
+    params: idParams('id'),
+    body: proposal(),
+  },
+  respondToProposal: {
+    params: idParams('id'),
+    body: proposalResponse(),
+  },
+  payForAppointment: {
+    params: idParams('id'),
+    body: Joi.object({ paymentMethod: Joi.string().max(50).label('Payment method') }),
+  },
+  invoice: appointmentId,
+  visitNote: appointmentId,
+  prescriptions: appointmentId,
+  prescriptionPdf: { params: idParams('id') },
+  updateHealthProfile: {
+    body: Joi.object({
+      dateOfBirth: date().allow('').label('Date of birth'),
+      sex: Joi.string().valid(...SEXES, '').label('Sex')
+        .messages({ 'any.only': `Sex must be one of: ${SEXES.join(', ')}.` }),
+      bloodGroup: Joi.string().valid(...BLOOD_GROUPS, '').label('Blood group')
+        .messages({ 'any.only': `Blood group must be one of: ${BLOOD_GROUPS.join(', ')}.` }),
+      ...Object.fromEntries(LIST_FIELDS.map((field) => [
+        field,
+        Joi.array().items(Joi.string().max(MAX_TEXT_LENGTH).allow('').label('Each entry')).max(MAX_LIST_ENTRIES).label(LABELS[field]),
+      ])),
+      emergencyContact: Joi.object(Object.fromEntries(CONTACT_FIELDS.map((field) => [
+        field,
+        optionalText(MAX_TEXT_LENGTH).label(LABELS[field]),
+      ]))).label('Emergency contact'),
+    }),
+  },
+  joinWaitlist: {
+    body: Joi.object({
+      doctorId: objectId().required().label('Doctor'),
+      visitTypeId: visitTypeId(),
+      from: date().required().label('From date'),
+      to: date().label('To date'),
+    }),
+  },
+  confirmWaitlistOffer: { params: idParams('id') },
+  leaveWaitlist: { params: idParams('id') },
+};
@@ -0,0 +1,127 @@
+// backend/schemas/doctor.js
+// Request schemas for routes/doctor.js (see middleware/validate.js)
+
+const Joi = require('joi'); // Declarative validation
+const {
+  objectId, date, time, timezone, email, optionalText, slotQuery, proposal, proposalResponse, idParams,
+} = require('./common'); // Shared building blocks
+const { MAX_VISIT_TYPES, MAX_DURATION_MINUTES, MAX_BUFFER_MINUTES, MINUTE_STEP } = require('../utils/visitTypes'); // Visit type limits
+const { SLOT_KEY_MINUTES } = require('../utils/slots'); // Slot cell size
+const { STATUSES } = require('../utils/appointmentLifecycle'); // Appointment statuses
+const { SECTIONS, MAX_SECTION_LENGTH, MAX_REASON_LENGTH } = require('../services/visitNotes'); // Visit note limits
+const {
+  ITEM_FIELDS, REQUIRED_ITEM_FIELDS, MAX_ITEMS, MAX_FIELD_LENGTH, MAX_NOTES_LENGTH,
+} = require('../services/prescriptions'); // Prescription limits
+
+const MAX_RESOLVED_APPOINTMENTS = 500; // Appointment IDs accepted in one time-off resolution
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// Time of day on the slot cell grid (see utils/slots.js slotKeysFor), e.g. 09:05 but not 09:07
+const gridTime = () =>
+  time()
+    .custom((value, helpers) => (Number(value.slice(3)) % SLOT_KEY_MINUTES === 0 ? value : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': `{#label} must be on a multiple of ${SLOT_KEY_MINUTES} minutes (e.g., 09:05, not 09:07).` });
+
+// A weekly working-hours or break range: { day: 0 (Sunday) - 6, start: 'HH:mm', end: 'HH:mm' }
+const weeklyRange = () =>
+  Joi.object({
+    day: Joi.number().integer().min(0).max(6).required().label('Day'),
+    start: gridTime().required().label('Start'),
+    end: gridTime().required().label('End'),
+  });
+
+const visitType = () =>
+  Joi.object({
+    name: Joi.string().trim().max(100).required().label('Name'),
+    durationMinutes: Joi.number().integer().min(MINUTE_STEP).max(MAX_DURATION_MINUTES).multiple(MINUTE_STEP).required().label('Duration'),
+    bufferMinutes: Joi.number().integer().min(0).max(MAX_BUFFER_MINUTES).multiple(MINUTE_STEP).label('Buffer'),
+    price: Joi.number().min(0).required().label('Price'),
+  });
+
+// Profile text fields, which the form may send empty
+const profileText = (label) => optionalText(200).allow(null).label(label);
+
+module.exports = {
+  updateProfile: {
+    body: Joi.object({
+      specialty: profileText('Specialty'),
+      clinicName: profileText('Clinic name'),
+      address: profileText('Address'),
+      phone: profileText('Phone'),
+      availability: Joi.object({
+        timezone: timezone().label('Timezone'),
+        slotDuration: Joi.number().integer().min(5).max(240).multiple(SLOT_KEY_MINUTES).required().label('Slot length'),
+        weeklyHours: Joi.array().items(weeklyRange()).label('Working hours'),
+        breaks: Joi.array().items(weeklyRange()).label('Breaks'),
+      }).label('Availability'),
+      visitTypes: Joi.array().items(visitType()).max(MAX_VISIT_TYPES).label('Visit types'),
+    }),
+  },
+  slots: {
+    query: slotQuery(),
+  },
+  addTimeOff: {
+    body: Joi.object({
+      startDate: date().required().label('From date'),
+      endDate: date().label('To date'),
+      startTime: time().label('Start time'),
+      endTime: time().label('End time'),
+      reason: optionalText(200).label('Reason'),
+    }),
+  },
+  timeOffConflicts: { params: idParams('timeOffId') },
+  resolveTimeOff: {
+    params: idParams('timeOffId'),
+    body: Joi.object({
+      action: Joi.string().valid('cancel', 'propose').required().label('Action'),
+      appointmentIds: Joi.array().items(objectId().label('Appointment')).max(MAX_RESOLVED_APPOINTMENTS).label('Appointments'),
+      message: optionalText(500).label('Message'),
+      expiresInHours: proposal().extract('expiresInHours'),
+      onExpiry: proposal().extract('onExpiry'),
+    }),
+  },
+  removeTimeOff: { params: idParams('timeOffId') },
+  updateStatus: {
+    params: idParams('id'),
+    body: Joi.object({ status: Joi.string().valid(...STATUSES).required().label('Status') }),
+  },
+  visitNote: { params: idParams('id') },
+  saveVisitNote: {
+    params: idParams('id'),
+    body: Joi.object({
+      ...Object.fromEntries(SECTIONS.map((section) => [section, optionalText(MAX_SECTION_LENGTH).label(capitalize(section))])),
+      amendmentReason: optionalText(MAX_REASON_LENGTH).label('Reason for the amendment'),
+    }),
+  },
+  prescriptions: { params: idParams('id') },
+  issuePrescription: {
+    params: idParams('id'),
+    body: Joi.object({
+      items: Joi.array().items(Joi.object(Object.fromEntries(ITEM_FIELDS.map((field) => [
+        field,
+        REQUIRED_ITEM_FIELDS.includes(field)
+          ? Joi.string().trim().max(MAX_FIELD_LENGTH).required().label(capitalize(field))
+          : optionalText(MAX_FIELD_LENGTH).label(capitalize(field)),
+      ])))).min(1).max(MAX_ITEMS).required().label('Medications')
+        .messages({ 'array.min': 'Please add at least one medication.' }),
+      notes: optionalText(MAX_NOTES_LENGTH).label('Notes'),
+    }),
+  },
+  proposeTimes: {
+    params: idParams('id'),
+    body: proposal(),
+  },
+  respondToProposal: {
+    params: idParams('id'),
+    body: proposalResponse(),
+  },
+  inviteStaff: {
+    body: Joi.object({
+      username: Joi.string().trim().min(3).max(50).required().label('Username'),
+      email: email().required(),
+    }),
+  },
+  resendStaffInvite: { params: idParams('staffId') },
+  removeStaff: { params: idParams('staffId') },
+};
@@ -0,0 +1,37 @@
+// backend/schemas/doctorApplications.js
+// Request schemas for routes/doctorApplications.js (see middleware/validate.js)
+
+const Joi = require('joi'); // Declarative validation
+const { optionalText, idParams } = require('./common'); // Shared building blocks
+const DoctorApplication = require('../models/DoctorApplication'); // DoctorApplication model
+const { MAX_QUALIFICATIONS, MAX_TEXT_LENGTH, REVIEW_DECISIONS } = require('../services/doctorApplications'); // Application limits
+
+const STATUSES = DoctorApplication.schema.path('status').enumValues;
+
+module.exports = {
+  // Multipart form: text fields only (files are checked by the upload middleware), so
+  // qualifications arrive as a JSON string
+  submitApplication: {
+    body: Joi.object({
+      licenceNumber: Joi.string().trim().min(3).max(50).required().label('Licence number'),
+      registrationCouncil: Joi.string().trim().max(MAX_TEXT_LENGTH).required().label('Registration council'),
+      qualifications: Joi.alternatives()
+        .try(Joi.string().max(20000), Joi.array().max(MAX_QUALIFICATIONS))
+        .required()
+        .label('Qualifications')
+        .messages({ 'alternatives.types': 'Qualifications must be a list.' }),
+    }),
+  },
+  removeLicenceDocument: { params: idParams('documentId') },
+  listApplications: {
+    query: Joi.object({ status: Joi.string().valid(...STATUSES).label('Status') }),
+  },
+  reviewApplication: {
+    params: idParams('id'),
+    body: Joi.object({
+      decision: Joi.string().valid(...Object.keys(REVIEW_DECISIONS)).required().label('Decision'),
+      note: optionalText(1000).label('Note'),
+    }),
+  },
+  readLicenceDocument: { params: idParams('id', 'documentId') },
+};
@@ -0,0 +1,15 @@
+// backend/schemas/documents.js
+// Request schemas for routes/documents.js (see middleware/validate.js)
+
+const Joi = require('joi'); // Declarative validation
+const { idParams } = require('./common'); // Shared building blocks
+
+module.exports = {
+  uploadDocuments: { params: idParams('appointmentId') },
+  listDocuments: { params: idParams('appointmentId') },
+  readDocument: {
+    params: idParams('id'),
+    query: Joi.object({ download: Joi.string().max(5).label('Download') }),
+  },
+  deleteDocument: { params: idParams('id') },
+};
@@ -0,0 +1,11 @@
+// backend/schemas/payments.js
+// Request schemas for routes/payments.js (see middleware/validate.js). Webhook bodies are defined
+// by each provider and checked against its signature, so only the route parameters are validated.
+
+const Joi = require('joi'); // Declarative validation
+
+module.exports = {
+  webhook: {
+    params: Joi.object({ provider: Joi.string().max(50).required().label('Provider') }),
+  },
+};
@@ -0,0 +1,11 @@
+// backend/schemas/prescriptions.js
+// Request schemas for routes/prescriptions.js (see middleware/validate.js)
+
+const Joi = require('joi'); // Declarative validation
+
+module.exports = {
+  // Codes are normalized when looked up, so pharmacists may type them with spaces or without dashes
+  verify: {
+    params: Joi.object({ code: Joi.string().max(40).required().label('Verification code') }),
+  },
+};
@@ -0,0 +1,188 @@
+// backend/scripts/admin-cli.js
+// Administration CLI working directly against the configured `mongoURI`, so deployments never need
+// manual database edits. Creates the first admin (registration only creates customers and doctors),
+// changes roles, resets passwords and two-factor authentication, and lists doctors awaiting approval.
+// Usage: npm run admin -- <command> [arguments]   (run without a command for help)
+// Passwords can be given with --password=<password> or the ADMIN_CLI_PASSWORD environment variable
+// (which keeps them out of shell history); without either, a random password is generated and printed.
+
+const crypto = require('crypto');     // Node crypto for generated passwords
+const mongoose = require('mongoose'); // Import Mongoose
+const config = require('config');     // Import config to get mongoURI
+const bcrypt = require('bcryptjs');   // Password hashing, as in routes/auth.js
+const User = require('../models/User'); // User model
+const DoctorApplication = require('../models/DoctorApplication'); // DoctorApplication model
+const { revokeAllSessions } = require('../services/sessions'); // Login sessions
+const { disableTwoFactor } = require('../services/twoFactor'); // Two-factor authentication
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const USAGE = `Usage: npm run admin -- <command> [arguments]
+
+Commands:
+  create-admin <username> <email> [--password=<password>]   Create an admin account
+  promote <email>                                           Make an existing customer an admin
+  demote <email>                                            Turn an admin back into a customer
+  reset-password <email> [--password=<password>]            Set a new password and end all sessions
+  reset-2fa <email>                                         Turn off two-factor authentication (lost phone)
+  list-pending-doctors                                      Doctors awaiting approval and their applications`;
+
+// A CLI usage or data problem: printed without a stack trace
+class CliError extends Error {}
+
+const hashPassword = async (password) => bcrypt.hash(password, await bcrypt.genSalt(10));
+
+// The password to set: from --password, the environment, or freshly generated (then printed)
+const choosePassword = (options) => {
+  const password = options.password || process.env.ADMIN_CLI_PASSWORD;
+  if (!password) {
+    return { password: crypto.randomBytes(12).toString('base64url'), generated: true };
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new CliError(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+  }
+  return { password, generated: false };
+};
+
+const findUserByEmail = async (email) => {
+  if (!email) throw new CliError(USAGE);
+  const user = await User.findOne({ email });
+  if (!user) throw new CliError(`No user with email ${email}.`);
+  return user;
+};
+
+const printPassword = ({ password, generated }) => {
+  if (generated) {
+    console.log(`Generated password: ${password}`);
+    console.log('Share it securely and ask the user to change it.');
+  }
+};
+
+const COMMANDS = {
+  'create-admin': async ([username, email], options) => {
+    if (!username || !email) throw new CliError(USAGE);
+    if (await User.exists({ $or: [{ email }, { username }] })) {
+      throw new CliError('A user with this username or email already exists. Use "promote" for existing customers.');
+    }
+
+    const chosen = choosePassword(options);
+    const user = await User.create({
+      username,
+      email,
+      password: await hashPassword(chosen.password),
+      role: 'admin',
+      isApproved: true,
+      emailVerified: true, // Created by an operator, so there is no link to confirm
+    });
+    console.log(`Created admin ${user.username} <${user.email}>.`);
+    printPassword(chosen);
+  },
+
+  promote: async ([email]) => {
+    const user = await findUserByEmail(email);
+    if (user.role === 'admin') throw new CliError(`${email} is already an admin.`);
+    if (user.role === 'doctor') {
+      throw new CliError('Doctors cannot be promoted, as their profile and appointments would be left behind. Create a separate admin account instead.');
+    }
+    if (user.role === 'staff') {
+      throw new CliError('Staff accounts belong to a doctor\'s practice and cannot be promoted. Create a separate admin account instead.');
+    }
+
+    user.role = 'admin';
+    await user.save();
+    await revokeAllSessions(user._id); // The new role applies from the next login
+    console.log(`${user.username} <${email}> is now an admin. Their sessions were ended so the new role applies on next login.`);
+  },
+
+  demote: async ([email]) => {
+    const user = await findUserByEmail(email);
+    if (user.role !== 'admin') throw new CliError(`${email} is not an admin.`);
+    if (await User.countDocuments({ role: 'admin' }) === 1) {
+      throw new CliError('This is the last admin account; create or promote another admin first.');
+    }
+
+    user.role = 'customer';
+    await user.save();
+    await revokeAllSessions(user._id); // Their tokens still say "admin" until they expire otherwise
+    console.log(`${user.username} <${email}> is now a customer. Their sessions were ended.`);
+  },
+
+  'reset-password': async ([email], options) => {
+    const user = await findUserByEmail(email);
+    const chosen = choosePassword(options);
+
+    user.password = await hashPassword(chosen.password);
+    await user.save();
+    const count = await revokeAllSessions(user._id); // Anyone logged in with the old password is logged out
+    console.log(`Password of ${user.username} <${email}> reset; ${count} session(s) ended.`);
+    printPassword(chosen);
+  },
+
+  'reset-2fa': async ([email]) => {
+    const user = await findUserByEmail(email);
+    if (!user.twoFactor.enabled) throw new CliError(`${email} does not use two-factor authentication.`);
+
+    await disableTwoFactor(user);
+    const count = await revokeAllSessions(user._id);
+    const next = user.role === 'admin' ? 'set it up again when they next log in' : 'log in with their password';
+    console.log(`Two-factor authentication of ${user.username} <${email}> reset; ${count} session(s) ended. They will ${next}.`);
+  },
+
+  'list-pending-doctors': async () => {
+    const doctors = await User.find({ role: 'doctor', isApproved: false }).sort({ date: 1 });
+    if (doctors.length === 0) {
+      console.log('No doctors are awaiting approval.');
+      return;
+    }
+
+    const applications = await DoctorApplication.find({ user: { $in: doctors.map((doctor) => doctor._id) } });
+    const applicationOf = new Map(applications.map((application) => [String(application.user), application]));
+    console.table(doctors.map((doctor) => {
+      const application = applicationOf.get(String(doctor._id));
+      return {
+        username: doctor.username,
+        email: doctor.email,
+        registered: doctor.date.toISOString().slice(0, 10),
+        application: application ? application.status : 'not submitted',
+        licence: application ? `${application.licenceNumber} (${application.registrationCouncil})` : '',
+        submitted: application && application.submittedAt ? application.submittedAt.toISOString().slice(0, 10) : '',
+      };
+    }));
+    console.log('Review applications in the admin dashboard.');
+  },
+};
+
+// Split arguments into positional ones and --name=value options
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+  for (const arg of argv) {
+    const match = /^--([\w-]+)=(.*)$/.exec(arg);
+    if (match) {
+      options[match[1]] = match[2];
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, options };
+};
+
+const run = async () => {
+  const { positional: [command, ...args], options } = parseArgs(process.argv.slice(2));
+  const handler = COMMANDS[command];
+  if (!handler) {
+    console.log(USAGE);
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  await mongoose.connect(config.get('mongoURI'));
+  await handler(args, options);
+};
+
+run()
+  .catch((err) => {
+    console.error(err instanceof CliError ? err.message : `Error: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
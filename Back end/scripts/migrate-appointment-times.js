@@ -0,0 +1,71 @@
+// backend/scripts/migrate-appointment-times.js
+// One-off migration: converts appointments stored with local `date` (YYYY-MM-DD) and `time` (HH:mm)
+// strings into UTC `startAt`/`endAt` instants plus the doctor's IANA `timezone`.
+// Run with `npm run migrate:appointment-times`, then `npm run migrate:visit-types`, which backfills
+// `holdsSlot` together with the slot cells and builds the slot index. `holdsSlot` is left alone
+// here: setting it without `slotKeys` would put legacy records into the unique slot index with
+// no cells, so a doctor's second one would collide. Safe to re-run; migrated records are skipped.
+
+const mongoose = require('mongoose'); // Import Mongoose
+const config = require('config');     // Import config to get mongoURI
+const Appointment = require('../models/Appointment'); // Appointment model
+const DoctorProfile = require('../models/DoctorProfile'); // DoctorProfile model (timezone, slot length)
+const { DEFAULT_AVAILABILITY, addMinutes, timezoneOf } = require('../utils/slots'); // Slot helpers
+const { zonedTimeToUtc } = require('../utils/time'); // Timezone helpers
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const run = async () => {
+  await mongoose.connect(config.get('mongoURI'));
+
+  // Legacy fields are no longer part of the schema, so read the raw documents
+  const legacy = await Appointment.collection
+    .find({ startAt: { $exists: false }, date: { $exists: true } })
+    .toArray();
+
+  const profiles = new Map(); // Cache doctor availability by doctor user ID
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const doc of legacy) {
+    const doctorId = doc.doctor.toString();
+    if (!profiles.has(doctorId)) {
+      const profile = await DoctorProfile.findOne({ user: doc.doctor });
+      profiles.set(doctorId, profile ? profile.availability : DEFAULT_AVAILABILITY);
+    }
+    const availability = profiles.get(doctorId);
+
+    if (!DATE_PATTERN.test(doc.date) || !TIME_PATTERN.test(doc.time)) {
+      console.warn(`Skipping appointment ${doc._id}: unreadable date/time "${doc.date}" "${doc.time}"`);
+      skipped += 1;
+      continue;
+    }
+
+    const timezone = timezoneOf(availability);
+    const startAt = zonedTimeToUtc(doc.date, doc.time, timezone);
+
+    await Appointment.collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          startAt,
+          endAt: addMinutes(startAt, availability.slotDuration),
+          timezone,
+        },
+        $unset: { date: '', time: '' },
+      }
+    );
+    migrated += 1;
+  }
+
+  console.log(`Migrated ${migrated} appointment(s), skipped ${skipped}.`);
+  console.log('Next, run `npm run migrate:visit-types` to backfill visit types and rebuild the slot index.');
+};
+
+run()
+  .catch((err) => {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
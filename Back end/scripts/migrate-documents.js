@@ -0,0 +1,37 @@
+// backend/scripts/migrate-documents.js
+// One-off migration: appointments used to store `documents` as free-text strings (URLs or descriptions).
+// Documents are now uploaded files referenced by ID, so the old strings are appended to the
+// appointment's notes (nothing is lost) and the list is emptied.
+// Run with `npm run migrate:documents`. Safe to re-run; migrated records are skipped.
+
+const mongoose = require('mongoose'); // Import Mongoose
+const config = require('config');     // Import config to get mongoURI
+const Appointment = require('../models/Appointment'); // Appointment model
+
+const run = async () => {
+  await mongoose.connect(config.get('mongoURI'));
+
+  // Read the raw documents: the old strings no longer fit the schema
+  const pending = await Appointment.collection
+    .find({ documents: { $elemMatch: { $type: 'string' } } })
+    .toArray();
+
+  for (const doc of pending) {
+    const legacy = doc.documents.filter((entry) => typeof entry === 'string' && entry.trim());
+    const notes = [doc.notes, legacy.length > 0 && `Documents: ${legacy.join(', ')}`].filter(Boolean).join('\n');
+
+    await Appointment.collection.updateOne(
+      { _id: doc._id },
+      { $set: { notes, documents: doc.documents.filter((entry) => typeof entry !== 'string') } }
+    );
+  }
+
+  console.log(`Migrated ${pending.length} appointment(s).`);
+};
+
+run()
+  .catch((err) => {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
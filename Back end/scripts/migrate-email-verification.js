@@ -0,0 +1,26 @@
+// backend/scripts/migrate-email-verification.js
+// One-off migration: marks accounts created before email verification existed as verified, so
+// existing customers can keep booking. Only accounts without the `emailVerified` field are touched.
+// Run with `npm run migrate:email-verification`. Safe to re-run.
+
+const mongoose = require('mongoose'); // Import Mongoose
+const config = require('config');     // Import config to get mongoURI
+const User = require('../models/User'); // User model
+
+const run = async () => {
+  await mongoose.connect(config.get('mongoURI'));
+
+  const result = await User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing account(s) as verified.`);
+};
+
+run()
+  .catch((err) => {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,76 @@
+// backend/scripts/migrate-visit-types.js
+// One-off migration: gives appointments booked before visit types existed a default
+// "Consultation" visit type (their current length, no buffer, the configured default price),
+// and backfills `blockedUntil`, `slotKeys` and `holdsSlot`, which the overlap-proof slot index is built on.
+// The three are set in one update, so a record never enters the index without its cells.
+// Run with `npm run migrate:visit-types` (after `migrate:appointment-times` for very old data).
+// Safe to re-run; migrated records are skipped.
+
+const mongoose = require('mongoose'); // Import Mongoose
+const config = require('config');     // Import config to get mongoURI and the default price
+const Appointment = require('../models/Appointment'); // Appointment model
+const { addMinutes, slotKeysFor } = require('../utils/slots'); // Slot helpers
+const { SLOT_RELEASING_STATUSES } = require('../utils/appointmentLifecycle'); // Statuses that free the slot
+
+const run = async () => {
+  await mongoose.connect(config.get('mongoURI'));
+
+  // Read the raw documents so records missing now-required fields can still be loaded
+  const pending = await Appointment.collection
+    .find({ $or: [{ slotKeys: { $exists: false } }, { slotKeys: { $size: 0 } }] })
+    .toArray();
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const doc of pending) {
+    if (!doc.startAt || !doc.endAt) {
+      console.warn(`Skipping appointment ${doc._id}: no startAt/endAt, run migrate:appointment-times first`);
+      skipped += 1;
+      continue;
+    }
+
+    const visitType = doc.visitType || {
+      name: 'Consultation',
+      durationMinutes: Math.round((doc.endAt - doc.startAt) / 60000),
+      bufferMinutes: 0,
+      price: config.get('defaultVisitPrice'),
+    };
+    const blockedUntil = addMinutes(doc.endAt, visitType.bufferMinutes || 0);
+
+    try {
+      await Appointment.collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: {
+            visitType,
+            blockedUntil,
+            slotKeys: slotKeysFor(doc.startAt, blockedUntil),
+            holdsSlot: !SLOT_RELEASING_STATUSES.includes(doc.status),
+          },
+        }
+      );
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // Overlaps an active appointment of the same doctor; resolve by hand and re-run
+      console.warn(`Skipping appointment ${doc._id}: overlaps another appointment of its doctor`);
+      skipped += 1;
+      continue;
+    }
+    migrated += 1;
+  }
+
+  console.log(`Migrated ${migrated} appointment(s), skipped ${skipped}.`);
+
+  // Replace the doctor/startAt slot index with the doctor/slotKeys one. Skipped overlapping
+  // appointments stay out of it until they are resolved by hand and the script is re-run.
+  await Appointment.syncIndexes();
+  console.log('Appointment indexes are in sync.');
+};
+
+run()
+  .catch((err) => {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,28 @@
+// backend/scripts/mock-payment-webhook.js
+// Development helper: settles a pending mock payment by sending the signed webhook
+// a real provider would send. The server must be running.
+// Usage: npm run mock:payment-webhook -- <providerRef> <succeeded|failed> [failure reason]
+
+const mockProvider = require('../payments/mockProvider'); // Mock provider (signs the webhook)
+
+const run = async () => {
+  const [providerRef, status, failureReason] = process.argv.slice(2);
+  if (!providerRef || !['succeeded', 'failed'].includes(status)) {
+    console.error('Usage: npm run mock:payment-webhook -- <providerRef> <succeeded|failed> [failure reason]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const body = JSON.stringify({ providerRef, status, failureReason });
+  const res = await fetch(`http://localhost:${process.env.PORT || 5000}/api/payments/webhook/mock`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', [mockProvider.SIGNATURE_HEADER]: mockProvider.sign(body) },
+    body,
+  });
+  console.log(`${res.status}: ${await res.text()}`);
+};
+
+run().catch((err) => {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -6,6 +6,10 @@ const express = require('express');        // Import Express.js framework
 const dotenv = require('dotenv');          // Import dotenv for environment variables
 const connectDB = require('./config/db');  // Import database connection function
 const cors = require('cors');              // Import cors for cross-origin requests
+const config = require('config');          // Import config for proxy settings
+const { startJobs } = require('./jobs');   // Import background job scheduler
+const { auditChanges } = require('./middleware/audit'); // Audit trail of every change made through the API
+const { notFound, errorHandler } = require('./middleware/errors'); // JSON replies for unmatched routes and errors
 
 // Load environment variables from .env file
 dotenv.config();
@@ -13,30 +17,50 @@ dotenv.config();
 // Connect to MongoDB database
 connectDB();
 
+// Start background jobs (e.g., expiring unanswered reschedule proposals)
+startJobs();
+
 // Initialize the Express application
 const app = express();
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For (used by per-IP rate limits)
+app.set('trust proxy', config.get('trustProxy'));
+
 // Middleware
 // Enable CORS for all origins (allows frontend to communicate with backend)
 app.use(cors());
-// Body parser middleware: allows Express to parse JSON data from request bodies
-app.use(express.json());
+// Body parser middleware: allows Express to parse JSON data from request bodies.
+// The raw bytes are kept as well, for verifying payment provider webhook signatures.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // Define API Routes
+// Every POST/PUT/PATCH/DELETE of the user-facing routes is written to the audit log
 // Authentication routes
-app.use('/api/auth', require('./routes/auth'));
+app.use('/api/auth', auditChanges, require('./routes/auth'));
 // Doctor-specific routes
-app.use('/api/doctor', require('./routes/doctor'));
+app.use('/api/doctor', auditChanges, require('./routes/doctor'));
 // Customer-specific routes
-app.use('/api/customer', require('./routes/customer'));
+app.use('/api/customer', auditChanges, require('./routes/customer'));
 // Admin-specific routes
-app.use('/api/admin', require('./routes/admin'));
+app.use('/api/admin', auditChanges, require('./routes/admin'));
+// Payment provider webhooks
+app.use('/api/payments', require('./routes/payments'));
+// Appointment documents (uploads and authorized downloads)
+app.use('/api/documents', auditChanges, require('./routes/documents'));
+// Doctor onboarding applications (licence verification)
+app.use('/api/doctor-applications', auditChanges, require('./routes/doctorApplications'));
+// Public prescription verification for pharmacies
+app.use('/api/prescriptions', require('./routes/prescriptions'));
 
 // Basic route for testing server status
 app.get('/', (req, res) => {
   res.send('API is running...');
 });
 
+// Anything else gets a JSON 404, and errors a JSON reply with a `msg`, like every route's own responses
+app.use(notFound);
+app.use(errorHandler);
+
 // Define the port the server will listen on
 const PORT = process.env.PORT || 5000;
 
@@ -0,0 +1,85 @@
+// backend/services/accountEmails.js
+// Account emails: verifying a new email address, resetting a forgotten password, unlocking
+// an account locked after too many failed logins and inviting a doctor's staff.
+// Links point at the frontend (`frontendBaseUrl`), which posts the token back to the API.
+
+const config = require('config'); // Import config to get the frontend address and token lifetimes
+const { sendMail } = require('../mail'); // Mail transports
+const { issueActionToken } = require('./actionTokens'); // Signed single-use tokens
+
+const linkTo = (param, token) => `${config.get('frontendBaseUrl')}/?${param}=${encodeURIComponent(token)}`;
+
+// Email a link that confirms the user owns their email address
+const sendVerificationEmail = async (user) => {
+  const token = await issueActionToken(user, 'email-verification');
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your DocSpot email address',
+    text: [
+      `Hello ${user.username},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      linkTo('verifyToken', token),
+      '',
+      `The link works once and expires in ${config.get('auth.emailVerificationTtlHours')} hours.`,
+      'You can book appointments once your address is verified.',
+    ].join('\n'),
+  });
+};
+
+// Email a link for choosing a new password
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueActionToken(user, 'password-reset');
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your DocSpot password',
+    text: [
+      `Hello ${user.username},`,
+      '',
+      'Someone asked to reset the password of your DocSpot account. To choose a new password, open this link:',
+      linkTo('resetToken', token),
+      '',
+      `The link works once and expires in ${config.get('auth.passwordResetTtlMinutes')} minutes.`,
+      'If you did not ask for this, you can ignore this email; your password stays the same.',
+    ].join('\n'),
+  });
+};
+
+// Email a link that unlocks an account locked after too many failed logins
+const sendUnlockEmail = async (user) => {
+  const token = await issueActionToken(user, 'account-unlock');
+  await sendMail({
+    to: user.email,
+    subject: 'Your DocSpot account was locked',
+    text: [
+      `Hello ${user.username},`,
+      '',
+      'Your DocSpot account was locked after too many failed login attempts.',
+      `It unlocks by itself at ${user.loginSecurity.lockedUntil.toUTCString()}. If it was you, you can unlock it now:`,
+      linkTo('unlockToken', token),
+      '',
+      'If it was not you, someone may be guessing your password. Consider resetting it with "Forgot your password?".',
+    ].join('\n'),
+  });
+};
+
+// Email a staff member invited by a doctor a link for choosing their password
+const sendStaffInviteEmail = async (staff, doctor) => {
+  const token = await issueActionToken(staff, 'staff-invite');
+  await sendMail({
+    to: staff.email,
+    subject: `Dr. ${doctor.username} invited you to DocSpot`,
+    text: [
+      `Hello ${staff.username},`,
+      '',
+      `Dr. ${doctor.username} invited you to manage their appointments on DocSpot.`,
+      'To accept, choose a password by opening this link:',
+      linkTo('inviteToken', token),
+      '',
+      `The link works once and expires in ${config.get('auth.staffInviteTtlHours')} hours.`,
+      `Then log in with your email address (${staff.email}) and the password you chose.`,
+    ].join('\n'),
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, sendUnlockEmail, sendStaffInviteEmail };
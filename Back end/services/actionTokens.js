@@ -0,0 +1,65 @@
+// backend/services/actionTokens.js
+// Signed, single-use, expiring tokens for emailed links (email verification, password reset,
+// unlocking an account after too many failed logins, accepting a staff invitation).
+// A token is a JWT naming its purpose and an ActionToken record; the signature and expiry are
+// checked first, then the record is atomically marked used so the same link never works twice.
+
+const mongoose = require('mongoose'); // Import Mongoose for ID validation
+const jwt = require('jsonwebtoken'); // JWT signing
+const config = require('config'); // Import config for token lifetimes and jwtSecret
+const ActionToken = require('../models/ActionToken'); // ActionToken model
+const User = require('../models/User'); // User model
+
+const INVALID_LINK = 'This link is invalid or has expired. Please request a new one.';
+
+// How long a token of each purpose stays valid, in seconds
+const LIFETIMES = {
+  'email-verification': () => config.get('auth.emailVerificationTtlHours') * 3600,
+  'password-reset': () => config.get('auth.passwordResetTtlMinutes') * 60,
+  'account-unlock': () => config.get('accountLockout.unlockLinkTtlHours') * 3600,
+  'staff-invite': () => config.get('auth.staffInviteTtlHours') * 3600,
+};
+const lifetimeOf = (purpose) => LIFETIMES[purpose]();
+
+// Create a token for a user. Unused tokens of the same purpose are discarded, so only the
+// most recently emailed link works.
+const issueActionToken = async (user, purpose) => {
+  await ActionToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const lifetime = lifetimeOf(purpose);
+  const record = await ActionToken.create({
+    user: user._id,
+    purpose,
+    expiresAt: new Date(Date.now() + lifetime * 1000),
+  });
+  return jwt.sign({ purpose, tid: String(record._id) }, config.get('jwtSecret'), { expiresIn: lifetime });
+};
+
+// Use up a token of the given purpose.
+// Returns { user } or { error } with a message suitable for a 400 response.
+const consumeActionToken = async (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), config.get('jwtSecret'));
+  } catch (err) {
+    return { error: INVALID_LINK }; // Bad signature, malformed or expired
+  }
+  // Other signed tokens (e.g., access tokens) carry no purpose and are refused here
+  if (payload.purpose !== purpose || !mongoose.isValidObjectId(payload.tid)) {
+    return { error: INVALID_LINK };
+  }
+
+  const record = await ActionToken.findOneAndUpdate(
+    { _id: payload.tid, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!record) {
+    return { error: 'This link has already been used or a newer one was sent. Please use the latest email.' };
+  }
+
+  const user = await User.findById(record.user);
+  return user ? { user } : { error: INVALID_LINK };
+};
+
+module.exports = { issueActionToken, consumeActionToken };
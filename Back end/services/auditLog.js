@@ -0,0 +1,143 @@
+// backend/services/auditLog.js
+// The audit trail: who did what to which record, from where, and what changed.
+// middleware/audit.js records an entry for each audited request once its response is sent. Routes
+// add details for that entry with auditActor() and auditChange(); without them the entry still
+// names the route, the requested path, the response status, the IP and the logged-in user.
+
+const mongoose = require('mongoose'); // Import Mongoose for ID validation
+const AuditLog = require('../models/AuditLog'); // AuditLog model
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+
+// Fields never copied into the trail (passwords, two-factor secrets, token hashes)
+const SECRET_FIELDS = ['password', 'secret', 'pendingSecret', 'backupCodeHashes', 'lastTimeStep', 'tokenHash', 'previousTokenHash'];
+// Bookkeeping fields left out of change lists
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+
+// Plain, JSON-safe copy of a document (or object) without secret fields
+const snapshotOf = (doc) => {
+  if (!doc) return null;
+  const plain = JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc));
+  const strip = (value) => {
+    if (Array.isArray(value)) return value.map(strip);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(
+      Object.entries(value).filter(([key]) => !SECRET_FIELDS.includes(key)).map(([key, inner]) => [key, strip(inner)])
+    );
+  };
+  return strip(plain);
+};
+
+// Top-level fields that differ between two snapshots, as { field: { from, to } }
+const diffOf = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+};
+
+const auditDetails = (res) => {
+  res.locals.audit = res.locals.audit || {};
+  return res.locals.audit;
+};
+
+// Name the user acting in a request made without an access token (e.g., logging in)
+const auditActor = (res, user) => {
+  auditDetails(res).actor = { id: String(user._id), role: user.role, username: user.username };
+};
+
+// Describe the record a request changed: `before` is a snapshot taken before the change (null for
+// new records), `after` the record once saved (null when it was deleted)
+const auditChange = (res, type, { before = null, after = null }) => {
+  const details = auditDetails(res);
+  const afterSnapshot = snapshotOf(after);
+  details.target = { type, id: String((afterSnapshot || before)._id) };
+  details.changes = diffOf(before, afterSnapshot);
+};
+
+// Write the entry of a finished request. `action` names the route.
+// Never throws: the response is already sent, so errors are logged instead.
+const recordAudit = async (req, res, action) => {
+  try {
+    const details = res.locals.audit || {};
+    const actor = details.actor || req.user;
+    const [firstParam] = Object.values(req.params || {});
+    await AuditLog.create({
+      actor: actor && mongoose.isValidObjectId(actor.id) ? actor.id : undefined,
+      actorName: actor ? actor.username : undefined,
+      actorRole: actor ? actor.role : undefined,
+      action,
+      path: req.originalUrl.split('?')[0],
+      target: details.target || (firstParam ? { id: String(firstParam) } : undefined),
+      changes: details.changes && Object.keys(details.changes).length > 0 ? details.changes : undefined,
+      status: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  } catch (err) {
+    console.error(`Audit log entry for ${action} failed: ${err.message}`);
+  }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// MongoDB filter for an audit log search: { q, actor, action, from, to } (all optional).
+// `q` matches the user name, action, path, target ID or IP; from/to are ISO dates or timestamps.
+// Returns { filter } or { error } with a message suitable for a 400 response.
+const auditFilterFor = ({ q, actor, action, from, to }) => {
+  const filter = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegex(String(q)), 'i');
+    filter.$or = [{ actorName: pattern }, { action: pattern }, { path: pattern }, { 'target.id': pattern }, { ip: pattern }];
+  }
+  if (actor) {
+    if (!mongoose.isValidObjectId(actor)) return { error: 'Unknown user.' };
+    filter.actor = actor;
+  }
+  if (action) {
+    filter.action = new RegExp(escapeRegex(String(action)), 'i');
+  }
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    if (Object.values(range).some((date) => Number.isNaN(date.getTime()))) {
+      return { error: 'Please provide valid from/to dates.' };
+    }
+    filter.at = range;
+  }
+  return { filter };
+};
+
+// One page of matching entries, newest first: { entries, total, page, pages }
+const searchAuditLog = async (filter, { page, limit }) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 25, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter).sort({ at: -1 }).skip((pageNumber - 1) * pageSize).limit(pageSize),
+    AuditLog.countDocuments(filter),
+  ]);
+  return { entries, total, page: pageNumber, pages: Math.ceil(total / pageSize) };
+};
+
+// Matching entries for an export, newest first (at most MAX_EXPORT_ROWS)
+const exportAuditLog = (filter) => AuditLog.find(filter).sort({ at: -1 }).limit(MAX_EXPORT_ROWS);
+
+module.exports = {
+  MAX_EXPORT_ROWS,
+  snapshotOf,
+  auditActor,
+  auditChange,
+  recordAudit,
+  auditFilterFor,
+  searchAuditLog,
+  exportAuditLog,
+};
@@ -0,0 +1,102 @@
+// backend/services/availability.js
+// Combines a doctor's weekly availability with existing bookings and waitlist holds to find free slots.
+
+const Appointment = require('../models/Appointment'); // Appointment model
+const WaitlistEntry = require('../models/WaitlistEntry'); // WaitlistEntry model
+const { generateSlots, addDays, addMinutes, timezoneOf } = require('../utils/slots'); // Slot generation helpers
+const { findVisitType } = require('../utils/visitTypes'); // Visit type catalog
+const { utcToZonedTime } = require('../utils/time'); // Timezone helpers
+
+const ALTERNATIVE_SEARCH_DAYS = 7; // How far around a taken slot to look for alternatives
+const ALTERNATIVE_COUNT = 3;       // How many alternatives to suggest
+
+// Busy periods ({ startAt, until }) of a doctor overlapping [from, to): active appointments
+// including their buffer time, and slots on hold for waitlisted customers.
+// `excludeAppointmentId` leaves one appointment out, e.g. the one being rescheduled.
+const getBusyPeriods = async (doctorId, from, to, excludeAppointmentId) => {
+  const booked = await Appointment.find({
+    doctor: doctorId,
+    holdsSlot: true,
+    startAt: { $lt: to },
+    blockedUntil: { $gt: from },
+    ...(excludeAppointmentId && { _id: { $ne: excludeAppointmentId } }),
+  }).select('startAt blockedUntil');
+
+  const held = await WaitlistEntry.find({
+    doctor: doctorId,
+    status: 'offered',
+    'offer.expiresAt': { $gt: new Date() },
+    'offer.startAt': { $lt: to },
+    'offer.until': { $gt: from },
+  }).select('offer');
+
+  return [
+    ...booked.map((appointment) => ({ startAt: appointment.startAt, until: appointment.blockedUntil })),
+    ...held.map((entry) => ({ startAt: entry.offer.startAt, until: entry.offer.until })),
+  ];
+};
+
+// True when the time from startAt until `until` overlaps an active appointment or a waitlist hold
+const isTimeTaken = async (doctorId, startAt, until, excludeAppointmentId) =>
+  (await getBusyPeriods(doctorId, startAt, until, excludeAppointmentId)).length > 0;
+
+// Get the free slots of a doctor between two local YYYY-MM-DD dates (inclusive) for a visit type
+// ({ durationMinutes, bufferMinutes }; defaults to the doctor's first visit type). A slot is free
+// when the visit and its buffer fit without overlapping other appointments or their buffers.
+const getFreeSlots = async (doctorProfile, from, to, { visitType = findVisitType(doctorProfile), excludeAppointmentId } = {}) => {
+  const slots = generateSlots(doctorProfile.availability, from, to, {
+    timeOff: doctorProfile.timeOff,
+    duration: visitType.durationMinutes,
+  });
+  if (slots.length === 0) return [];
+
+  const buffer = visitType.bufferMinutes || 0;
+  const busy = await getBusyPeriods(
+    doctorProfile.user,
+    slots[0].startAt,
+    addMinutes(slots[slots.length - 1].endAt, buffer),
+    excludeAppointmentId
+  );
+
+  return slots.filter((slot) => {
+    const until = addMinutes(slot.endAt, buffer);
+    return !busy.some((period) => slot.startAt < period.until && until > period.startAt);
+  });
+};
+
+// Options for getFreeSlots from a slot lookup query: either ?visitTypeId= for a new booking
+// (defaults to the doctor's first visit type), or ?appointmentId= to find times an existing
+// appointment of the doctor can move to. Returns null when the visit type or appointment is unknown.
+const slotOptionsFor = async (doctorProfile, { visitTypeId, appointmentId }) => {
+  if (appointmentId) {
+    const appointment = await Appointment.findOne({ _id: appointmentId, doctor: doctorProfile.user });
+    return appointment && { visitType: appointment.visitType, excludeAppointmentId: appointment._id };
+  }
+  const visitType = findVisitType(doctorProfile, visitTypeId);
+  return visitType && { visitType };
+};
+
+// Suggest the free slots closest to a requested start time, in chronological order.
+// Accepts the same options as getFreeSlots.
+const findAlternativeSlots = async (doctorProfile, startAt, options = {}, limit = ALTERNATIVE_COUNT) => {
+  const { date } = utcToZonedTime(startAt, timezoneOf(doctorProfile.availability));
+  const freeSlots = await getFreeSlots(
+    doctorProfile,
+    addDays(date, -ALTERNATIVE_SEARCH_DAYS),
+    addDays(date, ALTERNATIVE_SEARCH_DAYS),
+    options
+  );
+
+  const distance = (slot) => Math.abs(slot.startAt.getTime() - startAt.getTime());
+
+  return freeSlots
+    .sort((a, b) => distance(a) - distance(b))
+    .slice(0, limit)
+    .sort((a, b) => a.startAt - b.startAt);
+};
+
+// True when a save failed because another active appointment already occupies part of the time
+const isSlotConflictError = (err) =>
+  Boolean(err && err.code === 11000 && err.keyPattern && err.keyPattern.doctor && err.keyPattern.slotKeys);
+
+module.exports = { getFreeSlots, slotOptionsFor, findAlternativeSlots, isSlotConflictError, isTimeTaken };
@@ -0,0 +1,215 @@
+// backend/services/doctorApplications.js
+// Doctor onboarding: applicants submit licence details and documents, admins review them.
+// Applicants can edit and resubmit while the application is pending or more information was
+// requested; approval makes the doctor visible to patients, rejection is final.
+
+const crypto = require('crypto'); // Node crypto for storage keys
+const DoctorApplication = require('../models/DoctorApplication'); // DoctorApplication model
+const DoctorProfile = require('../models/DoctorProfile'); // DoctorProfile model
+const User = require('../models/User'); // User model
+const { getStorage } = require('../storage'); // Storage adapters
+const { detectFileType, extensionFor } = require('../utils/fileTypes'); // Content-based type checks
+
+const MAX_LICENCE_DOCUMENTS = 5;
+const MAX_QUALIFICATIONS = 10;
+const MAX_TEXT_LENGTH = 200;
+const FIRST_QUALIFICATION_YEAR = 1950;
+const LICENCE_NUMBER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9/. -]{2,49}$/;
+
+// Statuses in which the applicant may still change the application
+const EDITABLE_STATUSES = ['pending', 'info_requested'];
+
+// Review decisions an admin can make, and the status each one leads to
+const REVIEW_DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  request_info: 'info_requested',
+};
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '' && value.length <= MAX_TEXT_LENGTH;
+
+// Read the licence details sent by an applicant. `qualifications` may arrive as a JSON string,
+// since multipart forms carry text fields only.
+// Returns { licenceNumber, registrationCouncil, qualifications } or { error }.
+const parseApplicationDetails = ({ licenceNumber, registrationCouncil, qualifications }) => {
+  if (typeof licenceNumber !== 'string' || !LICENCE_NUMBER_PATTERN.test(licenceNumber.trim())) {
+    return { error: 'Please enter your medical licence number (3 to 50 letters, digits, / . or -).' };
+  }
+  if (!isText(registrationCouncil)) {
+    return { error: 'Please enter the council that issued your licence.' };
+  }
+
+  let list = qualifications;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (err) {
+      return { error: 'Qualifications must be a list.' };
+    }
+  }
+  if (!Array.isArray(list) || list.length === 0 || list.length > MAX_QUALIFICATIONS) {
+    return { error: `Please list between 1 and ${MAX_QUALIFICATIONS} qualifications.` };
+  }
+
+  const currentYear = new Date().getFullYear();
+  const parsed = [];
+  for (const qualification of list) {
+    const year = Number(qualification && qualification.year);
+    if (!qualification || !isText(qualification.degree) || !isText(qualification.institution)) {
+      return { error: 'Every qualification needs a degree and an institution.' };
+    }
+    if (!Number.isInteger(year) || year < FIRST_QUALIFICATION_YEAR || year > currentYear) {
+      return { error: `${qualification.degree}: the year must be between ${FIRST_QUALIFICATION_YEAR} and ${currentYear}.` };
+    }
+    parsed.push({ degree: qualification.degree.trim(), institution: qualification.institution.trim(), year });
+  }
+
+  return { licenceNumber: licenceNumber.trim(), registrationCouncil: registrationCouncil.trim(), qualifications: parsed };
+};
+
+// Create or update the application of a doctor ({ id } from the auth token) and submit it for review.
+// `files` are licence documents received by multer (memory storage), added to the ones already uploaded.
+// Returns { application } or { error } with a message suitable for a 400 response.
+const submitApplication = async (user, body, files = []) => {
+  let application = await DoctorApplication.findOne({ user: user.id });
+  if (application && !EDITABLE_STATUSES.includes(application.status)) {
+    return { error: `Your application has already been ${application.status}.` };
+  }
+
+  const { error, ...details } = parseApplicationDetails(body);
+  if (error) return { error };
+
+  const existingCount = application ? application.documents.length : 0;
+  if (existingCount + files.length === 0) {
+    return { error: 'Please upload a copy of your medical licence.' };
+  }
+  if (existingCount + files.length > MAX_LICENCE_DOCUMENTS) {
+    return { error: `You can upload at most ${MAX_LICENCE_DOCUMENTS} licence documents.` };
+  }
+
+  // Check every file before storing any
+  const checked = [];
+  for (const file of files) {
+    const mimeType = detectFileType(file.buffer);
+    if (!mimeType) {
+      return { error: `${file.originalname} is not a PDF, JPEG, PNG or WebP file.` };
+    }
+    checked.push({ file, mimeType });
+  }
+
+  const isResubmission = Boolean(application);
+  application = application || new DoctorApplication({ user: user.id });
+  Object.assign(application, details, { status: 'pending', submittedAt: new Date() });
+  application.history.push({
+    status: 'pending',
+    by: user.id,
+    byRole: 'doctor',
+    note: isResubmission ? 'Resubmitted' : 'Submitted',
+  });
+
+  const storage = getStorage();
+  const storedKeys = [];
+  try {
+    for (const { file, mimeType } of checked) {
+      const storageKey = `doctor-applications/${user.id}/${crypto.randomUUID()}${extensionFor(mimeType)}`;
+      await storage.save(storageKey, file.buffer);
+      storedKeys.push(storageKey);
+      application.documents.push({
+        originalName: file.originalname,
+        mimeType,
+        size: file.size,
+        storage: storage.name,
+        storageKey,
+      });
+    }
+    await application.save();
+    return { application };
+  } catch (err) {
+    // Leave no orphaned files behind
+    await Promise.all(storedKeys.map((key) => storage.remove(key).catch(() => {})));
+    throw err;
+  }
+};
+
+// Remove one licence document from an application that can still be edited.
+// Returns an error message, or null once the document is gone.
+const removeLicenceDocument = async (application, documentId) => {
+  if (!EDITABLE_STATUSES.includes(application.status)) {
+    return `Your application has already been ${application.status}.`;
+  }
+  const document = application.documents.id(documentId);
+  if (!document) {
+    return 'Document not found.';
+  }
+
+  await getStorage(document.storage).remove(document.storageKey);
+  application.documents.pull(document._id);
+  await application.save();
+  return null;
+};
+
+// Readable stream of a licence document's file
+const readLicenceDocument = (document) => getStorage(document.storage).read(document.storageKey);
+
+// Record an admin's decision on an application ({ decision: approve | reject | request_info, note }).
+// Rejections and information requests need a note for the applicant. Approving also approves the
+// doctor's account and profile, so they are listed to patients.
+// Returns an error message, or null if the decision was applied.
+const reviewApplication = async (application, { decision, note }, adminId) => {
+  const status = REVIEW_DECISIONS[decision];
+  if (!status) {
+    return `Decision must be one of: ${Object.keys(REVIEW_DECISIONS).join(', ')}.`;
+  }
+  if (!EDITABLE_STATUSES.includes(application.status)) {
+    return `This application has already been ${application.status}.`;
+  }
+  const reviewNote = typeof note === 'string' ? note.trim() : '';
+  if (decision !== 'approve' && !reviewNote) {
+    return decision === 'reject' ? 'Please give a reason for the rejection.' : 'Please describe the information you need.';
+  }
+  if (reviewNote.length > 1000) {
+    return 'The note can be at most 1000 characters.';
+  }
+
+  if (decision === 'approve') {
+    const user = await User.findById(application.user);
+    if (!user || user.role !== 'doctor') {
+      return 'The applicant no longer has a doctor account.';
+    }
+    user.isApproved = true;
+    await user.save();
+    await DoctorProfile.findOneAndUpdate(
+      { user: user._id },
+      { $set: { isApproved: true }, $setOnInsert: { specialty: 'Not specified' } },
+      { upsert: true }
+    );
+  }
+
+  application.status = status;
+  application.reviewNote = reviewNote || undefined;
+  application.reviewedAt = new Date();
+  application.history.push({ status, by: adminId, byRole: 'admin', note: reviewNote || undefined });
+  await application.save();
+  return null;
+};
+
+// Delete a doctor's application and its licence documents (used when their account is deleted)
+const deleteApplicationOf = async (userId) => {
+  const application = await DoctorApplication.findOne({ user: userId });
+  if (!application) return;
+  await Promise.all(application.documents.map((document) =>
+    getStorage(document.storage).remove(document.storageKey).catch(() => {})));
+  await application.deleteOne();
+};
+
+module.exports = {
+  MAX_LICENCE_DOCUMENTS,
+  MAX_QUALIFICATIONS,
+  MAX_TEXT_LENGTH,
+  REVIEW_DECISIONS,
+  submitApplication,
+  removeLicenceDocument,
+  readLicenceDocument,
+  reviewApplication,
+  deleteApplicationOf,
+};
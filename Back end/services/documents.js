@@ -0,0 +1,97 @@
+// backend/services/documents.js
+// Uploaded appointment documents: validating, storing and deleting files, and deciding who may see them.
+// The appointment's customer and doctor can access its documents, as can users with the `:any`
+// document permissions (admins).
+
+const crypto = require('crypto'); // Node crypto for storage keys
+const config = require('config'); // Import config to get the upload limits
+const Document = require('../models/Document'); // Document model
+const { getStorage } = require('../storage'); // Storage adapters
+const { detectFileType, extensionFor } = require('../utils/fileTypes'); // Content-based type checks
+const { canAccess } = require('../utils/permissions'); // Permission checks
+
+// Document fields included when listing an appointment's documents
+const DOCUMENT_FIELDS = ['originalName', 'mimeType', 'size', 'uploadedBy', 'createdAt'];
+
+// True when a user ({ id, role } from the auth token) may perform a document action ('document:read'
+// or 'document:upload') on an appointment's documents
+const canAccessAppointmentDocuments = (user, appointment, action = 'document:read') =>
+  canAccess(user, action, appointment.customer, appointment.doctor);
+
+// Validate and store files received for an appointment (multer memory-storage files) and link them to it.
+// Either every file is stored or none is.
+// Returns { documents } or { error } with a message suitable for a 400 response.
+const storeDocuments = async (appointment, user, files) => {
+  if (!files || files.length === 0) {
+    return { error: 'Please choose at least one file to upload.' };
+  }
+  const maxFiles = config.get('uploads.maxFilesPerAppointment');
+  if (appointment.documents.length + files.length > maxFiles) {
+    return { error: `An appointment can have at most ${maxFiles} documents.` };
+  }
+
+  // Check every file before storing any
+  const checked = [];
+  for (const file of files) {
+    const mimeType = detectFileType(file.buffer);
+    if (!mimeType) {
+      return { error: `${file.originalname} is not a PDF, JPEG, PNG or WebP file.` };
+    }
+    checked.push({ file, mimeType });
+  }
+
+  const storage = getStorage();
+  const stored = [];
+  try {
+    for (const { file, mimeType } of checked) {
+      const storageKey = `appointments/${appointment._id}/${crypto.randomUUID()}${extensionFor(mimeType)}`;
+      await storage.save(storageKey, file.buffer);
+      stored.push(new Document({
+        appointment: appointment._id,
+        uploadedBy: user.id,
+        originalName: file.originalname,
+        mimeType,
+        size: file.size,
+        storage: storage.name,
+        storageKey,
+      }));
+    }
+    const documents = await Document.insertMany(stored);
+    appointment.documents.push(...documents.map((document) => document._id));
+    await appointment.save();
+    return { documents };
+  } catch (err) {
+    // Leave no orphaned files or records behind
+    await Promise.all(stored.map((document) => storage.remove(document.storageKey).catch(() => {})));
+    await Document.deleteMany({ _id: { $in: stored.map((document) => document._id) } });
+    throw err;
+  }
+};
+
+// Readable stream of a document's file
+const readDocument = (document) => getStorage(document.storage).read(document.storageKey);
+
+// Delete a document's file and record, and unlink it from its appointment
+const deleteDocument = async (document, appointment) => {
+  await getStorage(document.storage).remove(document.storageKey);
+  await document.deleteOne();
+  appointment.documents.pull(document._id);
+  await appointment.save();
+};
+
+// Delete the files and records of every document of some appointments (before the appointments are deleted)
+const deleteAppointmentDocuments = async (appointmentIds) => {
+  const documents = await Document.find({ appointment: { $in: appointmentIds } });
+  await Promise.all(documents.map((document) =>
+    getStorage(document.storage).remove(document.storageKey).catch(() => {})));
+  await Document.deleteMany({ _id: { $in: documents.map((document) => document._id) } });
+};
+
+module.exports = {
+  DOCUMENT_FIELDS,
+  canAccessAppointmentDocuments,
+  storeDocuments,
+  readDocument,
+  deleteDocument,
+  deleteAppointmentDocuments,
+};
@@ -0,0 +1,104 @@
+// backend/services/healthProfiles.js
+// Customer health profiles and who may see them.
+// A doctor sees a patient's profile only while they have a care relationship: at least one
+// appointment between them that is active or took place (not rejected or cancelled).
+
+const HealthProfile = require('../models/HealthProfile'); // HealthProfile model
+const { isValidDate } = require('../utils/slots'); // Date validation
+const { STATUSES } = require('../utils/appointmentLifecycle'); // Appointment statuses
+
+// Appointment statuses that give the doctor access to the patient's profile
+const CARE_STATUSES = STATUSES.filter((status) => !['rejected', 'cancelled'].includes(status));
+
+const LIST_FIELDS = ['allergies', 'chronicConditions', 'currentMedications'];
+const CONTACT_FIELDS = ['name', 'relationship', 'phone'];
+const MAX_LIST_ENTRIES = 50;
+const MAX_TEXT_LENGTH = 200;
+
+const SEXES = HealthProfile.schema.path('sex').enumValues;
+const BLOOD_GROUPS = HealthProfile.schema.path('bloodGroup').enumValues;
+
+const isShortText = (value) => typeof value === 'string' && value.length <= MAX_TEXT_LENGTH;
+
+// Read a health profile sent by a customer. Empty values clear a field.
+// Returns { profile } with the fields to store, or { error } with a message suitable for a 400 response.
+const parseHealthProfile = (body) => {
+  const { dateOfBirth = '', sex = '', bloodGroup = '', emergencyContact = {} } = body;
+  const profile = {};
+
+  if (dateOfBirth) {
+    if (!isValidDate(dateOfBirth) || dateOfBirth > new Date().toISOString().slice(0, 10)) {
+      return { error: 'Please provide a valid date of birth (YYYY-MM-DD) that is not in the future.' };
+    }
+  }
+  profile.dateOfBirth = dateOfBirth || undefined;
+
+  if (sex && !SEXES.includes(sex)) {
+    return { error: `Sex must be one of: ${SEXES.join(', ')}.` };
+  }
+  profile.sex = sex || undefined;
+
+  if (bloodGroup && !BLOOD_GROUPS.includes(bloodGroup)) {
+    return { error: `Blood group must be one of: ${BLOOD_GROUPS.join(', ')}.` };
+  }
+  profile.bloodGroup = bloodGroup || undefined;
+
+  for (const field of LIST_FIELDS) {
+    const entries = body[field] === undefined ? [] : body[field];
+    if (!Array.isArray(entries) || entries.length > MAX_LIST_ENTRIES || !entries.every(isShortText)) {
+      return { error: `${field} must be a list of at most ${MAX_LIST_ENTRIES} entries of up to ${MAX_TEXT_LENGTH} characters.` };
+    }
+    profile[field] = entries.map((entry) => entry.trim()).filter(Boolean);
+  }
+
+  if (!emergencyContact || typeof emergencyContact !== 'object') {
+    return { error: 'Emergency contact must have a name, relationship and phone.' };
+  }
+  profile.emergencyContact = {};
+  for (const field of CONTACT_FIELDS) {
+    const value = emergencyContact[field] === undefined ? '' : emergencyContact[field];
+    if (!isShortText(value)) {
+      return { error: `Emergency contact ${field} must be text of at most ${MAX_TEXT_LENGTH} characters.` };
+    }
+    profile.emergencyContact[field] = value.trim();
+  }
+
+  return { profile };
+};
+
+// Create or replace a customer's health profile with parsed fields
+const saveHealthProfile = (userId, profile) =>
+  HealthProfile.findOneAndReplace(
+    { user: userId },
+    { ...profile, user: userId, updatedAt: new Date() },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+// Plain-object copies of a doctor's appointments, each with the patient's health profile
+// (`healthProfile`, null when the patient has none or the doctor may not see it)
+const withHealthProfiles = async (appointments) => {
+  const patientsInCare = new Set(
+    appointments
+      .filter((appointment) => appointment.customer && CARE_STATUSES.includes(appointment.status))
+      .map((appointment) => String(appointment.customer._id))
+  );
+  const profiles = await HealthProfile.find({ user: { $in: [...patientsInCare] } });
+  const profileOf = new Map(profiles.map((profile) => [String(profile.user), profile.toObject()]));
+
+  return appointments.map((appointment) => ({
+    ...appointment,
+    healthProfile: (appointment.customer && profileOf.get(String(appointment.customer._id))) || null,
+  }));
+};
+
+module.exports = {
+  SEXES,
+  BLOOD_GROUPS,
+  LIST_FIELDS,
+  CONTACT_FIELDS,
+  MAX_LIST_ENTRIES,
+  MAX_TEXT_LENGTH,
+  parseHealthProfile,
+  saveHealthProfile,
+  withHealthProfiles,
+};
@@ -0,0 +1,89 @@
+// backend/services/invoices.js
+// Issuing invoices for successful payments. Visit prices include tax; the invoice splits the
+// amount paid into the price before tax and the tax (configured under `invoices` in the config).
+
+const config = require('config'); // Import config to get the tax settings
+const Appointment = require('../models/Appointment'); // Appointment model
+const DoctorProfile = require('../models/DoctorProfile'); // DoctorProfile model
+const Invoice = require('../models/Invoice'); // Invoice model
+const Counter = require('../models/Counter'); // Sequence counters
+const Transaction = require('../models/Transaction'); // Transaction model
+const { utcToZonedTime } = require('../utils/time'); // Timezone helpers
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Format a sequence number as a document number (e.g., INV-000042)
+const formatNumber = (prefix, seq) => `${prefix}-${String(seq).padStart(6, '0')}`;
+
+// Issue the invoice for a successful payment transaction, or return the one already issued.
+const issueInvoice = async (payment) => {
+  const existing = await Invoice.findOne({ transaction: payment._id });
+  if (existing) return existing;
+
+  const appointment = await Appointment.findById(payment.appointment)
+    .populate('customer', ['username', 'email'])
+    .populate('doctor', ['username']);
+  const profile = await DoctorProfile.findOne({ user: appointment.doctor._id });
+
+  const { taxLabel, taxRatePercent } = config.get('invoices');
+  const subtotal = roundMoney((payment.amount * 100) / (100 + taxRatePercent));
+  const { date, time } = utcToZonedTime(appointment.startAt, appointment.timezone);
+
+  // Numbers are taken only once everything else is known, to keep gaps unlikely
+  const number = formatNumber('INV', await Counter.next('invoice'));
+  const receiptNumber = formatNumber('RCT', await Counter.next('receipt'));
+
+  try {
+    return await Invoice.create({
+      number,
+      receiptNumber,
+      appointment: appointment._id,
+      transaction: payment._id,
+      customer: appointment.customer._id,
+      billedTo: { name: appointment.customer.username, email: appointment.customer.email },
+      issuer: {
+        doctorName: `Dr. ${appointment.doctor.username}`,
+        specialty: profile && profile.specialty,
+        clinicName: profile && profile.clinicName,
+        address: profile && profile.address,
+        phone: profile && profile.phone,
+      },
+      lineItems: [{
+        description: `${appointment.visitType.name} (${appointment.visitType.durationMinutes} min) on ${date} at ${time} (${appointment.timezone})`,
+        quantity: 1,
+        unitPrice: subtotal,
+        amount: subtotal,
+      }],
+      subtotal,
+      taxLabel,
+      taxRatePercent,
+      taxAmount: roundMoney(payment.amount - subtotal),
+      total: payment.amount,
+      currency: payment.currency,
+      payment: {
+        method: payment.method,
+        provider: payment.provider,
+        providerRef: payment.providerRef,
+        paidAt: payment.updatedAt,
+      },
+    });
+  } catch (err) {
+    // Issued concurrently for the same payment
+    if (err.code === 11000 && err.keyPattern && err.keyPattern.transaction) {
+      return Invoice.findOne({ transaction: payment._id });
+    }
+    throw err;
+  }
+};
+
+// The invoice of an appointment, issued now if its payment succeeded without one.
+// Returns null when the appointment has no successful payment.
+const findInvoiceForAppointment = async (appointment) => {
+  const invoice = await Invoice.findOne({ appointment: appointment._id });
+  if (invoice) return invoice;
+
+  const payment = await Transaction.findOne({ appointment: appointment._id, type: 'payment', status: 'succeeded' });
+  return payment ? issueInvoice(payment) : null;
+};
+
+module.exports = { issueInvoice, findInvoiceForAppointment };
@@ -0,0 +1,81 @@
+// backend/services/loginProtection.js
+// Per-account brute-force protection for logins. After a few failed attempts (wrong password or
+// two-factor code) each further attempt must wait longer (1s, 2s, 4s, ... up to a maximum); after
+// `accountLockout.lockAfterFailures` failures the account is locked for a while and its owner is
+// emailed a link to unlock it. Per-IP and per-account request limits live in middleware/rateLimit.js.
+
+const config = require('config'); // Import config to get the lockout settings
+const User = require('../models/User'); // User model
+const { sendUnlockEmail } = require('./accountEmails'); // Account emails
+
+// Seconds to wait after the last failure before the next attempt is allowed
+const delayAfter = (failedAttempts) => {
+  const { delayAfterFailures, maxDelaySeconds } = config.get('accountLockout');
+  if (failedAttempts < delayAfterFailures) return 0;
+  return Math.min(2 ** (failedAttempts - delayAfterFailures), maxDelaySeconds);
+};
+
+const isLocked = (user, now = Date.now()) =>
+  Boolean(user.loginSecurity.lockedUntil && user.loginSecurity.lockedUntil.getTime() > now);
+
+// Whether a login attempt for an account may be checked now. Called before the password is
+// compared, so a locked account cannot be guessed at all.
+// Returns null, or { status, msg, retryAfterSeconds } for the response (423 locked, 429 too soon).
+const checkLoginAllowed = (user) => {
+  const now = Date.now();
+  const { failedAttempts, lastFailedAt, lockedUntil } = user.loginSecurity;
+
+  if (isLocked(user, now)) {
+    return {
+      status: 423,
+      retryAfterSeconds: Math.ceil((lockedUntil.getTime() - now) / 1000),
+      msg: `This account is locked after too many failed logins until ${lockedUntil.toUTCString()}. `
+        + 'Use the link we emailed you to unlock it sooner.',
+    };
+  }
+
+  const readyAt = lastFailedAt ? lastFailedAt.getTime() + delayAfter(failedAttempts) * 1000 : 0;
+  if (readyAt > now) {
+    const retryAfterSeconds = Math.ceil((readyAt - now) / 1000);
+    return {
+      status: 429,
+      retryAfterSeconds,
+      msg: `Too many failed attempts. Please wait ${retryAfterSeconds} second(s) before trying again.`,
+    };
+  }
+  return null;
+};
+
+// Count a failed attempt; locks the account (and emails an unlock link) once the limit is reached.
+// Failures keep counting after a lock ends, so a single further failure locks it again.
+const recordLoginFailure = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': new Date() } },
+    { new: true }
+  );
+  const { lockAfterFailures, lockMinutes } = config.get('accountLockout');
+  if (!updated || updated.loginSecurity.failedAttempts < lockAfterFailures || isLocked(updated)) {
+    return;
+  }
+
+  updated.loginSecurity.lockedUntil = new Date(Date.now() + lockMinutes * 60000);
+  await updated.save();
+  try {
+    await sendUnlockEmail(updated);
+  } catch (err) {
+    console.error(`Unlock email to ${updated.email} failed: ${err.message}`);
+  }
+};
+
+// Clear failed attempts and any lock: after a successful login, an unlock link, a password reset
+// or an admin unlocking the account
+const clearLoginFailures = async (user) => {
+  if (!user.loginSecurity.failedAttempts && !user.loginSecurity.lockedUntil) return;
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'loginSecurity.failedAttempts': 0 }, $unset: { 'loginSecurity.lastFailedAt': 1, 'loginSecurity.lockedUntil': 1 } }
+  );
+};
+
+module.exports = { isLocked, checkLoginAllowed, recordLoginFailure, clearLoginFailures };
@@ -0,0 +1,283 @@
+// backend/services/payments.js
+// Paying for appointments through the configured payment provider (see payments/index.js),
+// and refunding them under the cancellation policy (see utils/cancellationPolicy.js).
+// Each attempt is stored as a Transaction keyed by the client's idempotency key: repeating a
+// request with the same key returns the original attempt instead of charging again.
+
+const config = require('config'); // Import config to get the currency
+const Appointment = require('../models/Appointment'); // Appointment model
+const Transaction = require('../models/Transaction'); // Transaction model
+const { getProvider } = require('../payments'); // Payment provider registry
+const { applyTransition } = require('../utils/appointmentLifecycle'); // Status rules
+const { REFUNDABLE_STATUSES, refundPercentFor, refundAmount } = require('../utils/cancellationPolicy'); // Refund rules
+const { issueInvoice } = require('./invoices'); // Invoices for successful payments
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\w-]{8,128}$/; // e.g., a UUID generated by the client
+const PAYABLE_STATUSES = ['pending', 'scheduled']; // Appointment statuses that can still be paid for
+const PROVIDER_STATUSES = ['pending', 'succeeded', 'failed']; // Statuses a provider may report
+const FINAL_STATUSES = ['succeeded', 'failed']; // Transaction statuses that never change again
+// A transaction stuck in 'created' this long (e.g., the server stopped mid-call) no longer blocks new attempts
+const STALE_ATTEMPT_MS = 10 * 60 * 1000;
+const MAX_REFUND_ATTEMPTS = 5; // Refund attempts per payment before retrying stops
+const REFUND_RETRY_DELAY_MS = 60 * 60 * 1000; // Wait after a failed refund attempt before the next one
+
+// Appointment payment status for each payment transaction status
+const PAYMENT_STATUS_FOR = { pending: 'processing', succeeded: 'paid', failed: 'failed' };
+// Appointment payment statuses after the money has arrived
+const SETTLED_PAYMENT_STATUSES = ['paid', 'refunded', 'partially_refunded'];
+
+const isValidIdempotencyKey = (key) => typeof key === 'string' && IDEMPOTENCY_KEY_PATTERN.test(key);
+
+// Add a completed refund to its appointment's refunded total and payment status
+const applyRefund = async (refund) => {
+  const appointment = await Appointment.findById(refund.appointment);
+  const payment = await Transaction.findById(refund.refundOf);
+  if (!appointment || !payment) return;
+
+  appointment.refundedAmount = Math.round((appointment.refundedAmount + refund.amount) * 100) / 100;
+  appointment.paymentStatus = appointment.refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded';
+  await appointment.save();
+};
+
+// Record a status reported for a transaction and update its appointment accordingly.
+// Transactions that already succeeded or failed are left alone, so duplicate webhooks are harmless.
+const applyTransactionStatus = async (transaction, { status, failureReason }, source) => {
+  if (FINAL_STATUSES.includes(transaction.status)) return;
+
+  transaction.status = status;
+  transaction.failureReason = failureReason;
+  transaction.events.push({ status, source, reason: failureReason });
+  await transaction.save();
+
+  if (transaction.type === 'refund') {
+    if (status === 'succeeded') await applyRefund(transaction);
+    return;
+  }
+
+  if (status === 'succeeded') {
+    try {
+      await issueInvoice(transaction);
+    } catch (err) {
+      // The invoice is issued on first download instead
+      console.error('Could not issue invoice:', err.message);
+    }
+  }
+
+  const appointment = await Appointment.findById(transaction.appointment);
+  if (!appointment || SETTLED_PAYMENT_STATUSES.includes(appointment.paymentStatus)) return;
+
+  appointment.paymentStatus = PAYMENT_STATUS_FOR[status];
+  // A paid request no longer needs the doctor's confirmation
+  if (status === 'succeeded' && appointment.status === 'pending') {
+    applyTransition(appointment, 'scheduled', { id: transaction.customer, role: 'customer' }, 'Payment received');
+  }
+  await appointment.save();
+
+  // Money that arrives after the appointment was called off goes straight back in full
+  if (status === 'succeeded' && REFUNDABLE_STATUSES.includes(appointment.status)) {
+    await refundPerPolicy(appointment, { percent: 100 });
+  }
+};
+
+// Pay for an appointment of a customer. `details` holds the payment method, the idempotency key
+// and provider-specific fields (e.g., mockOutcome).
+// Returns { transaction, replayed } or { error } with a message suitable for a 400 response.
+const payForAppointment = async (appointment, customerId, { method, idempotencyKey, ...details }) => {
+  if (!isValidIdempotencyKey(idempotencyKey)) {
+    return { error: 'A valid Idempotency-Key header is required.' };
+  }
+
+  // A retried request: report the original attempt instead of paying again
+  const existing = await Transaction.findOne({ customer: customerId, idempotencyKey });
+  if (existing) {
+    if (!existing.appointment.equals(appointment._id)) {
+      return { error: 'This idempotency key was already used for another payment.' };
+    }
+    return { transaction: existing, replayed: true };
+  }
+
+  if (!PAYABLE_STATUSES.includes(appointment.status)) {
+    return { error: `Cannot pay for an appointment with status: ${appointment.status}` };
+  }
+  if (appointment.paymentStatus === 'paid') {
+    return { error: 'Payment has already been made for this appointment.' };
+  }
+  const inFlight = await Transaction.exists({
+    appointment: appointment._id,
+    $or: [
+      { status: 'pending' },
+      { status: 'created', createdAt: { $gt: new Date(Date.now() - STALE_ATTEMPT_MS) } },
+    ],
+  });
+  if (inFlight) {
+    return { error: 'A payment for this appointment is still being processed.' };
+  }
+
+  const provider = getProvider();
+  let transaction;
+  try {
+    transaction = await Transaction.create({
+      appointment: appointment._id,
+      customer: customerId,
+      idempotencyKey,
+      provider: provider.name,
+      // Charge the price agreed at booking time, even if the doctor has changed it since
+      amount: appointment.visitType.price,
+      currency: config.get('currency'),
+      method,
+    });
+  } catch (err) {
+    // The same request arrived twice at once: the other copy created the transaction
+    if (err.code === 11000) {
+      return payForAppointment(appointment, customerId, { method, idempotencyKey, ...details });
+    }
+    throw err;
+  }
+
+  let result;
+  try {
+    const { providerRef } = await provider.createIntent({
+      amount: transaction.amount,
+      currency: transaction.currency,
+      method,
+      idempotencyKey,
+      metadata: { appointmentId: appointment._id.toString(), transactionId: transaction._id.toString() },
+    });
+    transaction.providerRef = providerRef;
+    result = await provider.confirmIntent(providerRef, { method, ...details });
+  } catch (err) {
+    console.error(`Payment provider ${provider.name} error: ${err.message}`);
+    result = { status: 'failed', failureReason: 'The payment provider could not process the payment.' };
+  }
+
+  await applyTransactionStatus(transaction, result, 'api');
+  return { transaction, replayed: false };
+};
+
+// The successful payment of an appointment, if any
+const findPayment = (appointment) =>
+  Transaction.findOne({ appointment: appointment._id, type: 'payment', status: 'succeeded' });
+
+// What a customer would get back for cancelling an appointment now: { percent, amount, currency }
+const quoteCancellationRefund = async (appointment, at = new Date()) => {
+  const percent = refundPercentFor(appointment, 'cancelled', 'customer', at);
+  const payment = appointment.paymentStatus === 'paid' ? await findPayment(appointment) : null;
+  return {
+    percent,
+    amount: payment ? refundAmount(payment.amount, percent) : 0,
+    currency: payment ? payment.currency : config.get('currency'),
+  };
+};
+
+// Refund a paid appointment that ended without taking place (cancelled, rejected, no-show) as the
+// cancellation policy says for its last status change; `percent` overrides the policy.
+// Call it after saving the status change. At most one refund is made per payment; a refund the
+// provider rejected does not count, and the background job retries it (see retryFailedRefunds).
+// Never throws: the status change is already saved, so errors are logged instead.
+// Returns the refund transaction, or null when nothing is refunded.
+const refundPerPolicy = async (appointment, { percent } = {}) => {
+  try {
+    if (appointment.paymentStatus !== 'paid' || !REFUNDABLE_STATUSES.includes(appointment.status)) return null;
+
+    const payment = await findPayment(appointment);
+    if (!payment) return null;
+
+    const change = appointment.statusHistory[appointment.statusHistory.length - 1];
+    const refundPercent = percent ?? refundPercentFor(
+      appointment, appointment.status, change ? change.byRole : 'system', change ? change.at : new Date()
+    );
+    const amount = refundAmount(payment.amount, refundPercent);
+    if (amount <= 0) return null;
+
+    // One refund per payment: return one made or in progress; failed ones are only kept on record
+    const attempts = await Transaction.find({ type: 'refund', refundOf: payment._id });
+    const existing = attempts.find((attempt) => attempt.status !== 'failed');
+    if (existing) return existing;
+    // A key per attempt (the provider must not replay the failed one); concurrent calls derive the
+    // same key, so the unique index lets only one of them through
+    const idempotencyKey = attempts.length === 0 ? `refund-${payment._id}` : `refund-${payment._id}-${attempts.length + 1}`;
+
+    const provider = getProvider(payment.provider);
+    const refund = await Transaction.create({
+      appointment: appointment._id,
+      customer: payment.customer,
+      type: 'refund',
+      refundOf: payment._id,
+      refundPercent,
+      idempotencyKey,
+      provider: provider.name,
+      amount,
+      currency: payment.currency,
+      method: payment.method,
+    });
+
+    let result;
+    try {
+      result = await provider.refund(payment.providerRef, { amount, currency: payment.currency, idempotencyKey });
+      refund.providerRef = result.providerRef;
+    } catch (err) {
+      console.error(`Payment provider ${provider.name} refund error: ${err.message}`);
+      result = { status: 'failed', failureReason: 'The payment provider could not process the refund.' };
+    }
+
+    await applyTransactionStatus(refund, result, 'api');
+    return refund;
+  } catch (err) {
+    console.error('Could not refund appointment:', err.message);
+    return null;
+  }
+};
+
+// Retry refunds the provider rejected: payments whose refund attempts all failed get a new attempt
+// once the last one is REFUND_RETRY_DELAY_MS old, up to MAX_REFUND_ATTEMPTS attempts in total.
+// The refund percentage of the first attempt is kept. Used by the background job.
+// Returns the number of refunds retried.
+const retryFailedRefunds = async (now = new Date()) => {
+  const due = await Transaction.aggregate([
+    { $match: { type: 'refund' } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$refundOf',
+        appointment: { $first: '$appointment' },
+        refundPercent: { $first: '$refundPercent' },
+        attempts: { $sum: 1 },
+        notFailed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 0, 1] } },
+        lastAttemptAt: { $max: '$createdAt' },
+      },
+    },
+    {
+      $match: {
+        notFailed: 0,
+        attempts: { $lt: MAX_REFUND_ATTEMPTS },
+        lastAttemptAt: { $lte: new Date(now.getTime() - REFUND_RETRY_DELAY_MS) },
+      },
+    },
+  ]);
+
+  let retried = 0;
+  for (const { appointment: appointmentId, refundPercent } of due) {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) continue;
+    if (await refundPerPolicy(appointment, { percent: refundPercent })) retried += 1;
+  }
+  return retried;
+};
+
+// Apply a verified webhook event of a provider to its transaction.
+// Returns an error message, or null when the event was applied (or was a harmless duplicate).
+const handleWebhookEvent = async (provider, { providerRef, status, failureReason }) => {
+  if (!PROVIDER_STATUSES.includes(status)) {
+    return `Unknown payment status: ${status}`;
+  }
+
+  const transaction = await Transaction.findOne({ provider: provider.name, providerRef });
+  if (!transaction) {
+    return 'Transaction not found.';
+  }
+
+  await applyTransactionStatus(transaction, { status, failureReason }, 'webhook');
+  return null;
+};
+
+module.exports = { payForAppointment, quoteCancellationRefund, refundPerPolicy, retryFailedRefunds, handleWebhookEvent };
@@ -0,0 +1,145 @@
+// backend/services/prescriptions.js
+// Electronic prescriptions issued from completed appointments.
+// Each prescription is signed with an HMAC over its contents using the server's signing secret.
+// Pharmacies look it up by the verification code printed on the PDF; the signature is checked
+// again on every lookup, so a record altered in the database no longer verifies.
+
+const crypto = require('crypto'); // Node crypto for codes and signatures
+const config = require('config'); // Import config to get the signing secret
+const DoctorProfile = require('../models/DoctorProfile'); // DoctorProfile model
+const Prescription = require('../models/Prescription'); // Prescription model
+
+const ITEM_FIELDS = ['medication', 'dose', 'frequency', 'duration', 'instructions'];
+const REQUIRED_ITEM_FIELDS = ['medication', 'dose', 'frequency', 'duration'];
+const MAX_ITEMS = 20;
+const MAX_FIELD_LENGTH = 500;
+const MAX_NOTES_LENGTH = 2000;
+// Unambiguous characters for verification codes (no 0/O, 1/I/L)
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+
+// Random verification code such as 7KQ2-MX9D-P4TA (about 59 bits, not guessable)
+const generateVerificationCode = () =>
+  Array.from({ length: CODE_GROUPS }, () =>
+    Array.from({ length: CODE_GROUP_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('')
+  ).join('-');
+
+// Normalize a code typed by a pharmacist (case, spaces, missing dashes)
+const normalizeCode = (code) => {
+  const compact = String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+  return compact.match(new RegExp(`.{1,${CODE_GROUP_LENGTH}}`, 'g'))?.join('-') || '';
+};
+
+// The signed contents of a prescription, in a fixed order
+const canonicalContent = (prescription) => JSON.stringify({
+  appointment: String(prescription.appointment),
+  doctor: String(prescription.doctor),
+  customer: String(prescription.customer),
+  prescriber: prescription.prescriber.name,
+  patient: prescription.patient.name,
+  items: prescription.items.map((item) => ITEM_FIELDS.map((field) => item[field] || '')),
+  notes: prescription.notes || '',
+  verificationCode: prescription.verificationCode,
+  issuedAt: new Date(prescription.issuedAt).toISOString(),
+});
+
+const sign = (prescription) =>
+  crypto.createHmac('sha256', config.get('prescriptions.signingSecret')).update(canonicalContent(prescription)).digest('hex');
+
+// True when a prescription's signature matches its contents
+const hasValidSignature = (prescription) => {
+  const expected = Buffer.from(sign(prescription), 'hex');
+  const actual = Buffer.from(prescription.signature, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Read and validate the medications and notes sent by a doctor.
+// Returns { items, notes } or { error }.
+const parsePrescriptionBody = ({ items, notes = '' }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Please add at least one medication.' };
+  }
+  if (items.length > MAX_ITEMS) {
+    return { error: `A prescription can list at most ${MAX_ITEMS} medications.` };
+  }
+
+  const parsed = [];
+  for (const [index, item] of items.entries()) {
+    const entry = {};
+    for (const field of ITEM_FIELDS) {
+      const value = item && item[field] !== undefined ? item[field] : '';
+      if (typeof value !== 'string' || value.length > MAX_FIELD_LENGTH) {
+        return { error: `Medication ${index + 1}: ${field} must be text of at most ${MAX_FIELD_LENGTH} characters.` };
+      }
+      entry[field] = value.trim();
+    }
+    const missing = REQUIRED_ITEM_FIELDS.find((field) => !entry[field]);
+    if (missing) {
+      return { error: `Medication ${index + 1}: please fill in the ${missing}.` };
+    }
+    parsed.push(entry);
+  }
+
+  if (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH) {
+    return { error: `Notes must be text of at most ${MAX_NOTES_LENGTH} characters.` };
+  }
+  return { items: parsed, notes: notes.trim() };
+};
+
+// Issue a signed prescription for a completed appointment (populated with customer and doctor names).
+// Returns { prescription } or { error } with a message suitable for a 400 response.
+const issuePrescription = async (appointment, body) => {
+  if (appointment.status !== 'completed') {
+    return { error: 'Prescriptions can only be issued for completed appointments.' };
+  }
+
+  const { items, notes, error } = parsePrescriptionBody(body);
+  if (error) return { error };
+
+  const profile = await DoctorProfile.findOne({ user: appointment.doctor._id });
+  const prescription = new Prescription({
+    appointment: appointment._id,
+    doctor: appointment.doctor._id,
+    customer: appointment.customer._id,
+    prescriber: {
+      name: `Dr. ${appointment.doctor.username}`,
+      specialty: profile && profile.specialty,
+      clinicName: profile && profile.clinicName,
+      address: profile && profile.address,
+      phone: profile && profile.phone,
+    },
+    patient: { name: appointment.customer.username },
+    items,
+    notes,
+    verificationCode: generateVerificationCode(),
+    issuedAt: new Date(),
+  });
+  prescription.signature = sign(prescription);
+  await prescription.save();
+  return { prescription };
+};
+
+// Look up a prescription by its verification code for a pharmacy.
+// Returns null for unknown codes, otherwise { valid, prescription } where valid is false if the
+// stored record no longer matches its signature.
+const verifyPrescription = async (code) => {
+  const prescription = await Prescription.findOne({ verificationCode: normalizeCode(code) });
+  if (!prescription) return null;
+  return { valid: hasValidSignature(prescription), prescription };
+};
+
+// URL a pharmacy can open to verify a prescription
+const verificationUrl = (prescription) =>
+  `${config.get('prescriptions.verifyBaseUrl')}/${prescription.verificationCode}`;
+
+module.exports = {
+  ITEM_FIELDS,
+  REQUIRED_ITEM_FIELDS,
+  MAX_ITEMS,
+  MAX_FIELD_LENGTH,
+  MAX_NOTES_LENGTH,
+  issuePrescription,
+  verifyPrescription,
+  verificationUrl,
+};
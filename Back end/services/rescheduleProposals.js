@@ -0,0 +1,152 @@
+// backend/services/rescheduleProposals.js
+// Reschedule proposals: one party (doctor or customer) offers alternative start times for an
+// appointment and the other party accepts one of them or declines. Until then the appointment
+// keeps its original slot. Proposals that are not answered in time expire, after which the
+// original slot simply stays booked, or the appointment is cancelled if the proposer asked for that.
+
+const Appointment = require('../models/Appointment'); // Appointment model
+const { isBookableSlot, addMinutes } = require('../utils/slots'); // Slot helpers
+const { parseInstant } = require('../utils/time'); // Timestamp parsing
+const { applyTransition } = require('../utils/appointmentLifecycle'); // Status rules
+const { isTimeTaken } = require('./availability'); // Busy time lookup
+const { offerVacatedSlot } = require('./waitlist'); // Waitlist offers for freed slots
+const { refundPerPolicy } = require('./payments'); // Refunds for cancelled paid visits
+
+const MAX_PROPOSED_SLOTS = 5;
+const DEFAULT_EXPIRY_HOURS = 48;
+const MAX_EXPIRY_HOURS = 7 * 24;
+const EXPIRY_ACTIONS = ['keep', 'cancel']; // keep = original slot stays booked, cancel = appointment is cancelled
+
+// Statuses in which an appointment may still be moved to another time
+const RESCHEDULABLE_STATUSES = ['pending', 'scheduled'];
+
+// The party a role proposes and responds for: staff act on behalf of the doctor they work for
+const PARTY_OF_ROLE = { customer: 'customer', doctor: 'doctor', staff: 'doctor' };
+
+const hasOpenProposal = (appointment) =>
+  Boolean(appointment.rescheduleProposal && appointment.rescheduleProposal.status === 'open');
+
+// Start a proposal on an appointment. `actor` is { id, role } with role 'doctor', 'staff' or 'customer'.
+// Proposed times must be free slots of the doctor. Does not save the appointment.
+// Returns an error message, or null if the proposal was added.
+const createProposal = async (appointment, doctorProfile, actor, { slots, message, expiresInHours, onExpiry }) => {
+  if (!RESCHEDULABLE_STATUSES.includes(appointment.status)) {
+    return `Cannot reschedule an appointment that is ${appointment.status}.`;
+  }
+  if (hasOpenProposal(appointment)) {
+    return 'This appointment already has an open reschedule proposal.';
+  }
+  if (!Array.isArray(slots) || slots.length === 0 || slots.length > MAX_PROPOSED_SLOTS) {
+    return `Please propose between 1 and ${MAX_PROPOSED_SLOTS} alternative times.`;
+  }
+
+  const hours = expiresInHours === undefined ? DEFAULT_EXPIRY_HOURS : expiresInHours;
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_EXPIRY_HOURS) {
+    return `Proposals must expire within 1 to ${MAX_EXPIRY_HOURS} hours.`;
+  }
+  const expiryAction = onExpiry || 'keep';
+  if (!EXPIRY_ACTIONS.includes(expiryAction)) {
+    return `onExpiry must be one of: ${EXPIRY_ACTIONS.join(', ')}.`;
+  }
+
+  // Proposed times must fit the appointment's visit type (length plus buffer)
+  const { durationMinutes, bufferMinutes } = appointment.visitType;
+  const starts = slots.map(parseInstant);
+  const options = { timeOff: doctorProfile.timeOff, duration: durationMinutes };
+  if (starts.some((startAt) => !startAt || !isBookableSlot(doctorProfile.availability, startAt, options))) {
+    return 'Every proposed time must be one of the doctor\'s available slots.';
+  }
+
+  // Leave out times that another active appointment or a waitlist hold already occupies
+  for (const startAt of starts) {
+    if (await isTimeTaken(appointment.doctor, startAt, addMinutes(startAt, durationMinutes + bufferMinutes), appointment._id)) {
+      return 'One of the proposed times is already booked. Please pick free slots.';
+    }
+  }
+
+  appointment.rescheduleProposal = {
+    proposedBy: actor.id,
+    proposedByRole: PARTY_OF_ROLE[actor.role],
+    slots: starts.map((startAt) => ({ startAt, endAt: addMinutes(startAt, durationMinutes) })),
+    message,
+    expiresAt: addMinutes(new Date(), hours * 60),
+    onExpiry: expiryAction,
+    status: 'open',
+    createdAt: new Date(),
+  };
+  return null;
+};
+
+// Mark an open, overdue proposal as expired and apply its expiry action. Does not save.
+// The cancellation is recorded as the proposer's, who asked for it: the cancellation policy then
+// refunds a customer's expired proposal like any other customer cancellation at that time.
+const expireProposal = (appointment) => {
+  const proposal = appointment.rescheduleProposal;
+  proposal.status = 'expired';
+  proposal.respondedAt = new Date();
+  if (proposal.onExpiry === 'cancel') {
+    const proposer = { id: proposal.proposedBy, role: proposal.proposedByRole };
+    applyTransition(appointment, 'cancelled', proposer, 'Reschedule proposal expired');
+  }
+};
+
+// Accept or decline the open proposal on an appointment. Only the other party may respond,
+// and accepting requires picking one of the proposed start times. Does not save the appointment.
+// Returns an error message, or null if the response was applied.
+const respondToProposal = (appointment, actor, { accept, startAt }) => {
+  const proposal = appointment.rescheduleProposal;
+
+  if (!hasOpenProposal(appointment)) {
+    return 'There is no open reschedule proposal for this appointment.';
+  }
+  if (proposal.expiresAt <= new Date()) {
+    expireProposal(appointment);
+    return 'This reschedule proposal has expired.';
+  }
+
+  const isWithdrawal = proposal.proposedByRole === PARTY_OF_ROLE[actor.role];
+  if (isWithdrawal && accept) {
+    return 'You cannot accept your own proposal.';
+  }
+
+  if (accept) {
+    const chosen = parseInstant(startAt);
+    const slot = chosen && proposal.slots.find((s) => s.startAt.getTime() === chosen.getTime());
+    if (!slot) {
+      return 'Please pick one of the proposed times.';
+    }
+    appointment.startAt = slot.startAt;
+    appointment.endAt = slot.endAt;
+  }
+
+  proposal.status = accept ? 'accepted' : isWithdrawal ? 'withdrawn' : 'declined';
+  proposal.respondedBy = actor.id;
+  proposal.respondedAt = new Date();
+  return null;
+};
+
+// Expire every open proposal whose deadline has passed. Used by the background job.
+const expireOverdueProposals = async (now = new Date()) => {
+  const overdue = await Appointment.find({
+    'rescheduleProposal.status': 'open',
+    'rescheduleProposal.expiresAt': { $lte: now },
+  });
+
+  for (const appointment of overdue) {
+    const before = { startAt: appointment.startAt, holdsSlot: appointment.holdsSlot };
+    expireProposal(appointment);
+    await appointment.save();
+    await offerVacatedSlot(appointment, before); // A cancelled appointment frees its slot
+    await refundPerPolicy(appointment);
+  }
+  return overdue.length;
+};
+
+module.exports = {
+  MAX_PROPOSED_SLOTS,
+  MAX_EXPIRY_HOURS,
+  EXPIRY_ACTIONS,
+  createProposal,
+  respondToProposal,
+  expireOverdueProposals,
+};
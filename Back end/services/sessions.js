@@ -0,0 +1,122 @@
+// backend/services/sessions.js
+// Login sessions: short-lived JWT access tokens plus rotating refresh tokens stored server-side.
+// A refresh token looks like `<sessionId>.<random secret>` and can be exchanged exactly once;
+// presenting an already exchanged one again means it was copied, so the whole session is revoked.
+
+const crypto = require('crypto'); // Node crypto for refresh token secrets and hashes
+const jwt = require('jsonwebtoken'); // JWT signing
+const config = require('config'); // Import config for token lifetimes and jwtSecret
+const Session = require('../models/Session'); // Session model
+const User = require('../models/User'); // User model
+
+// A refresh token presented again this soon after its rotation is treated as a race between two
+// browser tabs refreshing at once rather than theft: it is refused but the session is kept
+const REUSE_GRACE_SECONDS = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+const refreshExpiry = () => new Date(Date.now() + config.get('auth.refreshTokenTtlDays') * 86400000);
+
+// The user details carried in access tokens
+const tokenUser = (user) => ({
+  id: user.id,
+  role: user.role,
+  username: user.username,
+  isApproved: user.isApproved,
+  ...(user.practice && { practice: String(user.practice) }), // Staff: the doctor they work for
+});
+
+// Sign a short-lived access token for a user and session
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ user: tokenUser(user), sid: String(sessionId) }, config.get('jwtSecret'), {
+    expiresIn: config.get('auth.accessTokenTtl'),
+  });
+
+// Start a session for a user who just logged in.
+// Returns { token, refreshToken }.
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    tokenHash: 'pending',
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+  const refreshToken = `${session._id}.${newSecret()}`;
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+  return { token: signAccessToken(user, session._id), refreshToken };
+};
+
+// Find the session a refresh token belongs to (null for malformed tokens or unknown sessions)
+const findSessionFor = async (refreshToken) => {
+  const [sessionId] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !/^[0-9a-f]{24}$/.test(sessionId)) return null;
+  return Session.findById(sessionId);
+};
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// The user's role and approval are read again, so changes apply from the next refresh.
+// Returns { token, refreshToken } or { error }.
+const rotateSession = async (refreshToken) => {
+  const session = await findSessionFor(refreshToken);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: 'Session expired, please log in again' };
+  }
+
+  const hash = hashToken(refreshToken);
+  if (hash !== session.tokenHash) {
+    if (hash === session.previousTokenHash) {
+      if (session.rotatedAt && Date.now() - session.rotatedAt < REUSE_GRACE_SECONDS * 1000) {
+        return { error: 'Refresh token already used' };
+      }
+      // An old refresh token came back long after it was replaced: someone else holds a copy
+      session.revokedAt = new Date();
+      session.revokedReason = 'token-reuse';
+      await session.save();
+    }
+    return { error: 'Session expired, please log in again' };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    return { error: 'Session expired, please log in again' };
+  }
+
+  // Swap the token hash only if no concurrent request rotated it first
+  const nextToken = `${session._id}.${newSecret()}`;
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash, revokedAt: null },
+    { tokenHash: hashToken(nextToken), previousTokenHash: hash, rotatedAt: new Date(), expiresAt: refreshExpiry() }
+  );
+  if (!rotated) {
+    return { error: 'Refresh token already used' };
+  }
+  return { token: signAccessToken(user, session._id), refreshToken: nextToken };
+};
+
+// Revoke the session a refresh token belongs to (logout of one device).
+// Unknown or already revoked tokens are ignored.
+const revokeSession = async (refreshToken) => {
+  const session = await findSessionFor(refreshToken);
+  if (session && !session.revokedAt && hashToken(refreshToken) === session.tokenHash) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'logout';
+    await session.save();
+  }
+};
+
+// Revoke every active session of a user (log out all devices). Returns how many were revoked.
+const revokeAllSessions = async (userId) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout-all' }
+  );
+  return result.modifiedCount;
+};
+
+// True while a session can still be used: not revoked and not expired
+const isSessionActive = async (sessionId) =>
+  Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+
+module.exports = { tokenUser, createSession, rotateSession, revokeSession, revokeAllSessions, isSessionActive };
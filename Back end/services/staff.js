@@ -0,0 +1,84 @@
+// backend/services/staff.js
+// A doctor's front-desk staff (receptionists). A doctor invites staff by email: the invitation
+// creates a staff account linked to the doctor (`practice`) and emails a link for choosing a
+// password. Staff manage the doctor's appointments; see the 'staff' role in utils/permissions.js.
+
+const crypto = require('crypto'); // Node crypto for the placeholder password
+const bcrypt = require('bcryptjs'); // Password hashing
+const User = require('../models/User'); // User model
+const { revokeAllSessions } = require('./sessions'); // Login sessions
+const { sendStaffInviteEmail } = require('./accountEmails'); // Account emails
+
+const MAX_STAFF_PER_DOCTOR = 10;
+
+// Staff fields shown to their doctor. Staff who have not accepted their invitation yet are unverified.
+const STAFF_FIELDS = ['username', 'email', 'emailVerified', 'date'];
+
+// Email the invitation. A mail failure does not undo the invitation; the doctor can send it again.
+const sendInvite = async (staff, doctor) => {
+  try {
+    await sendStaffInviteEmail(staff, doctor);
+  } catch (err) {
+    console.error(`Staff invitation email to ${staff.email} failed: ${err.message}`);
+  }
+};
+
+// The staff of a doctor, in the order they were invited
+const listStaff = (doctorId) =>
+  User.find({ role: 'staff', practice: doctorId }).select(STAFF_FIELDS).sort({ date: 1 });
+
+// Find one staff member of a doctor (null if the user is not their staff)
+const findStaffOf = (doctorId, staffId) => User.findOne({ _id: staffId, role: 'staff', practice: doctorId });
+
+// Create a staff account for a doctor ({ username, email }) and email the invitation.
+// The account gets a random password nobody knows until the invitation is accepted.
+// Returns { staff } or { error } with a message suitable for a 400 response.
+const inviteStaff = async (doctor, { username, email }) => {
+  if (typeof username !== 'string' || !username.trim() || typeof email !== 'string' || !email.trim()) {
+    return { error: 'Please provide a username and an email address.' };
+  }
+  if ((await User.countDocuments({ role: 'staff', practice: doctor._id })) >= MAX_STAFF_PER_DOCTOR) {
+    return { error: `You can have at most ${MAX_STAFF_PER_DOCTOR} staff members.` };
+  }
+  if (await User.exists({ $or: [{ email }, { username }] })) {
+    return { error: 'A user with this email address or username already exists.' };
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const staff = await User.create({
+    username,
+    email,
+    password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), salt),
+    role: 'staff',
+    practice: doctor._id,
+    isApproved: true,
+  });
+  await sendInvite(staff, doctor);
+  return { staff };
+};
+
+// Send a staff member's invitation again, e.g. after the link expired.
+// Returns an error message, or null if the invitation was sent.
+const resendInvite = async (doctor, staff) => {
+  if (staff.emailVerified) {
+    return 'This staff member has already accepted the invitation.';
+  }
+  await sendInvite(staff, doctor);
+  return null;
+};
+
+// Delete a staff account and end its sessions
+const removeStaff = async (staff) => {
+  await revokeAllSessions(staff._id);
+  await staff.deleteOne();
+};
+
+// Delete every staff account of a doctor (when the doctor's account is deleted)
+const removeAllStaffOf = async (doctorId) => {
+  const staffMembers = await User.find({ role: 'staff', practice: doctorId });
+  for (const staff of staffMembers) {
+    await removeStaff(staff);
+  }
+};
+
+module.exports = { listStaff, findStaffOf, inviteStaff, resendInvite, removeStaff, removeAllStaffOf };
@@ -0,0 +1,106 @@
+// backend/services/timeOff.js
+// Doctor time off (vacations, sick days, ...). Time-off periods block slot generation; the
+// appointments a period conflicts with are listed so the doctor can cancel them or send
+// reschedule proposals for all of them in one go.
+
+const Appointment = require('../models/Appointment'); // Appointment model
+const { isValidDate, isValidTime, addDays, timezoneOf } = require('../utils/slots'); // Slot helpers
+const { zonedTimeToUtc, utcToZonedTime } = require('../utils/time'); // Timezone helpers
+const { applyTransition } = require('../utils/appointmentLifecycle'); // Status rules
+const { getFreeSlots } = require('./availability'); // Free slot lookup
+const { createProposal } = require('./rescheduleProposals'); // Reschedule proposals
+const { offerVacatedSlot } = require('./waitlist'); // Waitlist offers for freed slots
+const { refundPerPolicy } = require('./payments'); // Refunds for cancelled paid visits
+
+const MAX_TIME_OFF_DAYS = 366;          // Upper bound for a single time-off period
+const PROPOSED_SLOTS_PER_APPOINTMENT = 3; // Alternatives offered to each affected patient
+const PROPOSAL_SEARCH_DAYS = 31;        // How far after the time off to look for alternatives
+const AFFECTED_STATUSES = ['pending', 'scheduled']; // Upcoming appointments that still need handling
+
+// Read a time-off period sent by a doctor. Dates are YYYY-MM-DD days in the doctor's timezone;
+// optional HH:mm startTime/endTime narrow it to part of a day, otherwise whole days are covered.
+// Returns { startAt, endAt, reason } or { error } with a message suitable for a 400 response.
+const parseTimeOff = (body, availability) => {
+  const { startDate, endDate = startDate, startTime, endTime, reason } = body;
+
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    return { error: 'Please provide valid start/end dates (YYYY-MM-DD).' };
+  }
+  if ((startTime && !isValidTime(startTime)) || (endTime && !isValidTime(endTime))) {
+    return { error: 'Start and end times must use HH:mm.' };
+  }
+
+  const timezone = timezoneOf(availability);
+  const startAt = zonedTimeToUtc(startDate, startTime || '00:00', timezone);
+  // Without an end time the period runs until midnight at the end of the last day
+  const endAt = endTime ? zonedTimeToUtc(endDate, endTime, timezone) : zonedTimeToUtc(addDays(endDate, 1), '00:00', timezone);
+
+  if (endAt <= startAt) {
+    return { error: 'Time off must end after it starts.' };
+  }
+  if (endAt - startAt > MAX_TIME_OFF_DAYS * 86400000) {
+    return { error: `Time off can cover at most ${MAX_TIME_OFF_DAYS} days at a time.` };
+  }
+  return { startAt, endAt, reason };
+};
+
+// Upcoming appointments of a doctor that overlap a time-off period, earliest first
+const findConflictingAppointments = (doctorId, period) =>
+  Appointment.find({
+    doctor: doctorId,
+    status: { $in: AFFECTED_STATUSES },
+    startAt: { $lt: period.endAt },
+    endAt: { $gt: period.startAt },
+  })
+    .populate('customer', ['username', 'email'])
+    .sort({ startAt: 1 });
+
+// Cancel the selected conflicting appointments, or send each of them a reschedule proposal with
+// free slots after the time off that fit its visit type (every appointment gets different start
+// times so patients don't compete).
+// `options` holds the proposal settings (message, expiresInHours, onExpiry).
+// Returns one { appointment, error } result per handled appointment; error is null on success.
+const resolveConflicts = async (doctorProfile, period, { action, appointmentIds, ...options }, actor) => {
+  const conflicts = await findConflictingAppointments(doctorProfile.user, period);
+  // Without an explicit selection every conflicting appointment is handled
+  const selected = Array.isArray(appointmentIds)
+    ? conflicts.filter((appointment) => appointmentIds.includes(appointment._id.toString()))
+    : conflicts;
+
+  const { date: firstDay } = utcToZonedTime(period.endAt, timezoneOf(doctorProfile.availability));
+  const proposedStarts = new Set(); // Start times already offered to another patient in this batch
+
+  const results = [];
+  for (const appointment of selected) {
+    let error;
+    if (action === 'cancel') {
+      const before = { startAt: appointment.startAt, holdsSlot: appointment.holdsSlot };
+      error = applyTransition(appointment, 'cancelled', actor, period.reason ? `Doctor time off: ${period.reason}` : 'Doctor time off');
+      if (!error) {
+        await appointment.save();
+        await offerVacatedSlot(appointment, before);
+        await refundPerPolicy(appointment); // Paid visits are refunded in full when the doctor cancels
+      }
+    } else {
+      const freeSlots = await getFreeSlots(doctorProfile, firstDay, addDays(firstDay, PROPOSAL_SEARCH_DAYS - 1), {
+        visitType: appointment.visitType,
+        excludeAppointmentId: appointment._id,
+      });
+      const slots = freeSlots
+        .filter((slot) => !proposedStarts.has(slot.startAt.getTime()))
+        .slice(0, PROPOSED_SLOTS_PER_APPOINTMENT)
+        .map((slot) => slot.startAt.toISOString());
+      slots.forEach((startAt) => proposedStarts.add(new Date(startAt).getTime()));
+      error = slots.length === 0
+        ? 'No free slots left to propose after the time off.'
+        : await createProposal(appointment, doctorProfile, actor, { ...options, slots });
+      if (!error) {
+        await appointment.save();
+      }
+    }
+    results.push({ appointment: appointment._id, error: error || null });
+  }
+  return results;
+};
+
+module.exports = { parseTimeOff, findConflictingAppointments, resolveConflicts };
@@ -0,0 +1,152 @@
+// backend/services/twoFactor.js
+// TOTP two-factor authentication: enrollment with a QR code for authenticator apps, one-time backup
+// codes for a lost phone, and the short-lived challenge tokens that link the two login steps.
+// Doctors may turn it on; admins must, and cannot finish logging in until they have.
+
+const crypto = require('crypto'); // Node crypto for backup codes
+const jwt = require('jsonwebtoken'); // JWT signing for login challenges
+const config = require('config'); // Import config to get jwtSecret
+const QRCode = require('qrcode'); // QR code rendering
+const { generateSecret, generateURI, verify } = require('otplib'); // TOTP (RFC 6238)
+const User = require('../models/User'); // User model
+
+const ISSUER = 'DocSpot';             // Account name prefix shown in authenticator apps
+const TWO_FACTOR_ROLES = ['doctor', 'admin'];
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // No look-alike characters (0/o, 1/l/i)
+const CHALLENGE_TTL = '10m';          // Time to enter a code (or finish enrollment) after the password
+const EPOCH_TOLERANCE_SECONDS = 30;   // Accept the previous and next code, for clocks that drift
+
+// Fields needed to check codes; select them with User.findById(id).select(TWO_FACTOR_FIELDS)
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodeHashes +twoFactor.lastTimeStep';
+
+const canUseTwoFactor = (user) => TWO_FACTOR_ROLES.includes(user.role);
+const isTwoFactorRequired = (user) => user.role === 'admin';
+
+const findUserWithTwoFactor = (userId) => User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+// Ten codes like "k7tq2-m9xpa"; only their hashes are stored
+const newBackupCodes = () =>
+  Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const chars = Array.from({ length: 10 }, () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  });
+
+// Check a TOTP code against a secret. Returns the code's time step, or null if it is wrong,
+// malformed or not newer than `afterTimeStep` (already used).
+const checkCode = async (secret, code, afterTimeStep) => {
+  try {
+    const result = await verify({
+      secret,
+      token: String(code).replace(/\s/g, ''),
+      epochTolerance: EPOCH_TOLERANCE_SECONDS,
+      ...(afterTimeStep !== undefined && { afterTimeStep }),
+    });
+    return result.valid ? result.timeStep : null;
+  } catch (err) {
+    return null; // otplib throws on malformed codes
+  }
+};
+
+// Short-lived token proving the password was correct, for the second login step ('login') or for
+// an admin who must enroll before logging in ('setup')
+const signChallenge = (user, step) =>
+  jwt.sign({ purpose: `2fa-${step}`, uid: String(user._id) }, config.get('jwtSecret'), { expiresIn: CHALLENGE_TTL });
+
+// The user ID a challenge token was issued for, or null if it is invalid, expired or for another step
+const readChallenge = (token, step) => {
+  try {
+    const payload = jwt.verify(String(token), config.get('jwtSecret'));
+    return payload.purpose === `2fa-${step}` ? payload.uid : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Start (or restart) enrollment: a new secret to scan, which only takes effect once confirmed.
+// Returns { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL.
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  const otpauthUrl = generateURI({ issuer: ISSUER, label: user.email, secret });
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Confirm enrollment with a code from the authenticator app.
+// Returns { backupCodes } (shown once) or { error }.
+const confirmEnrollment = async (user, code) => {
+  const { pendingSecret } = user.twoFactor;
+  if (!pendingSecret) {
+    return { error: 'Please start setting up two-factor authentication first.' };
+  }
+  const timeStep = await checkCode(pendingSecret, code);
+  if (timeStep === null) {
+    return { error: 'That code is not correct. Check the time on your phone and try again.' };
+  }
+
+  const backupCodes = newBackupCodes();
+  user.twoFactor = {
+    enabled: true,
+    secret: pendingSecret,
+    pendingSecret: undefined,
+    backupCodeHashes: backupCodes.map(hashBackupCode),
+    lastTimeStep: timeStep,
+    enabledAt: new Date(),
+  };
+  await user.save();
+  return { backupCodes };
+};
+
+// Check the second factor of a user with 2FA enabled: a TOTP code, or a backup code (used up).
+// Returns an error message, or null when accepted.
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    if (!user.twoFactor.backupCodeHashes.includes(hash)) {
+      return 'That backup code is not valid or was already used.';
+    }
+    user.twoFactor.backupCodeHashes = user.twoFactor.backupCodeHashes.filter((stored) => stored !== hash);
+    await user.save();
+    return null;
+  }
+
+  const timeStep = await checkCode(user.twoFactor.secret, code || '', user.twoFactor.lastTimeStep);
+  if (timeStep === null) {
+    return 'That code is not correct or was already used.';
+  }
+  user.twoFactor.lastTimeStep = timeStep;
+  await user.save();
+  return null;
+};
+
+// Replace the backup codes of a user; returns the new codes (shown once)
+const regenerateBackupCodes = async (user) => {
+  const backupCodes = newBackupCodes();
+  user.twoFactor.backupCodeHashes = backupCodes.map(hashBackupCode);
+  await user.save();
+  return backupCodes;
+};
+
+// Turn two-factor authentication off, e.g. on request or when an admin resets it for a locked-out user
+const disableTwoFactor = async (user) => {
+  user.twoFactor = { enabled: false };
+  await user.save();
+};
+
+module.exports = {
+  canUseTwoFactor,
+  isTwoFactorRequired,
+  findUserWithTwoFactor,
+  signChallenge,
+  readChallenge,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+};
@@ -0,0 +1,90 @@
+// backend/services/visitNotes.js
+// Clinical visit notes (SOAP) written by the doctor on completed appointments.
+// The doctor can amend a note any number of times; each amendment adds a version with a reason,
+// and earlier versions stay untouched. Patients see only the current version.
+
+const VisitNote = require('../models/VisitNote'); // VisitNote model
+
+const SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+const MAX_SECTION_LENGTH = 10000; // Characters per section
+const MAX_REASON_LENGTH = 500;
+
+// Read and validate the SOAP sections (and amendment reason) sent by a doctor.
+// Returns { sections, amendmentReason } or { error }.
+const parseNoteBody = (body, isAmendment) => {
+  const sections = {};
+  for (const section of SECTIONS) {
+    const value = body[section] === undefined ? '' : body[section];
+    if (typeof value !== 'string' || value.length > MAX_SECTION_LENGTH) {
+      return { error: `The ${section} section must be text of at most ${MAX_SECTION_LENGTH} characters.` };
+    }
+    sections[section] = value.trim();
+  }
+  if (SECTIONS.every((section) => !sections[section])) {
+    return { error: 'Please fill in at least one section of the note.' };
+  }
+
+  const amendmentReason = typeof body.amendmentReason === 'string' ? body.amendmentReason.trim() : '';
+  if (isAmendment && !amendmentReason) {
+    return { error: 'Please give a reason for amending the note.' };
+  }
+  if (amendmentReason.length > MAX_REASON_LENGTH) {
+    return { error: `The amendment reason can be at most ${MAX_REASON_LENGTH} characters.` };
+  }
+  return { sections, amendmentReason: isAmendment ? amendmentReason : undefined };
+};
+
+// Write the note of a completed appointment, or amend it if one exists. `doctorId` is the author.
+// Returns { note, created } or { error } with a message suitable for a 400 response.
+const saveVisitNote = async (appointment, doctorId, body) => {
+  if (appointment.status !== 'completed') {
+    return { error: 'Visit notes can only be written for completed appointments.' };
+  }
+
+  const existing = await VisitNote.exists({ appointment: appointment._id });
+  const { sections, amendmentReason, error } = parseNoteBody(body, Boolean(existing));
+  if (error) return { error };
+
+  const version = { ...sections, amendmentReason, author: doctorId };
+  if (existing) {
+    const note = await VisitNote.findOneAndUpdate(
+      { appointment: appointment._id },
+      { $push: { versions: version } },
+      { new: true }
+    );
+    return { note, created: false };
+  }
+
+  try {
+    const note = await VisitNote.create({
+      appointment: appointment._id,
+      doctor: appointment.doctor,
+      customer: appointment.customer,
+      versions: [version],
+    });
+    return { note, created: true };
+  } catch (err) {
+    // Written concurrently: the other request created the note, so this one needs a reason
+    if (err.code === 11000) {
+      return { error: 'This note was just created elsewhere. Reload it and add your changes as an amendment.' };
+    }
+    throw err;
+  }
+};
+
+// Doctor's view of a note: every version, plus the current one
+const toDoctorView = (note) => ({ ...note.toObject(), current: note.current });
+
+// Patient's view of a note: only the current version, and whether it was amended
+const toPatientView = (note) => ({
+  _id: note._id,
+  appointment: note.appointment,
+  current: {
+    ...SECTIONS.reduce((view, section) => ({ ...view, [section]: note.current[section] }), {}),
+    createdAt: note.current.createdAt,
+  },
+  createdAt: note.createdAt,
+  amended: note.versions.length > 1,
+});
+
+module.exports = { SECTIONS, MAX_SECTION_LENGTH, MAX_REASON_LENGTH, saveVisitNote, toDoctorView, toPatientView };
@@ -0,0 +1,138 @@
+// backend/services/waitlist.js
+// Waitlist for fully booked doctors. When an appointment frees its slot, the earliest waiting
+// customer whose date range covers it gets a time-limited hold on the slot. If they confirm,
+// the hold becomes a normal appointment; if not, the hold rolls to the next customer in line.
+
+const config = require('config'); // Import config to get the hold duration
+const Appointment = require('../models/Appointment'); // Appointment model
+const DoctorProfile = require('../models/DoctorProfile'); // DoctorProfile model
+const WaitlistEntry = require('../models/WaitlistEntry'); // WaitlistEntry model
+const { isBookableSlot, addDays, addMinutes, timezoneOf } = require('../utils/slots'); // Slot helpers
+const { findVisitType, snapshotVisitType } = require('../utils/visitTypes'); // Visit type catalog
+const { utcToZonedTime } = require('../utils/time'); // Timezone helpers
+const { isSlotConflictError, isTimeTaken } = require('./availability'); // Slot conflict detection
+
+const HOLD_MINUTES = config.get('waitlistHoldMinutes'); // How long a customer has to confirm an offer
+
+// The visit type a waitlist entry books; falls back to the doctor's first one if it was removed
+const visitTypeOfEntry = (doctorProfile, entry) =>
+  findVisitType(doctorProfile, entry.visitTypeId) || findVisitType(doctorProfile);
+
+// Offer a freed slot to the earliest waiting customer whose date range covers it and whose
+// visit type fits into the free time at that start.
+// Never throws: a failed offer must not fail the cancellation that freed the slot.
+// Returns the entry that received the offer, or null if nobody did.
+const offerFreedSlot = async (doctorId, startAt) => {
+  try {
+    if (startAt <= new Date()) return null; // Past slots cannot be offered
+
+    const doctorProfile = await DoctorProfile.findOne({ user: doctorId });
+    if (!doctorProfile) return null;
+
+    const { date } = utcToZonedTime(startAt, timezoneOf(doctorProfile.availability));
+    const candidates = await WaitlistEntry.find({
+      doctor: doctorId, status: 'waiting', fromDate: { $lte: date }, toDate: { $gte: date },
+    }).sort({ createdAt: 1 });
+
+    for (const candidate of candidates) {
+      const visitType = visitTypeOfEntry(doctorProfile, candidate);
+      const until = addMinutes(startAt, visitType.durationMinutes + visitType.bufferMinutes);
+
+      // The doctor may have changed their schedule or taken time off since the slot was booked,
+      // and someone may already have booked (part of) the time again
+      const fits = isBookableSlot(doctorProfile.availability, startAt, { timeOff: doctorProfile.timeOff, duration: visitType.durationMinutes });
+      if (!fits || await isTimeTaken(doctorId, startAt, until)) continue;
+
+      // Only offer if the entry is still waiting (it may have been left meanwhile)
+      const offered = await WaitlistEntry.findOneAndUpdate(
+        { _id: candidate._id, status: 'waiting' },
+        { status: 'offered', offer: { startAt, until, expiresAt: addMinutes(new Date(), HOLD_MINUTES) } },
+        { new: true }
+      );
+      if (offered) return offered;
+    }
+    return null;
+  } catch (err) {
+    // A duplicate key here means the slot is already on hold for someone else
+    console.error('Could not offer freed slot to the waitlist:', err.message);
+    return null;
+  }
+};
+
+// Offer the slot an appointment gave up in its last save, if any: it either stopped holding
+// a slot (cancelled, rejected) or moved to another time. `before` is { startAt, holdsSlot }
+// captured before the change.
+const offerVacatedSlot = async (appointment, before) => {
+  const vacated = before.holdsSlot &&
+    (!appointment.holdsSlot || before.startAt.getTime() !== appointment.startAt.getTime());
+  return vacated ? offerFreedSlot(appointment.doctor, before.startAt) : null;
+};
+
+// Give up an entry's hold (it expired or the customer left) and pass the slot on.
+// Saves the entry.
+const releaseOffer = async (entry, status) => {
+  const { startAt } = entry.offer;
+  entry.status = status;
+  await entry.save();
+  await offerFreedSlot(entry.doctor, startAt);
+};
+
+// Turn an entry's hold into a pending appointment for the waiting customer.
+// Returns { appointment } on success or { error } with a message suitable for a 400 response.
+const confirmOffer = async (entry) => {
+  if (entry.status !== 'offered') {
+    return { error: 'There is no slot on hold for this waitlist entry.' };
+  }
+  if (entry.offer.expiresAt <= new Date()) {
+    await releaseOffer(entry, 'expired');
+    return { error: 'This hold has expired and was offered to the next person on the waitlist.' };
+  }
+
+  const doctorProfile = await DoctorProfile.findOne({ user: entry.doctor });
+  const visitType = visitTypeOfEntry(doctorProfile, entry);
+  const { startAt } = entry.offer;
+  const appointment = new Appointment({
+    customer: entry.customer,
+    doctor: entry.doctor,
+    startAt,
+    endAt: addMinutes(startAt, visitType.durationMinutes),
+    timezone: timezoneOf(doctorProfile.availability),
+    visitType: snapshotVisitType(visitType),
+    status: 'pending', // Same as a normal booking: pending until paid/scheduled by doctor
+    statusHistory: [{ to: 'pending', by: entry.customer, byRole: 'customer', reason: 'Booked from waitlist' }],
+    paymentStatus: 'pending',
+  });
+
+  try {
+    await appointment.save();
+  } catch (err) {
+    if (!isSlotConflictError(err)) throw err;
+    // The slot was taken despite the hold: keep the customer's place in the queue
+    entry.status = 'waiting';
+    entry.offer = undefined;
+    await entry.save();
+    return { error: 'Sorry, this slot is no longer available. You are still on the waitlist.' };
+  }
+
+  entry.status = 'booked';
+  entry.appointment = appointment._id;
+  await entry.save();
+  return { appointment };
+};
+
+// Roll every hold that was not confirmed in time to the next customer, and close
+// entries whose date range has passed. Used by the background job.
+const expireOverdueOffers = async (now = new Date()) => {
+  const overdue = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+  for (const entry of overdue) {
+    await releaseOffer(entry, 'expired');
+  }
+
+  // Dates are in the doctor's timezone; a day of margin covers every UTC offset
+  const yesterday = addDays(now.toISOString().slice(0, 10), -1);
+  await WaitlistEntry.updateMany({ status: 'waiting', toDate: { $lt: yesterday } }, { status: 'expired' });
+
+  return overdue.length;
+};
+
+module.exports = { offerFreedSlot, offerVacatedSlot, releaseOffer, confirmOffer, expireOverdueOffers };
@@ -0,0 +1,19 @@
+// backend/storage/index.js
+// Registry of file storage adapters. Every adapter implements the same interface:
+//   name                 -> adapter name stored with each file
+//   save(key, buffer)    -> stores a file's contents under a key
+//   read(key)            -> readable stream of a stored file
+//   remove(key)          -> deletes a stored file
+// To keep files elsewhere (e.g., an object store), implement this interface and register it below.
+
+const config = require('config'); // Import config to get the active adapter
+
+const ADAPTERS = {
+  local: require('./localDisk'),
+};
+
+// Look up an adapter by name; without a name the configured one is returned.
+// Returns undefined for unknown names.
+const getStorage = (name = config.get('uploads.driver')) => ADAPTERS[name];
+
+module.exports = { getStorage };
@@ -0,0 +1,35 @@
+// backend/storage/localDisk.js
+// Stores uploaded files on the server's disk, under the directory configured as `uploads.localDir`
+// (relative to the backend folder).
+
+const fs = require('fs');     // File system access
+const path = require('path'); // Path helpers
+const config = require('config'); // Import config to get the upload directory
+
+const ROOT = path.resolve(__dirname, '..', config.get('uploads.localDir'));
+
+// Absolute path of a stored file; keys are generated by the server, never taken from users
+const pathOf = (key) => {
+  const filePath = path.resolve(ROOT, key);
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// Store a file's contents under a key
+const save = async (key, buffer) => {
+  const filePath = pathOf(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+};
+
+// Readable stream of a stored file
+const read = (key) => fs.createReadStream(pathOf(key));
+
+// Delete a stored file; a file that is already gone is not an error
+const remove = async (key) => {
+  await fs.promises.rm(pathOf(key), { force: true });
+};
+
+module.exports = { name: 'local', save, read, remove };
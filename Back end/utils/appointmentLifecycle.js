@@ -0,0 +1,81 @@
+// backend/utils/appointmentLifecycle.js
+// Central definition of the appointment lifecycle: every status an appointment can have,
+// which status changes are allowed, and which roles may make them.
+// All routes change an appointment's status through applyTransition() so the rules live in one place.
+
+// Every status an appointment can be in
+const STATUSES = ['pending', 'scheduled', 'checked-in', 'in-progress', 'completed', 'rejected', 'no-show', 'cancelled'];
+
+// Statuses in which an appointment no longer occupies the doctor's slot
+const SLOT_RELEASING_STATUSES = ['rejected', 'cancelled'];
+
+// Allowed transitions: current status -> next status -> roles allowed to make that change.
+// 'system' is used for automatic changes made by the server itself. 'staff' are a doctor's front-desk
+// staff: they handle the calendar (confirming, checking in, cancelling) but not the visit itself.
+const TRANSITIONS = {
+  pending: {
+    scheduled: ['doctor', 'staff', 'customer'], // Confirmed by the practice, or by the customer paying
+    rejected: ['doctor'],
+    cancelled: ['customer', 'doctor', 'staff', 'system'],
+  },
+  scheduled: {
+    'checked-in': ['doctor', 'staff'],
+    'no-show': ['doctor', 'staff'],
+    cancelled: ['customer', 'doctor', 'staff', 'system'],
+  },
+  'checked-in': {
+    'in-progress': ['doctor'],
+    cancelled: ['doctor'],
+  },
+  'in-progress': {
+    completed: ['doctor'],
+  },
+  // Final statuses: nothing can follow them
+  completed: {},
+  rejected: {},
+  'no-show': {},
+  cancelled: {},
+};
+
+// Statuses a given role may move an appointment to from its current status
+const allowedNextStatuses = (status, role) =>
+  Object.entries(TRANSITIONS[status] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([next]) => next);
+
+// Check whether a role may move an appointment from one status to another
+const canTransition = (from, to, role) => allowedNextStatuses(from, role).includes(to);
+
+// Move an appointment to a new status and record who did it and when.
+// `actor` is { id, role } (id is omitted for 'system'). Does not save the appointment.
+// Returns an error message, or null if the transition was applied.
+const applyTransition = (appointment, to, actor, reason) => {
+  const from = appointment.status;
+
+  if (!STATUSES.includes(to)) {
+    return `Unknown appointment status: ${to}`;
+  }
+  if (!canTransition(from, to, actor.role)) {
+    return `Cannot change an appointment from ${from} to ${to}.`;
+  }
+
+  appointment.status = to;
+  appointment.statusHistory.push({ from, to, by: actor.id, byRole: actor.role, at: new Date(), reason });
+  return null;
+};
+
+// Plain-object copy of an appointment with the statuses the viewer may move it to,
+// so dashboards can offer only valid actions.
+const withNextStatuses = (appointment, role) => ({
+  ...appointment.toObject(),
+  nextStatuses: allowedNextStatuses(appointment.status, role),
+});
+
+module.exports = {
+  STATUSES,
+  SLOT_RELEASING_STATUSES,
+  allowedNextStatuses,
+  canTransition,
+  applyTransition,
+  withNextStatuses,
+};
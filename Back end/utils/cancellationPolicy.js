@@ -0,0 +1,33 @@
+// backend/utils/cancellationPolicy.js
+// The cancellation policy decides how much of a paid appointment's price is refunded when it ends
+// without taking place. It is configured under `cancellationPolicy` in the config:
+//   customerRules: [{ minHoursBefore, refundPercent }] - customer cancellations; the rule with the
+//                  largest minHoursBefore the cancellation still meets applies, none means no refund
+//   doctorCancellationRefundPercent - cancellations and rejections by the doctor, their staff or the system
+//   noShowRefundPercent             - appointments the doctor or their staff marked as no-show
+
+const config = require('config'); // Import config to get the policy
+
+// Statuses in which a paid appointment is checked against the policy
+const REFUNDABLE_STATUSES = ['cancelled', 'rejected', 'no-show'];
+
+// Percentage (0-100) of the price refunded for an appointment that moved to `status`,
+// by an actor with `role`, at time `at`.
+const refundPercentFor = (appointment, status, role, at = new Date()) => {
+  const policy = config.get('cancellationPolicy');
+
+  if (!REFUNDABLE_STATUSES.includes(status)) return 0;
+  if (status === 'no-show') return policy.noShowRefundPercent;
+  if (role !== 'customer') return policy.doctorCancellationRefundPercent;
+
+  const hoursBefore = (appointment.startAt.getTime() - at.getTime()) / 3600000;
+  const rule = [...policy.customerRules]
+    .sort((a, b) => b.minHoursBefore - a.minHoursBefore)
+    .find((r) => hoursBefore >= r.minHoursBefore);
+  return rule ? rule.refundPercent : 0;
+};
+
+// Amount refunded for a percentage of a paid amount, rounded to cents
+const refundAmount = (paidAmount, percent) => Math.round(paidAmount * percent) / 100;
+
+module.exports = { REFUNDABLE_STATUSES, refundPercentFor, refundAmount };
@@ -0,0 +1,19 @@
+// backend/utils/csv.js
+// Minimal CSV (RFC 4180) writer for exports opened in spreadsheet programs.
+
+// Quote a value when needed. Values starting with =, +, - or @ get a leading apostrophe so
+// spreadsheets show them as text instead of running them as formulas.
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text for a list of rows. `columns` is [{ header, value: (row) => cell value }].
+const toCsv = (columns, rows) =>
+  [columns.map((column) => csvCell(column.header)), ...rows.map((row) => columns.map((column) => csvCell(column.value(row))))]
+    .map((cells) => cells.join(','))
+    .join('\r\n') + '\r\n';
+
+module.exports = { toCsv };
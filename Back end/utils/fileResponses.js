@@ -0,0 +1,20 @@
+// backend/utils/fileResponses.js
+// Response headers for sending a stored file (appointment or licence document) to the browser.
+
+const contentDisposition = require('content-disposition'); // RFC 6266 Content-Disposition headers
+
+// Content-Disposition keeping the name the file was uploaded with: an ASCII-only filename="..."
+// for older clients, plus the exact name as filename*=UTF-8''... whenever the two differ
+const dispositionFor = (name, type) =>
+  contentDisposition(name, { type, fallback: name.replace(/[^\x20-\x7e]/g, '_') });
+
+// Headers for streaming a stored file ({ mimeType, size, originalName }), shown inline or downloaded
+const fileHeaders = (file, type = 'inline') => ({
+  'Content-Type': file.mimeType,
+  'Content-Length': file.size,
+  'Content-Disposition': dispositionFor(file.originalName, type),
+  'X-Content-Type-Options': 'nosniff', // Never let the browser reinterpret the file
+  'Cache-Control': 'private, no-store',
+});
+
+module.exports = { fileHeaders };
@@ -0,0 +1,25 @@
+// backend/utils/fileTypes.js
+// The kinds of files patients may upload, recognized by their content rather than the
+// MIME type or extension the browser claims, which are easy to fake.
+
+// Allowed MIME types, with the extension used when storing them and a check of the file's first bytes
+const FILE_TYPES = {
+  'application/pdf': { extension: '.pdf', matches: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' },
+  'image/jpeg': { extension: '.jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { extension: '.png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': {
+    extension: '.webp',
+    matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP',
+  },
+};
+
+const ALLOWED_MIME_TYPES = Object.keys(FILE_TYPES);
+
+// The MIME type of a file's contents, or null if it is not one of the allowed types
+const detectFileType = (buffer) =>
+  ALLOWED_MIME_TYPES.find((mimeType) => buffer.length >= 12 && FILE_TYPES[mimeType].matches(buffer)) || null;
+
+// Extension used when storing a file of an allowed MIME type
+const extensionFor = (mimeType) => FILE_TYPES[mimeType].extension;
+
+module.exports = { ALLOWED_MIME_TYPES, detectFileType, extensionFor };
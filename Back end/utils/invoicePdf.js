@@ -0,0 +1,96 @@
+// backend/utils/invoicePdf.js
+// Renders an issued invoice as a PDF, either as the invoice itself or as its payment receipt.
+
+const PDFDocument = require('pdfkit'); // PDF generation
+
+const MARGIN = 50;
+const COLUMNS = { description: MARGIN, quantity: 330, unitPrice: 380, amount: 470 }; // x positions of the item table
+
+// Amounts are written with the currency code: the built-in PDF fonts lack symbols like ₹
+const money = (amount, currency) => `${currency} ${amount.toFixed(2)}`;
+const day = (date) => date.toISOString().slice(0, 10);
+
+// Write a label/value row on the right-hand side of the totals block
+const totalRow = (doc, label, value, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+    .text(label, COLUMNS.unitPrice - 60, y, { width: 140 })
+    .text(value, COLUMNS.amount, y, { width: 75, align: 'right' });
+  doc.moveDown(0.3);
+};
+
+// Write the invoice (`kind` 'invoice') or its receipt (`kind` 'receipt') as a PDF to a writable stream
+const writeInvoicePdf = (invoice, kind, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+  doc.pipe(stream);
+
+  const isReceipt = kind === 'receipt';
+  const { issuer, billedTo, currency } = invoice;
+
+  // Header: document title and number
+  doc.font('Helvetica-Bold').fontSize(20).text(isReceipt ? 'PAYMENT RECEIPT' : 'INVOICE', { align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`${isReceipt ? 'Receipt' : 'Invoice'} No: ${isReceipt ? invoice.receiptNumber : invoice.number}`, { align: 'right' })
+    .text(isReceipt ? `For invoice: ${invoice.number}` : `Date: ${day(invoice.issuedAt)}`, { align: 'right' });
+
+  // Issuer (doctor / clinic)
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(12).text(issuer.clinicName || issuer.doctorName, MARGIN);
+  doc.font('Helvetica').fontSize(10);
+  if (issuer.clinicName) doc.text(issuer.doctorName);
+  if (issuer.specialty) doc.text(issuer.specialty);
+  if (issuer.address) doc.text(issuer.address);
+  if (issuer.phone) doc.text(`Phone: ${issuer.phone}`);
+
+  // Customer
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text(isReceipt ? 'Received from' : 'Bill to');
+  doc.font('Helvetica').text(billedTo.name);
+  if (billedTo.email) doc.text(billedTo.email);
+
+  // Line items
+  doc.moveDown(1.5);
+  const headerY = doc.y;
+  doc.font('Helvetica-Bold')
+    .text('Description', COLUMNS.description, headerY, { width: 270 })
+    .text('Qty', COLUMNS.quantity, headerY, { width: 40, align: 'right' })
+    .text('Unit price', COLUMNS.unitPrice, headerY, { width: 80, align: 'right' })
+    .text('Amount', COLUMNS.amount, headerY, { width: 75, align: 'right' });
+  doc.moveTo(MARGIN, doc.y + 3).lineTo(doc.page.width - MARGIN, doc.y + 3).stroke();
+  doc.moveDown(0.6);
+
+  doc.font('Helvetica');
+  invoice.lineItems.forEach((item) => {
+    const y = doc.y;
+    doc.text(item.description, COLUMNS.description, y, { width: 270 });
+    const bottom = doc.y;
+    doc.text(String(item.quantity), COLUMNS.quantity, y, { width: 40, align: 'right' })
+      .text(money(item.unitPrice, currency), COLUMNS.unitPrice, y, { width: 80, align: 'right' })
+      .text(money(item.amount, currency), COLUMNS.amount, y, { width: 75, align: 'right' });
+    doc.y = Math.max(bottom, doc.y);
+    doc.moveDown(0.4);
+  });
+  doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).stroke();
+  doc.moveDown(0.6);
+
+  // Totals
+  totalRow(doc, 'Subtotal', money(invoice.subtotal, currency));
+  totalRow(doc, `${invoice.taxLabel} (${invoice.taxRatePercent}%)`, money(invoice.taxAmount, currency));
+  totalRow(doc, isReceipt ? 'Amount received' : 'Total', money(invoice.total, currency), { bold: true });
+
+  // Payment details
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text('Payment', MARGIN);
+  doc.font('Helvetica')
+    .text(`Status: Paid${invoice.payment.paidAt ? ` on ${day(invoice.payment.paidAt)}` : ''}`)
+    .text(`Method: ${invoice.payment.method || 'Not specified'}`);
+  if (invoice.payment.providerRef) doc.text(`Reference: ${invoice.payment.providerRef}`);
+
+  doc.moveDown(2);
+  doc.fontSize(8).fillColor('gray')
+    .text(`Prices include ${invoice.taxLabel}. This document was generated electronically and is valid without a signature.`, MARGIN);
+
+  doc.end();
+};
+
+module.exports = { writeInvoicePdf };
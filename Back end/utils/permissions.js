@@ -0,0 +1,92 @@
+// backend/utils/permissions.js
+// The permission model: which named permissions each role has, and helpers to check them.
+// Routes declare the permissions they need (middleware/requirePermission.js) instead of checking
+// roles, so a new role only needs an entry in ROLE_PERMISSIONS.
+//
+// Permission names are `<resource>:<action>`, optionally scoped:
+//   :own -> only resources the user is a party to (their appointments, documents they uploaded, ...).
+//           Staff are a party to what belongs to the doctor whose practice they work in.
+//   :any -> every resource of that kind
+// Routes guarded by an `:own` permission still check ownership of what they load (isOwner, canAccess).
+
+const ROLE_PERMISSIONS = {
+  customer: [
+    'doctor:read',                 // Browse approved doctors and their free slots
+    'appointment:create:own',      // Book appointments
+    'appointment:read:own',
+    'appointment:cancel:own',
+    'appointment:reschedule:own',  // Propose new times and answer the doctor's proposals
+    'payment:create:own',
+    'invoice:read:own',
+    'visit-note:read:own',         // The patient view of visit notes
+    'prescription:read:own',
+    'health-profile:read:own',
+    'health-profile:update:own',
+    'waitlist:manage:own',
+    'document:read:own',           // Documents of their appointments
+    'document:upload:own',
+    'document:delete:own',         // Documents they uploaded
+  ],
+  doctor: [
+    'doctor-profile:read:own',     // Profile, availability, visit types, time off and slots
+    'doctor-profile:update:own',
+    'doctor-application:read:own', // Their licence application and its documents
+    'doctor-application:submit:own',
+    'appointment:read:own',
+    'appointment:update-status:own',
+    'appointment:reschedule:own',
+    'health-profile:read:own',     // Of the patients they treat
+    'visit-note:read:own',
+    'visit-note:write:own',
+    'prescription:read:own',
+    'prescription:create:own',
+    'document:read:own',
+    'document:upload:own',
+    'document:delete:own',
+    'staff:manage:own',            // Invite and remove their front-desk staff
+  ],
+  // A doctor's front-desk staff: the doctor's calendar, but nothing clinical (visit notes,
+  // prescriptions, health profiles, documents)
+  staff: [
+    'doctor-profile:read:own',     // The doctor's hours and free slots, for rescheduling
+    'appointment:read:own',
+    'appointment:update-status:own', // Confirm, check in, mark no-shows, cancel
+    'appointment:reschedule:own',
+  ],
+  admin: [
+    'user:read:any',
+    'user:delete:any',
+    'user:unlock:any',             // Lift a lockout after failed logins
+    'user:reset-2fa:any',
+    'audit-log:read:any',          // Search and export the audit trail
+    'doctor:approve',              // Review licence applications
+    'doctor-application:read:any',
+    'document:read:any',
+    'document:upload:any',
+    'document:delete:any',
+  ],
+};
+
+// Permissions of a role (none for unknown roles)
+const permissionsOf = (role) => ROLE_PERMISSIONS[role] || [];
+
+// True when a user ({ id, role } from the auth token) has a permission
+const hasPermission = (user, permission) => Boolean(user) && permissionsOf(user.role).includes(permission);
+
+// ID of a reference that may be populated
+const idOf = (ref) => String(ref && ref._id ? ref._id : ref);
+
+// ID of the doctor whose practice a user acts for: the linked doctor for staff, the user otherwise
+const practiceOf = (user) => String(user.practice || user.id);
+
+// True when the user is one of the owners of a resource (given as IDs or populated documents).
+// Staff count as the doctor they work for.
+const isOwner = (user, ...ownerRefs) =>
+  Boolean(user) && ownerRefs.some((ref) => ref != null && [String(user.id), practiceOf(user)].includes(idOf(ref)));
+
+// True when a user may perform an action (e.g., 'document:read') on a resource: on any resource with
+// the `:any` permission, or as one of its owners with the `:own` permission
+const canAccess = (user, action, ...ownerRefs) =>
+  hasPermission(user, `${action}:any`) || (hasPermission(user, `${action}:own`) && isOwner(user, ...ownerRefs));
+
+module.exports = { ROLE_PERMISSIONS, permissionsOf, hasPermission, practiceOf, isOwner, canAccess };
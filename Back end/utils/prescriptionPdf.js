@@ -0,0 +1,64 @@
+// backend/utils/prescriptionPdf.js
+// Renders an issued prescription as a PDF carrying its verification code and signature.
+
+const PDFDocument = require('pdfkit'); // PDF generation
+
+const MARGIN = 50;
+const day = (date) => date.toISOString().slice(0, 10);
+
+// Write the prescription as a PDF to a writable stream.
+// `verifyUrl` is where a pharmacy can check the verification code.
+const writePrescriptionPdf = (prescription, verifyUrl, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+  doc.pipe(stream);
+
+  const { prescriber, patient } = prescription;
+
+  // Header: prescriber (doctor / clinic)
+  doc.font('Helvetica-Bold').fontSize(14).text(prescriber.name);
+  doc.font('Helvetica').fontSize(10);
+  if (prescriber.specialty) doc.text(prescriber.specialty);
+  if (prescriber.clinicName) doc.text(prescriber.clinicName);
+  if (prescriber.address) doc.text(prescriber.address);
+  if (prescriber.phone) doc.text(`Phone: ${prescriber.phone}`);
+  doc.moveTo(MARGIN, doc.y + 5).lineTo(doc.page.width - MARGIN, doc.y + 5).stroke();
+
+  // Patient and date
+  doc.moveDown(1.2);
+  doc.font('Helvetica-Bold').text('Patient: ', { continued: true }).font('Helvetica').text(patient.name);
+  doc.font('Helvetica-Bold').text('Date: ', { continued: true }).font('Helvetica').text(day(prescription.issuedAt));
+
+  // Medications
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(18).text('Rx');
+  doc.fontSize(10);
+  prescription.items.forEach((item, index) => {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').text(`${index + 1}. ${item.medication}`);
+    doc.font('Helvetica').text(`${item.dose}, ${item.frequency}, for ${item.duration}`, { indent: 14 });
+    if (item.instructions) doc.text(item.instructions, { indent: 14 });
+  });
+
+  if (prescription.notes) {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text('Notes');
+    doc.font('Helvetica').text(prescription.notes);
+  }
+
+  // Signature block
+  doc.moveDown(2);
+  doc.font('Helvetica-Bold').text(`Electronically signed by ${prescriber.name}`);
+  doc.font('Helvetica')
+    .text(`Verification code: ${prescription.verificationCode}`)
+    .text(`Verify at: ${verifyUrl}`);
+  doc.moveDown(0.5);
+  doc.fontSize(7).fillColor('gray')
+    .text(`Signature: ${prescription.signature}`)
+    .moveDown(0.5)
+    .fontSize(8)
+    .text('Pharmacists: check the verification code before dispensing. The prescription is only valid if the details shown there match this document.');
+
+  doc.end();
+};
+
+module.exports = { writePrescriptionPdf };
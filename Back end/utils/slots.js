@@ -0,0 +1,221 @@
+// backend/utils/slots.js
+// Helpers for working with a doctor's weekly availability and turning it into bookable slots.
+// Weekly hours are wall-clock HH:mm times in the doctor's IANA timezone; generated slots are
+// UTC instants ({ startAt, endAt }), matching the Appointment model.
+
+const config = require('config'); // Import config to get the default timezone
+const { isValidTimeZone, zonedTimeToUtc, utcToZonedTime } = require('./time'); // Timezone helpers
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/; // HH:mm, 24-hour clock
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;         // YYYY-MM-DD
+const MAX_RANGE_DAYS = 31;                          // Upper bound for a single slot lookup
+const SLOT_KEY_MINUTES = 5;                         // Size of the cells an appointment's time is split into
+                                                    // (slot lengths and working hours are multiples of it)
+
+// Availability used for doctors who have not configured their own schedule yet:
+// Monday to Friday, 09:00-17:00, with a lunch break from 13:00 to 14:00.
+const DEFAULT_AVAILABILITY = {
+  timezone: config.get('defaultTimezone'),
+  slotDuration: 30,
+  weeklyHours: [1, 2, 3, 4, 5].map((day) => ({ day, start: '09:00', end: '17:00' })),
+  breaks: [1, 2, 3, 4, 5].map((day) => ({ day, start: '13:00', end: '14:00' })),
+};
+
+// Convert an HH:mm string to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Convert minutes since midnight back to an HH:mm string
+const fromMinutes = (total) => {
+  const hours = String(Math.floor(total / 60)).padStart(2, '0');
+  const minutes = String(total % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
+
+// Check that a string is a real calendar date in YYYY-MM-DD form
+const isValidDate = (date) => {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+};
+
+const isValidTime = (time) => typeof time === 'string' && TIME_PATTERN.test(time);
+
+// Day of week (0 = Sunday) for a YYYY-MM-DD string, independent of the server's timezone
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Add a number of days to a YYYY-MM-DD string
+const addDays = (date, days) => {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return parsed.toISOString().slice(0, 10);
+};
+
+// Add a number of minutes to a Date
+const addMinutes = (instant, minutes) => new Date(instant.getTime() + minutes * 60000);
+
+// Timezone of an availability, falling back to the configured default
+const timezoneOf = (availability) => availability.timezone || DEFAULT_AVAILABILITY.timezone;
+
+// Validate an availability object sent by a doctor.
+// Returns an error message, or null if the availability is usable.
+const validateAvailability = (availability) => {
+  if (!availability || typeof availability !== 'object') {
+    return 'Availability must be an object.';
+  }
+
+  const { timezone, slotDuration, weeklyHours = [], breaks = [] } = availability;
+
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return 'Timezone must be a valid IANA timezone (e.g., Asia/Kolkata).';
+  }
+  // Slots must start on the slotKeysFor cell grid; an off-grid start would share a cell with
+  // the slot before it, and the slot index would refuse bookings that do not overlap
+  if (!Number.isInteger(slotDuration) || slotDuration < 5 || slotDuration > 240 || slotDuration % SLOT_KEY_MINUTES !== 0) {
+    return `Slot duration must be between 5 and 240 minutes, in steps of ${SLOT_KEY_MINUTES}.`;
+  }
+
+  const ranges = [
+    ...weeklyHours.map((range) => ({ ...range, kind: 'Working hours' })),
+    ...breaks.map((range) => ({ ...range, kind: 'Break' })),
+  ];
+
+  for (const range of ranges) {
+    if (!Number.isInteger(range.day) || range.day < 0 || range.day > 6) {
+      return `${range.kind} must use a day between 0 (Sunday) and 6 (Saturday).`;
+    }
+    if (!isValidTime(range.start) || !isValidTime(range.end)) {
+      return `${range.kind} must use HH:mm times.`;
+    }
+    if (toMinutes(range.start) >= toMinutes(range.end)) {
+      return `${range.kind} must end after they start.`;
+    }
+    if (toMinutes(range.start) % SLOT_KEY_MINUTES !== 0 || toMinutes(range.end) % SLOT_KEY_MINUTES !== 0) {
+      return `${range.kind} must start and end on a multiple of ${SLOT_KEY_MINUTES} minutes (e.g., 09:05, not 09:07).`;
+    }
+  }
+
+  return null;
+};
+
+// Generate all slots for a single local date in the doctor's timezone, ignoring existing bookings.
+const slotsForDate = (availability, date) => {
+  const { slotDuration, weeklyHours = [], breaks = [] } = availability;
+  const timezone = timezoneOf(availability);
+  const day = dayOfWeek(date);
+  const dayBreaks = breaks.filter((range) => range.day === day);
+  const times = new Set();
+
+  weeklyHours
+    .filter((range) => range.day === day)
+    .forEach((range) => {
+      const end = toMinutes(range.end);
+      for (let start = toMinutes(range.start); start + slotDuration <= end; start += slotDuration) {
+        const slotEnd = start + slotDuration;
+        // Skip any slot that overlaps a break
+        const overlapsBreak = dayBreaks.some(
+          (pause) => start < toMinutes(pause.end) && slotEnd > toMinutes(pause.start)
+        );
+        if (!overlapsBreak) {
+          times.add(fromMinutes(start));
+        }
+      }
+    });
+
+  return [...times].sort().map((time) => {
+    const startAt = zonedTimeToUtc(date, time, timezone);
+    return { startAt, endAt: addMinutes(startAt, slotDuration) };
+  });
+};
+
+// True when a slot overlaps any of the given time-off periods ({ startAt, endAt } UTC instants)
+const overlapsTimeOff = (slot, timeOff) =>
+  timeOff.some((period) => slot.startAt < period.endAt && slot.endAt > period.startAt);
+
+// Generate all slots between two local YYYY-MM-DD dates (inclusive) in the doctor's timezone.
+// Slots that have already started (relative to `now`) or that fall into the doctor's
+// time off are left out. `duration` (minutes, defaults to the slot length) is the length of
+// the visit to fit: a longer visit needs consecutive slots that are all available, so it can
+// only start where it ends before a break, time off or the end of the working day.
+const generateSlots = (availability, from, to, { now = new Date(), timeOff = [], duration } = {}) => {
+  const gridSlots = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    slotsForDate(availability, date).forEach((slot) => {
+      if (!overlapsTimeOff(slot, timeOff)) gridSlots.push(slot);
+    });
+  }
+
+  const visitLength = duration || availability.slotDuration;
+  const available = new Set(gridSlots.map((slot) => slot.startAt.getTime()));
+  const cellsNeeded = Math.ceil(visitLength / availability.slotDuration);
+
+  return gridSlots
+    .filter((slot) => {
+      if (slot.startAt <= now) return false;
+      for (let cell = 1; cell < cellsNeeded; cell += 1) {
+        if (!available.has(addMinutes(slot.startAt, cell * availability.slotDuration).getTime())) return false;
+      }
+      return true;
+    })
+    .map((slot) => ({ startAt: slot.startAt, endAt: addMinutes(slot.startAt, visitLength) }));
+};
+
+// Split the time an appointment occupies into fixed SLOT_KEY_MINUTES cells (UTC instants).
+// Two appointments overlap exactly when they share a cell, so a unique index on the cells
+// prevents overlapping bookings even when visits have different lengths.
+const slotKeysFor = (startAt, until) => {
+  const cell = SLOT_KEY_MINUTES * 60000;
+  const keys = [];
+  for (let time = Math.floor(startAt.getTime() / cell) * cell; time < until.getTime(); time += cell) {
+    keys.push(new Date(time));
+  }
+  return keys;
+};
+
+// Check whether a UTC instant is the start of one of the doctor's generated slots.
+// Accepts the same options as generateSlots.
+const isBookableSlot = (availability, startAt, options = {}) => {
+  if (!(startAt instanceof Date) || Number.isNaN(startAt.getTime())) return false;
+  const { date } = utcToZonedTime(startAt, timezoneOf(availability));
+  return generateSlots(availability, date, date, options)
+    .some((slot) => slot.startAt.getTime() === startAt.getTime());
+};
+
+// Number of days covered by an inclusive YYYY-MM-DD range
+const rangeLengthInDays = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000) + 1;
+
+// Read and validate a ?from=&to= slot lookup range from a query string.
+// Returns { from, to } or { error } with a message suitable for a 400 response.
+const parseDateRange = (query) => {
+  const { from } = query;
+  const to = query.to || from; // Default to a single day
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return { error: 'Please provide valid from/to dates (YYYY-MM-DD).' };
+  }
+  if (to < from) {
+    return { error: 'The "to" date must not be before the "from" date.' };
+  }
+  if (rangeLengthInDays(from, to) > MAX_RANGE_DAYS) {
+    return { error: `Slots can be requested for at most ${MAX_RANGE_DAYS} days at a time.` };
+  }
+  return { from, to };
+};
+
+module.exports = {
+  SLOT_KEY_MINUTES,
+  DEFAULT_AVAILABILITY,
+  addDays,
+  addMinutes,
+  timezoneOf,
+  validateAvailability,
+  generateSlots,
+  isBookableSlot,
+  slotKeysFor,
+  isValidDate,
+  isValidTime,
+  parseDateRange,
+};
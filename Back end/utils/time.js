@@ -0,0 +1,63 @@
+// backend/utils/time.js
+// Timezone helpers built on the Intl API, used to convert between a doctor's local
+// wall-clock time (in their IANA timezone) and UTC instants stored in the database.
+
+// Check that a string is an IANA timezone known to the runtime (e.g., 'Asia/Kolkata')
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Break an instant down into its calendar fields as seen in a timezone
+const getZonedFields = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(instant);
+  return Object.fromEntries(parts.map((part) => [part.type, part.value]));
+};
+
+// Offset of a timezone from UTC (in milliseconds) at a given instant
+const getOffset = (instant, timeZone) => {
+  const fields = getZonedFields(instant, timeZone);
+  const asUtc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return asUtc - (instant.getTime() - instant.getUTCMilliseconds());
+};
+
+// Convert a local YYYY-MM-DD date and HH:mm time in a timezone to a UTC Date
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const naive = new Date(`${date}T${time}:00Z`).getTime();
+  const offset = getOffset(new Date(naive), timeZone);
+  // Re-check the offset at the resulting instant in case a DST change lies in between
+  const correctedOffset = getOffset(new Date(naive - offset), timeZone);
+  return new Date(naive - correctedOffset);
+};
+
+// Convert a UTC instant to the local YYYY-MM-DD date and HH:mm time in a timezone
+const utcToZonedTime = (instant, timeZone) => {
+  const fields = getZonedFields(instant, timeZone);
+  return {
+    date: `${fields.year}-${fields.month}-${fields.day}`,
+    time: `${fields.hour}:${fields.minute}`,
+  };
+};
+
+// Parse an ISO 8601 timestamp sent by a client; returns null when it is not a valid instant
+const parseInstant = (value) => {
+  if (typeof value !== 'string' || !value) return null;
+  const instant = new Date(value);
+  return Number.isNaN(instant.getTime()) ? null : instant;
+};
+
+module.exports = { isValidTimeZone, zonedTimeToUtc, utcToZonedTime, parseInstant };
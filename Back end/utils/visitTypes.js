@@ -0,0 +1,88 @@
+// backend/utils/visitTypes.js
+// Helpers for a doctor's catalog of visit types (e.g., "First consultation, 30 min, ₹500").
+// A visit type decides how long an appointment lasts, how much buffer time follows it
+// before the next visit can start, and how much the patient pays.
+
+const config = require('config'); // Import config to get the default visit price
+
+const MAX_VISIT_TYPES = 20;
+const MAX_DURATION_MINUTES = 240;
+const MAX_BUFFER_MINUTES = 120;
+const MINUTE_STEP = 5; // Durations and buffers are whole multiples of this
+
+// Visit type used for doctors who have not set up a catalog yet: one slot, no buffer
+const DEFAULT_VISIT_TYPE_ID = 'default';
+const defaultVisitType = (availability) => ({
+  _id: DEFAULT_VISIT_TYPE_ID,
+  name: 'Consultation',
+  durationMinutes: availability.slotDuration,
+  bufferMinutes: 0,
+  price: config.get('defaultVisitPrice'),
+});
+
+const isMinuteStep = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max && value % MINUTE_STEP === 0;
+
+// Validate a visit type catalog sent by a doctor.
+// Returns an error message, or null if the catalog is usable.
+const validateVisitTypes = (visitTypes) => {
+  if (!Array.isArray(visitTypes)) {
+    return 'Visit types must be a list.';
+  }
+  if (visitTypes.length > MAX_VISIT_TYPES) {
+    return `You can offer at most ${MAX_VISIT_TYPES} visit types.`;
+  }
+
+  for (const visitType of visitTypes) {
+    if (!visitType || typeof visitType.name !== 'string' || !visitType.name.trim()) {
+      return 'Every visit type needs a name.';
+    }
+    if (!isMinuteStep(visitType.durationMinutes, MINUTE_STEP, MAX_DURATION_MINUTES)) {
+      return `${visitType.name}: duration must be ${MINUTE_STEP} to ${MAX_DURATION_MINUTES} minutes, in steps of ${MINUTE_STEP}.`;
+    }
+    if (!isMinuteStep(visitType.bufferMinutes || 0, 0, MAX_BUFFER_MINUTES)) {
+      return `${visitType.name}: buffer must be 0 to ${MAX_BUFFER_MINUTES} minutes, in steps of ${MINUTE_STEP}.`;
+    }
+    if (typeof visitType.price !== 'number' || !Number.isFinite(visitType.price) || visitType.price < 0) {
+      return `${visitType.name}: price must be zero or more.`;
+    }
+  }
+
+  return null;
+};
+
+// The visit types a doctor offers, falling back to the default one when the catalog is empty
+const visitTypesOf = (doctorProfile) =>
+  doctorProfile.visitTypes && doctorProfile.visitTypes.length > 0
+    ? doctorProfile.visitTypes
+    : [defaultVisitType(doctorProfile.availability)];
+
+// Look up one of a doctor's visit types by ID; without an ID the first one is used.
+// Returns null when the ID does not match any visit type of the doctor.
+const findVisitType = (doctorProfile, visitTypeId) => {
+  const visitTypes = visitTypesOf(doctorProfile);
+  if (!visitTypeId) return visitTypes[0];
+  return visitTypes.find((visitType) => String(visitType._id) === String(visitTypeId)) || null;
+};
+
+// Copy of a visit type stored on an appointment, so later catalog changes don't alter it
+const snapshotVisitType = (visitType) => ({
+  visitTypeId: visitType._id === DEFAULT_VISIT_TYPE_ID ? undefined : visitType._id,
+  name: visitType.name,
+  durationMinutes: visitType.durationMinutes,
+  bufferMinutes: visitType.bufferMinutes || 0,
+  price: visitType.price,
+});
+
+module.exports = {
+  MAX_VISIT_TYPES,
+  MAX_DURATION_MINUTES,
+  MAX_BUFFER_MINUTES,
+  MINUTE_STEP,
+  DEFAULT_VISIT_TYPE_ID,
+  defaultVisitType,
+  validateVisitTypes,
+  visitTypesOf,
+  findVisitType,
+  snapshotVisitType,
+};
@@ -3,7 +3,7 @@
 // conditional rendering based on authentication state and user roles,
 // and manages global snackbar messages.
 
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useCallback, useRef } from 'react';
 import {
   AppBar, Toolbar, Typography, Button, Box, Container, CircularProgress,
   Snackbar, Alert, TextField, FormControlLabel, Checkbox, List, ListItem,
@@ -15,13 +15,23 @@ import axios from 'axios';
 
 // Import AuthContext from AuthContext.jsx
 import { AuthContext } from './AuthContext.jsx';
+import { fieldErrorsOf, fieldErrorProps } from './formErrors.js'; // Field-level validation errors
 
 // Import components for routing
 import AdminDashboard from './components/AdminDashboard.jsx';
 import CustomerDashboard from './components/CustomerDashboard.jsx';
 import CustomerAppointments from './components/CustomerAppointments.jsx';
+import CustomerWaitlist from './components/CustomerWaitlist.jsx';
+import CustomerHealthProfile from './components/CustomerHealthProfile.jsx';
 import DoctorDashboard from './components/DoctorDashboard.jsx';
 import DoctorProfileForm from './components/DoctorProfileForm.jsx';
+import DoctorTimeOff from './components/DoctorTimeOff.jsx';
+import DoctorApplicationForm from './components/DoctorApplicationForm.jsx';
+import DoctorStaff from './components/DoctorStaff.jsx';
+import ResetPasswordForm from './components/ResetPasswordForm.jsx';
+import TwoFactorLoginStep from './components/TwoFactorLoginStep.jsx';
+import TwoFactorEnrollment from './components/TwoFactorEnrollment.jsx';
+import TwoFactorSettings from './components/TwoFactorSettings.jsx';
 
 // Helper function to format date to YYYY-MM-DD (for input type="date")
 const formatDateToYYYYMMDD = (dateString) => {
@@ -44,34 +54,85 @@ const AuthForm = ({ showSnackbar }) => {
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [isDoctor, setIsDoctor] = useState(false); // Register as a doctor (licence verification follows)
+  const [isForgot, setIsForgot] = useState(false); // Asking for a password reset link instead of logging in
+  const [challenge, setChallenge] = useState(null); // { step: 'login' | 'setup', token } after a correct password
+  const [isLocked, setIsLocked] = useState(false); // The account was locked after too many failed logins
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected
 
-  const { login, API_BASE_URL } = useContext(AuthContext);
+  const { login, completeLogin, API_BASE_URL } = useContext(AuthContext);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setFieldErrors({});
 
     try {
-      if (isRegister) {
-        const res = await axios.post(`${API_BASE_URL}/auth/register`, { username, email, password });
-        showSnackbar(res.data.msg + (res.data.role === 'doctor' ? ' (Recognized as Doctor!)' : ''), 'success');
+      if (isForgot) {
+        const res = await axios.post(`${API_BASE_URL}/auth/forgot-password`, { email });
+        showSnackbar(res.data.msg, 'success');
+        setIsForgot(false); // Back to login; the link in the email leads to the reset form
+      } else if (isRegister) {
+        const res = await axios.post(`${API_BASE_URL}/auth/register`, {
+          username, email, password, accountType: isDoctor ? 'doctor' : 'customer',
+        });
+        showSnackbar(res.data.msg, 'success');
         setIsRegister(false); // Switch to login after successful registration
         setEmail(''); // Clear email and password fields to encourage login
         setPassword('');
       } else {
-        await login(email, password);
-        showSnackbar('Logged in successfully!', 'success');
+        const data = await login(email, password);
+        if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+          setChallenge({ step: data.twoFactorRequired ? 'login' : 'setup', token: data.challengeToken });
+          showSnackbar(data.msg, 'info');
+        } else {
+          showSnackbar('Logged in successfully!', 'success');
+        }
       }
     } catch (err) {
       console.error('Authentication Error:', err.response ? err.response.data : err.message);
       showSnackbar(err.response ? err.response.data.msg : 'An unexpected error occurred.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+      setIsLocked(Boolean(err.response && err.response.data.locked));
     }
   };
 
+  // Ask for a new unlock link, e.g. when the first email got lost
+  const handleRequestUnlock = async () => {
+    try {
+      const res = await axios.post(`${API_BASE_URL}/auth/unlock-request`, { email });
+      showSnackbar(res.data.msg, 'success');
+    } catch (err) {
+      console.error('Error requesting unlock link:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to send an unlock link.', 'error');
+    }
+  };
+
+  // Second login step for two-factor accounts, or enrollment for admins who must use it
+  if (challenge) {
+    return (
+      <Box>
+        <Typography variant="h4" component="h1" gutterBottom align="center" sx={{ mb: 4 }}>
+          {challenge.step === 'login' ? 'Two-Factor Authentication' : 'Set Up Two-Factor Authentication'}
+        </Typography>
+        {challenge.step === 'login' ? (
+          <TwoFactorLoginStep challengeToken={challenge.token} onCancel={() => setChallenge(null)} showSnackbar={showSnackbar} />
+        ) : (
+          <TwoFactorEnrollment challengeToken={challenge.token} onEnabled={completeLogin} showSnackbar={showSnackbar} />
+        )}
+      </Box>
+    );
+  }
+
   return (
     <Box>
       <Typography variant="h4" component="h1" gutterBottom align="center" sx={{ mb: 4 }}>
-        {isRegister ? 'Register' : 'Login'}
+        {isForgot ? 'Forgot Password' : isRegister ? 'Register' : 'Login'}
       </Typography>
+      {isForgot && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Enter the email address of your account and we will send you a link to choose a new password.
+        </Typography>
+      )}
       <Box
         component="form"
         onSubmit={handleSubmit}
@@ -85,6 +146,7 @@ const AuthForm = ({ showSnackbar }) => {
             value={username}
             onChange={(e) => setUsername(e.target.value)}
             required
+            {...fieldErrorProps(fieldErrors, 'username')}
           />
         )}
         <TextField
@@ -95,16 +157,26 @@ const AuthForm = ({ showSnackbar }) => {
           value={email}
           onChange={(e) => setEmail(e.target.value)}
           required
+          {...fieldErrorProps(fieldErrors, 'email')}
         />
-        <TextField
-          label="Password"
-          variant="outlined"
-          fullWidth
-          type="password"
-          value={password}
-          onChange={(e) => setPassword(e.target.value)}
-          required
-        />
+        {!isForgot && (
+          <TextField
+            label="Password"
+            variant="outlined"
+            fullWidth
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            {...fieldErrorProps(fieldErrors, 'password')}
+          />
+        )}
+        {isRegister && (
+          <FormControlLabel
+            control={<Checkbox checked={isDoctor} onChange={(e) => setIsDoctor(e.target.checked)} />}
+            label="I am a doctor (you will be asked for your medical licence after logging in)"
+          />
+        )}
         <Button
           type="submit"
           variant="contained"
@@ -112,29 +184,96 @@ const AuthForm = ({ showSnackbar }) => {
           size="large"
           sx={{ mt: 2 }}
         >
-          {isRegister ? 'Register' : 'Login'}
+          {isForgot ? 'Send Reset Link' : isRegister ? 'Register' : 'Login'}
         </Button>
       </Box>
-      <Button
-        fullWidth
-        variant="text"
-        sx={{ mt: 2 }}
-        onClick={() => setIsRegister(!isRegister)}
-      >
-        {isRegister ? 'Already have an account? Login' : 'Need an account? Register'}
-      </Button>
+      {isForgot ? (
+        <Button fullWidth variant="text" sx={{ mt: 2 }} onClick={() => { setIsForgot(false); setFieldErrors({}); }}>
+          Back to Login
+        </Button>
+      ) : (
+        <>
+          <Button
+            fullWidth
+            variant="text"
+            sx={{ mt: 2 }}
+            onClick={() => { setIsRegister(!isRegister); setFieldErrors({}); }}
+          >
+            {isRegister ? 'Already have an account? Login' : 'Need an account? Register'}
+          </Button>
+          {!isRegister && (
+            <Button fullWidth variant="text" size="small" onClick={() => { setIsForgot(true); setFieldErrors({}); }}>
+              Forgot your password?
+            </Button>
+          )}
+          {!isRegister && isLocked && (
+            <Button fullWidth variant="text" size="small" onClick={handleRequestUnlock}>
+              Account locked? Email me an unlock link
+            </Button>
+          )}
+        </>
+      )}
     </Box>
   );
 };
 
+// --- VerifyEmailBanner Component (reminds users who have not confirmed their email address yet) ---
+const VerifyEmailBanner = ({ user, showSnackbar }) => {
+  const { API_BASE_URL } = useContext(AuthContext);
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const res = await axios.post(`${API_BASE_URL}/auth/resend-verification`);
+      showSnackbar(res.data.msg, 'success');
+    } catch (err) {
+      console.error('Error resending verification email:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to send the verification email.', 'error');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mb: 2 }}>
+      <Alert
+        severity="warning"
+        action={
+          <Button color="inherit" size="small" onClick={handleResend} disabled={sending}>
+            Resend Email
+          </Button>
+        }
+      >
+        Please verify your email address ({user.email}) using the link we sent you.
+        Booking appointments is unavailable until you do.
+      </Alert>
+    </Container>
+  );
+};
+
 // --- Navbar Component (Kept here as it's directly related to App's layout and navigation) ---
-const Navbar = ({ role, onNavigate }) => {
-  const { logout, user } = useContext(AuthContext);
+const Navbar = ({ role, onNavigate, showSnackbar }) => {
+  const { logout, logoutAllDevices, user } = useContext(AuthContext);
 
   const handleLogout = () => {
     logout();
   };
 
+  // End every session of this user, e.g. after losing a phone or logging in on a shared computer
+  const handleLogoutAllDevices = async () => {
+    if (!window.confirm('Log out on all devices, including this one?')) {
+      return;
+    }
+    try {
+      const data = await logoutAllDevices();
+      showSnackbar(data.msg, 'success');
+    } catch (err) {
+      console.error('Error logging out all devices:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to log out all devices.', 'error');
+    }
+  };
+
   return (
     <AppBar position="static" sx={{ mb: 4 }}>
       <Toolbar>
@@ -148,30 +287,71 @@ const Navbar = ({ role, onNavigate }) => {
             <>
               <Button color="inherit" onClick={() => onNavigate('dashboard')}>Book Appointment</Button>
               <Button color="inherit" onClick={() => onNavigate('appointments')}>My Appointments</Button>
+              <Button color="inherit" onClick={() => onNavigate('waitlist')}>My Waitlist</Button>
+              <Button color="inherit" onClick={() => onNavigate('health')}>Health Profile</Button>
             </>
           )}
           {role === 'doctor' && (
             <>
               <Button color="inherit" onClick={() => onNavigate('dashboard')}>My Appointments</Button>
+              <Button color="inherit" onClick={() => onNavigate('timeoff')}>Time Off</Button>
               <Button color="inherit" onClick={() => onNavigate('profile')}>My Profile</Button>
+              <Button color="inherit" onClick={() => onNavigate('staff')}>Staff</Button>
+              <Button color="inherit" onClick={() => onNavigate('application')}>Licence Verification</Button>
+              <Button color="inherit" onClick={() => onNavigate('security')}>Security</Button>
             </>
           )}
+          {role === 'staff' && (
+            <Button color="inherit" onClick={() => onNavigate('dashboard')}>Appointments</Button>
+          )}
           {role === 'admin' && (
             <>
               <Button color="inherit" onClick={() => onNavigate('dashboard')}>Admin Dashboard</Button>
+              <Button color="inherit" onClick={() => onNavigate('security')}>Security</Button>
             </>
           )}
         </Box>
+        <Button color="inherit" onClick={handleLogoutAllDevices}>Log Out All Devices</Button>
         <Button color="inherit" onClick={handleLogout}>Logout</Button>
       </Toolbar>
     </AppBar>
   );
 };
 
+// Emailed links confirmed as soon as the page opens: query parameter -> API endpoint
+const LINK_ACTIONS = {
+  verifyToken: { path: '/auth/verify-email', failure: 'Failed to verify your email address.' },
+  unlockToken: { path: '/auth/unlock', failure: 'Failed to unlock your account.' },
+};
+
+// The token of such a link in the page address, as { param, token }, or null
+const readLinkToken = () => {
+  const params = new URLSearchParams(window.location.search);
+  const param = Object.keys(LINK_ACTIONS).find((name) => params.get(name));
+  return param ? { param, token: params.get(param) } : null;
+};
+
+// Emailed links that open a form for choosing a password: query parameter -> form settings
+const PASSWORD_LINKS = {
+  resetToken: { path: '/auth/reset-password', title: 'Choose a New Password', submitLabel: 'Reset Password' },
+  inviteToken: { path: '/auth/accept-invite', title: 'Accept Your Staff Invitation', submitLabel: 'Set Password' },
+};
+
+// The token of such a link in the page address, as { param, token }, or null
+const readPasswordLink = () => {
+  const params = new URLSearchParams(window.location.search);
+  const param = Object.keys(PASSWORD_LINKS).find((name) => params.get(name));
+  return param ? { param, token: params.get(param) } : null;
+};
+
 // --- Main App Component ---
 function App() {
-  const { isAuthenticated, user, role, loading, loadUser } = useContext(AuthContext);
+  const { isAuthenticated, user, role, loading, loadUser, logout, API_BASE_URL } = useContext(AuthContext);
   const [currentPage, setCurrentPage] = useState('dashboard');
+  // Tokens from emailed links (`/?resetToken=...`, `/?inviteToken=...`, `/?verifyToken=...`, `/?unlockToken=...`),
+  // read once on page load
+  const [passwordLink, setPasswordLink] = useState(readPasswordLink);
+  const linkTokenRef = useRef(readLinkToken());
   const [snackbarOpen, setSnackbarOpen] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState('');
   const [snackbarSeverity, setSnackbarSeverity] = useState('success');
@@ -183,10 +363,42 @@ function App() {
     }
   }, [isAuthenticated, loading, loadUser]);
 
-  const showSnackbar = (message, severity) => {
+  const showSnackbar = useCallback((message, severity) => {
     setSnackbarMessage(message);
     setSnackbarSeverity(severity);
     setSnackbarOpen(true);
+  }, []);
+
+  // Confirm an email verification or account unlock link the page was opened from
+  useEffect(() => {
+    const linkToken = linkTokenRef.current;
+    if (!linkToken) {
+      return;
+    }
+    linkTokenRef.current = null; // Each link works once, so it must not be sent again on re-render
+    window.history.replaceState(null, '', window.location.pathname); // Drop the token from the address bar
+
+    const action = LINK_ACTIONS[linkToken.param];
+    axios.post(`${API_BASE_URL}${action.path}`, { token: linkToken.token })
+      .then((res) => {
+        showSnackbar(res.data.msg, 'success');
+        if (localStorage.getItem('token')) {
+          loadUser(); // Refresh the logged-in user (e.g., their verification flag)
+        }
+      })
+      .catch((err) => {
+        console.error('Error following email link:', err.response ? err.response.data : err.message);
+        showSnackbar(err.response ? err.response.data.msg : action.failure, 'error');
+      });
+  }, [API_BASE_URL, loadUser, showSnackbar]);
+
+  // Leave the password form; a successful reset ended every session, including this one
+  const handleResetDone = (passwordChanged) => {
+    setPasswordLink(null);
+    window.history.replaceState(null, '', window.location.pathname);
+    if (passwordChanged && isAuthenticated) {
+      logout();
+    }
   };
 
   const handleCloseSnackbar = (event, reason) => {
@@ -206,6 +418,19 @@ function App() {
       );
     }
 
+    if (passwordLink) {
+      return (
+        <Container maxWidth="sm" sx={{ mt: 4, p: 2, borderRadius: 2, boxShadow: 3, backgroundColor: 'white' }}>
+          <ResetPasswordForm
+            token={passwordLink.token}
+            {...PASSWORD_LINKS[passwordLink.param]}
+            onDone={handleResetDone}
+            showSnackbar={showSnackbar}
+          />
+        </Container>
+      );
+    }
+
     if (!isAuthenticated) {
       return (
         <Container maxWidth="sm" sx={{ mt: 4, p: 2, borderRadius: 2, boxShadow: 3, backgroundColor: 'white' }}>
@@ -220,19 +445,37 @@ function App() {
           <Container maxWidth="lg" sx={{ mt: 4, p: 2, borderRadius: 2, boxShadow: 3, backgroundColor: 'white' }}>
             {currentPage === 'dashboard' && <CustomerDashboard showSnackbar={showSnackbar} />}
             {currentPage === 'appointments' && <CustomerAppointments showSnackbar={showSnackbar} />}
+            {currentPage === 'waitlist' && <CustomerWaitlist showSnackbar={showSnackbar} />}
+            {currentPage === 'health' && <CustomerHealthProfile showSnackbar={showSnackbar} />}
           </Container>
         );
       case 'doctor':
         return (
           <Container maxWidth="lg" sx={{ mt: 4, p: 2, borderRadius: 2, boxShadow: 3, backgroundColor: 'white' }}>
-            {currentPage === 'dashboard' && <DoctorDashboard showSnackbar={showSnackbar} />}
+            {/* Doctors awaiting approval land on their licence application */}
+            {currentPage === 'dashboard' && (user.isApproved
+              ? <DoctorDashboard showSnackbar={showSnackbar} />
+              : <DoctorApplicationForm showSnackbar={showSnackbar} />)}
+            {currentPage === 'timeoff' && <DoctorTimeOff showSnackbar={showSnackbar} />}
             {currentPage === 'profile' && <DoctorProfileForm showSnackbar={showSnackbar} />}
+            {currentPage === 'staff' && <DoctorStaff showSnackbar={showSnackbar} />}
+            {currentPage === 'application' && <DoctorApplicationForm showSnackbar={showSnackbar} />}
+            {currentPage === 'security' && <TwoFactorSettings showSnackbar={showSnackbar} />}
+          </Container>
+        );
+      case 'staff':
+        // Front-desk staff manage the appointments of the doctor they work for
+        return (
+          <Container maxWidth="lg" sx={{ mt: 4, p: 2, borderRadius: 2, boxShadow: 3, backgroundColor: 'white' }}>
+            <DoctorDashboard showSnackbar={showSnackbar} />
           </Container>
         );
       case 'admin':
         return (
           <Container maxWidth="lg" sx={{ mt: 4, p: 2, borderRadius: 2, boxShadow: 3, backgroundColor: 'white' }}>
-            <AdminDashboard showSnackbar={showSnackbar} />
+            {currentPage === 'security'
+              ? <TwoFactorSettings showSnackbar={showSnackbar} />
+              : <AdminDashboard showSnackbar={showSnackbar} />}
           </Container>
         );
       default:
@@ -246,7 +489,10 @@ function App() {
 
   return (
     <Box sx={{ flexGrow: 1, backgroundColor: '#f0f2f5', minHeight: '100vh' }}>
-      {isAuthenticated && <Navbar role={role} onNavigate={setCurrentPage} />}
+      {isAuthenticated && <Navbar role={role} onNavigate={setCurrentPage} showSnackbar={showSnackbar} />}
+      {isAuthenticated && user && user.emailVerified === false && !passwordLink && (
+        <VerifyEmailBanner user={user} showSnackbar={showSnackbar} />
+      )}
       {renderContent()}
       <Snackbar open={snackbarOpen} autoHideDuration={6000} onClose={handleCloseSnackbar}>
         <Alert onClose={handleCloseSnackbar} severity={snackbarSeverity} sx={{ width: '100%' }}>
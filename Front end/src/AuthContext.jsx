@@ -2,6 +2,8 @@
 // This file sets up a React Context for global authentication state management.
 // It provides the current user's authentication status, role, and functions
 // for logging in and out to all components wrapped by AuthContextProvider.
+// Access tokens are short-lived: when a request fails with 401 the refresh token is exchanged for
+// a new pair and the request is retried, so users stay logged in while they are active.
 
 import React, { createContext, useState, useEffect } from 'react';
 import axios from 'axios'; // For making HTTP requests to the backend
@@ -12,6 +14,49 @@ export const AuthContext = createContext();
 // Define the base URL for your backend API
 const API_BASE_URL = 'http://localhost:5000/api';
 
+// Requests that must not trigger a token refresh when they fail with 401
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
+// Set Authorization header for Axios based on token, and keep both tokens in localStorage
+const setAuthToken = (token, refreshToken) => {
+  if (token) {
+    axios.defaults.headers.common['x-auth-token'] = token; // Set token in default headers
+    localStorage.setItem('token', token); // Store token in localStorage
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  } else {
+    delete axios.defaults.headers.common['x-auth-token']; // Remove token from headers
+    localStorage.removeItem('token'); // Remove token from localStorage
+    localStorage.removeItem('refreshToken');
+  }
+};
+
+// Exchange the stored refresh token for a new token pair. Concurrent callers share one request,
+// since each refresh token can only be used once. Resolves with the new access token.
+let refreshing = null;
+const refreshAccessToken = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshing = axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      .then((res) => {
+        setAuthToken(res.data.token, res.data.refreshToken);
+        return res.data.token;
+      })
+      .catch((err) => {
+        // Another tab may have refreshed first with the same token; use the pair it stored
+        const storedToken = localStorage.getItem('token');
+        if (storedToken && localStorage.getItem('refreshToken') !== refreshToken) {
+          setAuthToken(storedToken);
+          return storedToken;
+        }
+        throw err;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
 // AuthContextProvider component
 export const AuthContextProvider = ({ children }) => {
   // State variables for authentication
@@ -21,17 +66,6 @@ const [loading, setLoading] = useState(true); // Loading state during initial au
 const [user, setUser] = useState(null); // Current user object
 const [role, setRole] = useState(null); // Current user's role
 
-  // Set Authorization header for Axios based on token
-const setAuthToken = (token) => {
-  if (token) {
-      axios.defaults.headers.common['x-auth-token'] = token; // Set token in default headers
-      localStorage.setItem('token', token); // Store token in localStorage
-    } else {
-      delete axios.defaults.headers.common['x-auth-token']; // Remove token from headers
-      localStorage.removeItem('token'); // Remove token from localStorage
-  }
-};
-
   // Function to load user details from the backend using the token
 const loadUser = async () => {
   if (token) {
@@ -57,32 +91,92 @@ const loadUser = async () => {
   }
 };
 
+  // Refresh expired access tokens transparently: retry a request once after a 401.
+  // If the session cannot be refreshed (logged out elsewhere, expired), the user is logged out.
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const request = error.config;
+        const canRefresh = error.response && error.response.status === 401 && request && !request.retried
+          && !NO_REFRESH_PATHS.some((path) => request.url.endsWith(path))
+          && localStorage.getItem('refreshToken');
+        if (!canRefresh) {
+          return Promise.reject(error);
+        }
+
+        request.retried = true;
+        try {
+          const newToken = await refreshAccessToken();
+          setToken(newToken); // Keep the context's token in step with localStorage
+          request.headers['x-auth-token'] = newToken;
+          return axios(request);
+        } catch (refreshErr) {
+          console.error('Session could not be refreshed:', refreshErr.response ? refreshErr.response.data : refreshErr.message);
+          setAuthToken(null);
+          setToken(null);
+          setUser(null);
+          setRole(null);
+          setIsAuthenticated(false);
+          return Promise.reject(error);
+        }
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
   // Effect hook to load user when component mounts or token changes
   useEffect(() => {
     loadUser();
   }, [token]); // Depend on token to re-run when token state changes
 
-  // Function to handle user login
+  // Function to start the session of a completed login ({ token, refreshToken } from the backend)
+  const completeLogin = ({ token: newToken, refreshToken }) => {
+    setAuthToken(newToken, refreshToken); // Keep the refresh token for later refreshes
+    setToken(newToken); // Store the new token
+    // loadUser will be called by the useEffect due to token change
+  };
+
+  // Function to handle user login. Accounts with two-factor authentication get a challenge instead
+  // of tokens ({ twoFactorRequired | twoFactorSetupRequired, challengeToken }) for the next step.
   const login = async (email, password) => {
     try {
       const res = await axios.post(`${API_BASE_URL}/auth/login`, { email, password });
-      setToken(res.data.token); // Store the new token
-      // loadUser will be called by the useEffect due to token change
-      return res.data; // Return response data (e.g., token, role)
+      if (res.data.token) {
+        completeLogin(res.data);
+      }
+      return res.data; // Return response data (e.g., token, role, or a two-factor challenge)
     } catch (err) {
       console.error('Login failed:', err);
       throw err; // Re-throw error for handling in components
     }
   };
 
-  // Function to handle user logout
-  const logout = () => {
+  // Function to handle user logout: ends the session on the server, then clears it locally
+  const logout = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/auth/logout`, { refreshToken: localStorage.getItem('refreshToken') });
+    } catch (err) {
+      console.error('Logout request failed:', err.response ? err.response.data : err.message);
+    }
     setAuthToken(null); // Clear token
+    setToken(null);
     setUser(null); // Clear user data
     setRole(null); // Clear role
     setIsAuthenticated(false); // Set authenticated to false
   };
 
+  // Function to end every session of the user on all devices, including this one
+  const logoutAllDevices = async () => {
+    const res = await axios.post(`${API_BASE_URL}/auth/logout-all`);
+    setAuthToken(null); // This session was revoked as well
+    setToken(null);
+    setUser(null);
+    setRole(null);
+    setIsAuthenticated(false);
+    return res.data;
+  };
+
   // Provide the state and functions through the context value
   const authContextValue = {
     token,
@@ -91,7 +185,9 @@ const loadUser = async () => {
     user,
     role,
     login,
+    completeLogin,
     logout,
+    logoutAllDevices,
     loadUser,
     API_BASE_URL // Also provide API base URL for convenience
   };
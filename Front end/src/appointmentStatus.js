@@ -0,0 +1,30 @@
+// frontend/src/appointmentStatus.js
+// Display helpers for appointment statuses. Which status changes are allowed is decided by the
+// backend, which sends them with each appointment as `nextStatuses`.
+
+// Human-readable label for each appointment status
+export const STATUS_LABELS = {
+  pending: 'Pending',
+  scheduled: 'Scheduled',
+  'checked-in': 'Checked In',
+  'in-progress': 'In Progress',
+  completed: 'Completed',
+  rejected: 'Rejected',
+  'no-show': 'No Show',
+  cancelled: 'Cancelled',
+};
+
+// Chip color for each appointment status
+export const getStatusChipColor = (status) => {
+  switch (status) {
+    case 'pending': return 'warning';
+    case 'scheduled': return 'info';
+    case 'checked-in':
+    case 'in-progress': return 'primary';
+    case 'completed': return 'success';
+    case 'rejected':
+    case 'no-show':
+    case 'cancelled': return 'error';
+    default: return 'default';
+  }
+};
@@ -1,14 +1,30 @@
 // frontend/src/components/AdminDashboard.jsx
 // This component provides the administration dashboard.
-// It allows admins to manage users (view, delete) and approve doctor accounts.
+// It allows admins to manage users (view, delete, unlock after failed logins, reset two-factor
+// authentication), review doctor applications (approve,
+// reject with a reason, or ask the applicant for more information) and search the audit log.
 
 import React, { useState, useEffect, useContext } from 'react';
 import {
   Typography, Box, List, ListItem, ListItemText, ListItemSecondaryAction, Button, Divider, Chip,
-  Dialog, DialogTitle, DialogContent, DialogActions, CircularProgress
+  Dialog, DialogTitle, DialogContent, DialogActions, CircularProgress,
+  TextField, FormControl, InputLabel, Select, MenuItem
 } from '@mui/material'; // Material UI components
 import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
 import axios from 'axios'; // Axios for HTTP requests
+import { openFileInNewTab } from '../uploadDocuments.js'; // Opening stored files
+import { formatDateTime } from '../dateUtils.js'; // Timezone-aware formatting
+import AuditLogViewer from './AuditLogViewer.jsx'; // Audit trail search and export
+
+// Review decisions that need a note for the applicant, with the dialog wording for each
+const NOTE_DECISIONS = {
+  reject: { title: 'Reject Application', label: 'Reason for Rejection', action: 'Reject' },
+  request_info: { title: 'Request More Information', label: 'Information Needed', action: 'Send Request' },
+};
+
+// True while a user's account is locked after too many failed logins
+const isLockedOut = (user) =>
+  Boolean(user.loginSecurity && user.loginSecurity.lockedUntil && new Date(user.loginSecurity.lockedUntil) > new Date());
 
 const AdminDashboard = ({ showSnackbar }) => {
   const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
@@ -17,11 +33,31 @@ const AdminDashboard = ({ showSnackbar }) => {
   const [openConfirmDialog, setOpenConfirmDialog] = useState(false);
   const [userToDelete, setUserToDelete] = useState(null);
 
+  // Doctor application review states
+  const [applications, setApplications] = useState([]); // Applications with the selected status
+  const [applicationStatus, setApplicationStatus] = useState('pending'); // Status filter
+  const [reviewing, setReviewing] = useState(null); // { application, decision } awaiting a note
+  const [reviewNote, setReviewNote] = useState('');
+
   // Fetch all users when the component mounts
   useEffect(() => {
     fetchAllUsers();
   }, [API_BASE_URL, showSnackbar]); // Dependencies for useEffect
 
+  // Fetch the doctor applications with the selected status
+  useEffect(() => {
+    const fetchApplications = async () => {
+      try {
+        const res = await axios.get(`${API_BASE_URL}/doctor-applications`, { params: { status: applicationStatus } });
+        setApplications(res.data);
+      } catch (err) {
+        console.error('Error fetching applications:', err.response ? err.response.data : err.message);
+        showSnackbar(err.response ? err.response.data.msg : 'Failed to load doctor applications.', 'error');
+      }
+    };
+    fetchApplications();
+  }, [API_BASE_URL, applicationStatus, showSnackbar]); // Dependencies for useEffect
+
   const fetchAllUsers = async () => {
     try {
       const res = await axios.get(`${API_BASE_URL}/admin/users`);
@@ -34,15 +70,60 @@ const AdminDashboard = ({ showSnackbar }) => {
     }
   };
 
-  // Handle doctor approval
-  const handleApproveDoctor = async (userId) => {
+  // Send a review decision (approve, reject, request_info) for an application
+  const handleReview = async (application, decision, note) => {
     try {
-      const res = await axios.put(`${API_BASE_URL}/admin/doctors/${userId}/approve`);
+      const res = await axios.put(`${API_BASE_URL}/doctor-applications/${application._id}/review`, { decision, note });
       showSnackbar(res.data.msg, 'success');
+      setReviewing(null);
+      setReviewNote('');
+      // Keep the application in the list only if it still has the status being shown
+      const reviewed = { ...res.data.application, user: application.user };
+      setApplications((current) => current
+        .map((a) => (a._id === reviewed._id ? reviewed : a))
+        .filter((a) => a.status === applicationStatus));
       fetchAllUsers(); // Refresh user list to reflect approval
     } catch (err) {
-      console.error('Error approving doctor:', err.response ? err.response.data : err.message);
-      showSnackbar(err.response ? err.response.data.msg : 'Failed to approve doctor.', 'error');
+      console.error('Error reviewing application:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to review the application.', 'error');
+    }
+  };
+
+  // Open a licence document of an application
+  const handleOpenDocument = async (application, doc) => {
+    try {
+      await openFileInNewTab(`${API_BASE_URL}/doctor-applications/${application._id}/documents/${doc._id}`);
+    } catch (err) {
+      console.error('Error opening document:', err.message);
+      showSnackbar(`Failed to open ${doc.originalName}.`, 'error');
+    }
+  };
+
+  // Let a user locked out after too many failed logins log in again
+  const handleUnlockUser = async (user) => {
+    try {
+      const res = await axios.put(`${API_BASE_URL}/admin/users/${user._id}/unlock`);
+      showSnackbar(res.data.msg, 'success');
+      fetchAllUsers(); // Refresh user list
+    } catch (err) {
+      console.error('Error unlocking user:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to unlock the user.', 'error');
+    }
+  };
+
+  // Turn off two-factor authentication for a user who lost their phone and backup codes
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.username}? Only do this after confirming their identity.`)) {
+      return;
+    }
+
+    try {
+      const res = await axios.put(`${API_BASE_URL}/admin/users/${user._id}/reset-2fa`);
+      showSnackbar(res.data.msg, 'success');
+      fetchAllUsers(); // Refresh user list
+    } catch (err) {
+      console.error('Error resetting two-factor authentication:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to reset two-factor authentication.', 'error');
     }
   };
 
@@ -85,6 +166,82 @@ const AdminDashboard = ({ showSnackbar }) => {
 
   return (
     <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+        <Typography variant="h4">Doctor Applications</Typography>
+        <FormControl variant="outlined" size="small" sx={{ minWidth: 200 }}>
+          <InputLabel>Status</InputLabel>
+          <Select value={applicationStatus} onChange={(e) => setApplicationStatus(e.target.value)} label="Status">
+            <MenuItem value="pending">Awaiting Review</MenuItem>
+            <MenuItem value="info_requested">Information Requested</MenuItem>
+            <MenuItem value="approved">Approved</MenuItem>
+            <MenuItem value="rejected">Rejected</MenuItem>
+          </Select>
+        </FormControl>
+      </Box>
+      {applications.length === 0 ? (
+        <Typography variant="body1" sx={{ mb: 4 }}>No applications with this status.</Typography>
+      ) : (
+        <List sx={{ mb: 4 }}>
+          {applications.map((application) => (
+            <React.Fragment key={application._id}>
+              <ListItem alignItems="flex-start" sx={{ mb: 2, p: 2, border: '1px solid #e0e0e0', borderRadius: 2, boxShadow: 1 }}>
+                <ListItemText
+                  primary={
+                    <Typography variant="h6" component="div">
+                      {application.user ? `${application.user.username} (${application.user.email})` : 'Deleted user'}
+                    </Typography>
+                  }
+                  secondary={
+                    <React.Fragment>
+                      <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
+                        Licence: {application.licenceNumber} · {application.registrationCouncil}
+                      </Typography>
+                      <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
+                        Qualifications: {application.qualifications.map((q) => `${q.degree}, ${q.institution} (${q.year})`).join('; ')}
+                      </Typography>
+                      <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
+                        Submitted {formatDateTime(application.submittedAt)}
+                      </Typography>
+                      {application.reviewNote && (
+                        <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
+                          Review note: {application.reviewNote}
+                        </Typography>
+                      )}
+                      <Box component="span" sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+                        {application.documents.map((doc) => (
+                          <Chip
+                            key={doc._id}
+                            component="span"
+                            label={doc.originalName}
+                            variant="outlined"
+                            size="small"
+                            onClick={() => handleOpenDocument(application, doc)}
+                          />
+                        ))}
+                      </Box>
+                    </React.Fragment>
+                  }
+                />
+                {['pending', 'info_requested'].includes(application.status) && (
+                  <ListItemSecondaryAction sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+                    <Button variant="contained" color="success" size="small" onClick={() => handleReview(application, 'approve')}>
+                      Approve
+                    </Button>
+                    <Button variant="outlined" size="small" onClick={() => setReviewing({ application, decision: 'request_info' })}>
+                      Request Info
+                    </Button>
+                    <Button variant="outlined" color="error" size="small" onClick={() => setReviewing({ application, decision: 'reject' })}>
+                      Reject
+                    </Button>
+                  </ListItemSecondaryAction>
+                )}
+              </ListItem>
+              <Divider component="li" />
+            </React.Fragment>
+          ))}
+        </List>
+      )}
+
       <Typography variant="h4" gutterBottom>Admin Dashboard - Manage Users</Typography>
       {users.length === 0 ? (
         <Typography variant="body1">No users found.</Typography>
@@ -109,31 +266,45 @@ const AdminDashboard = ({ showSnackbar }) => {
                           Approval Status: <Chip label={user.isApproved ? 'Approved' : 'Pending'} color={user.isApproved ? 'success' : 'warning'} size="small" />
                         </Typography>
                       )}
+                      {isLockedOut(user) ? (
+                        <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
+                          Login: <Chip label={`Locked until ${formatDateTime(user.loginSecurity.lockedUntil)}`} color="error" size="small" />
+                          {' '}after {user.loginSecurity.failedAttempts} failed attempts
+                        </Typography>
+                      ) : user.loginSecurity && user.loginSecurity.failedAttempts > 0 && (
+                        <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
+                          Failed logins since last success: {user.loginSecurity.failedAttempts}
+                        </Typography>
+                      )}
+                      {user.twoFactor && user.twoFactor.enabled && (
+                        <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
+                          Two-factor authentication: On
+                        </Typography>
+                      )}
                     </React.Fragment>
                   }
                 />
                 <ListItemSecondaryAction sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
-                  {user.role === 'doctor' && !user.isApproved && (
-                    <Button
-                      variant="contained"
-                      color="success"
-                      size="small"
-                      onClick={() => handleApproveDoctor(user._id)}
-                    >
-                      Approve Doctor
-                    </Button>
-                  )}
                   {user.role !== 'admin' && ( // Prevent admin from deleting other admins or themselves here for safety
                     <Button
                       variant="outlined"
                       color="error"
                       size="small"
                       onClick={() => handleDeleteUserClick(user)}
-                      sx={{ mt: user.role === 'doctor' && !user.isApproved ? 1 : 0 }}
                     >
                       Delete User
                     </Button>
                   )}
+                  {isLockedOut(user) && (
+                    <Button variant="outlined" color="warning" size="small" onClick={() => handleUnlockUser(user)}>
+                      Unlock
+                    </Button>
+                  )}
+                  {user.role !== 'admin' && user.twoFactor && user.twoFactor.enabled && (
+                    <Button variant="outlined" size="small" onClick={() => handleResetTwoFactor(user)}>
+                      Reset 2FA
+                    </Button>
+                  )}
                 </ListItemSecondaryAction>
               </ListItem>
               <Divider component="li" />
@@ -142,6 +313,39 @@ const AdminDashboard = ({ showSnackbar }) => {
         </List>
       )}
 
+      <AuditLogViewer showSnackbar={showSnackbar} />
+
+      <Dialog open={Boolean(reviewing)} onClose={() => setReviewing(null)} fullWidth maxWidth="sm">
+        <DialogTitle>{reviewing && NOTE_DECISIONS[reviewing.decision].title}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            The applicant sees this note on their Licence Verification page.
+          </Typography>
+          <TextField
+            label={reviewing ? NOTE_DECISIONS[reviewing.decision].label : ''}
+            value={reviewNote}
+            onChange={(e) => setReviewNote(e.target.value)}
+            multiline
+            minRows={3}
+            fullWidth
+            required
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReviewing(null)} color="secondary">
+            Cancel
+          </Button>
+          <Button
+            onClick={() => handleReview(reviewing.application, reviewing.decision, reviewNote)}
+            color={reviewing && reviewing.decision === 'reject' ? 'error' : 'primary'}
+            variant="contained"
+            disabled={!reviewNote.trim()}
+          >
+            {reviewing && NOTE_DECISIONS[reviewing.decision].action}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       <Dialog open={openConfirmDialog} onClose={handleCloseConfirmDialog}>
         <DialogTitle>Confirm Deletion</DialogTitle>
         <DialogContent>
@@ -0,0 +1,194 @@
+// frontend/src/components/AuditLogViewer.jsx
+// This component shows the audit trail to admins: who did what to which record, when and from where,
+// with the fields each change touched. Entries can be searched and exported as CSV.
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Typography, Box, Button, Paper, TextField, Chip, Pagination,
+  List, ListItem, ListItemText, Divider
+} from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { formatDateTime } from '../dateUtils.js'; // Timezone-aware formatting
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+const PAGE_SIZE = 25;
+const EMPTY_FILTERS = { q: '', action: '', from: '', to: '' };
+
+// Query parameters for the API: empty fields are left out, local date-times are sent as ISO dates
+const paramsOf = (filters) => ({
+  ...(filters.q && { q: filters.q }),
+  ...(filters.action && { action: filters.action }),
+  ...(filters.from && { from: new Date(filters.from).toISOString() }),
+  ...(filters.to && { to: new Date(filters.to).toISOString() }),
+});
+
+// One line per changed field, e.g. "status: pending → scheduled"
+const describeChanges = (changes) =>
+  Object.entries(changes || {}).map(([field, { from, to }]) =>
+    `${field}: ${from === undefined ? '—' : JSON.stringify(from)} → ${to === undefined ? '—' : JSON.stringify(to)}`);
+
+const AuditLogViewer = ({ showSnackbar }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [entries, setEntries] = useState([]); // The current page of entries
+  const [total, setTotal] = useState(0); // Number of matching entries
+  const [pages, setPages] = useState(0); // Number of pages of matching entries
+  const [page, setPage] = useState(1);
+  const [form, setForm] = useState(EMPTY_FILTERS); // Search fields being edited
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // Search fields of the last search
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for search fields the server rejected
+
+  // Fetch a page of entries whenever the search or the page changes
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        const res = await axios.get(`${API_BASE_URL}/admin/audit-logs`, {
+          params: { ...paramsOf(filters), page, limit: PAGE_SIZE },
+        });
+        setEntries(res.data.entries);
+        setTotal(res.data.total);
+        setPages(res.data.pages);
+        setFieldErrors({});
+      } catch (err) {
+        console.error('Error fetching audit log:', err.response ? err.response.data : err.message);
+        showSnackbar(err.response ? err.response.data.msg : 'Failed to load the audit log.', 'error');
+        setFieldErrors(fieldErrorsOf(err));
+      }
+    };
+    fetchEntries();
+  }, [API_BASE_URL, filters, page, showSnackbar]); // Dependencies for useEffect
+
+  const handleChange = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  // Run a search from the first page
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setFilters(form);
+    setPage(1);
+  };
+
+  const handleClear = () => {
+    setForm(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  // Download every entry matching the last search as a CSV file
+  const handleExport = async () => {
+    try {
+      const res = await axios.get(`${API_BASE_URL}/admin/audit-logs/export`, { params: paramsOf(filters), responseType: 'blob' });
+      const match = /filename="([^"]+)"/.exec(res.headers['content-disposition'] || '');
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : 'audit-log.csv';
+      link.click();
+      URL.revokeObjectURL(url);
+      if (res.headers['x-export-truncated']) {
+        showSnackbar('Only the newest entries were exported. Narrow the search to export older ones.', 'warning');
+      }
+    } catch (err) {
+      console.error('Error exporting audit log:', err.message);
+      showSnackbar('Failed to export the audit log.', 'error');
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Typography variant="h4" gutterBottom>Audit Log</Typography>
+
+      <Paper elevation={1} sx={{ p: 2, mb: 2 }}>
+        <Box component="form" onSubmit={handleSearch} sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center' }}>
+          <TextField
+            label="Search (user, path, record ID, IP)"
+            value={form.q}
+            onChange={handleChange('q')}
+            {...fieldErrorProps(fieldErrors, 'q')}
+            size="small"
+            sx={{ flex: 2, minWidth: 220 }}
+          />
+          <TextField
+            label="Action (e.g., DELETE)"
+            value={form.action}
+            onChange={handleChange('action')}
+            {...fieldErrorProps(fieldErrors, 'action')}
+            size="small"
+            sx={{ flex: 1, minWidth: 160 }}
+          />
+          <TextField
+            label="From"
+            type="datetime-local"
+            value={form.from}
+            onChange={handleChange('from')}
+            {...fieldErrorProps(fieldErrors, 'from')}
+            InputLabelProps={{ shrink: true }}
+            size="small"
+          />
+          <TextField
+            label="To"
+            type="datetime-local"
+            value={form.to}
+            onChange={handleChange('to')}
+            {...fieldErrorProps(fieldErrors, 'to')}
+            InputLabelProps={{ shrink: true }}
+            size="small"
+          />
+          <Button type="submit" variant="contained" color="primary">Search</Button>
+          <Button onClick={handleClear} color="secondary">Clear</Button>
+          <Button onClick={handleExport} variant="outlined" disabled={total === 0}>Export CSV</Button>
+        </Box>
+      </Paper>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {total} matching entr{total === 1 ? 'y' : 'ies'}
+      </Typography>
+
+      {entries.length === 0 ? (
+        <Typography variant="body1">No audit log entries found.</Typography>
+      ) : (
+        <List dense>
+          {entries.map((entry) => (
+            <React.Fragment key={entry._id}>
+              <ListItem alignItems="flex-start">
+                <ListItemText
+                  primary={
+                    <Box component="span" sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, alignItems: 'center' }}>
+                      <Chip label={entry.status} size="small" color={entry.status < 400 ? 'success' : 'error'} />
+                      <Typography component="span" variant="body1">{entry.action}</Typography>
+                    </Box>
+                  }
+                  secondary={
+                    <React.Fragment>
+                      <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
+                        {formatDateTime(entry.at)} by {entry.actorName ? `${entry.actorName} (${entry.actorRole})` : 'an anonymous user'}
+                        {entry.ip && ` from ${entry.ip}`}
+                      </Typography>
+                      <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
+                        {entry.path}
+                        {entry.target && entry.target.id && ` · ${entry.target.type || 'record'} ${entry.target.id}`}
+                      </Typography>
+                      {describeChanges(entry.changes).map((line) => (
+                        <Typography key={line} sx={{ display: 'block', fontFamily: 'monospace', wordBreak: 'break-all' }} component="span" variant="caption">
+                          {line}
+                        </Typography>
+                      ))}
+                    </React.Fragment>
+                  }
+                />
+              </ListItem>
+              <Divider component="li" />
+            </React.Fragment>
+          ))}
+        </List>
+      )}
+
+      {pages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <Pagination count={pages} page={page} onChange={(e, value) => setPage(value)} color="primary" />
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default AuditLogViewer;
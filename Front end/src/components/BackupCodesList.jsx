@@ -0,0 +1,40 @@
+// frontend/src/components/BackupCodesList.jsx
+// This component shows freshly created two-factor backup codes. They are only shown once,
+// so users can download them as a text file to keep somewhere safe.
+
+import React from 'react';
+import { Typography, Box, Button, Paper } from '@mui/material'; // Material UI components
+
+const BackupCodesList = ({ codes }) => {
+  // Save the codes as a text file
+  const handleDownload = () => {
+    const text = ['DocSpot backup codes (each code works once):', '', ...codes, ''].join('\n');
+    const url = window.URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'docspot-backup-codes.txt';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" sx={{ mb: 1 }}>
+        Keep these backup codes somewhere safe. If you lose your phone, each code lets you log in once.
+        They will not be shown again.
+      </Typography>
+      <Paper variant="outlined" sx={{ p: 2, mb: 1, display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 1 }}>
+        {codes.map((code) => (
+          <Typography key={code} variant="body1" sx={{ fontFamily: 'monospace' }}>{code}</Typography>
+        ))}
+      </Paper>
+      <Button size="small" variant="outlined" onClick={handleDownload}>
+        Download Codes
+      </Button>
+    </Box>
+  );
+};
+
+export default BackupCodesList;
@@ -1,6 +1,6 @@
 // frontend/src/components/CustomerAppointments.jsx
 // This component displays a customer's booked appointments.
-// It allows customers to cancel appointments and process mock payments.
+// It allows customers to cancel appointments, pay for them, download invoices and reschedule with their doctor.
 
 import React, { useState, useEffect, useContext } from 'react';
 import {
@@ -8,16 +8,19 @@ import {
   Dialog, DialogTitle, DialogContent, DialogActions,
   CircularProgress,
   List, ListItem, ListItemText, ListItemSecondaryAction, Divider, Chip,
-  RadioGroup, Radio, FormControlLabel
+  RadioGroup, Radio, FormControlLabel, FormControl, InputLabel, Select, MenuItem
 } from '@mui/material'; // Material UI components
 import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
 import axios from 'axios'; // Axios for HTTP requests
-
-// Helper function to format date for display (e.g., "June 24, 2025")
-const formatDisplayDate = (dateString) => {
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-};
+import { formatAppointmentTime } from '../dateUtils.js'; // Timezone-aware formatting
+import { formatPrice } from '../currency.js'; // Price formatting
+import { STATUS_LABELS, getStatusChipColor } from '../appointmentStatus.js'; // Status labels and colors
+import ProposeTimesDialog from './ProposeTimesDialog.jsx'; // Dialog for proposing new times
+import RescheduleProposalPanel from './RescheduleProposalPanel.jsx'; // Open proposal with accept/decline actions
+import DocumentList from './DocumentList.jsx'; // Attached documents with previews
+import VisitNoteDialog from './VisitNoteDialog.jsx'; // Read-only visit note
+import PrescriptionDialog from './PrescriptionDialog.jsx'; // Prescription downloads
+import { DOCUMENT_ACCEPT, MAX_DOCUMENT_MB, uploadDocuments, oversizedFiles } from '../uploadDocuments.js'; // Document uploads
 
 const CustomerAppointments = ({ showSnackbar }) => {
   const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
@@ -26,6 +29,13 @@ const CustomerAppointments = ({ showSnackbar }) => {
   const [openPaymentDialog, setOpenPaymentDialog] = useState(false); // State for payment dialog
   const [selectedAppointment, setSelectedAppointment] = useState(null); // Appointment selected for payment
   const [paymentMethod, setPaymentMethod] = useState('upi'); // State for selected payment method
+  const [mockOutcome, setMockOutcome] = useState('success'); // Result the mock payment provider should simulate
+  const [idempotencyKey, setIdempotencyKey] = useState(''); // Identifies the current payment attempt, reused on retries
+  const [processingPayment, setProcessingPayment] = useState(false); // Prevents double submission
+  const [openProposeDialog, setOpenProposeDialog] = useState(false); // State for the request-reschedule dialog
+  const [appointmentToReschedule, setAppointmentToReschedule] = useState(null); // Appointment selected for rescheduling
+  const [noteAppointment, setNoteAppointment] = useState(null); // Appointment whose visit note is shown
+  const [prescriptionAppointment, setPrescriptionAppointment] = useState(null); // Appointment whose prescriptions are shown
 
   // Fetch customer's appointments when the component mounts or dependencies change
   useEffect(() => {
@@ -44,31 +54,35 @@ const CustomerAppointments = ({ showSnackbar }) => {
     }
   };
 
-  // Helper to get Chip color based on appointment status
-  const getStatusChipColor = (status) => {
-    switch (status) {
-      case 'pending': return 'warning';
-      case 'scheduled': return 'info';
-      case 'completed': return 'success';
-      case 'cancelled': return 'error';
-      default: return 'default';
-    }
-  };
-
   // Helper to get Chip color based on payment status
   const getPaymentStatusChipColor = (status) => {
     switch (status) {
       case 'pending': return 'warning';
+      case 'processing': return 'info';
       case 'paid': return 'success';
       case 'failed': return 'error';
+      case 'partially_refunded': return 'secondary';
       default: return 'default';
     }
   };
 
   // Handle appointment cancellation
   const handleCancelAppointment = async (appointmentId) => {
+    let refundNote = '';
+    try {
+      // Tell paying customers what the cancellation policy refunds before they confirm
+      const quote = await axios.get(`${API_BASE_URL}/customer/appointments/${appointmentId}/refund-quote`);
+      if (appointments.find((a) => a._id === appointmentId)?.paymentStatus === 'paid') {
+        refundNote = quote.data.amount > 0
+          ? ` You will be refunded ${formatPrice(quote.data.amount, quote.data.currency)} (${quote.data.percent}%).`
+          : ' Under the cancellation policy, no refund is due.';
+      }
+    } catch (err) {
+      console.error('Error fetching refund quote:', err.response ? err.response.data : err.message);
+    }
+
     // Using a simple window.confirm for now, but a custom dialog is recommended for production
-    if (window.confirm('Are you sure you want to cancel this appointment? This action cannot be undone if payment has been made.')) {
+    if (window.confirm(`Are you sure you want to cancel this appointment? This action cannot be undone.${refundNote}`)) {
       try {
         const res = await axios.put(`${API_BASE_URL}/customer/appointments/${appointmentId}/cancel`);
         showSnackbar(res.data.msg, 'success');
@@ -80,9 +94,51 @@ const CustomerAppointments = ({ showSnackbar }) => {
     }
   };
 
+  // Download the invoice or the payment receipt of a paid appointment as a PDF
+  const handleDownloadInvoice = async (appointmentId, kind) => {
+    try {
+      const res = await axios.get(`${API_BASE_URL}/customer/appointments/${appointmentId}/${kind}`, { responseType: 'blob' });
+      const match = /filename="([^"]+)"/.exec(res.headers['content-disposition'] || '');
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `${kind}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(`Error downloading ${kind}:`, err.message);
+      showSnackbar(`Failed to download the ${kind}.`, 'error');
+    }
+  };
+
+  // Attach more documents to an existing appointment
+  const handleUploadDocuments = async (appointmentId, fileList) => {
+    const tooLarge = oversizedFiles(fileList);
+    if (tooLarge.length > 0) {
+      showSnackbar(`Larger than ${MAX_DOCUMENT_MB} MB: ${tooLarge.join(', ')}`, 'error');
+      return;
+    }
+
+    try {
+      const data = await uploadDocuments(API_BASE_URL, appointmentId, fileList);
+      showSnackbar(data.msg, 'success');
+      fetchAppointments(); // Refresh appointments list
+    } catch (err) {
+      console.error('Error uploading documents:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to upload documents.', 'error');
+    }
+  };
+
+  // Open the dialog for asking the doctor to move an appointment
+  const handleOpenProposeDialog = (appointment) => {
+    setAppointmentToReschedule(appointment);
+    setOpenProposeDialog(true);
+  };
+
   // Open payment dialog
   const handleOpenPaymentDialog = (appointment) => {
     setSelectedAppointment(appointment);
+    setIdempotencyKey(crypto.randomUUID()); // A new attempt; retries of it send the same key
     setOpenPaymentDialog(true);
   };
 
@@ -91,22 +147,37 @@ const CustomerAppointments = ({ showSnackbar }) => {
     setOpenPaymentDialog(false);
     setSelectedAppointment(null);
     setPaymentMethod('upi'); // Reset payment method
+    setMockOutcome('success');
   };
 
-  // Simulate payment processing
+  // Send the payment to the server
   const handleProcessPayment = async () => {
     if (!selectedAppointment) return;
 
+    setProcessingPayment(true);
     try {
-      const res = await axios.post(`${API_BASE_URL}/customer/appointments/${selectedAppointment._id}/pay`, { paymentMethod });
-      showSnackbar(res.data.msg, 'success');
+      const res = await axios.post(
+        `${API_BASE_URL}/customer/appointments/${selectedAppointment._id}/pay`,
+        { paymentMethod, mockOutcome },
+        { headers: { 'Idempotency-Key': idempotencyKey } }
+      );
+      // 202: the provider has not settled the payment yet
+      showSnackbar(res.data.msg, res.status === 202 ? 'info' : 'success');
       handleClosePaymentDialog(); // Close dialog
       fetchAppointments(); // Refresh appointments list
     } catch (err) {
       console.error('Error processing payment:', err.response ? err.response.data : err.message);
-      showSnackbar(err.response ? err.response.data.msg : 'Payment failed. Please try again.', 'error');
-      handleClosePaymentDialog(); // Close dialog even on error
-      fetchAppointments(); // Refresh to reflect potential partial updates
+      if (!err.response) {
+        // The request may or may not have reached the server: keep the dialog (and key) so
+        // pressing Pay Now again retries the same attempt instead of paying twice
+        showSnackbar('Network error. Press Pay Now to retry, you will not be charged twice.', 'error');
+        return;
+      }
+      showSnackbar(err.response.data.msg || 'Payment failed. Please try again.', 'error');
+      handleClosePaymentDialog(); // Close dialog on a definite answer
+      fetchAppointments(); // Refresh to reflect the failed payment
+    } finally {
+      setProcessingPayment(false);
     }
   };
 
@@ -132,40 +203,91 @@ const CustomerAppointments = ({ showSnackbar }) => {
                 <ListItemText
                   primary={
                     <Typography variant="h6" component="div">
-                      Appointment with Dr. {appointment.doctor.username} on {formatDisplayDate(appointment.date)} at {appointment.time}
+                      Appointment with Dr. {appointment.doctor.username} on {formatAppointmentTime(appointment.startAt, appointment.timezone)}
                     </Typography>
                   }
                   secondary={
                     <React.Fragment>
                       <Typography sx={{ display: 'inline' }} component="span" variant="body2" color="text.secondary">
-                        Status: <Chip label={appointment.status} color={getStatusChipColor(appointment.status)} size="small" sx={{ ml: 0.5 }} />
+                        Status: <Chip label={STATUS_LABELS[appointment.status] || appointment.status} color={getStatusChipColor(appointment.status)} size="small" sx={{ ml: 0.5 }} />
                       </Typography>
                       {appointment.isEmergency && (
                         <Chip label="Emergency" color="error" size="small" sx={{ ml: 1 }} />
                       )}
                       <Typography sx={{ display: 'block', mt: 0.5 }} component="span" variant="body2" color="text.secondary">
-                        Payment: <Chip label={appointment.paymentStatus} color={getPaymentStatusChipColor(appointment.paymentStatus)} size="small" sx={{ ml: 0.5 }} />
+                        Visit: {appointment.visitType.name} ({appointment.visitType.durationMinutes} min, {formatPrice(appointment.visitType.price)})
                       </Typography>
-                      {appointment.notes && (
-                        <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
-                          Notes: {appointment.notes}
+                      <Typography sx={{ display: 'block', mt: 0.5 }} component="span" variant="body2" color="text.secondary">
+                        Payment: <Chip label={appointment.paymentStatus.replace('_', ' ')} color={getPaymentStatusChipColor(appointment.paymentStatus)} size="small" sx={{ ml: 0.5 }} />
+                      </Typography>
+                      {appointment.refundedAmount > 0 && (
+                        <Typography sx={{ display: 'block', mt: 0.5 }} component="span" variant="body2" color="text.secondary">
+                          Refunded: {formatPrice(appointment.refundedAmount)}
                         </Typography>
                       )}
-                      {appointment.documents && appointment.documents.length > 0 && (
+                      {appointment.notes && (
                         <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
-                          Documents: {appointment.documents.join(', ')}
+                          Notes: {appointment.notes}
                         </Typography>
                       )}
+                      <DocumentList documents={appointment.documents} showSnackbar={showSnackbar} onDeleted={fetchAppointments} />
+                      <RescheduleProposalPanel
+                        appointment={appointment}
+                        viewerRole="customer"
+                        respondPath={`/customer/appointments/${appointment._id}/proposal`}
+                        showSnackbar={showSnackbar}
+                        onResponded={fetchAppointments}
+                      />
                     </React.Fragment>
                   }
                 />
                 <ListItemSecondaryAction sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
-                  {appointment.paymentStatus === 'pending' && appointment.status !== 'cancelled' && (
+                  {['pending', 'failed'].includes(appointment.paymentStatus) && ['pending', 'scheduled'].includes(appointment.status) && (
                     <Button variant="contained" color="success" size="small" onClick={() => handleOpenPaymentDialog(appointment)}>
                       Pay Now
                     </Button>
                   )}
-                  {(appointment.status === 'pending' || appointment.status === 'scheduled') && appointment.paymentStatus !== 'paid' && (
+                  {['paid', 'refunded', 'partially_refunded'].includes(appointment.paymentStatus) && (
+                    <React.Fragment>
+                      <Button variant="outlined" size="small" onClick={() => handleDownloadInvoice(appointment._id, 'invoice')}>
+                        Invoice
+                      </Button>
+                      <Button variant="outlined" size="small" onClick={() => handleDownloadInvoice(appointment._id, 'receipt')}>
+                        Receipt
+                      </Button>
+                    </React.Fragment>
+                  )}
+                  {appointment.status === 'completed' && (
+                    <React.Fragment>
+                      <Button variant="outlined" size="small" onClick={() => setNoteAppointment(appointment)}>
+                        Visit Note
+                      </Button>
+                      <Button variant="outlined" size="small" onClick={() => setPrescriptionAppointment(appointment)}>
+                        Prescriptions
+                      </Button>
+                    </React.Fragment>
+                  )}
+                  {['pending', 'scheduled'].includes(appointment.status) && (
+                    <Button variant="outlined" size="small" component="label">
+                      Add Documents
+                      <input
+                        type="file"
+                        hidden
+                        multiple
+                        accept={DOCUMENT_ACCEPT}
+                        onChange={(e) => {
+                          handleUploadDocuments(appointment._id, e.target.files);
+                          e.target.value = ''; // Allow choosing the same file again
+                        }}
+                      />
+                    </Button>
+                  )}
+                  {['pending', 'scheduled'].includes(appointment.status) && appointment.rescheduleProposal?.status !== 'open' && (
+                    <Button variant="outlined" color="info" size="small" onClick={() => handleOpenProposeDialog(appointment)}>
+                      Request Reschedule
+                    </Button>
+                  )}
+                  {appointment.nextStatuses.includes('cancelled') && (
                     <Button variant="outlined" color="error" size="small" onClick={() => handleCancelAppointment(appointment._id)}>
                       Cancel
                     </Button>
@@ -182,8 +304,13 @@ const CustomerAppointments = ({ showSnackbar }) => {
         <DialogTitle>Process Payment</DialogTitle>
         <DialogContent dividers>
           <Typography variant="body1" sx={{ mb: 2 }}>
-            Appointment with Dr. {selectedAppointment?.doctor?.username} on {formatDisplayDate(selectedAppointment?.date)} at {selectedAppointment?.time}
+            Appointment with Dr. {selectedAppointment?.doctor?.username} on {selectedAppointment && formatAppointmentTime(selectedAppointment.startAt, selectedAppointment.timezone)}
           </Typography>
+          {selectedAppointment && (
+            <Typography variant="h6" sx={{ mb: 2 }}>
+              Amount: {formatPrice(selectedAppointment.visitType.price)} ({selectedAppointment.visitType.name})
+            </Typography>
+          )}
           <Typography variant="subtitle1" sx={{ mb: 1 }}>Select Payment Method:</Typography>
           <RadioGroup
             aria-label="payment-method"
@@ -194,19 +321,56 @@ const CustomerAppointments = ({ showSnackbar }) => {
             <FormControlLabel value="upi" control={<Radio />} label="UPI (Google Pay, PhonePe, etc.)" />
             <FormControlLabel value="card" control={<Radio />} label="Credit/Debit Card" />
           </RadioGroup>
-          <Typography variant="caption" color="text.secondary" sx={{ mt: 2 }}>
-            This is a mock payment process for demonstration purposes.
+          <FormControl fullWidth variant="outlined" size="small" sx={{ mt: 2 }}>
+            <InputLabel>Simulated Result</InputLabel>
+            <Select value={mockOutcome} onChange={(e) => setMockOutcome(e.target.value)} label="Simulated Result">
+              <MenuItem value="success">Success</MenuItem>
+              <MenuItem value="failure">Failure</MenuItem>
+              <MenuItem value="pending">Pending (settled later by webhook)</MenuItem>
+            </Select>
+          </FormControl>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+            Payments go through the mock provider for demonstration purposes; no money is charged.
           </Typography>
         </DialogContent>
         <DialogActions>
           <Button onClick={handleClosePaymentDialog} color="secondary">
             Cancel
           </Button>
-          <Button onClick={handleProcessPayment} variant="contained" color="primary">
+          <Button onClick={handleProcessPayment} variant="contained" color="primary" disabled={processingPayment}>
             Pay Now
           </Button>
         </DialogActions>
       </Dialog>
+
+      <ProposeTimesDialog
+        open={openProposeDialog}
+        onClose={() => setOpenProposeDialog(false)}
+        appointment={appointmentToReschedule}
+        slotsPath={`/customer/doctors/${appointmentToReschedule?.doctor?._id}/slots`}
+        proposalsPath={`/customer/appointments/${appointmentToReschedule?._id}/proposals`}
+        recipientLabel="Your doctor"
+        showSnackbar={showSnackbar}
+        onProposed={fetchAppointments}
+      />
+
+      <VisitNoteDialog
+        open={Boolean(noteAppointment)}
+        onClose={() => setNoteAppointment(null)}
+        appointment={noteAppointment}
+        notePath={`/customer/appointments/${noteAppointment?._id}/note`}
+        editable={false}
+        showSnackbar={showSnackbar}
+      />
+
+      <PrescriptionDialog
+        open={Boolean(prescriptionAppointment)}
+        onClose={() => setPrescriptionAppointment(null)}
+        appointment={prescriptionAppointment}
+        prescriptionsPath={`/customer/appointments/${prescriptionAppointment?._id}/prescriptions`}
+        editable={false}
+        showSnackbar={showSnackbar}
+      />
     </Box>
   );
 };
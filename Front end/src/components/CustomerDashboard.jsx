@@ -1,16 +1,26 @@
 // frontend/src/components/CustomerDashboard.jsx
 // This component is the main dashboard for customers.
-// It displays a list of approved doctors and provides a form to book an appointment.
+// It displays a list of approved doctors and provides a form to book an appointment,
+// or to join a doctor's waitlist when they are fully booked.
 
 import React, { useState, useEffect, useContext } from 'react';
 import {
   Typography, Box, Button,
   Dialog, DialogTitle, DialogContent, DialogActions,
   TextField, FormControlLabel, Checkbox, CircularProgress,
-  List, ListItem, ListItemText, ListItemSecondaryAction, Divider
+  List, ListItem, ListItemText, ListItemSecondaryAction, Divider,
+  FormControl, InputLabel, Select, MenuItem, FormHelperText, Alert, Chip
 } from '@mui/material'; // Material UI components
 import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
 import axios from 'axios'; // Axios for HTTP requests
+import { viewerTimeZone, formatDateTime, formatDateInput, formatSlotLabel } from '../dateUtils.js'; // Timezone-aware formatting
+import { formatPrice } from '../currency.js'; // Price formatting
+import { DOCUMENT_ACCEPT, MAX_DOCUMENT_MB, uploadDocuments, oversizedFiles } from '../uploadDocuments.js'; // Document uploads
+import { fieldErrorsOf, fieldError, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+// Describe a visit type (e.g., "Follow-up · 15 min · ₹300.00")
+const formatVisitType = (visitType) =>
+  `${visitType.name} · ${visitType.durationMinutes} min · ${formatPrice(visitType.price)}`;
 
 // Helper function to format date to YYYY-MM-DD (for input type="date")
 const formatDateToYYYYMMDD = (dateString) => {
@@ -29,11 +39,23 @@ const CustomerDashboard = ({ showSnackbar }) => {
   const [selectedDoctor, setSelectedDoctor] = useState(null); // State for the doctor selected for booking
 
   // Appointment form states
-  const [appointmentDate, setAppointmentDate] = useState('');
-  const [appointmentTime, setAppointmentTime] = useState('');
-  const [documents, setDocuments] = useState(''); // Mock documents field (string for simplicity)
+  const [visitTypeId, setVisitTypeId] = useState(''); // Selected visit type of the doctor
+  const [appointmentDate, setAppointmentDate] = useState(''); // Calendar day in the doctor's timezone
+  const [appointmentStart, setAppointmentStart] = useState(''); // Selected slot start (ISO timestamp)
+  const [files, setFiles] = useState([]); // Documents (PDFs, images) to attach after booking
   const [notes, setNotes] = useState('');
   const [isEmergency, setIsEmergency] = useState(false); // State for emergency flag
+  const [availableSlots, setAvailableSlots] = useState([]); // Free slots for the selected date
+  const [doctorTimeZone, setDoctorTimeZone] = useState(''); // Doctor's IANA timezone, from the slots response
+  const [loadingSlots, setLoadingSlots] = useState(false); // Loading state for fetching slots
+  const [alternativeSlots, setAlternativeSlots] = useState([]); // Suggestions after a slot conflict
+
+  // Waitlist form states
+  const [openWaitlistDialog, setOpenWaitlistDialog] = useState(false); // State for the join-waitlist dialog
+  const [waitlistFrom, setWaitlistFrom] = useState(''); // First acceptable day (doctor's calendar)
+  const [waitlistTo, setWaitlistTo] = useState(''); // Last acceptable day (doctor's calendar)
+
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected (open dialog)
 
   // Fetch approved doctors when the component mounts
   useEffect(() => {
@@ -54,6 +76,7 @@ const CustomerDashboard = ({ showSnackbar }) => {
   // Open the appointment booking dialog
   const handleOpenBookDialog = (doctor) => {
     setSelectedDoctor(doctor);
+    setVisitTypeId(doctor.visitTypes[0]._id); // Preselect the doctor's first visit type
     setOpenBookDialog(true);
   };
 
@@ -61,34 +84,137 @@ const CustomerDashboard = ({ showSnackbar }) => {
   const handleCloseBookDialog = () => {
     setOpenBookDialog(false);
     setSelectedDoctor(null);
+    setVisitTypeId('');
     setAppointmentDate('');
-    setAppointmentTime('');
-    setDocuments('');
+    setAppointmentStart('');
+    setFiles([]);
     setNotes('');
     setIsEmergency(false);
+    setAvailableSlots([]);
+    setAlternativeSlots([]);
+    setFieldErrors({});
+  };
+
+  // Load the doctor's free slots whenever the customer picks a date or visit type
+  // (slots depend on how long the chosen visit lasts)
+  const handleDateChange = async (date, startAt = '', typeId = visitTypeId) => {
+    setAppointmentDate(date);
+    setAppointmentStart(startAt);
+    setAvailableSlots([]);
+    if (!date || !selectedDoctor) return;
+
+    setLoadingSlots(true);
+    setFieldErrors({});
+    try {
+      const res = await axios.get(`${API_BASE_URL}/customer/doctors/${selectedDoctor.user._id}/slots`, {
+        params: { from: date, to: date, visitTypeId: typeId },
+      });
+      setAvailableSlots(res.data.slots);
+      setDoctorTimeZone(res.data.timezone);
+    } catch (err) {
+      console.error('Error fetching slots:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to load available slots.', 'error');
+      setFieldErrors(fieldErrorsOf(err)); // The lookup's `from` is the chosen date
+    } finally {
+      setLoadingSlots(false);
+    }
+  };
+
+  // Switch the visit type, reloading the free slots of the chosen date
+  const handleVisitTypeChange = (typeId) => {
+    setVisitTypeId(typeId);
+    setAlternativeSlots([]);
+    handleDateChange(appointmentDate, '', typeId);
+  };
+
+  // Open the join-waitlist dialog for the selected doctor, pre-filled with a day and visit type
+  const handleOpenWaitlistDialog = (doctor, date = '', typeId = doctor.visitTypes[0]._id) => {
+    handleCloseBookDialog(); // Coming from the booking dialog when a day is fully booked
+    setSelectedDoctor(doctor);
+    setVisitTypeId(typeId);
+    setWaitlistFrom(date);
+    setWaitlistTo(date);
+    setOpenWaitlistDialog(true);
+  };
+
+  // Close the join-waitlist dialog and reset form
+  const handleCloseWaitlistDialog = () => {
+    setOpenWaitlistDialog(false);
+    setSelectedDoctor(null);
+    setVisitTypeId('');
+    setWaitlistFrom('');
+    setWaitlistTo('');
+    setFieldErrors({});
+  };
+
+  // Handle join-waitlist submission
+  const handleJoinWaitlist = async () => {
+    if (!selectedDoctor) return;
+    setFieldErrors({});
+
+    try {
+      const res = await axios.post(`${API_BASE_URL}/customer/waitlist`, {
+        doctorId: selectedDoctor.user._id,
+        from: waitlistFrom,
+        to: waitlistTo,
+        visitTypeId,
+      });
+      showSnackbar(res.data.msg, 'success');
+      handleCloseWaitlistDialog(); // Close dialog on success
+    } catch (err) {
+      console.error('Error joining waitlist:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to join the waitlist.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    }
+  };
+
+  // Keep the chosen files, leaving out any over the size limit
+  const handleFilesChosen = (fileList) => {
+    const tooLarge = oversizedFiles(fileList);
+    if (tooLarge.length > 0) {
+      showSnackbar(`Larger than ${MAX_DOCUMENT_MB} MB, not attached: ${tooLarge.join(', ')}`, 'warning');
+    }
+    setFiles(Array.from(fileList).filter((file) => !tooLarge.includes(file.name)));
   };
 
   // Handle appointment booking submission
   const handleBookAppointment = async (e) => {
     e.preventDefault();
     if (!selectedDoctor) return;
+    setFieldErrors({});
 
     try {
       // Send appointment booking request
       const res = await axios.post(`${API_BASE_URL}/customer/appointments`, {
         doctorId: selectedDoctor.user._id,
-        date: appointmentDate,
-        time: appointmentTime,
-        documents,
+        startAt: appointmentStart,
+        visitTypeId,
         notes,
         isEmergency,
       });
       showSnackbar(res.data.msg, 'success');
       handleCloseBookDialog(); // Close dialog on success
+
+      // Attach the chosen documents to the new appointment
+      if (files.length > 0) {
+        try {
+          await uploadDocuments(API_BASE_URL, res.data.appointment._id, files);
+        } catch (uploadErr) {
+          console.error('Error uploading documents:', uploadErr.response ? uploadErr.response.data : uploadErr.message);
+          const reason = uploadErr.response ? uploadErr.response.data.msg : 'Upload failed.';
+          showSnackbar(`Appointment booked, but the documents were not attached: ${reason} You can add them from "My Appointments".`, 'warning');
+        }
+      }
       // Note: After booking, the customer will need to go to "My Appointments" to pay and confirm.
     } catch (err) {
       console.error('Error booking appointment:', err.response ? err.response.data : err.message);
+      // Slot taken in the meantime: offer the nearby free slots returned by the server
+      if (err.response && err.response.status === 409) {
+        setAlternativeSlots(err.response.data.alternatives || []);
+        handleDateChange(appointmentDate); // Refresh the free slots for the chosen date
+      }
       showSnackbar(err.response ? err.response.data.msg : 'Failed to book appointment.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
     }
   };
 
@@ -137,13 +263,19 @@ const CustomerDashboard = ({ showSnackbar }) => {
                           Phone: {doctor.phone}
                         </Typography>
                       )}
+                      <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
+                        Visits: {doctor.visitTypes.map(formatVisitType).join(', ')}
+                      </Typography>
                     </React.Fragment>
                   }
                 />
-                <ListItemSecondaryAction>
+                <ListItemSecondaryAction sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
                   <Button variant="contained" color="primary" onClick={() => handleOpenBookDialog(doctor)}>
                     Book Now
                   </Button>
+                  <Button variant="outlined" color="primary" size="small" onClick={() => handleOpenWaitlistDialog(doctor)}>
+                    Join Waitlist
+                  </Button>
                 </ListItemSecondaryAction>
               </ListItem>
               <Divider component="li" />
@@ -156,44 +288,105 @@ const CustomerDashboard = ({ showSnackbar }) => {
         <DialogTitle>Book Appointment with Dr. {selectedDoctor?.user?.username}</DialogTitle>
         <DialogContent>
           <Box component="form" onSubmit={handleBookAppointment} sx={{ mt: 2 }}>
+            <FormControl fullWidth variant="outlined" required error={Boolean(fieldError(fieldErrors, 'visitTypeId'))} sx={{ mb: 2 }}>
+              <InputLabel>Visit Type</InputLabel>
+              <Select
+                value={visitTypeId}
+                onChange={(e) => handleVisitTypeChange(e.target.value)}
+                label="Visit Type"
+              >
+                {(selectedDoctor?.visitTypes || []).map((visitType) => (
+                  <MenuItem key={visitType._id} value={visitType._id}>{formatVisitType(visitType)}</MenuItem>
+                ))}
+              </Select>
+              {fieldError(fieldErrors, 'visitTypeId') && <FormHelperText>{fieldError(fieldErrors, 'visitTypeId')}</FormHelperText>}
+            </FormControl>
             <TextField
-              label="Date"
+              label="Date (doctor's calendar)"
               type="date"
               fullWidth
               variant="outlined"
               value={appointmentDate}
-              onChange={(e) => setAppointmentDate(e.target.value)}
+              onChange={(e) => handleDateChange(e.target.value)}
               InputLabelProps={{ shrink: true }}
+              {...fieldErrorProps(fieldErrors, 'from')}
               required
               sx={{ mb: 2 }}
             />
-            <TextField
-              label="Time"
-              type="time"
+            <FormControl
               fullWidth
               variant="outlined"
-              value={appointmentTime}
-              onChange={(e) => setAppointmentTime(e.target.value)}
-              InputLabelProps={{ shrink: true }}
               required
+              error={Boolean(fieldError(fieldErrors, 'startAt'))}
               sx={{ mb: 2 }}
-            />
-            <TextField
-              label="Documents (e.g., Prescription URL)"
-              fullWidth
-              variant="outlined"
-              value={documents}
-              onChange={(e) => setDocuments(e.target.value)}
-              multiline
-              rows={2}
-              sx={{ mb: 2 }}
-            />
+              disabled={!appointmentDate || loadingSlots}
+            >
+              <InputLabel>Time</InputLabel>
+              <Select
+                value={appointmentStart}
+                onChange={(e) => setAppointmentStart(e.target.value)}
+                label="Time"
+              >
+                {availableSlots.map((slot) => (
+                  <MenuItem key={slot.startAt} value={slot.startAt}>{formatSlotLabel(slot.startAt, doctorTimeZone)}</MenuItem>
+                ))}
+              </Select>
+              {fieldError(fieldErrors, 'startAt') && <FormHelperText>{fieldError(fieldErrors, 'startAt')}</FormHelperText>}
+            </FormControl>
+            {doctorTimeZone && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: -1, mb: 2 }}>
+                Times are shown in your timezone ({viewerTimeZone}). Doctor's timezone: {doctorTimeZone}.
+              </Typography>
+            )}
+            {alternativeSlots.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                That slot was just taken. Nearby free slots:
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+                  {alternativeSlots.map((slot) => (
+                    <Chip
+                      key={slot.startAt}
+                      label={formatDateTime(slot.startAt)}
+                      onClick={() => {
+                        setAlternativeSlots([]);
+                        handleDateChange(formatDateInput(slot.startAt, doctorTimeZone), slot.startAt);
+                      }}
+                    />
+                  ))}
+                </Box>
+              </Alert>
+            )}
+            {appointmentDate && !loadingSlots && availableSlots.length === 0 && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                No free slots on this date. Please pick another day, or{' '}
+                <Button size="small" onClick={() => handleOpenWaitlistDialog(selectedDoctor, appointmentDate, visitTypeId)}>
+                  join the waitlist
+                </Button>
+              </Typography>
+            )}
+            <Box sx={{ mb: 2 }}>
+              <Button variant="outlined" component="label">
+                Attach Documents
+                <input
+                  type="file"
+                  hidden
+                  multiple
+                  accept={DOCUMENT_ACCEPT}
+                  onChange={(e) => handleFilesChosen(e.target.files)}
+                />
+              </Button>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                {files.length > 0
+                  ? files.map((file) => file.name).join(', ')
+                  : `Optional: prescriptions or reports as PDF, JPEG, PNG or WebP, up to ${MAX_DOCUMENT_MB} MB each.`}
+              </Typography>
+            </Box>
             <TextField
               label="Notes/Symptoms"
               fullWidth
               variant="outlined"
               value={notes}
               onChange={(e) => setNotes(e.target.value)}
+              {...fieldErrorProps(fieldErrors, 'notes')}
               multiline
               rows={3}
               sx={{ mb: 2 }}
@@ -218,6 +411,7 @@ const CustomerDashboard = ({ showSnackbar }) => {
               variant="contained"
               color="primary"
               fullWidth
+              disabled={!appointmentStart} // A slot must be picked before booking
             >
               Confirm Booking
             </Button>
@@ -229,6 +423,60 @@ const CustomerDashboard = ({ showSnackbar }) => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <Dialog open={openWaitlistDialog} onClose={handleCloseWaitlistDialog} fullWidth maxWidth="xs">
+        <DialogTitle>Join Dr. {selectedDoctor?.user?.username}'s Waitlist</DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            If a slot in this range frees up, it will be held for you for a short time.
+            Confirm it from "My Waitlist" before the hold runs out.
+          </Typography>
+          <FormControl fullWidth variant="outlined" required error={Boolean(fieldError(fieldErrors, 'visitTypeId'))} sx={{ mb: 2 }}>
+            <InputLabel>Visit Type</InputLabel>
+            <Select
+              value={visitTypeId}
+              onChange={(e) => setVisitTypeId(e.target.value)}
+              label="Visit Type"
+            >
+              {(selectedDoctor?.visitTypes || []).map((visitType) => (
+                <MenuItem key={visitType._id} value={visitType._id}>{formatVisitType(visitType)}</MenuItem>
+              ))}
+            </Select>
+            {fieldError(fieldErrors, 'visitTypeId') && <FormHelperText>{fieldError(fieldErrors, 'visitTypeId')}</FormHelperText>}
+          </FormControl>
+          <TextField
+            label="From (doctor's calendar)"
+            type="date"
+            fullWidth
+            variant="outlined"
+            value={waitlistFrom}
+            onChange={(e) => setWaitlistFrom(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            {...fieldErrorProps(fieldErrors, 'from')}
+            required
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            label="To (doctor's calendar)"
+            type="date"
+            fullWidth
+            variant="outlined"
+            value={waitlistTo}
+            onChange={(e) => setWaitlistTo(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            {...fieldErrorProps(fieldErrors, 'to')}
+            required
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseWaitlistDialog} color="secondary">
+            Cancel
+          </Button>
+          <Button onClick={handleJoinWaitlist} variant="contained" color="primary" disabled={!waitlistFrom || !waitlistTo}>
+            Join Waitlist
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
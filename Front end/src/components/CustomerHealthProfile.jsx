@@ -0,0 +1,186 @@
+// frontend/src/components/CustomerHealthProfile.jsx
+// This component lets customers keep their health profile up to date: date of birth, sex,
+// blood group, allergies, chronic conditions, current medications and an emergency contact.
+// Doctors see it for patients they are treating or have treated.
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Typography, Box, Button, TextField, CircularProgress, Paper,
+  FormControl, InputLabel, Select, MenuItem, FormHelperText
+} from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { SEX_LABELS, BLOOD_GROUPS } from '../healthProfile.js'; // Health profile options
+import { formatDateTime } from '../dateUtils.js'; // Timezone-aware formatting
+import { fieldErrorsOf, fieldError, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+// List fields are edited as text with one entry per line
+const LIST_FIELDS = [
+  { key: 'allergies', label: 'Allergies', hint: 'One per line, e.g., "Penicillin (rash)"' },
+  { key: 'chronicConditions', label: 'Chronic Conditions', hint: 'One per line, e.g., "Type 2 diabetes"' },
+  { key: 'currentMedications', label: 'Current Medications', hint: 'One per line, e.g., "Metformin 500 mg twice a day"' },
+];
+
+const toLines = (entries = []) => entries.join('\n');
+const fromLines = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+const CustomerHealthProfile = ({ showSnackbar }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [loading, setLoading] = useState(true); // Loading state for fetching the profile
+  const [dateOfBirth, setDateOfBirth] = useState('');
+  const [sex, setSex] = useState('');
+  const [bloodGroup, setBloodGroup] = useState('');
+  const [lists, setLists] = useState({ allergies: '', chronicConditions: '', currentMedications: '' });
+  const [emergencyContact, setEmergencyContact] = useState({ name: '', relationship: '', phone: '' });
+  const [updatedAt, setUpdatedAt] = useState(null); // When the profile was last saved
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected
+
+  // Fill the form from a saved profile
+  const applyProfile = (profile) => {
+    setDateOfBirth(profile.dateOfBirth || '');
+    setSex(profile.sex || '');
+    setBloodGroup(profile.bloodGroup || '');
+    setLists(LIST_FIELDS.reduce((values, { key }) => ({ ...values, [key]: toLines(profile[key]) }), {}));
+    setEmergencyContact({ name: '', relationship: '', phone: '', ...profile.emergencyContact });
+    setUpdatedAt(profile.updatedAt || null);
+  };
+
+  // Fetch the profile when the component mounts
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const res = await axios.get(`${API_BASE_URL}/customer/health-profile`);
+        applyProfile(res.data);
+      } catch (err) {
+        console.error('Error fetching health profile:', err.response ? err.response.data : err.message);
+        showSnackbar(err.response ? err.response.data.msg : 'Failed to load your health profile.', 'error');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchProfile();
+  }, [API_BASE_URL, showSnackbar]); // Dependencies for useEffect
+
+  // Save the profile
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFieldErrors({});
+
+    try {
+      const res = await axios.put(`${API_BASE_URL}/customer/health-profile`, {
+        dateOfBirth,
+        sex,
+        bloodGroup,
+        ...LIST_FIELDS.reduce((values, { key }) => ({ ...values, [key]: fromLines(lists[key]) }), {}),
+        emergencyContact,
+      });
+      showSnackbar(res.data.msg, 'success');
+      applyProfile(res.data.profile);
+    } catch (err) {
+      console.error('Error saving health profile:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to save your health profile.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+        <Typography variant="h6" sx={{ ml: 2 }}>Loading health profile...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>My Health Profile</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Only doctors you have booked with can see this information, to prepare for your visit.
+        {updatedAt && ` Last updated ${formatDateTime(updatedAt)}.`}
+      </Typography>
+
+      <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+          <TextField
+            label="Date of Birth"
+            type="date"
+            value={dateOfBirth}
+            onChange={(e) => setDateOfBirth(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            {...fieldErrorProps(fieldErrors, 'dateOfBirth')}
+            sx={{ flex: 1, minWidth: 180 }}
+          />
+          <FormControl variant="outlined" error={Boolean(fieldError(fieldErrors, 'sex'))} sx={{ flex: 1, minWidth: 180 }}>
+            <InputLabel>Sex</InputLabel>
+            <Select value={sex} onChange={(e) => setSex(e.target.value)} label="Sex">
+              <MenuItem value=""><em>Not specified</em></MenuItem>
+              {Object.entries(SEX_LABELS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+            {fieldError(fieldErrors, 'sex') && <FormHelperText>{fieldError(fieldErrors, 'sex')}</FormHelperText>}
+          </FormControl>
+          <FormControl variant="outlined" error={Boolean(fieldError(fieldErrors, 'bloodGroup'))} sx={{ flex: 1, minWidth: 180 }}>
+            <InputLabel>Blood Group</InputLabel>
+            <Select value={bloodGroup} onChange={(e) => setBloodGroup(e.target.value)} label="Blood Group">
+              <MenuItem value=""><em>Unknown</em></MenuItem>
+              {BLOOD_GROUPS.map((group) => (
+                <MenuItem key={group} value={group}>{group}</MenuItem>
+              ))}
+            </Select>
+            {fieldError(fieldErrors, 'bloodGroup') && <FormHelperText>{fieldError(fieldErrors, 'bloodGroup')}</FormHelperText>}
+          </FormControl>
+        </Box>
+
+        {LIST_FIELDS.map(({ key, label, hint }) => (
+          <TextField
+            key={key}
+            label={label}
+            {...fieldErrorProps(fieldErrors, key, hint)}
+            value={lists[key]}
+            onChange={(e) => setLists({ ...lists, [key]: e.target.value })}
+            multiline
+            minRows={2}
+            fullWidth
+          />
+        ))}
+
+        <Paper elevation={1} sx={{ p: 2 }}>
+          <Typography variant="h6" gutterBottom>Emergency Contact</Typography>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <TextField
+              label="Name"
+              value={emergencyContact.name}
+              onChange={(e) => setEmergencyContact({ ...emergencyContact, name: e.target.value })}
+              {...fieldErrorProps(fieldErrors, 'emergencyContact.name')}
+              sx={{ flex: 2, minWidth: 180 }}
+            />
+            <TextField
+              label="Relationship"
+              placeholder="e.g., Spouse"
+              value={emergencyContact.relationship}
+              onChange={(e) => setEmergencyContact({ ...emergencyContact, relationship: e.target.value })}
+              {...fieldErrorProps(fieldErrors, 'emergencyContact.relationship')}
+              sx={{ flex: 1, minWidth: 140 }}
+            />
+            <TextField
+              label="Phone"
+              type="tel"
+              value={emergencyContact.phone}
+              onChange={(e) => setEmergencyContact({ ...emergencyContact, phone: e.target.value })}
+              {...fieldErrorProps(fieldErrors, 'emergencyContact.phone')}
+              sx={{ flex: 1, minWidth: 140 }}
+            />
+          </Box>
+        </Paper>
+
+        <Button type="submit" variant="contained" color="primary" size="large">
+          Save Health Profile
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default CustomerHealthProfile;
@@ -0,0 +1,143 @@
+// frontend/src/components/CustomerWaitlist.jsx
+// This component displays a customer's waitlist entries.
+// When a slot frees up it is held for the customer, who can confirm it before the hold runs out.
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Typography, Box, Button, CircularProgress,
+  List, ListItem, ListItemText, ListItemSecondaryAction, Divider, Chip
+} from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { formatDateTime, formatTime } from '../dateUtils.js'; // Timezone-aware formatting
+
+// Human-readable labels for waitlist entry statuses
+const WAITLIST_STATUS_LABELS = {
+  waiting: 'Waiting',
+  offered: 'Slot on hold',
+  booked: 'Booked',
+  expired: 'Expired',
+  left: 'Left',
+};
+
+// Helper to get Chip color based on waitlist status
+const getWaitlistChipColor = (status) => {
+  switch (status) {
+    case 'waiting': return 'info';
+    case 'offered': return 'warning';
+    case 'booked': return 'success';
+    default: return 'default';
+  }
+};
+
+const CustomerWaitlist = ({ showSnackbar }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [entries, setEntries] = useState([]); // State to store the customer's waitlist entries
+  const [loading, setLoading] = useState(true); // Loading state for fetching entries
+
+  // Fetch waitlist entries when the component mounts or dependencies change
+  useEffect(() => {
+    fetchEntries();
+  }, [API_BASE_URL, showSnackbar]); // Dependencies for useEffect
+
+  const fetchEntries = async () => {
+    try {
+      const res = await axios.get(`${API_BASE_URL}/customer/waitlist/me`);
+      setEntries(res.data);
+    } catch (err) {
+      console.error('Error fetching waitlist:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to load your waitlist.', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Book the slot held for an entry
+  const handleConfirm = async (entryId) => {
+    try {
+      const res = await axios.post(`${API_BASE_URL}/customer/waitlist/${entryId}/confirm`);
+      showSnackbar(res.data.msg, 'success');
+    } catch (err) {
+      console.error('Error confirming waitlist slot:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to confirm the slot.', 'error');
+    }
+    fetchEntries(); // Refresh in either case: the hold may have expired meanwhile
+  };
+
+  // Leave a waitlist (passing any held slot to the next person)
+  const handleLeave = async (entryId) => {
+    try {
+      const res = await axios.delete(`${API_BASE_URL}/customer/waitlist/${entryId}`);
+      showSnackbar(res.data.msg, 'success');
+      fetchEntries(); // Refresh entries list
+    } catch (err) {
+      console.error('Error leaving waitlist:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to leave the waitlist.', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+        <Typography variant="h6" sx={{ ml: 2 }}>Loading waitlist...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>My Waitlist</Typography>
+      {entries.length === 0 ? (
+        <Typography variant="body1">
+          You are not on any waitlist. When a doctor is fully booked, you can join their waitlist from "Book Appointment".
+        </Typography>
+      ) : (
+        <List>
+          {entries.map((entry) => (
+            <React.Fragment key={entry._id}>
+              <ListItem alignItems="flex-start" sx={{ mb: 2, p: 2, border: '1px solid #e0e0e0', borderRadius: 2, boxShadow: 1,
+                backgroundColor: entry.status === 'offered' ? '#fff8e1' : 'white' // Highlight slots on hold
+              }}>
+                <ListItemText
+                  primary={
+                    <Typography variant="h6" component="div">
+                      Dr. {entry.doctor.username}, {entry.fromDate === entry.toDate ? entry.fromDate : `${entry.fromDate} to ${entry.toDate}`}
+                    </Typography>
+                  }
+                  secondary={
+                    <React.Fragment>
+                      <Typography sx={{ display: 'inline' }} component="span" variant="body2" color="text.secondary">
+                        Status: <Chip label={WAITLIST_STATUS_LABELS[entry.status] || entry.status} color={getWaitlistChipColor(entry.status)} size="small" sx={{ ml: 0.5 }} />
+                      </Typography>
+                      {entry.status === 'offered' && (
+                        <Typography sx={{ display: 'block', mt: 0.5 }} component="span" variant="body2">
+                          A slot on {formatDateTime(entry.offer.startAt)} is held for you until {formatTime(entry.offer.expiresAt)}.
+                        </Typography>
+                      )}
+                    </React.Fragment>
+                  }
+                />
+                <ListItemSecondaryAction sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+                  {entry.status === 'offered' && (
+                    <Button variant="contained" color="success" size="small" onClick={() => handleConfirm(entry._id)}>
+                      Confirm Slot
+                    </Button>
+                  )}
+                  {['waiting', 'offered'].includes(entry.status) && (
+                    <Button variant="outlined" color="error" size="small" onClick={() => handleLeave(entry._id)}>
+                      Leave Waitlist
+                    </Button>
+                  )}
+                </ListItemSecondaryAction>
+              </ListItem>
+              <Divider component="li" />
+            </React.Fragment>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default CustomerWaitlist;
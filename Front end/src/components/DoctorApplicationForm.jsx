@@ -0,0 +1,277 @@
+// frontend/src/components/DoctorApplicationForm.jsx
+// This component lets doctors apply for verification: medical licence number, registration council,
+// qualifications and copies of their licence. An administrator approves the application, rejects it
+// with a reason, or asks for more information, after which the doctor can update and resubmit it.
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Typography, Box, Button, TextField, CircularProgress, Paper, IconButton, Chip, Alert
+} from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { DOCUMENT_ACCEPT, MAX_DOCUMENT_MB, oversizedFiles, openFileInNewTab } from '../uploadDocuments.js'; // Document uploads
+import { formatDateTime } from '../dateUtils.js'; // Timezone-aware formatting
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+// Label and chip color for each application status
+const STATUS_DISPLAY = {
+  pending: { label: 'Under Review', color: 'warning' },
+  info_requested: { label: 'More Information Needed', color: 'info' },
+  approved: { label: 'Approved', color: 'success' },
+  rejected: { label: 'Rejected', color: 'error' },
+};
+
+const EMPTY_QUALIFICATION = { degree: '', institution: '', year: '' };
+
+const DoctorApplicationForm = ({ showSnackbar }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [application, setApplication] = useState(null); // The submitted application, null if none yet
+  const [loading, setLoading] = useState(true); // Loading state for fetching the application
+  const [licenceNumber, setLicenceNumber] = useState('');
+  const [registrationCouncil, setRegistrationCouncil] = useState('');
+  const [qualifications, setQualifications] = useState([EMPTY_QUALIFICATION]);
+  const [files, setFiles] = useState([]); // New licence documents to upload with the submission
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected
+
+  // Fill the form from a submitted application
+  const applyApplication = (data) => {
+    setApplication(data);
+    setLicenceNumber(data.licenceNumber);
+    setRegistrationCouncil(data.registrationCouncil);
+    setQualifications(data.qualifications.map((q) => ({ ...q, year: String(q.year) })));
+    setFiles([]);
+  };
+
+  // Fetch the application when the component mounts
+  useEffect(() => {
+    const fetchApplication = async () => {
+      try {
+        const res = await axios.get(`${API_BASE_URL}/doctor-applications/me`);
+        applyApplication(res.data);
+      } catch (err) {
+        // 404 just means nothing was submitted yet
+        if (!err.response || err.response.status !== 404) {
+          console.error('Error fetching application:', err.response ? err.response.data : err.message);
+          showSnackbar(err.response ? err.response.data.msg : 'Failed to load your application.', 'error');
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchApplication();
+  }, [API_BASE_URL, showSnackbar]); // Dependencies for useEffect
+
+  // Update a single field of a qualification row
+  const handleQualificationChange = (index, field, value) => {
+    setQualifications((current) => current.map((q, i) => (i === index ? { ...q, [field]: value } : q)));
+  };
+
+  // Pick licence documents, refusing files over the size limit
+  const handleFilesChange = (fileList) => {
+    const tooLarge = oversizedFiles(fileList);
+    if (tooLarge.length > 0) {
+      showSnackbar(`Larger than ${MAX_DOCUMENT_MB} MB: ${tooLarge.join(', ')}`, 'error');
+      return;
+    }
+    setFiles(Array.from(fileList));
+  };
+
+  // Remove an uploaded licence document
+  const handleRemoveDocument = async (doc) => {
+    if (!window.confirm(`Remove ${doc.originalName}?`)) return;
+
+    try {
+      const res = await axios.delete(`${API_BASE_URL}/doctor-applications/me/documents/${doc._id}`);
+      showSnackbar(res.data.msg, 'success');
+      setApplication(res.data.application);
+    } catch (err) {
+      console.error('Error removing document:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to remove the document.', 'error');
+    }
+  };
+
+  // Open an uploaded licence document
+  const handleOpenDocument = async (doc) => {
+    try {
+      await openFileInNewTab(`${API_BASE_URL}/doctor-applications/${application._id}/documents/${doc._id}`);
+    } catch (err) {
+      console.error('Error opening document:', err.message);
+      showSnackbar(`Failed to open ${doc.originalName}.`, 'error');
+    }
+  };
+
+  // Submit (or resubmit) the application with any new documents
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append('licenceNumber', licenceNumber);
+    formData.append('registrationCouncil', registrationCouncil);
+    formData.append('qualifications', JSON.stringify(qualifications.map((q) => ({ ...q, year: Number(q.year) }))));
+    files.forEach((file) => formData.append('files', file));
+    setFieldErrors({});
+
+    try {
+      const res = await axios.put(`${API_BASE_URL}/doctor-applications/me`, formData);
+      showSnackbar(res.data.msg, 'success');
+      applyApplication(res.data.application);
+    } catch (err) {
+      console.error('Error submitting application:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to submit your application.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+        <Typography variant="h6" sx={{ ml: 2 }}>Loading application...</Typography>
+      </Box>
+    );
+  }
+
+  const editable = !application || ['pending', 'info_requested'].includes(application.status);
+  const status = application && STATUS_DISPLAY[application.status];
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Licence Verification</Typography>
+
+      <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+        {application ? (
+          <React.Fragment>
+            <Typography variant="h6">
+              Application Status: <Chip label={status.label} color={status.color} sx={{ ml: 1 }} />
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              Submitted {formatDateTime(application.submittedAt)}
+              {application.reviewedAt && ` · Last reviewed ${formatDateTime(application.reviewedAt)}`}
+            </Typography>
+            {application.status === 'info_requested' && (
+              <Alert severity="info" sx={{ mt: 2 }}>
+                The administrator needs more information: {application.reviewNote}
+                <br />Update your application below and submit it again.
+              </Alert>
+            )}
+            {application.status === 'rejected' && (
+              <Alert severity="error" sx={{ mt: 2 }}>Reason: {application.reviewNote}</Alert>
+            )}
+            {application.status === 'approved' && (
+              <Alert severity="success" sx={{ mt: 2 }}>Your licence is verified. Patients can now book appointments with you.</Alert>
+            )}
+          </React.Fragment>
+        ) : (
+          <Typography variant="body1">
+            Before patients can book with you, an administrator verifies your medical licence.
+            Please fill in your licence details and upload a copy of your licence.
+          </Typography>
+        )}
+      </Paper>
+
+      <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+        <TextField
+          label="Medical Licence Number"
+          value={licenceNumber}
+          onChange={(e) => setLicenceNumber(e.target.value)}
+          {...fieldErrorProps(fieldErrors, 'licenceNumber')}
+          disabled={!editable}
+          required
+          fullWidth
+        />
+        <TextField
+          label="Registration Council"
+          placeholder="e.g., National Medical Commission"
+          value={registrationCouncil}
+          onChange={(e) => setRegistrationCouncil(e.target.value)}
+          {...fieldErrorProps(fieldErrors, 'registrationCouncil')}
+          disabled={!editable}
+          required
+          fullWidth
+        />
+
+        <Typography variant="h6">Qualifications</Typography>
+        {qualifications.map((qualification, index) => (
+          <Box key={index} sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+            <TextField
+              label="Degree"
+              placeholder="e.g., MBBS"
+              value={qualification.degree}
+              onChange={(e) => handleQualificationChange(index, 'degree', e.target.value)}
+              disabled={!editable}
+              required
+              sx={{ flex: 1 }}
+            />
+            <TextField
+              label="Institution"
+              value={qualification.institution}
+              onChange={(e) => handleQualificationChange(index, 'institution', e.target.value)}
+              disabled={!editable}
+              required
+              sx={{ flex: 2 }}
+            />
+            <TextField
+              label="Year"
+              type="number"
+              value={qualification.year}
+              onChange={(e) => handleQualificationChange(index, 'year', e.target.value)}
+              disabled={!editable}
+              required
+              sx={{ width: 110 }}
+            />
+            {editable && (
+              <IconButton
+                aria-label="Remove qualification"
+                color="error"
+                onClick={() => setQualifications((current) => current.filter((_, i) => i !== index))}
+                disabled={qualifications.length === 1}
+              >
+                ✕
+              </IconButton>
+            )}
+          </Box>
+        ))}
+        {editable && (
+          <Button
+            variant="outlined"
+            onClick={() => setQualifications((current) => [...current, EMPTY_QUALIFICATION])}
+            sx={{ alignSelf: 'flex-start' }}
+          >
+            Add Qualification
+          </Button>
+        )}
+
+        <Typography variant="h6">Licence Documents</Typography>
+        {application && application.documents.length > 0 ? (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {application.documents.map((doc) => (
+              <Chip
+                key={doc._id}
+                label={doc.originalName}
+                variant="outlined"
+                onClick={() => handleOpenDocument(doc)}
+                onDelete={editable ? () => handleRemoveDocument(doc) : undefined}
+              />
+            ))}
+          </Box>
+        ) : (
+          <Typography variant="body2" color="text.secondary">No documents uploaded yet.</Typography>
+        )}
+        {editable && (
+          <Button variant="outlined" component="label" sx={{ alignSelf: 'flex-start' }}>
+            {files.length > 0 ? `${files.length} file(s) selected` : 'Choose Licence Documents'}
+            <input type="file" hidden multiple accept={DOCUMENT_ACCEPT} onChange={(e) => handleFilesChange(e.target.files)} />
+          </Button>
+        )}
+
+        {editable && (
+          <Button type="submit" variant="contained" color="primary" size="large">
+            {application ? 'Save and Resubmit' : 'Submit Application'}
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default DoctorApplicationForm;
@@ -1,43 +1,39 @@
 // frontend/src/components/DoctorAppointments.jsx
 // This component provides the dashboard for doctors, displaying their appointments.
-// It allows doctors to update appointment statuses and reschedule appointments.
+// It allows doctors to update appointment statuses, propose new times to patients
+// and write visit notes for completed appointments.
+// A doctor's front-desk staff use it too, to manage the doctor's calendar: they get no clinical
+// actions (health profiles, documents, visit notes, prescriptions).
 
 import React, { useState, useEffect, useContext } from 'react';
 import {
   Typography, Box, Button,
-  Dialog, DialogTitle, DialogContent, DialogActions,
-  TextField, CircularProgress,
+  CircularProgress,
   List, ListItem, ListItemText, ListItemSecondaryAction, Divider, Chip,
   FormControl, InputLabel, Select, MenuItem, Paper
 } from '@mui/material'; // Material UI components
 import { AuthContext } from '../AuthContext.js'; // Import AuthContext
 import axios from 'axios'; // Axios for HTTP requests
-
-// Helper function to format date to YYYY-MM-DD (for input type="date")
-const formatDateToYYYYMMDD = (dateString) => {
-  const date = new Date(dateString);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0'); // Months are 0-indexed
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-};
-
-// Helper function to format date for display (e.g., "June 24, 2025")
-const formatDisplayDate = (dateString) => {
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-};
+import { formatAppointmentTime } from '../dateUtils.js'; // Timezone-aware formatting
+import { formatPrice } from '../currency.js'; // Price formatting
+import { STATUS_LABELS, getStatusChipColor } from '../appointmentStatus.js'; // Status labels and colors
+import ProposeTimesDialog from './ProposeTimesDialog.jsx'; // Dialog for proposing new times
+import RescheduleProposalPanel from './RescheduleProposalPanel.jsx'; // Open proposal with accept/decline actions
+import DocumentList from './DocumentList.jsx'; // Attached documents with previews
+import VisitNoteDialog from './VisitNoteDialog.jsx'; // SOAP visit note editor
+import PrescriptionDialog from './PrescriptionDialog.jsx'; // Electronic prescriptions
+import HealthProfileDialog from './HealthProfileDialog.jsx'; // Patient health profile
 
 const DoctorAppointments = ({ showSnackbar }) => {
-  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const { API_BASE_URL, role } = useContext(AuthContext); // Access API_BASE_URL and the user's role from AuthContext
+  const isStaff = role === 'staff'; // Staff act for the doctor they work for
   const [appointments, setAppointments] = useState([]); // State to store doctor's appointments
   const [loading, setLoading] = useState(true); // Loading state for fetching appointments
-  const [openRescheduleDialog, setOpenRescheduleDialog] = useState(false); // State for reschedule dialog
-  const [currentAppointmentToReschedule, setCurrentAppointmentToReschedule] = useState(null); // Appointment selected for reschedule
-
-  // Reschedule form states
-  const [newRescheduleDate, setNewRescheduleDate] = useState('');
-  const [newRescheduleTime, setNewRescheduleTime] = useState('');
+  const [openProposeDialog, setOpenProposeDialog] = useState(false); // State for the propose-new-times dialog
+  const [appointmentToReschedule, setAppointmentToReschedule] = useState(null); // Appointment selected for rescheduling
+  const [noteAppointment, setNoteAppointment] = useState(null); // Appointment whose visit note is open
+  const [prescriptionAppointment, setPrescriptionAppointment] = useState(null); // Appointment whose prescriptions are open
+  const [profileAppointment, setProfileAppointment] = useState(null); // Appointment whose patient's health profile is shown
 
   // Fetch doctor's appointments when the component mounts or dependencies change
   useEffect(() => {
@@ -47,16 +43,14 @@ const DoctorAppointments = ({ showSnackbar }) => {
   const fetchDoctorAppointments = async () => {
     try {
       const res = await axios.get(`${API_BASE_URL}/doctor/appointments`);
-      // Sort appointments: Emergency first, then by date and time
+      // Sort appointments: Emergency first, then by start time
       const sortedAppointments = res.data.sort((a, b) => {
         // Emergency appointments come first
         if (a.isEmergency && !b.isEmergency) return -1;
         if (!a.isEmergency && b.isEmergency) return 1;
 
-        // Then sort by date and time
-        const dateA = new Date(`${a.date}T${a.time}`);
-        const dateB = new Date(`${b.date}T${b.time}`);
-        return dateA.getTime() - dateB.getTime();
+        // Then sort by start time (UTC instants compare correctly across timezones)
+        return new Date(a.startAt).getTime() - new Date(b.startAt).getTime();
       });
       setAppointments(sortedAppointments);
     } catch (err) {
@@ -67,22 +61,13 @@ const DoctorAppointments = ({ showSnackbar }) => {
     }
   };
 
-  // Helper to get Chip color based on status
-  const getStatusChipColor = (status) => {
-    switch (status) {
-      case 'pending': return 'warning';
-      case 'scheduled': return 'info';
-      case 'completed': return 'success';
-      case 'cancelled': return 'error';
-      default: return 'default';
-    }
-  };
-
   // Helper to get Chip color based on payment status
   const getPaymentStatusChipColor = (status) => {
     switch (status) {
       case 'pending': return 'warning';
+      case 'processing': return 'info';
       case 'paid': return 'success';
+      case 'partially_refunded': return 'secondary';
       case 'failed': return 'error';
       default: return 'default';
     }
@@ -94,45 +79,19 @@ const DoctorAppointments = ({ showSnackbar }) => {
       const res = await axios.put(`${API_BASE_URL}/doctor/appointments/${appointmentId}/status`, { status: newStatus });
       showSnackbar(res.data.msg, 'success');
       fetchDoctorAppointments(); // Refresh appointments list
+      if (newStatus === 'completed' && !isStaff) {
+        setNoteAppointment(res.data.appointment); // Prompt for the visit note right away
+      }
     } catch (err) {
       console.error('Error updating appointment status:', err.response ? err.response.data : err.message);
       showSnackbar(err.response ? err.response.data.msg : 'Failed to update status.', 'error');
     }
   };
 
-  // Open reschedule dialog
-  const handleOpenRescheduleDialog = (appointment) => {
-    setCurrentAppointmentToReschedule(appointment);
-    setNewRescheduleDate(formatDateToYYYYMMDD(appointment.date)); // Pre-fill with current date
-    setNewRescheduleTime(appointment.time); // Pre-fill with current time
-    setOpenRescheduleDialog(true);
-  };
-
-  // Close reschedule dialog and reset form
-  const handleCloseRescheduleDialog = () => {
-    setOpenRescheduleDialog(false);
-    setCurrentAppointmentToReschedule(null);
-    setNewRescheduleDate('');
-    setNewRescheduleTime('');
-  };
-
-  // Handle reschedule submission
-  const handleRescheduleAppointment = async () => {
-    if (!currentAppointmentToReschedule) return;
-
-    try {
-      const res = await axios.put(`${API_BASE_URL}/doctor/appointments/${currentAppointmentToReschedule._id}/status`, {
-        status: 'scheduled', // Set status to scheduled upon rescheduling
-        date: newRescheduleDate,
-        time: newRescheduleTime,
-      });
-      showSnackbar(`Appointment with ${currentAppointmentToReschedule.customer.username} rescheduled and set to scheduled!`, 'success');
-      handleCloseRescheduleDialog(); // Close dialog
-      fetchDoctorAppointments(); // Refresh appointments list
-    } catch (err) {
-      console.error('Error rescheduling appointment:', err.response ? err.response.data : err.message);
-      showSnackbar(err.response ? err.response.data.msg : 'Failed to reschedule appointment.', 'error');
-    }
+  // Open the dialog for proposing new times
+  const handleOpenProposeDialog = (appointment) => {
+    setAppointmentToReschedule(appointment);
+    setOpenProposeDialog(true);
   };
 
   if (loading) {
@@ -146,7 +105,7 @@ const DoctorAppointments = ({ showSnackbar }) => {
 
   return (
     <Box>
-      <Typography variant="h4" gutterBottom>My Appointments</Typography>
+      <Typography variant="h4" gutterBottom>{isStaff ? 'Practice Appointments' : 'My Appointments'}</Typography>
       {appointments.length === 0 ? (
         <Typography variant="body1">You have no appointments scheduled yet.</Typography>
       ) : (
@@ -160,7 +119,7 @@ const DoctorAppointments = ({ showSnackbar }) => {
                   primary={
                     <Box display="flex" alignItems="center">
                         <Typography variant="h6" component="div">
-                            Appointment with {appointment.customer.username} on {formatDisplayDate(appointment.date)} at {appointment.time}
+                            Appointment with {appointment.customer.username} on {formatAppointmentTime(appointment.startAt, appointment.timezone)}
                         </Typography>
                         {appointment.isEmergency && (
                             <Chip label="EMERGENCY" color="error" size="small" sx={{ ml: 1, fontWeight: 'bold' }} />
@@ -170,49 +129,70 @@ const DoctorAppointments = ({ showSnackbar }) => {
                   secondary={
                     <React.Fragment>
                       <Typography sx={{ display: 'inline' }} component="span" variant="body2" color="text.secondary">
-                        Status: <Chip label={appointment.status} color={getStatusChipColor(appointment.status)} size="small" sx={{ ml: 0.5 }} />
+                        Status: <Chip label={STATUS_LABELS[appointment.status] || appointment.status} color={getStatusChipColor(appointment.status)} size="small" sx={{ ml: 0.5 }} />
+                      </Typography>
+                      <Typography sx={{ display: 'block', mt: 0.5 }} component="span" variant="body2" color="text.secondary">
+                        Visit: {appointment.visitType.name} ({appointment.visitType.durationMinutes} min, {formatPrice(appointment.visitType.price)})
                       </Typography>
                       <Typography sx={{ display: 'block', mt: 0.5 }} component="span" variant="body2" color="text.secondary">
-                        Payment: <Chip label={appointment.paymentStatus} color={getPaymentStatusChipColor(appointment.paymentStatus)} size="small" sx={{ ml: 0.5 }} />
+                        Payment: <Chip label={appointment.paymentStatus.replace('_', ' ')} color={getPaymentStatusChipColor(appointment.paymentStatus)} size="small" sx={{ ml: 0.5 }} />
                       </Typography>
                       {appointment.notes && (
                         <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
                           Notes: {appointment.notes}
                         </Typography>
                       )}
-                      {appointment.documents && appointment.documents.length > 0 && (
-                        <Typography sx={{ display: 'block' }} component="span" variant="body2" color="text.secondary">
-                          Documents: {appointment.documents.join(', ')}
-                        </Typography>
-                      )}
+                      {appointment.documents && <DocumentList documents={appointment.documents} showSnackbar={showSnackbar} />}
+                      <RescheduleProposalPanel
+                        appointment={appointment}
+                        viewerRole="doctor"
+                        respondPath={`/doctor/appointments/${appointment._id}/proposal`}
+                        showSnackbar={showSnackbar}
+                        onResponded={fetchDoctorAppointments}
+                      />
                     </React.Fragment>
                   }
                 />
                 <ListItemSecondaryAction sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
-                  <FormControl variant="outlined" size="small" sx={{ minWidth: 120 }}>
+                  {/* Only the current status and the transitions allowed by the server are offered */}
+                  <FormControl variant="outlined" size="small" sx={{ minWidth: 120 }} disabled={appointment.nextStatuses.length === 0}>
                     <InputLabel>Update Status</InputLabel>
                     <Select
                       value={appointment.status}
                       onChange={(e) => handleStatusChange(appointment._id, e.target.value)}
                       label="Update Status"
                     >
-                      <MenuItem value="pending">Pending</MenuItem>
-                      <MenuItem value="scheduled">Scheduled</MenuItem>
-                      <MenuItem value="completed">Completed</MenuItem>
-                      <MenuItem value="cancelled">Cancelled</MenuItem>
+                      {[appointment.status, ...appointment.nextStatuses].map((status) => (
+                        <MenuItem key={status} value={status}>{STATUS_LABELS[status] || status}</MenuItem>
+                      ))}
                     </Select>
                   </FormControl>
-                  {(appointment.status === 'pending' || appointment.status === 'scheduled') && (
+                  {['pending', 'scheduled'].includes(appointment.status) && appointment.rescheduleProposal?.status !== 'open' && (
                     <Button
                       variant="outlined"
                       color="info"
                       size="small"
-                      onClick={() => handleOpenRescheduleDialog(appointment)}
+                      onClick={() => handleOpenProposeDialog(appointment)}
                       sx={{ mt: 1 }}
                     >
-                      Reschedule
+                      Propose New Times
+                    </Button>
+                  )}
+                  {appointment.healthProfile && (
+                    <Button variant="outlined" size="small" onClick={() => setProfileAppointment(appointment)}>
+                      Health Profile
                     </Button>
                   )}
+                  {appointment.status === 'completed' && !isStaff && (
+                    <React.Fragment>
+                      <Button variant="outlined" size="small" onClick={() => setNoteAppointment(appointment)}>
+                        Visit Note
+                      </Button>
+                      <Button variant="outlined" size="small" onClick={() => setPrescriptionAppointment(appointment)}>
+                        Prescribe
+                      </Button>
+                    </React.Fragment>
+                  )}
                 </ListItemSecondaryAction>
               </ListItem>
               <Divider component="li" />
@@ -221,44 +201,41 @@ const DoctorAppointments = ({ showSnackbar }) => {
         </List>
       )}
 
-      <Dialog open={openRescheduleDialog} onClose={handleCloseRescheduleDialog} fullWidth maxWidth="xs">
-        <DialogTitle>Reschedule Appointment</DialogTitle>
-        <DialogContent dividers>
-          <Typography variant="body1" sx={{ mb: 2 }}>
-            Rescheduling appointment for {currentAppointmentToReschedule?.customer?.username}
-          </Typography>
-          <TextField
-            label="New Date"
-            type="date"
-            fullWidth
-            variant="outlined"
-            value={newRescheduleDate}
-            onChange={(e) => setNewRescheduleDate(e.target.value)}
-            InputLabelProps={{ shrink: true }}
-            required
-            sx={{ mb: 2 }}
-          />
-          <TextField
-            label="New Time"
-            type="time"
-            fullWidth
-            variant="outlined"
-            value={newRescheduleTime}
-            onChange={(e) => setNewRescheduleTime(e.target.value)}
-            InputLabelProps={{ shrink: true }}
-            required
-            sx={{ mb: 2 }}
-          />
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={handleCloseRescheduleDialog} color="secondary">
-            Cancel
-          </Button>
-          <Button onClick={handleRescheduleAppointment} variant="contained" color="primary">
-            Confirm Reschedule
-          </Button>
-        </DialogActions>
-      </Dialog>
+      <ProposeTimesDialog
+        open={openProposeDialog}
+        onClose={() => setOpenProposeDialog(false)}
+        appointment={appointmentToReschedule}
+        slotsPath="/doctor/slots"
+        proposalsPath={`/doctor/appointments/${appointmentToReschedule?._id}/proposals`}
+        recipientLabel="The patient"
+        showSnackbar={showSnackbar}
+        onProposed={fetchDoctorAppointments}
+      />
+
+      <VisitNoteDialog
+        open={Boolean(noteAppointment)}
+        onClose={() => setNoteAppointment(null)}
+        appointment={noteAppointment}
+        notePath={`/doctor/appointments/${noteAppointment?._id}/note`}
+        editable
+        showSnackbar={showSnackbar}
+      />
+
+      <PrescriptionDialog
+        open={Boolean(prescriptionAppointment)}
+        onClose={() => setPrescriptionAppointment(null)}
+        appointment={prescriptionAppointment}
+        prescriptionsPath={`/doctor/appointments/${prescriptionAppointment?._id}/prescriptions`}
+        editable
+        showSnackbar={showSnackbar}
+      />
+
+      <HealthProfileDialog
+        open={Boolean(profileAppointment)}
+        onClose={() => setProfileAppointment(null)}
+        patientName={profileAppointment?.customer.username}
+        profile={profileAppointment?.healthProfile}
+      />
     </Box>
   );
 };
@@ -1,12 +1,37 @@
 // frontend/src/components/DoctorProfileForm.jsx
-// This component allows doctors to create or update their professional profiles.
+// This component allows doctors to create or update their professional profiles,
+// including the weekly availability used to generate bookable appointment slots
+// and the visit types (length, buffer time and price) patients can book.
 
 import React, { useState, useEffect, useContext } from 'react';
 import {
-  Typography, Box, Button, TextField, CircularProgress, Paper
+  Typography, Box, Button, TextField, CircularProgress, Paper,
+  FormControlLabel, Checkbox, FormControl, InputLabel, Select, MenuItem, IconButton, Autocomplete
 } from '@mui/material'; // Material UI components
 import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
 import axios from 'axios'; // Axios for HTTP requests
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SLOT_DURATIONS = [10, 15, 20, 30, 45, 60]; // Slot lengths offered in the form (minutes)
+const TIME_ZONES = Intl.supportedValuesOf('timeZone'); // IANA timezones known to the browser
+const MINUTE_STEP = 5; // Visit lengths, buffers and working-hour times are multiples of this
+
+// Convert the API's weeklyHours list into one editable row per weekday
+const toWeekRows = (weeklyHours = []) =>
+  DAY_NAMES.map((_, day) => {
+    const range = weeklyHours.find((r) => r.day === day);
+    return range
+      ? { enabled: true, start: range.start, end: range.end }
+      : { enabled: false, start: '09:00', end: '17:00' };
+  });
+
+// Convert the editable weekday rows back into the API's weeklyHours list
+const fromWeekRows = (rows) =>
+  rows
+    .map((row, day) => ({ day, start: row.start, end: row.end, enabled: row.enabled }))
+    .filter((row) => row.enabled)
+    .map(({ day, start, end }) => ({ day, start, end }));
 
 const DoctorProfileForm = ({ showSnackbar }) => {
   const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
@@ -17,6 +42,16 @@ const DoctorProfileForm = ({ showSnackbar }) => {
   const [loading, setLoading] = useState(true); // Loading state for fetching profile
   const [isApproved, setIsApproved] = useState(false); // Doctor's approval status
 
+  // Availability states
+  const [timezone, setTimezone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone);
+  const [slotDuration, setSlotDuration] = useState(30);
+  const [weekRows, setWeekRows] = useState(toWeekRows());
+  const [breaks, setBreaks] = useState([]);
+
+  // Visit type catalog (empty means a single default consultation of one slot)
+  const [visitTypes, setVisitTypes] = useState([]);
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected, by path
+
   // Fetch doctor's profile when the component mounts
   useEffect(() => {
     const fetchProfile = async () => {
@@ -28,6 +63,13 @@ const DoctorProfileForm = ({ showSnackbar }) => {
         setAddress(profile.address || '');
         setPhone(profile.phone || '');
         setIsApproved(profile.isApproved); // Set approval status from fetched data
+        if (profile.availability) {
+          setTimezone(profile.availability.timezone);
+          setSlotDuration(profile.availability.slotDuration);
+          setWeekRows(toWeekRows(profile.availability.weeklyHours));
+          setBreaks(profile.availability.breaks || []);
+        }
+        setVisitTypes(profile.visitTypes || []);
       } catch (err) {
         console.error('Error fetching doctor profile:', err.response ? err.response.data : err.message);
         // If profile not found (404), it's okay, user can create it. Show snackbar for other errors.
@@ -41,18 +83,60 @@ const DoctorProfileForm = ({ showSnackbar }) => {
     fetchProfile();
   }, [API_BASE_URL, showSnackbar]); // Dependencies for useEffect
 
+  // Update a single field of a weekday row
+  const handleWeekRowChange = (day, field, value) => {
+    setWeekRows((rows) => rows.map((row, index) => (index === day ? { ...row, [field]: value } : row)));
+  };
+
+  // Update a single field of a break
+  const handleBreakChange = (index, field, value) => {
+    setBreaks((current) => current.map((pause, i) => (i === index ? { ...pause, [field]: value } : pause)));
+  };
+
+  const handleAddBreak = () => {
+    setBreaks((current) => [...current, { day: 1, start: '13:00', end: '14:00' }]);
+  };
+
+  const handleRemoveBreak = (index) => {
+    setBreaks((current) => current.filter((_, i) => i !== index));
+  };
+
+  // Update a single field of a visit type
+  const handleVisitTypeChange = (index, field, value) => {
+    setVisitTypes((current) => current.map((visitType, i) => (i === index ? { ...visitType, [field]: value } : visitType)));
+  };
+
+  const handleAddVisitType = () => {
+    setVisitTypes((current) => [...current, { name: '', durationMinutes: slotDuration, bufferMinutes: 0, price: 0 }]);
+  };
+
+  const handleRemoveVisitType = (index) => {
+    setVisitTypes((current) => current.filter((_, i) => i !== index));
+  };
+
   // Handle form submission (create or update profile)
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setFieldErrors({});
     try {
       const res = await axios.post(`${API_BASE_URL}/doctor/profile`, {
-        specialty, clinicName, address, phone
+        specialty, clinicName, address, phone,
+        availability: { timezone, slotDuration, weeklyHours: fromWeekRows(weekRows), breaks },
+        // Number inputs hold strings while editing; the API expects numbers
+        visitTypes: visitTypes.map((visitType) => ({
+          ...visitType,
+          durationMinutes: Number(visitType.durationMinutes),
+          bufferMinutes: Number(visitType.bufferMinutes),
+          price: Number(visitType.price),
+        })),
       });
       showSnackbar(res.data.msg, 'success');
       setIsApproved(res.data.profile.isApproved); // Update approval status after save
+      setVisitTypes(res.data.profile.visitTypes || []); // Pick up IDs of newly added visit types
     } catch (err) {
       console.error('Error saving doctor profile:', err.response ? err.response.data : err.message);
       showSnackbar(err.response ? err.response.data.msg : 'Failed to save profile.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
     }
   };
 
@@ -76,7 +160,8 @@ const DoctorProfileForm = ({ showSnackbar }) => {
         </Typography>
         {!isApproved && (
           <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
-            Your profile is awaiting approval from the administrator. Once approved, you will be visible to customers for appointments.
+            Your profile is awaiting approval from the administrator. Submit your medical licence under Licence Verification;
+            once it is approved, you will be visible to customers for appointments.
           </Typography>
         )}
       </Paper>
@@ -88,6 +173,7 @@ const DoctorProfileForm = ({ showSnackbar }) => {
           variant="outlined"
           value={specialty}
           onChange={(e) => setSpecialty(e.target.value)}
+          {...fieldErrorProps(fieldErrors, 'specialty')}
           required
         />
         <TextField
@@ -96,6 +182,7 @@ const DoctorProfileForm = ({ showSnackbar }) => {
           variant="outlined"
           value={clinicName}
           onChange={(e) => setClinicName(e.target.value)}
+          {...fieldErrorProps(fieldErrors, 'clinicName')}
         />
         <TextField
           label="Address"
@@ -103,6 +190,7 @@ const DoctorProfileForm = ({ showSnackbar }) => {
           variant="outlined"
           value={address}
           onChange={(e) => setAddress(e.target.value)}
+          {...fieldErrorProps(fieldErrors, 'address')}
         />
         <TextField
           label="Phone Number"
@@ -110,7 +198,181 @@ const DoctorProfileForm = ({ showSnackbar }) => {
           variant="outlined"
           value={phone}
           onChange={(e) => setPhone(e.target.value)}
+          {...fieldErrorProps(fieldErrors, 'phone')}
         />
+
+        <Typography variant="h5" sx={{ mt: 2 }}>Availability</Typography>
+        <Autocomplete
+          options={TIME_ZONES}
+          value={timezone}
+          onChange={(e, value) => value && setTimezone(value)}
+          disableClearable
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              label="Timezone"
+              {...fieldErrorProps(fieldErrors, 'availability.timezone', 'Working hours below are in this timezone.')}
+            />
+          )}
+          sx={{ maxWidth: 360 }}
+        />
+        <FormControl variant="outlined" sx={{ maxWidth: 240 }}>
+          <InputLabel>Slot Length</InputLabel>
+          <Select
+            value={slotDuration}
+            onChange={(e) => setSlotDuration(e.target.value)}
+            label="Slot Length"
+          >
+            {SLOT_DURATIONS.map((minutes) => (
+              <MenuItem key={minutes} value={minutes}>{minutes} minutes</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <Typography variant="subtitle1">Working Hours</Typography>
+        {weekRows.map((row, day) => (
+          <Box key={DAY_NAMES[day]} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={row.enabled}
+                  onChange={(e) => handleWeekRowChange(day, 'enabled', e.target.checked)}
+                />
+              }
+              label={DAY_NAMES[day]}
+              sx={{ minWidth: 140 }}
+            />
+            <TextField
+              label="From"
+              type="time"
+              size="small"
+              inputProps={{ step: MINUTE_STEP * 60 }}
+              value={row.start}
+              onChange={(e) => handleWeekRowChange(day, 'start', e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              disabled={!row.enabled}
+            />
+            <TextField
+              label="To"
+              type="time"
+              size="small"
+              inputProps={{ step: MINUTE_STEP * 60 }}
+              value={row.end}
+              onChange={(e) => handleWeekRowChange(day, 'end', e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              disabled={!row.enabled}
+            />
+          </Box>
+        ))}
+
+        <Typography variant="subtitle1">Breaks</Typography>
+        {breaks.length === 0 && (
+          <Typography variant="body2" color="text.secondary">No breaks configured.</Typography>
+        )}
+        {breaks.map((pause, index) => (
+          <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <FormControl size="small" sx={{ minWidth: 140 }}>
+              <InputLabel>Day</InputLabel>
+              <Select
+                value={pause.day}
+                onChange={(e) => handleBreakChange(index, 'day', e.target.value)}
+                label="Day"
+              >
+                {DAY_NAMES.map((name, day) => (
+                  <MenuItem key={name} value={day}>{name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              label="From"
+              type="time"
+              size="small"
+              inputProps={{ step: MINUTE_STEP * 60 }}
+              value={pause.start}
+              onChange={(e) => handleBreakChange(index, 'start', e.target.value)}
+              {...fieldErrorProps(fieldErrors, `availability.breaks.${index}.start`)}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              label="To"
+              type="time"
+              size="small"
+              inputProps={{ step: MINUTE_STEP * 60 }}
+              value={pause.end}
+              onChange={(e) => handleBreakChange(index, 'end', e.target.value)}
+              {...fieldErrorProps(fieldErrors, `availability.breaks.${index}.end`)}
+              InputLabelProps={{ shrink: true }}
+            />
+            <IconButton aria-label="Remove break" color="error" onClick={() => handleRemoveBreak(index)}>
+              ✕
+            </IconButton>
+          </Box>
+        ))}
+        <Button variant="outlined" onClick={handleAddBreak} sx={{ alignSelf: 'flex-start' }}>
+          Add Break
+        </Button>
+
+        <Typography variant="h5" sx={{ mt: 2 }}>Visit Types</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Each visit type sets how long the appointment lasts, how much free time you need after it
+          (buffer) and what the patient pays. Changes only apply to new bookings.
+        </Typography>
+        {visitTypes.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            No visit types configured. Patients book a {slotDuration}-minute consultation at the standard price.
+          </Typography>
+        )}
+        {visitTypes.map((visitType, index) => (
+          <Box key={visitType._id || `new-${index}`} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <TextField
+              label="Name"
+              size="small"
+              value={visitType.name}
+              onChange={(e) => handleVisitTypeChange(index, 'name', e.target.value)}
+              {...fieldErrorProps(fieldErrors, `visitTypes.${index}.name`)}
+              required
+              sx={{ flex: 1 }}
+            />
+            <TextField
+              label="Length (min)"
+              type="number"
+              size="small"
+              value={visitType.durationMinutes}
+              onChange={(e) => handleVisitTypeChange(index, 'durationMinutes', e.target.value)}
+              {...fieldErrorProps(fieldErrors, `visitTypes.${index}.durationMinutes`)}
+              inputProps={{ min: MINUTE_STEP, max: 240, step: MINUTE_STEP }}
+              required
+              sx={{ width: 120 }}
+            />
+            <TextField
+              label="Buffer (min)"
+              type="number"
+              size="small"
+              value={visitType.bufferMinutes}
+              onChange={(e) => handleVisitTypeChange(index, 'bufferMinutes', e.target.value)}
+              {...fieldErrorProps(fieldErrors, `visitTypes.${index}.bufferMinutes`)}
+              inputProps={{ min: 0, max: 120, step: MINUTE_STEP }}
+              sx={{ width: 120 }}
+            />
+            <TextField
+              label="Price"
+              type="number"
+              size="small"
+              value={visitType.price}
+              onChange={(e) => handleVisitTypeChange(index, 'price', e.target.value)}
+              {...fieldErrorProps(fieldErrors, `visitTypes.${index}.price`)}
+              inputProps={{ min: 0, step: 'any' }}
+              required
+              sx={{ width: 120 }}
+            />
+            <IconButton aria-label="Remove visit type" color="error" onClick={() => handleRemoveVisitType(index)}>
+              ✕
+            </IconButton>
+          </Box>
+        ))}
+        <Button variant="outlined" onClick={handleAddVisitType} sx={{ alignSelf: 'flex-start' }}>
+          Add Visit Type
+        </Button>
         <Button
           type="submit"
           variant="contained"
@@ -0,0 +1,168 @@
+// frontend/src/components/DoctorStaff.jsx
+// This component lets doctors manage their front-desk staff (receptionists).
+// Invited staff get an email with a link for choosing a password. They can then confirm, reschedule,
+// check in and cancel the doctor's appointments, but see no visit notes, prescriptions or health profiles.
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Typography, Box, Button, CircularProgress, Paper, TextField, Chip,
+  List, ListItem, ListItemText, ListItemSecondaryAction, Divider
+} from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+const DoctorStaff = ({ showSnackbar }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [staff, setStaff] = useState([]); // The doctor's staff members
+  const [loading, setLoading] = useState(true); // Loading state for fetching the staff
+  const [reloadKey, setReloadKey] = useState(0); // Bumped to fetch the staff again
+
+  // Invitation form states
+  const [username, setUsername] = useState('');
+  const [email, setEmail] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for invitation fields the server rejected
+
+  // Fetch the staff when the component mounts or after a change
+  useEffect(() => {
+    const fetchStaff = async () => {
+      try {
+        const res = await axios.get(`${API_BASE_URL}/doctor/staff`);
+        setStaff(res.data);
+      } catch (err) {
+        console.error('Error fetching staff:', err.response ? err.response.data : err.message);
+        showSnackbar(err.response ? err.response.data.msg : 'Failed to load your staff.', 'error');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchStaff();
+  }, [API_BASE_URL, showSnackbar, reloadKey]); // Dependencies for useEffect
+
+  // Invite a new staff member
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setFieldErrors({});
+
+    try {
+      const res = await axios.post(`${API_BASE_URL}/doctor/staff`, { username, email });
+      showSnackbar(res.data.msg, 'success');
+      setUsername('');
+      setEmail('');
+      setReloadKey((key) => key + 1); // Refresh the list
+    } catch (err) {
+      console.error('Error inviting staff:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to send the invitation.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    }
+  };
+
+  // Send an invitation again (e.g., after the link expired)
+  const handleResendInvite = async (member) => {
+    try {
+      const res = await axios.post(`${API_BASE_URL}/doctor/staff/${member._id}/invite`);
+      showSnackbar(res.data.msg, 'success');
+    } catch (err) {
+      console.error('Error resending invitation:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to send the invitation.', 'error');
+    }
+  };
+
+  // Remove a staff member (their account is deleted)
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.username}? They will lose access to your appointments immediately.`)) {
+      return;
+    }
+
+    try {
+      const res = await axios.delete(`${API_BASE_URL}/doctor/staff/${member._id}`);
+      showSnackbar(res.data.msg, 'success');
+      setReloadKey((key) => key + 1); // Refresh the list
+    } catch (err) {
+      console.error('Error removing staff:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to remove the staff member.', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+        <Typography variant="h6" sx={{ ml: 2 }}>Loading staff...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Staff</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Staff can confirm, reschedule, check in and cancel your appointments. They cannot see visit notes,
+        prescriptions, health profiles or documents.
+      </Typography>
+
+      <Paper elevation={1} sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Invite Staff</Typography>
+        <Box component="form" onSubmit={handleInvite} sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+          <TextField
+            label="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+            {...fieldErrorProps(fieldErrors, 'username')}
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            label="Email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+            {...fieldErrorProps(fieldErrors, 'email')}
+            sx={{ flex: 1 }}
+          />
+          <Button type="submit" variant="contained" color="primary" disabled={!username || !email} sx={{ mt: 1 }}>
+            Send Invitation
+          </Button>
+        </Box>
+      </Paper>
+
+      {staff.length === 0 ? (
+        <Typography variant="body1">You have not invited any staff yet.</Typography>
+      ) : (
+        <List>
+          {staff.map((member) => (
+            <React.Fragment key={member._id}>
+              <ListItem sx={{ mb: 1, p: 2, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center">
+                      <Typography variant="subtitle1" component="span">{member.username}</Typography>
+                      {!member.emailVerified && (
+                        <Chip label="Invitation pending" color="warning" size="small" sx={{ ml: 1 }} />
+                      )}
+                    </Box>
+                  }
+                  secondary={member.email}
+                />
+                <ListItemSecondaryAction sx={{ display: 'flex', gap: 1 }}>
+                  {!member.emailVerified && (
+                    <Button size="small" variant="outlined" onClick={() => handleResendInvite(member)}>
+                      Resend Invitation
+                    </Button>
+                  )}
+                  <Button size="small" color="error" onClick={() => handleRemove(member)}>
+                    Remove
+                  </Button>
+                </ListItemSecondaryAction>
+              </ListItem>
+              <Divider component="li" />
+            </React.Fragment>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default DoctorStaff;
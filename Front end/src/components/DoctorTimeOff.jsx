@@ -0,0 +1,297 @@
+// frontend/src/components/DoctorTimeOff.jsx
+// This component lets doctors manage time off (vacations, sick days, ...).
+// Patients cannot book slots inside a time-off period. Appointments already booked in it are listed
+// so the doctor can cancel them or send reschedule proposals for all of them in one action.
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Typography, Box, Button, CircularProgress, Paper,
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, Checkbox, FormControlLabel,
+  List, ListItem, ListItemText, ListItemSecondaryAction, Divider,
+  FormControl, InputLabel, Select, MenuItem
+} from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { formatAppointmentTime, formatDateTime } from '../dateUtils.js'; // Timezone-aware formatting
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+const DoctorTimeOff = ({ showSnackbar }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [timeOff, setTimeOff] = useState([]); // The doctor's time-off periods
+  const [loading, setLoading] = useState(true); // Loading state for fetching the profile
+
+  // New time-off form states (days and times in the doctor's timezone)
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [partialDay, setPartialDay] = useState(false); // Whether to limit the period to specific times
+  const [startTime, setStartTime] = useState('09:00');
+  const [endTime, setEndTime] = useState('13:00');
+  const [reason, setReason] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected
+
+  // Conflict handling dialog states
+  const [activeTimeOff, setActiveTimeOff] = useState(null); // Period whose appointments are being handled
+  const [conflicts, setConflicts] = useState([]); // Appointments falling into that period
+  const [selectedIds, setSelectedIds] = useState([]); // Appointments chosen for the bulk action
+  const [onExpiry, setOnExpiry] = useState('cancel'); // What happens if a patient ignores the proposal
+
+  // Fetch the doctor's time off when the component mounts or dependencies change
+  useEffect(() => {
+    fetchTimeOff();
+  }, [API_BASE_URL, showSnackbar]); // Dependencies for useEffect
+
+  const fetchTimeOff = async () => {
+    try {
+      const res = await axios.get(`${API_BASE_URL}/doctor/profile/me`);
+      setTimeOff([...res.data.timeOff].sort((a, b) => new Date(a.startAt) - new Date(b.startAt)));
+    } catch (err) {
+      console.error('Error fetching time off:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to load your time off.', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Open the conflict dialog for a period, preselecting every affected appointment
+  const openConflicts = (period, appointments) => {
+    setActiveTimeOff(period);
+    setConflicts(appointments);
+    setSelectedIds(appointments.map((appointment) => appointment._id));
+  };
+
+  // Load the conflicts of an existing period
+  const handleShowConflicts = async (period) => {
+    try {
+      const res = await axios.get(`${API_BASE_URL}/doctor/time-off/${period._id}/conflicts`);
+      if (res.data.length === 0) {
+        showSnackbar('No upcoming appointments fall into this time off.', 'info');
+        return;
+      }
+      openConflicts(period, res.data);
+    } catch (err) {
+      console.error('Error fetching conflicts:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to load affected appointments.', 'error');
+    }
+  };
+
+  // Handle new time-off submission
+  const handleAddTimeOff = async (e) => {
+    e.preventDefault();
+    setFieldErrors({});
+
+    try {
+      const res = await axios.post(`${API_BASE_URL}/doctor/time-off`, {
+        startDate,
+        endDate: endDate || startDate,
+        ...(partialDay && { startTime, endTime }),
+        reason,
+      });
+      showSnackbar(res.data.msg, 'success');
+      setStartDate('');
+      setEndDate('');
+      setReason('');
+      setPartialDay(false);
+      fetchTimeOff(); // Refresh the list
+      if (res.data.conflicts.length > 0) {
+        openConflicts(res.data.timeOff, res.data.conflicts);
+      }
+    } catch (err) {
+      console.error('Error adding time off:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to add time off.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    }
+  };
+
+  // Remove a time-off period
+  const handleDeleteTimeOff = async (periodId) => {
+    try {
+      const res = await axios.delete(`${API_BASE_URL}/doctor/time-off/${periodId}`);
+      showSnackbar(res.data.msg, 'success');
+      fetchTimeOff(); // Refresh the list
+    } catch (err) {
+      console.error('Error removing time off:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to remove time off.', 'error');
+    }
+  };
+
+  // Toggle an appointment in the bulk selection
+  const handleToggleSelected = (appointmentId) => {
+    setSelectedIds(selectedIds.includes(appointmentId)
+      ? selectedIds.filter((id) => id !== appointmentId)
+      : [...selectedIds, appointmentId]);
+  };
+
+  // Cancel the selected appointments, or send them reschedule proposals
+  const handleResolve = async (action) => {
+    if (action === 'cancel' && !window.confirm(`Cancel ${selectedIds.length} appointment(s)? Patients will see them as cancelled.`)) {
+      return;
+    }
+
+    try {
+      const res = await axios.post(`${API_BASE_URL}/doctor/time-off/${activeTimeOff._id}/resolve`, {
+        action,
+        appointmentIds: selectedIds,
+        onExpiry,
+        message: activeTimeOff.reason ? `I am unavailable (${activeTimeOff.reason}). Please pick a new time.` : undefined,
+      });
+      const failed = res.data.results.filter((result) => result.error);
+      showSnackbar(
+        failed.length > 0 ? `${res.data.msg} ${failed[0].error}` : res.data.msg,
+        failed.length > 0 ? 'warning' : 'success'
+      );
+      setActiveTimeOff(null); // Close dialog
+    } catch (err) {
+      console.error('Error handling appointments:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to handle the appointments.', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+        <Typography variant="h6" sx={{ ml: 2 }}>Loading time off...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Time Off</Typography>
+
+      <Paper elevation={1} sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Add Time Off</Typography>
+        <Box component="form" onSubmit={handleAddTimeOff} sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              label="From"
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              required
+              {...fieldErrorProps(fieldErrors, 'startDate')}
+              sx={{ flex: 1 }}
+            />
+            <TextField
+              label="To (inclusive)"
+              type="date"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              {...fieldErrorProps(fieldErrors, 'endDate', 'Leave empty for a single day')}
+              sx={{ flex: 1 }}
+            />
+          </Box>
+          <FormControlLabel
+            control={<Checkbox checked={partialDay} onChange={(e) => setPartialDay(e.target.checked)} />}
+            label="Only part of the day (e.g., a morning off)"
+          />
+          {partialDay && (
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="Starting at"
+                type="time"
+                value={startTime}
+                onChange={(e) => setStartTime(e.target.value)}
+                InputLabelProps={{ shrink: true }}
+                {...fieldErrorProps(fieldErrors, 'startTime')}
+                sx={{ flex: 1 }}
+              />
+              <TextField
+                label="Ending at"
+                type="time"
+                value={endTime}
+                onChange={(e) => setEndTime(e.target.value)}
+                InputLabelProps={{ shrink: true }}
+                {...fieldErrorProps(fieldErrors, 'endTime')}
+                sx={{ flex: 1 }}
+              />
+            </Box>
+          )}
+          <TextField
+            label="Reason (optional, e.g., Vacation)"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            {...fieldErrorProps(fieldErrors, 'reason')}
+          />
+          <Button type="submit" variant="contained" color="primary" disabled={!startDate}>
+            Add Time Off
+          </Button>
+        </Box>
+      </Paper>
+
+      {timeOff.length === 0 ? (
+        <Typography variant="body1">You have no time off planned.</Typography>
+      ) : (
+        <List>
+          {timeOff.map((period) => (
+            <React.Fragment key={period._id}>
+              <ListItem sx={{ mb: 1, p: 2, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                <ListItemText
+                  primary={`${formatDateTime(period.startAt)} – ${formatDateTime(period.endAt)}`}
+                  secondary={period.reason || 'No reason given'}
+                />
+                <ListItemSecondaryAction sx={{ display: 'flex', gap: 1 }}>
+                  <Button size="small" variant="outlined" onClick={() => handleShowConflicts(period)}>
+                    Affected Appointments
+                  </Button>
+                  <Button size="small" color="error" onClick={() => handleDeleteTimeOff(period._id)}>
+                    Remove
+                  </Button>
+                </ListItemSecondaryAction>
+              </ListItem>
+              <Divider component="li" />
+            </React.Fragment>
+          ))}
+        </List>
+      )}
+
+      <Dialog open={Boolean(activeTimeOff)} onClose={() => setActiveTimeOff(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Appointments During Your Time Off</DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            Select the appointments to handle. You can cancel them, or send each patient a few free
+            times after your time off to choose from.
+          </Typography>
+          <List dense>
+            {conflicts.map((appointment) => (
+              <ListItem key={appointment._id} disableGutters>
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={selectedIds.includes(appointment._id)}
+                      onChange={() => handleToggleSelected(appointment._id)}
+                    />
+                  }
+                  label={`${appointment.customer.username}: ${formatAppointmentTime(appointment.startAt, appointment.timezone)}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+          <FormControl fullWidth variant="outlined" size="small" sx={{ mt: 1 }}>
+            <InputLabel>If a Patient Does Not Respond</InputLabel>
+            <Select value={onExpiry} onChange={(e) => setOnExpiry(e.target.value)} label="If a Patient Does Not Respond">
+              <MenuItem value="cancel">Cancel the appointment</MenuItem>
+              <MenuItem value="keep">Keep the current time</MenuItem>
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setActiveTimeOff(null)} color="secondary">
+            Decide Later
+          </Button>
+          <Button onClick={() => handleResolve('cancel')} color="error" disabled={selectedIds.length === 0}>
+            Cancel Selected
+          </Button>
+          <Button onClick={() => handleResolve('propose')} variant="contained" color="primary" disabled={selectedIds.length === 0}>
+            Propose New Times
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default DoctorTimeOff;
@@ -0,0 +1,112 @@
+// frontend/src/components/DocumentList.jsx
+// Shows the documents attached to an appointment, with thumbnails of images.
+// Files are fetched with the user's token (a plain link could not send it) and opened from memory.
+
+import React, { useState, useEffect, useContext } from 'react';
+import { Typography, Box, Button, Chip } from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { openFileInNewTab } from '../uploadDocuments.js'; // Opening stored files
+
+// Human-readable file size (e.g., "1.2 MB")
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const DocumentList = ({ documents, showSnackbar, onDeleted }) => {
+  const { API_BASE_URL, user } = useContext(AuthContext); // Access API_BASE_URL and the current user
+  const [previews, setPreviews] = useState({}); // Document ID -> object URL of an image thumbnail
+
+  // Load thumbnails of image documents; release them when the list changes or unmounts
+  useEffect(() => {
+    let cancelled = false;
+    const urls = [];
+
+    const loadPreviews = async () => {
+      for (const doc of documents.filter((d) => d.mimeType.startsWith('image/'))) {
+        try {
+          const res = await axios.get(`${API_BASE_URL}/documents/${doc._id}`, { responseType: 'blob' });
+          const url = URL.createObjectURL(res.data);
+          urls.push(url);
+          if (!cancelled) setPreviews((current) => ({ ...current, [doc._id]: url }));
+        } catch (err) {
+          console.error('Error loading document preview:', err.message);
+        }
+      }
+    };
+    loadPreviews();
+
+    return () => {
+      cancelled = true;
+      urls.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [API_BASE_URL, documents]); // Dependencies for useEffect
+
+  // Open a document in a new tab
+  const handleOpen = async (doc) => {
+    try {
+      await openFileInNewTab(`${API_BASE_URL}/documents/${doc._id}`);
+    } catch (err) {
+      console.error('Error opening document:', err.message);
+      showSnackbar(`Failed to open ${doc.originalName}.`, 'error');
+    }
+  };
+
+  // Delete a document the current user uploaded
+  const handleDelete = async (doc) => {
+    if (!window.confirm(`Delete ${doc.originalName}?`)) return;
+
+    try {
+      const res = await axios.delete(`${API_BASE_URL}/documents/${doc._id}`);
+      showSnackbar(res.data.msg, 'success');
+      onDeleted();
+    } catch (err) {
+      console.error('Error deleting document:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to delete the document.', 'error');
+    }
+  };
+
+  if (!documents || documents.length === 0) return null;
+
+  return (
+    <Box component="span" sx={{ display: 'block', mt: 1 }}>
+      <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+        Documents:
+      </Typography>
+      <Box component="span" sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 0.5 }}>
+        {documents.map((doc) => (
+          <Box
+            component="span"
+            key={doc._id}
+            sx={{ display: 'inline-flex', flexDirection: 'column', alignItems: 'center', width: 110, p: 0.5, border: '1px solid #e0e0e0', borderRadius: 1 }}
+          >
+            <Box
+              component="span"
+              onClick={() => handleOpen(doc)}
+              title={`Open ${doc.originalName}`}
+              sx={{ cursor: 'pointer', width: 96, height: 72, display: 'flex', alignItems: 'center', justifyContent: 'center' }}
+            >
+              {previews[doc._id] ? (
+                <img src={previews[doc._id]} alt={doc.originalName} style={{ maxWidth: '100%', maxHeight: '100%', objectFit: 'contain' }} />
+              ) : (
+                <Chip label={doc.mimeType === 'application/pdf' ? 'PDF' : 'Image'} size="small" />
+              )}
+            </Box>
+            <Typography component="span" variant="caption" noWrap sx={{ maxWidth: '100%' }} title={doc.originalName}>
+              {doc.originalName}
+            </Typography>
+            <Typography component="span" variant="caption" color="text.secondary">
+              {formatSize(doc.size)}
+            </Typography>
+            {onDeleted && user && doc.uploadedBy === user._id && (
+              <Button size="small" color="error" onClick={() => handleDelete(doc)} sx={{ minWidth: 0, py: 0 }}>
+                Delete
+              </Button>
+            )}
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default DocumentList;
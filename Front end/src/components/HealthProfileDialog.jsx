@@ -0,0 +1,61 @@
+// frontend/src/components/HealthProfileDialog.jsx
+// Read-only dialog showing a patient's health profile to their doctor.
+
+import React from 'react';
+import {
+  Typography, Box, Button,
+  Dialog, DialogTitle, DialogContent, DialogActions
+} from '@mui/material'; // Material UI components
+import { SEX_LABELS, ageFrom } from '../healthProfile.js'; // Health profile display helpers
+import { formatDateTime } from '../dateUtils.js'; // Timezone-aware formatting
+
+const LIST_FIELDS = [
+  { key: 'allergies', label: 'Allergies' },
+  { key: 'chronicConditions', label: 'Chronic Conditions' },
+  { key: 'currentMedications', label: 'Current Medications' },
+];
+
+const HealthProfileDialog = ({ open, onClose, patientName, profile }) => {
+  const contact = profile?.emergencyContact || {};
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Health Profile of {patientName}</DialogTitle>
+      <DialogContent dividers>
+        {profile && (
+          <Box>
+            <Typography variant="body2">
+              Date of birth: {profile.dateOfBirth ? `${profile.dateOfBirth} (age ${ageFrom(profile.dateOfBirth)})` : 'Not given'}
+            </Typography>
+            <Typography variant="body2">Sex: {SEX_LABELS[profile.sex] || 'Not given'}</Typography>
+            <Typography variant="body2" sx={{ mb: 2 }}>Blood group: {profile.bloodGroup || 'Unknown'}</Typography>
+            {LIST_FIELDS.map(({ key, label }) => (
+              <Box key={key} sx={{ mb: 2 }}>
+                <Typography variant="subtitle2">{label}</Typography>
+                <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                  {profile[key] && profile[key].length > 0 ? profile[key].join('\n') : 'None reported'}
+                </Typography>
+              </Box>
+            ))}
+            <Typography variant="subtitle2">Emergency Contact</Typography>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              {contact.name
+                ? `${contact.name}${contact.relationship ? ` (${contact.relationship})` : ''}${contact.phone ? `, ${contact.phone}` : ''}`
+                : 'Not given'}
+            </Typography>
+            <Typography variant="caption" color="text.secondary">
+              Last updated by the patient {formatDateTime(profile.updatedAt)}
+            </Typography>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="secondary">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default HealthProfileDialog;
@@ -0,0 +1,223 @@
+// frontend/src/components/PrescriptionDialog.jsx
+// Dialog for the electronic prescriptions of a completed appointment.
+// Doctors see the prescriptions already issued and write new ones (medications with dose, frequency,
+// duration and instructions); patients download each one as a signed PDF with its verification code.
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Typography, Box, Button, CircularProgress, IconButton,
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, List, ListItem, ListItemText, ListItemSecondaryAction, Divider
+} from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { formatDateTime } from '../dateUtils.js'; // Timezone-aware formatting
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+const EMPTY_ITEM = { medication: '', dose: '', frequency: '', duration: '', instructions: '' };
+
+// One line per medication, e.g. "Amoxicillin 500 mg: 1 capsule, 3 times a day, for 7 days"
+const formatItem = (item) => `${item.medication}: ${item.dose}, ${item.frequency}, for ${item.duration}`;
+
+const PrescriptionDialog = ({ open, onClose, appointment, prescriptionsPath, editable, showSnackbar }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [prescriptions, setPrescriptions] = useState([]); // Prescriptions issued so far
+  const [items, setItems] = useState([EMPTY_ITEM]); // Medications of the new prescription
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected, by path
+
+  // Load the issued prescriptions whenever the dialog opens
+  useEffect(() => {
+    if (!open || !appointment) return;
+
+    const fetchPrescriptions = async () => {
+      setLoading(true);
+      setItems([EMPTY_ITEM]);
+      setNotes('');
+      setFieldErrors({});
+      try {
+        const res = await axios.get(`${API_BASE_URL}${prescriptionsPath}`);
+        setPrescriptions(res.data);
+      } catch (err) {
+        console.error('Error fetching prescriptions:', err.response ? err.response.data : err.message);
+        showSnackbar(err.response ? err.response.data.msg : 'Failed to load prescriptions.', 'error');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchPrescriptions();
+  }, [open, appointment, prescriptionsPath, API_BASE_URL, showSnackbar]); // Dependencies for useEffect
+
+  // Update one field of one medication row
+  const handleItemChange = (index, field, value) => {
+    setItems(items.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  // Issue the new prescription
+  const handleIssue = async () => {
+    setFieldErrors({});
+    try {
+      const res = await axios.post(`${API_BASE_URL}${prescriptionsPath}`, { items, notes });
+      showSnackbar(res.data.msg, 'success');
+      onClose();
+    } catch (err) {
+      console.error('Error issuing prescription:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to issue the prescription.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    }
+  };
+
+  // Download a prescription as a signed PDF (patients only)
+  const handleDownload = async (prescription) => {
+    try {
+      const res = await axios.get(`${API_BASE_URL}/customer/prescriptions/${prescription._id}/pdf`, { responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `prescription-${prescription.verificationCode}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading prescription:', err.message);
+      showSnackbar('Failed to download the prescription.', 'error');
+    }
+  };
+
+  const incomplete = items.some((item) => !item.medication.trim() || !item.dose.trim() || !item.frequency.trim() || !item.duration.trim());
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Prescriptions</DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Box>
+            {prescriptions.length === 0 ? (
+              <Typography variant="body2" sx={{ mb: 2 }}>
+                {editable ? 'No prescriptions issued for this appointment yet.' : 'Your doctor has not issued a prescription for this appointment.'}
+              </Typography>
+            ) : (
+              <List dense>
+                {prescriptions.map((prescription) => (
+                  <ListItem key={prescription._id} disableGutters>
+                    <ListItemText
+                      primary={`${formatDateTime(prescription.issuedAt)} · Code ${prescription.verificationCode}`}
+                      secondary={prescription.items.map(formatItem).join('; ')}
+                    />
+                    {!editable && (
+                      <ListItemSecondaryAction>
+                        <Button variant="outlined" size="small" onClick={() => handleDownload(prescription)}>
+                          Download PDF
+                        </Button>
+                      </ListItemSecondaryAction>
+                    )}
+                  </ListItem>
+                ))}
+              </List>
+            )}
+
+            {editable && (
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                <Divider />
+                <Typography variant="subtitle1">New Prescription</Typography>
+                {items.map((item, index) => (
+                  <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+                    <TextField
+                      label="Medication"
+                      placeholder="e.g., Amoxicillin 500 mg"
+                      value={item.medication}
+                      onChange={(e) => handleItemChange(index, 'medication', e.target.value)}
+                      {...fieldErrorProps(fieldErrors, `items.${index}.medication`)}
+                      size="small"
+                      required
+                      sx={{ flex: 2, minWidth: 180 }}
+                    />
+                    <TextField
+                      label="Dose"
+                      placeholder="e.g., 1 capsule"
+                      value={item.dose}
+                      onChange={(e) => handleItemChange(index, 'dose', e.target.value)}
+                      {...fieldErrorProps(fieldErrors, `items.${index}.dose`)}
+                      size="small"
+                      required
+                      sx={{ flex: 1, minWidth: 110 }}
+                    />
+                    <TextField
+                      label="Frequency"
+                      placeholder="e.g., 3 times a day"
+                      value={item.frequency}
+                      onChange={(e) => handleItemChange(index, 'frequency', e.target.value)}
+                      {...fieldErrorProps(fieldErrors, `items.${index}.frequency`)}
+                      size="small"
+                      required
+                      sx={{ flex: 1, minWidth: 130 }}
+                    />
+                    <TextField
+                      label="Duration"
+                      placeholder="e.g., 7 days"
+                      value={item.duration}
+                      onChange={(e) => handleItemChange(index, 'duration', e.target.value)}
+                      {...fieldErrorProps(fieldErrors, `items.${index}.duration`)}
+                      size="small"
+                      required
+                      sx={{ flex: 1, minWidth: 100 }}
+                    />
+                    <TextField
+                      label="Instructions"
+                      placeholder="e.g., After meals"
+                      value={item.instructions}
+                      onChange={(e) => handleItemChange(index, 'instructions', e.target.value)}
+                      {...fieldErrorProps(fieldErrors, `items.${index}.instructions`)}
+                      size="small"
+                      sx={{ flex: 2, minWidth: 180 }}
+                    />
+                    <IconButton
+                      aria-label="Remove medication"
+                      color="error"
+                      onClick={() => setItems(items.filter((_, i) => i !== index))}
+                      disabled={items.length === 1}
+                    >
+                      ✕
+                    </IconButton>
+                  </Box>
+                ))}
+                <Button variant="outlined" onClick={() => setItems([...items, EMPTY_ITEM])} sx={{ alignSelf: 'flex-start' }}>
+                  Add Medication
+                </Button>
+                <TextField
+                  label="Notes (optional)"
+                  {...fieldErrorProps(fieldErrors, 'notes', 'Advice for the patient or pharmacist')}
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  multiline
+                  minRows={2}
+                  fullWidth
+                />
+                <Typography variant="caption" color="text.secondary">
+                  Issued prescriptions are signed and cannot be changed. The patient can download them as a PDF
+                  with a verification code for the pharmacy.
+                </Typography>
+              </Box>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="secondary">
+          {editable ? 'Cancel' : 'Close'}
+        </Button>
+        {editable && (
+          <Button onClick={handleIssue} variant="contained" color="primary" disabled={loading || incomplete}>
+            Issue Prescription
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PrescriptionDialog;
@@ -0,0 +1,181 @@
+// frontend/src/components/ProposeTimesDialog.jsx
+// Dialog for proposing alternative times for an appointment.
+// Used by doctors and customers alike: the proposer picks one or more of the doctor's free slots
+// and the other party accepts one of them or declines. The appointment keeps its current time until then.
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Typography, Box, Button,
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, Chip,
+  FormControl, InputLabel, Select, MenuItem
+} from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { formatDateInput, formatDateTime, formatSlotLabel } from '../dateUtils.js'; // Timezone-aware formatting
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+const MAX_PROPOSED_SLOTS = 5; // Matches the limit enforced by the server
+const EXPIRY_OPTIONS = [12, 24, 48, 72, 168]; // Hours the other party has to respond
+
+const ProposeTimesDialog = ({ open, onClose, appointment, slotsPath, proposalsPath, recipientLabel, showSnackbar, onProposed }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+
+  // Proposal form states
+  const [date, setDate] = useState(''); // Calendar day in the doctor's timezone
+  const [slots, setSlots] = useState([]); // Doctor's free slots on the chosen day
+  const [selectedStarts, setSelectedStarts] = useState([]); // Proposed slot starts (ISO timestamps), across days
+  const [message, setMessage] = useState(''); // Optional note for the other party
+  const [expiresInHours, setExpiresInHours] = useState(48); // How long the proposal stays open
+  const [onExpiry, setOnExpiry] = useState('keep'); // What happens if nobody responds in time
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected
+
+  // Reset the form and pre-fill the appointment's current date whenever the dialog opens
+  useEffect(() => {
+    if (open && appointment) {
+      setSelectedStarts([]);
+      setMessage('');
+      setExpiresInHours(48);
+      setOnExpiry('keep');
+      setFieldErrors({});
+      handleDateChange(formatDateInput(appointment.startAt, appointment.timezone));
+    }
+  }, [open, appointment]);
+
+  // Load the doctor's free slots for the chosen day
+  const handleDateChange = async (newDate) => {
+    setDate(newDate);
+    setSlots([]);
+    if (!newDate) return;
+
+    try {
+      const res = await axios.get(`${API_BASE_URL}${slotsPath}`, {
+        params: { from: newDate, to: newDate, appointmentId: appointment._id }, // Slots that fit this appointment's visit type
+      });
+      // The appointment's own slot is not an alternative
+      setSlots(res.data.slots.filter((slot) => slot.startAt !== appointment.startAt));
+    } catch (err) {
+      console.error('Error fetching slots:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to load free slots.', 'error');
+    }
+  };
+
+  // Add a slot to the proposal (ignoring duplicates)
+  const handleAddSlot = (startAt) => {
+    if (!selectedStarts.includes(startAt)) {
+      setSelectedStarts([...selectedStarts, startAt].sort());
+    }
+  };
+
+  // Submit the proposal
+  const handleSubmit = async () => {
+    setFieldErrors({});
+    try {
+      const res = await axios.post(`${API_BASE_URL}${proposalsPath}`, {
+        slots: selectedStarts,
+        message,
+        expiresInHours,
+        onExpiry,
+      });
+      showSnackbar(res.data.msg, 'success');
+      onClose(); // Close dialog
+      onProposed(); // Let the parent refresh its list
+    } catch (err) {
+      console.error('Error proposing new times:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to send the proposal.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Propose New Times</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body1" sx={{ mb: 2 }}>
+          Pick up to {MAX_PROPOSED_SLOTS} alternative times. {recipientLabel} can accept one of them or decline;
+          until then the appointment stays at its current time.
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+          <TextField
+            label="Date (doctor's calendar)"
+            type="date"
+            variant="outlined"
+            value={date}
+            onChange={(e) => handleDateChange(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            sx={{ flex: 1 }}
+          />
+          <FormControl variant="outlined" sx={{ flex: 1 }} disabled={!date || selectedStarts.length >= MAX_PROPOSED_SLOTS}>
+            <InputLabel>Add Time</InputLabel>
+            <Select value="" onChange={(e) => handleAddSlot(e.target.value)} label="Add Time">
+              {slots.map((slot) => (
+                <MenuItem key={slot.startAt} value={slot.startAt} disabled={selectedStarts.includes(slot.startAt)}>
+                  {formatSlotLabel(slot.startAt, appointment?.timezone)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+        {date && slots.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            No free slots on this date.
+          </Typography>
+        )}
+
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>Proposed times:</Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+          {selectedStarts.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">None yet.</Typography>
+          ) : (
+            selectedStarts.map((startAt) => (
+              <Chip
+                key={startAt}
+                label={formatDateTime(startAt)}
+                onDelete={() => setSelectedStarts(selectedStarts.filter((s) => s !== startAt))}
+              />
+            ))
+          )}
+        </Box>
+
+        <TextField
+          label="Message (optional)"
+          fullWidth
+          multiline
+          rows={2}
+          variant="outlined"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          {...fieldErrorProps(fieldErrors, 'message')}
+          sx={{ mb: 2 }}
+        />
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <FormControl variant="outlined" sx={{ flex: 1 }}>
+            <InputLabel>Respond Within</InputLabel>
+            <Select value={expiresInHours} onChange={(e) => setExpiresInHours(e.target.value)} label="Respond Within">
+              {EXPIRY_OPTIONS.map((hours) => (
+                <MenuItem key={hours} value={hours}>{hours < 24 ? `${hours} hours` : `${hours / 24} day(s)`}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl variant="outlined" sx={{ flex: 1 }}>
+            <InputLabel>If No Response</InputLabel>
+            <Select value={onExpiry} onChange={(e) => setOnExpiry(e.target.value)} label="If No Response">
+              <MenuItem value="keep">Keep the current time</MenuItem>
+              <MenuItem value="cancel">Cancel the appointment</MenuItem>
+            </Select>
+          </FormControl>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="secondary">
+          Cancel
+        </Button>
+        <Button onClick={handleSubmit} variant="contained" color="primary" disabled={selectedStarts.length === 0}>
+          Send Proposal
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ProposeTimesDialog;
@@ -0,0 +1,70 @@
+// frontend/src/components/RescheduleProposalPanel.jsx
+// Shows the open reschedule proposal on an appointment.
+// The party who received the proposal can accept one of the proposed times or decline;
+// the party who sent it can withdraw it.
+
+import React, { useContext } from 'react';
+import { Typography, Box, Button } from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { formatAppointmentTime, formatDateTime } from '../dateUtils.js'; // Timezone-aware formatting
+
+const RescheduleProposalPanel = ({ appointment, viewerRole, respondPath, showSnackbar, onResponded }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const proposal = appointment.rescheduleProposal;
+
+  if (!proposal || proposal.status !== 'open') return null;
+
+  const isOwnProposal = proposal.proposedByRole === viewerRole;
+  const proposerLabel = proposal.proposedByRole === 'doctor' ? `Dr. ${appointment.doctor.username}` : appointment.customer.username;
+
+  // Accept one of the proposed times, or decline/withdraw the proposal
+  const handleRespond = async (action, startAt) => {
+    try {
+      const res = await axios.put(`${API_BASE_URL}${respondPath}`, { action, startAt });
+      showSnackbar(res.data.msg, 'success');
+    } catch (err) {
+      console.error('Error responding to proposal:', err.response ? err.response.data : err.message);
+      // On a slot conflict, mention the nearby free slots suggested by the server
+      const alternatives = err.response && err.response.status === 409 && err.response.data.alternatives;
+      const suggestion = alternatives && alternatives.length > 0
+        ? ` Free nearby: ${alternatives.map((slot) => formatDateTime(slot.startAt)).join(', ')}.`
+        : '';
+      showSnackbar(err.response ? err.response.data.msg + suggestion : 'Failed to respond to the proposal.', 'error');
+    }
+    onResponded(); // Refresh in either case: the proposal may have expired meanwhile
+  };
+
+  return (
+    <Box component="span" sx={{ display: 'block', mt: 1, p: 1, border: '1px dashed #90caf9', borderRadius: 1 }}>
+      <Typography component="span" variant="body2" sx={{ display: 'block', fontWeight: 'bold' }}>
+        {isOwnProposal ? 'You proposed new times' : `${proposerLabel} proposed new times`} (respond by {formatDateTime(proposal.expiresAt)})
+      </Typography>
+      {proposal.message && (
+        <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+          "{proposal.message}"
+        </Typography>
+      )}
+      <Typography component="span" variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+        If there is no response, {proposal.onExpiry === 'cancel' ? 'the appointment will be cancelled' : 'the current time is kept'}.
+      </Typography>
+      {proposal.slots.map((slot) => (
+        <Box component="span" key={slot.startAt} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+          <Typography component="span" variant="body2">
+            {formatAppointmentTime(slot.startAt, appointment.timezone)}
+          </Typography>
+          {!isOwnProposal && (
+            <Button size="small" variant="outlined" color="success" onClick={() => handleRespond('accept', slot.startAt)}>
+              Accept
+            </Button>
+          )}
+        </Box>
+      ))}
+      <Button size="small" color="error" onClick={() => handleRespond('decline')}>
+        {isOwnProposal ? 'Withdraw Proposal' : 'Decline All'}
+      </Button>
+    </Box>
+  );
+};
+
+export default RescheduleProposalPanel;
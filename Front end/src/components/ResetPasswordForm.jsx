@@ -0,0 +1,89 @@
+// frontend/src/components/ResetPasswordForm.jsx
+// This component lets a user choose a new password after opening a link from their email: a password
+// reset link, or a staff invitation (`path`, `title` and `submitLabel` adapt the form to the link).
+// The token from the link is sent with the new password; it works once.
+
+import React, { useState, useContext } from 'react';
+import { Typography, Box, Button, TextField } from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+const MIN_PASSWORD_LENGTH = 8; // Same rule as the backend
+
+const ResetPasswordForm = ({
+  token, onDone, showSnackbar,
+  path = '/auth/reset-password', title = 'Choose a New Password', submitLabel = 'Reset Password',
+}) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected
+
+  const mismatch = confirmPassword !== '' && password !== confirmPassword;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setFieldErrors({});
+
+    try {
+      const res = await axios.post(`${API_BASE_URL}${path}`, { token, password });
+      showSnackbar(res.data.msg, 'success');
+      onDone(true); // Back to the login form
+    } catch (err) {
+      console.error('Error saving password:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to save your password.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h1" gutterBottom align="center" sx={{ mb: 4 }}>
+        {title}
+      </Typography>
+      <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        <TextField
+          label="New Password"
+          variant="outlined"
+          fullWidth
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          {...fieldErrorProps(fieldErrors, 'password', `At least ${MIN_PASSWORD_LENGTH} characters`)}
+          required
+        />
+        <TextField
+          label="Confirm New Password"
+          variant="outlined"
+          fullWidth
+          type="password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          error={mismatch}
+          helperText={mismatch ? 'Passwords do not match' : ''}
+          required
+        />
+        <Button
+          type="submit"
+          variant="contained"
+          color="primary"
+          size="large"
+          sx={{ mt: 2 }}
+          disabled={submitting || password.length < MIN_PASSWORD_LENGTH || password !== confirmPassword}
+        >
+          {submitLabel}
+        </Button>
+      </Box>
+      <Button fullWidth variant="text" sx={{ mt: 2 }} onClick={() => onDone(false)}>
+        Cancel
+      </Button>
+    </Box>
+  );
+};
+
+export default ResetPasswordForm;
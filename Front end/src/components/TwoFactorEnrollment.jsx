@@ -0,0 +1,105 @@
+// frontend/src/components/TwoFactorEnrollment.jsx
+// This component walks a doctor or admin through setting up two-factor authentication:
+// scan a QR code with an authenticator app, confirm with a code, then save the backup codes.
+// Admins who must enroll before logging in pass the `challengeToken` from their login attempt.
+
+import React, { useState, useContext } from 'react';
+import { Typography, Box, Button, TextField } from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+import BackupCodesList from './BackupCodesList.jsx'; // One-time backup codes
+
+const TwoFactorEnrollment = ({ challengeToken, onEnabled, showSnackbar }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [enrollment, setEnrollment] = useState(null); // { secret, otpauthUrl, qrCode } to scan
+  const [code, setCode] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected
+  const [result, setResult] = useState(null); // Response of a confirmed enrollment (backup codes, tokens)
+
+  // Get a new secret and its QR code
+  const handleStart = async () => {
+    try {
+      const res = await axios.post(`${API_BASE_URL}/auth/2fa/setup`, { challengeToken });
+      setEnrollment(res.data);
+      setCode('');
+    } catch (err) {
+      console.error('Error starting two-factor setup:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to start two-factor setup.', 'error');
+    }
+  };
+
+  // Confirm the app works by sending its current code
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setFieldErrors({});
+
+    try {
+      const res = await axios.post(`${API_BASE_URL}/auth/2fa/enable`, { challengeToken, code });
+      showSnackbar(res.data.msg, 'success');
+      setResult(res.data);
+    } catch (err) {
+      console.error('Error enabling two-factor authentication:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to turn on two-factor authentication.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    }
+  };
+
+  if (result) {
+    return (
+      <Box>
+        <BackupCodesList codes={result.backupCodes} />
+        <Button variant="contained" color="primary" sx={{ mt: 2 }} onClick={() => onEnabled(result)}>
+          I Have Saved My Backup Codes
+        </Button>
+      </Box>
+    );
+  }
+
+  if (!enrollment) {
+    return (
+      <Box>
+        <Typography variant="body2" sx={{ mb: 2 }}>
+          Two-factor authentication asks for a code from an authenticator app (such as Google Authenticator,
+          Microsoft Authenticator or 1Password) each time you log in, so a stolen password is not enough.
+        </Typography>
+        <Button variant="contained" color="primary" onClick={handleStart}>
+          Set Up Authenticator App
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box component="form" onSubmit={handleConfirm} sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <Typography variant="body2">
+        1. Scan this QR code with your authenticator app.
+      </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+        <img src={enrollment.qrCode} alt="QR code for your authenticator app" width={200} height={200} />
+      </Box>
+      <Typography variant="body2" color="text.secondary">
+        Can't scan it? Enter this key in the app instead: <Box component="span" sx={{ fontFamily: 'monospace' }}>{enrollment.secret}</Box>
+      </Typography>
+      <Typography variant="body2">
+        2. Enter the 6-digit code the app shows.
+      </Typography>
+      <TextField
+        label="Code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+        {...fieldErrorProps(fieldErrors, 'code')}
+        required
+      />
+      <Button type="submit" variant="contained" color="primary" disabled={!code.trim()}>
+        Turn On Two-Factor Authentication
+      </Button>
+      <Button variant="text" size="small" onClick={handleStart}>
+        Show a New QR Code
+      </Button>
+    </Box>
+  );
+};
+
+export default TwoFactorEnrollment;
@@ -0,0 +1,77 @@
+// frontend/src/components/TwoFactorLoginStep.jsx
+// This component is the second login step for accounts with two-factor authentication:
+// a code from the authenticator app, or one of the backup codes.
+
+import React, { useState, useContext } from 'react';
+import { Typography, Box, Button, TextField } from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+const TwoFactorLoginStep = ({ challengeToken, onCancel, showSnackbar }) => {
+  const { API_BASE_URL, completeLogin } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [useBackupCode, setUseBackupCode] = useState(false); // Backup code instead of an app code
+  const [code, setCode] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFieldErrors({});
+
+    try {
+      const res = await axios.post(`${API_BASE_URL}/auth/2fa/login`, {
+        challengeToken,
+        ...(useBackupCode ? { backupCode: code } : { code }),
+      });
+      completeLogin(res.data);
+      showSnackbar(res.data.msg, 'success');
+    } catch (err) {
+      console.error('Two-factor login error:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'An unexpected error occurred.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+      if (err.response && err.response.status === 401) {
+        onCancel(); // The login attempt expired; start over with the password
+      }
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <Typography variant="body2">
+        {useBackupCode
+          ? 'Enter one of your backup codes. Each code works only once.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </Typography>
+      <TextField
+        label={useBackupCode ? 'Backup Code' : 'Code'}
+        variant="outlined"
+        fullWidth
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        inputProps={useBackupCode ? {} : { inputMode: 'numeric', autoComplete: 'one-time-code' }}
+        {...fieldErrorProps(fieldErrors, useBackupCode ? 'backupCode' : 'code')}
+        autoFocus
+        required
+      />
+      <Button type="submit" variant="contained" color="primary" size="large" disabled={!code.trim()}>
+        Verify
+      </Button>
+      <Button
+        variant="text"
+        size="small"
+        onClick={() => {
+          setUseBackupCode(!useBackupCode);
+          setCode('');
+          setFieldErrors({});
+        }}
+      >
+        {useBackupCode ? 'Use a code from my app instead' : 'Lost your phone? Use a backup code'}
+      </Button>
+      <Button variant="text" size="small" onClick={onCancel}>
+        Back to Login
+      </Button>
+    </Box>
+  );
+};
+
+export default TwoFactorLoginStep;
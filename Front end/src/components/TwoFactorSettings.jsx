@@ -0,0 +1,192 @@
+// frontend/src/components/TwoFactorSettings.jsx
+// This component lets doctors and admins manage two-factor authentication: turn it on with an
+// authenticator app, create new backup codes, or (doctors only, it is required for admins) turn it off.
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Typography, Box, Button, CircularProgress, Paper, Chip, TextField,
+  Dialog, DialogTitle, DialogContent, DialogActions
+} from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { formatDateTime } from '../dateUtils.js'; // Timezone-aware formatting
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+import TwoFactorEnrollment from './TwoFactorEnrollment.jsx'; // Authenticator app setup
+import BackupCodesList from './BackupCodesList.jsx'; // One-time backup codes
+
+const TwoFactorSettings = ({ showSnackbar }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [status, setStatus] = useState(null); // { available, required, enabled, enabledAt, backupCodesLeft }
+  const [loading, setLoading] = useState(true);
+  const [reloadKey, setReloadKey] = useState(0); // Bumped to fetch the status again
+
+  // Dialog states: 'backup-codes' or 'disable'
+  const [dialog, setDialog] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [newBackupCodes, setNewBackupCodes] = useState(null); // Codes created in the dialog, shown once
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for dialog fields the server rejected
+
+  // Fetch the two-factor status when the component mounts or after a change
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const res = await axios.get(`${API_BASE_URL}/auth/2fa`);
+        setStatus(res.data);
+      } catch (err) {
+        console.error('Error fetching two-factor status:', err.response ? err.response.data : err.message);
+        showSnackbar(err.response ? err.response.data.msg : 'Failed to load your security settings.', 'error');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchStatus();
+  }, [API_BASE_URL, showSnackbar, reloadKey]); // Dependencies for useEffect
+
+  const openDialog = (name) => {
+    setDialog(name);
+    setCode('');
+    setPassword('');
+    setNewBackupCodes(null);
+    setFieldErrors({});
+  };
+
+  const closeDialog = () => {
+    setDialog(null);
+    setReloadKey((key) => key + 1); // Backup code count may have changed
+  };
+
+  // Replace the backup codes (needs a current code from the app)
+  const handleNewBackupCodes = async () => {
+    setFieldErrors({});
+    try {
+      const res = await axios.post(`${API_BASE_URL}/auth/2fa/backup-codes`, { code });
+      showSnackbar(res.data.msg, 'success');
+      setNewBackupCodes(res.data.backupCodes);
+    } catch (err) {
+      console.error('Error creating backup codes:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to create new backup codes.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    }
+  };
+
+  // Turn two-factor authentication off (needs the password and a code)
+  const handleDisable = async () => {
+    setFieldErrors({});
+    try {
+      const res = await axios.post(`${API_BASE_URL}/auth/2fa/disable`, { password, code });
+      showSnackbar(res.data.msg, 'success');
+      closeDialog();
+    } catch (err) {
+      console.error('Error turning off two-factor authentication:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to turn off two-factor authentication.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '50vh' }}>
+        <CircularProgress />
+        <Typography variant="h6" sx={{ ml: 2 }}>Loading security settings...</Typography>
+      </Box>
+    );
+  }
+
+  if (!status || !status.available) {
+    return <Typography variant="body1">Two-factor authentication is available for doctor and admin accounts.</Typography>;
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Security</Typography>
+
+      <Paper elevation={1} sx={{ p: 2 }}>
+        <Typography variant="h6" gutterBottom>
+          Two-Factor Authentication{' '}
+          <Chip label={status.enabled ? 'On' : 'Off'} color={status.enabled ? 'success' : 'default'} size="small" />
+        </Typography>
+
+        {status.enabled ? (
+          <Box>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              Turned on {formatDateTime(status.enabledAt)}. You have {status.backupCodesLeft} unused backup code(s).
+            </Typography>
+            {status.required && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                Admin accounts must keep two-factor authentication on.
+              </Typography>
+            )}
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button variant="outlined" onClick={() => openDialog('backup-codes')}>
+                Create New Backup Codes
+              </Button>
+              {!status.required && (
+                <Button variant="outlined" color="error" onClick={() => openDialog('disable')}>
+                  Turn Off
+                </Button>
+              )}
+            </Box>
+          </Box>
+        ) : (
+          <TwoFactorEnrollment onEnabled={() => setReloadKey((key) => key + 1)} showSnackbar={showSnackbar} />
+        )}
+      </Paper>
+
+      <Dialog open={dialog === 'backup-codes'} onClose={closeDialog} fullWidth maxWidth="sm">
+        <DialogTitle>New Backup Codes</DialogTitle>
+        <DialogContent>
+          {newBackupCodes ? (
+            <BackupCodesList codes={newBackupCodes} />
+          ) : (
+            <React.Fragment>
+              <Typography variant="body2" sx={{ mb: 2 }}>
+                Your current backup codes will stop working. Enter a code from your authenticator app to continue.
+              </Typography>
+              <TextField label="Code" value={code} onChange={(e) => setCode(e.target.value)} {...fieldErrorProps(fieldErrors, 'code')} fullWidth />
+            </React.Fragment>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog} color="secondary">
+            {newBackupCodes ? 'Done' : 'Cancel'}
+          </Button>
+          {!newBackupCodes && (
+            <Button onClick={handleNewBackupCodes} variant="contained" color="primary" disabled={!code.trim()}>
+              Create Codes
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={dialog === 'disable'} onClose={closeDialog} fullWidth maxWidth="sm">
+        <DialogTitle>Turn Off Two-Factor Authentication</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            Your account will only be protected by your password. Confirm with your password and a code from your app.
+          </Typography>
+          <TextField
+            label="Password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            {...fieldErrorProps(fieldErrors, 'password')}
+            fullWidth
+            sx={{ mb: 2 }}
+          />
+          <TextField label="Code" value={code} onChange={(e) => setCode(e.target.value)} {...fieldErrorProps(fieldErrors, 'code')} fullWidth />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog} color="secondary">
+            Cancel
+          </Button>
+          <Button onClick={handleDisable} variant="contained" color="error" disabled={!password || !code.trim()}>
+            Turn Off
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TwoFactorSettings;
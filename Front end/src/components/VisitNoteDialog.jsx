@@ -0,0 +1,166 @@
+// frontend/src/components/VisitNoteDialog.jsx
+// Dialog for the clinical visit note (SOAP) of a completed appointment.
+// Doctors write the note and amend it (each amendment is kept as a new version with a reason);
+// patients get a read-only view of the current version.
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Typography, Box, Button, CircularProgress,
+  Dialog, DialogTitle, DialogContent, DialogActions,
+  TextField, List, ListItem, ListItemText
+} from '@mui/material'; // Material UI components
+import { AuthContext } from '../AuthContext.jsx'; // Import AuthContext
+import axios from 'axios'; // Axios for HTTP requests
+import { formatDateTime } from '../dateUtils.js'; // Timezone-aware formatting
+import { fieldErrorsOf, fieldErrorProps } from '../formErrors.js'; // Field-level validation errors
+
+// The SOAP sections, in order, with a hint of what belongs in each
+const SECTIONS = [
+  { key: 'subjective', label: 'Subjective', hint: "Patient's account: complaints, symptoms, history" },
+  { key: 'objective', label: 'Objective', hint: 'Findings: examination, vitals, test results' },
+  { key: 'assessment', label: 'Assessment', hint: 'Diagnosis or differential diagnosis' },
+  { key: 'plan', label: 'Plan', hint: 'Treatment, prescriptions, follow-up' },
+];
+
+const EMPTY_SECTIONS = { subjective: '', objective: '', assessment: '', plan: '' };
+
+const VisitNoteDialog = ({ open, onClose, appointment, notePath, editable, showSnackbar }) => {
+  const { API_BASE_URL } = useContext(AuthContext); // Access API_BASE_URL from AuthContext
+  const [note, setNote] = useState(null); // The saved note, null if none yet
+  const [sections, setSections] = useState(EMPTY_SECTIONS); // Edited section texts
+  const [amendmentReason, setAmendmentReason] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({}); // Messages for fields the server rejected
+
+  // Load the note whenever the dialog opens
+  useEffect(() => {
+    if (!open || !appointment) return;
+
+    const fetchNote = async () => {
+      setLoading(true);
+      setNote(null);
+      setSections(EMPTY_SECTIONS);
+      setAmendmentReason('');
+      setFieldErrors({});
+      try {
+        const res = await axios.get(`${API_BASE_URL}${notePath}`);
+        setNote(res.data);
+        setSections(SECTIONS.reduce((values, { key }) => ({ ...values, [key]: res.data.current[key] }), {}));
+      } catch (err) {
+        // 404 just means no note has been written yet
+        if (!err.response || err.response.status !== 404) {
+          console.error('Error fetching visit note:', err.response ? err.response.data : err.message);
+          showSnackbar(err.response ? err.response.data.msg : 'Failed to load the visit note.', 'error');
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchNote();
+  }, [open, appointment, notePath, API_BASE_URL, showSnackbar]); // Dependencies for useEffect
+
+  // Save the note, or an amendment of it
+  const handleSave = async () => {
+    setFieldErrors({});
+    try {
+      const res = await axios.put(`${API_BASE_URL}${notePath}`, { ...sections, amendmentReason: note ? amendmentReason : undefined });
+      showSnackbar(res.data.msg, 'success');
+      onClose();
+    } catch (err) {
+      console.error('Error saving visit note:', err.response ? err.response.data : err.message);
+      showSnackbar(err.response ? err.response.data.msg : 'Failed to save the visit note.', 'error');
+      setFieldErrors(fieldErrorsOf(err));
+    }
+  };
+
+  const isAmending = Boolean(note);
+  const unchanged = note && SECTIONS.every(({ key }) => sections[key] === note.current[key]);
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Visit Note</DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : !editable ? (
+          // Patient's read-only view
+          note ? (
+            <Box>
+              {SECTIONS.map(({ key, label }) => (
+                <Box key={key} sx={{ mb: 2 }}>
+                  <Typography variant="subtitle2">{label}</Typography>
+                  <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{note.current[key] || '—'}</Typography>
+                </Box>
+              ))}
+              <Typography variant="caption" color="text.secondary">
+                {note.amended ? 'Last amended' : 'Written'} {formatDateTime(note.current.createdAt)}
+              </Typography>
+            </Box>
+          ) : (
+            <Typography variant="body2">Your doctor has not written a visit note for this appointment yet.</Typography>
+          )
+        ) : (
+          // Doctor's editor
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {SECTIONS.map(({ key, label, hint }) => (
+              <TextField
+                key={key}
+                label={label}
+                {...fieldErrorProps(fieldErrors, key, hint)}
+                value={sections[key]}
+                onChange={(e) => setSections({ ...sections, [key]: e.target.value })}
+                multiline
+                minRows={2}
+                fullWidth
+              />
+            ))}
+            {isAmending && (
+              <TextField
+                label="Reason for Amendment"
+                {...fieldErrorProps(fieldErrors, 'amendmentReason', 'Required. The previous version is kept in the history below.')}
+                value={amendmentReason}
+                onChange={(e) => setAmendmentReason(e.target.value)}
+                required
+                fullWidth
+              />
+            )}
+            {isAmending && (
+              <Box>
+                <Typography variant="subtitle2">History</Typography>
+                <List dense>
+                  {[...note.versions].reverse().map((version, index) => (
+                    <ListItem key={version._id} disableGutters>
+                      <ListItemText
+                        primary={`Version ${note.versions.length - index} · ${formatDateTime(version.createdAt)}`}
+                        secondary={version.amendmentReason ? `Amended: ${version.amendmentReason}` : 'Original note'}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              </Box>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="secondary">
+          {editable ? 'Cancel' : 'Close'}
+        </Button>
+        {editable && (
+          <Button
+            onClick={handleSave}
+            variant="contained"
+            color="primary"
+            disabled={loading || unchanged || (isAmending && !amendmentReason.trim())}
+          >
+            {isAmending ? 'Save Amendment' : 'Save Note'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default VisitNoteDialog;
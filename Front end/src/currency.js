@@ -0,0 +1,8 @@
+// frontend/src/currency.js
+// Shared helper for displaying prices (visit types, payments).
+
+const CURRENCY = 'INR'; // Must match the backend's configured currency
+
+// Format an amount as a price (e.g., "₹500.00")
+export const formatPrice = (amount, currency = CURRENCY) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(amount);
@@ -0,0 +1,39 @@
+// frontend/src/dateUtils.js
+// Shared helpers for displaying appointment times.
+// Appointments are stored as UTC instants together with the doctor's IANA timezone.
+// Times are shown in the viewer's own timezone, with the doctor's local time added when the two differ.
+
+// Timezone of the browser viewing the page (e.g., 'Europe/London')
+export const viewerTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Format an instant as a full date and time (e.g., "June 24, 2025 at 10:30 AM")
+export const formatDateTime = (instant, timeZone = viewerTimeZone) =>
+  new Date(instant).toLocaleString('en-US', {
+    year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone,
+  });
+
+// Format only the time of an instant (e.g., "10:30 AM")
+export const formatTime = (instant, timeZone = viewerTimeZone) =>
+  new Date(instant).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+
+// Format an instant as a YYYY-MM-DD value for <input type="date"> in the given timezone
+export const formatDateInput = (instant, timeZone = viewerTimeZone) =>
+  new Date(instant).toLocaleDateString('en-CA', { year: 'numeric', month: '2-digit', day: '2-digit', timeZone });
+
+// Describe an appointment's start in the viewer's timezone, mentioning the doctor's timezone
+export const formatAppointmentTime = (startAt, doctorTimeZone) => {
+  const viewerTime = formatDateTime(startAt);
+  if (!doctorTimeZone || doctorTimeZone === viewerTimeZone) {
+    return `${viewerTime} (${viewerTimeZone})`;
+  }
+  return `${viewerTime} your time (${viewerTimeZone}) · ${formatTime(startAt, doctorTimeZone)} doctor's time (${doctorTimeZone})`;
+};
+
+// Label for a bookable slot: the viewer's time, plus the doctor's local time when the zones differ
+export const formatSlotLabel = (startAt, doctorTimeZone) => {
+  const viewerTime = formatTime(startAt);
+  if (!doctorTimeZone || doctorTimeZone === viewerTimeZone) {
+    return viewerTime;
+  }
+  return `${viewerTime} (${formatTime(startAt, doctorTimeZone)} doctor's time)`;
+};
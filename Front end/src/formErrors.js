@@ -0,0 +1,28 @@
+// frontend/src/formErrors.js
+// Field-level validation errors from the backend. Requests that fail its request schemas are answered with
+// 400 { msg, code: 'VALIDATION_FAILED', errors: [{ location, field, message, code }] }, where `field` is a
+// dotted path such as "email" or "visitTypes.0.price". Forms keep the result of fieldErrorsOf() in state and
+// spread fieldErrorProps() into each TextField, so every message shows under the field it is about.
+
+// Messages of a failed request by field path (the first one per field); empty for any other error
+export const fieldErrorsOf = (err) => {
+  const data = err && err.response && err.response.data;
+  if (!data || data.code !== 'VALIDATION_FAILED' || !Array.isArray(data.errors)) {
+    return {};
+  }
+  return data.errors
+    .filter((error) => error.location !== 'params' && error.field)
+    .reduce((messages, error) => (messages[error.field] ? messages : { ...messages, [error.field]: error.message }), {});
+};
+
+// The message for a field or for anything inside it (e.g. "allergies" covers "allergies.3"), or undefined
+export const fieldError = (fieldErrors, field) => {
+  const key = Object.keys(fieldErrors).find((path) => path === field || path.startsWith(`${field}.`));
+  return key && fieldErrors[key];
+};
+
+// TextField props marking a failing field: { error, helperText }, keeping `helperText` for valid fields
+export const fieldErrorProps = (fieldErrors, field, helperText) => {
+  const message = fieldError(fieldErrors, field);
+  return { error: Boolean(message), helperText: message || helperText };
+};
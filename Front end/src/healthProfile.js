@@ -0,0 +1,19 @@
+// frontend/src/healthProfile.js
+// Display helpers for customer health profiles, shared by the customer's editor and the doctor's view.
+
+// Options accepted by the backend, with their labels
+export const SEX_LABELS = {
+  female: 'Female',
+  male: 'Male',
+  intersex: 'Intersex',
+  undisclosed: 'Prefer not to say',
+};
+export const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Age in whole years from a YYYY-MM-DD date of birth
+export const ageFrom = (dateOfBirth) => {
+  const [year, month, day] = dateOfBirth.split('-').map(Number);
+  const today = new Date();
+  const hadBirthday = today.getMonth() + 1 > month || (today.getMonth() + 1 === month && today.getDate() >= day);
+  return today.getFullYear() - year - (hadBirthday ? 0 : 1);
+};
@@ -0,0 +1,32 @@
+// frontend/src/uploadDocuments.js
+// Shared helpers for uploading documents (appointment files, licence documents) and opening them.
+
+import axios from 'axios'; // Axios for HTTP requests
+
+// Accepted file types and size limit (checked again by the server)
+export const DOCUMENT_ACCEPT = 'application/pdf,image/jpeg,image/png,image/webp';
+export const MAX_DOCUMENT_MB = 10;
+
+// Upload files (a FileList or array) to an appointment. Resolves to the server's response data.
+export const uploadDocuments = async (apiBaseUrl, appointmentId, files) => {
+  const formData = new FormData();
+  Array.from(files).forEach((file) => formData.append('files', file));
+  const res = await axios.post(`${apiBaseUrl}/documents/appointments/${appointmentId}`, formData);
+  return res.data;
+};
+
+// Fetch a stored file with the user's token (a plain link could not send it) and open it in a new tab
+export const openFileInNewTab = async (url) => {
+  const res = await axios.get(url, { responseType: 'blob' });
+  const objectUrl = URL.createObjectURL(res.data);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 60000); // Give the new tab time to load it
+};
+
+// Names of files over the size limit, to warn before uploading
+export const oversizedFiles = (files) =>
+  Array.from(files).filter((file) => file.size > MAX_DOCUMENT_MB * 1024 * 1024).map((file) => file.name);